@@ -1,12 +1,15 @@
 // backend/routes/math.js 
 const express = require('express');
 const { solveMathExpression, validateMathExpression, getExpressionType } = require("../utils/mathSolver");
+const { readOutputOptions } = require("../utils/exactArithmetic");
+const { readAssumptionList } = require("../utils/assumptions");
+const { checkEquivalence } = require("../utils/equivalence");
 const router = express.Router();
 
 // POST /api/solve - Main solving endpoint
 router.post("/solve", (req, res) => {
   try {
-    const { expression } = req.body;
+    const { expression, output, precision, assumptions } = req.body;
     
     // Validate input
     if (!expression) {
@@ -17,6 +20,27 @@ router.post("/solve", (req, res) => {
       });
     }
 
+    // output: "exact" | "decimal" | "both"; precision: decimal places
+    const options = readOutputOptions({ output, precision });
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error,
+        type: "validation"
+      });
+    }
+
+    // assumptions: ["x > 0", "n integer"] or "x > 0, n integer", alongside any inline assume(...)
+    const assumed = readAssumptionList(assumptions);
+    if (assumed.error) {
+      return res.status(400).json({
+        success: false,
+        error: assumed.error,
+        type: "validation"
+      });
+    }
+    options.assumptions = assumed.assumptions;
+
     // Validate expression syntax
     const validation = validateMathExpression(expression);
     if (!validation.valid) {
@@ -31,7 +55,7 @@ router.post("/solve", (req, res) => {
     const expressionType = getExpressionType(expression);
     
     // Solve the expression
-    const result = solveMathExpression(expression);
+    const result = solveMathExpression(expression, options);
     
     // Add additional metadata
     result.inputExpression = expression;
@@ -50,6 +74,37 @@ router.post("/solve", (req, res) => {
   }
 });
 
+// POST /equivalent - Decide whether two expressions are mathematically equal, e.g. a student's answer and the key
+router.post("/equivalent", (req, res) => {
+  try {
+    const { first, second } = req.body;
+
+    if (typeof first !== "string" || typeof second !== "string" || !first.trim() || !second.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Two expressions are required: first and second",
+        type: "validation"
+      });
+    }
+
+    const result = checkEquivalence(first, second);
+    if (!result.success) {
+      return res.status(400).json({ ...result, type: "validation" });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Equivalence check error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error while comparing expressions",
+      type: "server",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // GET /examples - Get example expressions
 router.get('/examples', (req, res) => {
   const examples = {
@@ -58,17 +113,87 @@ router.get('/examples', (req, res) => {
       "sin(pi/2)",
       "log(10)",
       "sqrt(16)",
-      "x^2 + 2*x + 1"
+      "x^2 + 2*x + 1",
+      "sqrt(8) + 1/3",
+      "2^100",
+      "sqrt(-4)",
+      "(1 + 2i)*(3 - i)",
+      "polar(1 + i)",
+      "rect(2, pi/3)"
     ],
     calculus: [
       "derivative(x^3 + 2*x^2, x)",
+      "derivative(x^2*y^3, x, y)",
+      "gradient(x^2 + y^2 + z^2, [x, y, z])",
+      "hessian(x^3*y + y^2, [x, y])",
+      "jacobian([x^2*y, 5*x + sin(y)], [x, y])",
       "integral(x^2, x)",
-      "limit(x, 0, sin(x)/x)"
+      "integral(sin(x), x, 0, pi)",
+      "limit(x, 0, sin(x)/x)",
+      "lim(x -> 0+) x*log(x)",
+      "limit(x, inf, (1 + 1/x)^x)",
+      "analyze((x^2 - 1)/(x - 2), x)",
+      "analyze(x^3 - 3*x, x)",
+      "analyze(x*e^(-x), x)",
+      "taylor(sin(x), x, 0, 7)",
+      "taylor(ln(x), x, 1, 4)",
+      "maclaurin(e^x, x, 5)",
+      "dsolve(y' = x*y, y, x, y(0) = 2)",
+      "dsolve(y' + 2*y = x, y, x)",
+      "dsolve(y'' + 3*y' + 2*y = 0, y, x, y(0) = 1, y'(0) = 0)",
+      "dsolve(y' = sin(x*y), y, x, y(0) = 1)",
+      "sum(k^2, k, 1, n)",
+      "sum(1/(k*(k + 1)), k, 1, inf)",
+      "sum((-1)^k/k, k, 1, inf)",
+      "sum(k^2/2^k, k, 1, inf)",
+      "product(1 - 1/k^2, k, 2, inf)"
     ],
     algebra: [
       "solve(x^2 - 4 = 0, x)",
       "solve(2*x + 3 = 7, x)",
-      "solve(x^2 + x - 6 = 0, x)"
+      "solve(x^2 + x - 6 = 0, x)",
+      "solve(x^3 - 6*x^2 + 11*x - 6 = 0, x)",
+      "solve([2*x + y = 5, x - y = 1], [x, y])",
+      "solve(cos(x) = x, x)",
+      "solve(sin(x) = 0, x, 0, 10)",
+      "solve(sin(x) = 1/2, x)",
+      "solve(2*cos(x)^2 + sin(x) = 1, x, 0, 2*pi)",
+      "solve(sin(x) + cos(x) = 1, x)",
+      "solve(2^(x + 1) = 16, x)",
+      "solve(e^(2*x) - 5*e^x + 6 = 0, x)",
+      "solve(log(x) + log(x - 3) = 1, x)",
+      "solve(x^2 - 4 > 0, x)",
+      "solve(-1 < 2*x + 1 <= 5, x)",
+      "solve(abs(x - 3) < 2, x)",
+      "factor(x^4 - 16)",
+      "expand((x + y)^3)",
+      "polydiv(x^3 - 2*x^2 - 4, x - 3)",
+      "gcd(x^2 - 1, x^2 - 2*x + 1)",
+      "apart((3*x + 5)/(x^2 + 3*x + 2), x)",
+      "apart(1/((x - 1)^2*(x + 2)), x)",
+      "trigsimp(sin(x)^2 + cos(x)^2 + tan(x)^2)",
+      "trigsimp((sin(3*x) + sin(x))/(cos(3*x) + cos(x)))",
+      "sqrt(x^2), assume(x > 0)",
+      "solve(x^2 - 4 = 0, x), assume(x > 0)",
+      "cos(n*pi), assume(n integer)",
+      "integral(1/x, x), assume(x > 0)"
+    ],
+    linearAlgebra: [
+      "det([[1, 2], [3, 4]])",
+      "det([[1, 2, 0], [3, -1, 2], [0, 4, 5]])",
+      "inverse([[2, 1], [1, 1]])",
+      "rref([[1, 2, 3], [4, 5, 6], [7, 8, 9]])",
+      "rank([[1, 2, 3], [4, 5, 6], [7, 8, 9]])",
+      "nullspace([[1, 2, 3], [4, 5, 6], [7, 8, 9]])",
+      "eigen([[2, 1], [1, 2]])"
+    ],
+    units: [
+      "5 km/h to m/s",
+      "9.8 m/s^2 * 3 s",
+      "2 inch to cm",
+      "100 degF to degC",
+      "1 kWh to J",
+      "3 m * 4 m"
     ]
   };
   
@@ -9,7 +9,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { evaluate3DFunction, generate3DData, validate3DExpression } = require('../utils/plot3dSolver');
+const { evaluate3DFunction, generate3DData, validate3DExpression, analyze3DFunction } = require('../utils/plot3dSolver');
 
 // NODE.JS CONCEPT: POST endpoint for 3D function evaluation
 // Evaluates a 3D mathematical function at given coordinates
@@ -156,6 +156,55 @@ router.post('/validate', async (req, res) => {
   }
 });
 
+// NODE.JS CONCEPT: POST endpoint for 3D function analysis
+// Finds the critical points of f(x, y) in the domain, classifies them with the Hessian and reports symmetries
+router.post('/analyze', async (req, res) => {
+  try {
+    const { equation, domain = { x: [-5, 5], y: [-5, 5] }, parameters = {} } = req.body;
+
+    if (!equation) {
+      return res.status(400).json({
+        success: false,
+        error: 'Equation is required for 3D function analysis'
+      });
+    }
+
+    // NODE.JS CONCEPT: Input validation for the search domain
+    const validRange = (range) => Array.isArray(range) && range.length === 2 && range.every((v) => typeof v === 'number' && isFinite(v)) && range[0] < range[1];
+    if (!domain || !validRange(domain.x) || !validRange(domain.y)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid domain: x and y must be [min, max] ranges of finite numbers'
+      });
+    }
+
+    const startTime = Date.now();
+    const analysis = await analyze3DFunction(equation, domain, parameters);
+    const computationTime = Date.now() - startTime;
+
+    res.json({
+      success: true,
+      data: analysis,
+      metadata: {
+        equation,
+        domain,
+        parameters,
+        computationTime,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('3D Function analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze 3D function',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // NODE.JS CONCEPT: GET endpoint for 3D function presets
 // Returns predefined 3D functions for quick access
 router.get('/presets', (req, res) => {
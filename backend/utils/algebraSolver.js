@@ -0,0 +1,537 @@
+// backend/utils/algebraSolver.js
+// Polynomial algebra commands: factor, expand, polydiv and gcd
+const { addStep } = require("./solverHelpers");
+const { toNode, normalizeFunctions, stripParentheses, evaluateNumber, formatNumber, isZero } = require("./expressionUtils");
+const {
+  trimPolynomial,
+  degree,
+  leadingCoefficient,
+  polyMul,
+  polyPow,
+  polyScale,
+  polySub,
+  polyDivide,
+  toPolynomial,
+  polyToString,
+  toIntegerCoefficients,
+  rationalRoots
+} = require("./polynomial");
+
+const MAX_EXPANSION_STEPS = 8;
+const MAX_POWER = 32;
+
+// Symbols that are not mathematical constants; function names are not symbols
+const freeSymbols = (node) => [
+  ...new Set(
+    node
+      .filter((n, path, parent) => n.isSymbolNode && !(parent && parent.isFunctionNode && path === "fn") && !["pi", "e", "i"].includes(n.name))
+      .map((n) => n.name)
+  )
+].sort();
+
+const resolveVariable = (node, given) => {
+  if (given) return given;
+  const symbols = freeSymbols(node);
+  if (symbols.length > 1) throw new Error(`Specify the variable: the expression contains ${symbols.join(", ")}`);
+  return symbols[0] || "x";
+};
+
+const readPolynomial = (text, given) => {
+  const node = stripParentheses(normalizeFunctions(text));
+  const variable = resolveVariable(node, given);
+  const coeffs = toPolynomial(node, variable);
+  if (!coeffs) throw new Error(`${text} is not a polynomial in ${variable} with numeric coefficients`);
+  return { coeffs: trimPolynomial(coeffs), variable };
+};
+
+// ---- factor ----
+
+const factorText = (coeffs, variable) => {
+  const text = polyToString(coeffs, variable);
+  return degree(coeffs) === 1 && coeffs[0] === 0 && coeffs[1] === 1 ? variable : `(${text})`;
+};
+
+const productText = (constant, factors, variable) => {
+  const parts = factors.map(({ coeffs, multiplicity }) => `${factorText(coeffs, variable)}${multiplicity > 1 ? `^${multiplicity}` : ""}`);
+  if (constant === -1 && parts.length) return `-${parts.join(" * ")}`;
+  if (constant !== 1 || !parts.length) parts.unshift(formatNumber(constant));
+  return parts.join(" * ");
+};
+
+const isPerfectSquare = (n) => n >= 0 && Number.isInteger(Math.sqrt(n)) && Math.sqrt(n) ** 2 === n;
+
+// Indices of the nonzero coefficients, highest power first
+const termPowers = (coeffs) => coeffs.map((c, i) => (c === 0 ? -1 : i)).filter((i) => i >= 0).reverse();
+
+const monomialPoly = (coefficient, power) => {
+  const result = new Array(power + 1).fill(0);
+  result[power] = coefficient;
+  return result;
+};
+
+// Primitive integer polynomial with a positive leading coefficient
+const primitive = (coeffs) => {
+  const integer = toIntegerCoefficients(coeffs) || coeffs;
+  return leadingCoefficient(integer) < 0 ? polyScale(integer, -1) : integer;
+};
+
+const divisorsOf = (n) => {
+  const result = [];
+  for (let d = 1; d * d <= Math.abs(n); d++) if (n % d === 0) result.push(d, Math.abs(n) / d);
+  return [...new Set(result)].sort((a, b) => a - b);
+};
+
+// Integer quadratics (A·x² + p·x + B)(C·x² + r·x + D) whose product is the quartic c4·x⁴ + ... + c0. For each split
+// A·C = c4, B·D = c0 the x³ and x coefficients fix p and r, unless those equations coincide; then the x² one does.
+const quadraticPair = (coeffs) => {
+  if (degree(coeffs) !== 4 || !coeffs.every(Number.isInteger) || coeffs[0] === 0 || Math.abs(coeffs[0]) > 1e12 || Math.abs(coeffs[4]) > 1e12) return null;
+  const [c0, c1, c2, c3, c4] = coeffs;
+  for (const A of divisorsOf(c4)) {
+    const C = c4 / A;
+    for (const B of divisorsOf(c0).flatMap((d) => [-d, d])) {
+      const D = c0 / B;
+      const det = C * B - A * D;
+      let candidates = [];
+      if (det !== 0) {
+        candidates = [(c3 * B - A * c1) / det];
+      } else {
+        // C·p² - c3·p + A·(c2 - A·D - B·C) = 0
+        const discriminant = c3 ** 2 - 4 * C * A * (c2 - A * D - B * C);
+        if (isPerfectSquare(discriminant)) candidates = [-1, 1].map((sign) => (c3 + sign * Math.sqrt(discriminant)) / (2 * C));
+      }
+      for (const p of candidates) {
+        const r = (c3 - C * p) / A;
+        if (Number.isInteger(p) && Number.isInteger(r) && A * D + p * r + B * C === c2 && p * D + B * r === c1) return [[B, p, A], [D, r, C]];
+      }
+    }
+  }
+  return null;
+};
+
+// Split a primitive integer polynomial into irreducible-over-ℚ pieces, recording each technique used
+const splitFactors = (coeffs, variable, steps) => {
+  const n = degree(coeffs);
+  if (n <= 1) return [coeffs];
+  const powers = termPowers(coeffs);
+
+  // a^2·x^(2k) - b^2 = (a·x^k - b)(a·x^k + b)
+  if (powers.length === 2 && powers[1] === 0 && n % 2 === 0 && isPerfectSquare(coeffs[n]) && isPerfectSquare(-coeffs[0])) {
+    const a = Math.sqrt(coeffs[n]);
+    const b = Math.sqrt(-coeffs[0]);
+    const half = n / 2;
+    const minus = polySub(monomialPoly(a, half), [b]);
+    const plus = trimPolynomial(monomialPoly(a, half).map((c, i) => (i === 0 ? c + b : c)));
+    addStep(steps, "Difference of squares", `${polyToString(coeffs, variable)} = ${factorText(minus, variable)}${factorText(plus, variable)}`,
+      `${polyToString(monomialPoly(a, half), variable)} squared minus ${formatNumber(b)} squared: A² - B² = (A - B)(A + B)`);
+    return [...splitFactors(minus, variable, steps), ...splitFactors(plus, variable, steps)];
+  }
+
+  // c1·x^p1 + c2·x^p2 + c3·x^p3 + c4·x^p4 with p1 - p2 = p3 - p4 and c1·c4 = c2·c3 groups as (c1·x^k + c2)(x^p2 + r·x^p4)
+  if (powers.length === 4) {
+    const [p1, p2, p3, p4] = powers;
+    const [c1, c2, c3, c4] = powers.map((p) => coeffs[p]);
+    if (p1 - p2 === p3 - p4 && isZero(c1 * c4 - c2 * c3, 1e-9)) {
+      const k = p1 - p2;
+      const r = c3 / c1;
+      const first = trimPolynomial(monomialPoly(c1, k).map((c, i) => (i === 0 ? c + c2 : c)));
+      const cofactor = trimPolynomial(monomialPoly(1, p2 - p4).map((c, i) => (i === 0 ? c + r : c)));
+      const shifted = p4 > 0 ? polyMul(cofactor, monomialPoly(1, p4)) : cofactor;
+      const multiplier = p4 > 0 ? polyToString(monomialPoly(r, p4), variable) : formatNumber(r);
+      const second = multiplier.replace(/^-/, "");
+      const grouped = `${polyToString(monomialPoly(1, p2), variable)}(${polyToString(first, variable)}) ${r < 0 ? "-" : "+"} ${second === "1" ? "" : second}(${polyToString(first, variable)})`;
+      addStep(steps, "Factor by grouping", `${polyToString(coeffs, variable)} = ${grouped} = ${factorText(first, variable)}${factorText(shifted, variable)}`,
+        "Pair the first two and last two terms; both pairs share the same binomial factor");
+      return [...splitFactors(primitive(first), variable, steps), ...splitFactors(primitive(shifted), variable, steps)];
+    }
+  }
+
+  // Rational roots p/q give the linear factors (q·x - p)
+  const { roots, remaining } = rationalRoots(coeffs);
+  if (roots.length) {
+    const linear = [];
+    roots.forEach(({ value, multiplicity }) => {
+      const [num, den] = formatNumber(value).includes("/") ? formatNumber(value).split("/").map(Number) : [value, 1];
+      for (let i = 0; i < multiplicity; i++) linear.push([-num, den]);
+    });
+    const rest = degree(remaining) > 0 ? primitive(remaining) : null;
+    addStep(steps, "Rational root theorem", `Roots ${roots.map((r) => formatNumber(r.value) + (r.multiplicity > 1 ? ` (×${r.multiplicity})` : "")).join(", ")} of ${polyToString(coeffs, variable)}`,
+      `Candidates ±p/q divide the constant term and leading coefficient; each root r = p/q gives a factor (q·${variable} - p)${rest ? `, leaving ${polyToString(rest, variable)}` : ""}`);
+    return [...linear, ...(rest ? splitFactors(rest, variable, steps) : [])];
+  }
+
+  // A quartic without rational roots may still split into two quadratics, e.g. x^4 + 4 (Sophie Germain)
+  const pair = quadraticPair(coeffs);
+  if (pair) {
+    const [first, second] = pair;
+    const germain = coeffs[1] === 0 && coeffs[2] === 0 && coeffs[3] === 0;
+    addStep(steps, "Quadratic factors", `${polyToString(coeffs, variable)} = ${factorText(first, variable)}${factorText(second, variable)}`,
+      germain
+        ? "Add and subtract the middle term: a⁴ + 4b⁴ = (a² + 2b²)² - (2ab)² = (a² - 2ab + 2b²)(a² + 2ab + 2b²)"
+        : "No rational roots, but (A·x² + p·x + B)(C·x² + r·x + D) with integer p and r matches every coefficient");
+    return [...splitFactors(first, variable, steps), ...splitFactors(second, variable, steps)];
+  }
+
+  const note = n === 2
+    ? `discriminant ${formatNumber(coeffs[1] ** 2 - 4 * coeffs[2] * coeffs[0])} is not a perfect square`
+    : n === 4
+      ? "no rational roots and no pair of quadratic factors with integer coefficients"
+      : "no rational roots and no grouping or difference-of-squares pattern";
+  addStep(steps, "Irreducible factor", polyToString(coeffs, variable), `Cannot be factored further over the rationals: ${note}`);
+  return [coeffs];
+};
+
+// Factors of a polynomial of positive degree, with repeated ones collected into powers
+const factorCoefficients = (coeffs, variable, steps) => {
+  // Greatest common factor: numeric content and the lowest power of the variable
+  const lowest = coeffs.findIndex((c) => c !== 0);
+  const integer = primitive(coeffs.slice(lowest));
+  const constant = leadingCoefficient(coeffs) / leadingCoefficient(integer);
+  const factors = [];
+  if (lowest > 0) factors.push([0, 1], ...Array(lowest - 1).fill([0, 1]));
+  if (constant !== 1 || lowest > 0) {
+    const common = productText(constant, lowest ? [{ coeffs: [0, 1], multiplicity: lowest }] : [], variable);
+    addStep(steps, "Greatest common factor", `${common} * (${polyToString(integer, variable)})`, "Factor out the common numeric factor and the lowest power of the variable");
+  }
+  factors.push(...splitFactors(integer, variable, steps));
+
+  // Collect repeated factors into powers, linear factors first
+  const grouped = [];
+  factors.forEach((f) => {
+    const existing = grouped.find((g) => g.coeffs.length === f.length && g.coeffs.every((c, i) => isZero(c - f[i], 1e-9)));
+    if (existing) existing.multiplicity++;
+    else grouped.push({ coeffs: f, multiplicity: 1 });
+  });
+  // Order: the power of the variable, then linear factors by increasing root, then higher-degree factors
+  const rootOf = (f) => -f[0] / f[1];
+  grouped.sort((a, b) => (b.coeffs[0] === 0) - (a.coeffs[0] === 0) || degree(a.coeffs) - degree(b.coeffs) || (degree(a.coeffs) === 1 ? rootOf(a.coeffs) - rootOf(b.coeffs) : 0));
+  return { constant, grouped };
+};
+
+const factorPolynomial = (text, given, steps) => {
+  const node = stripParentheses(normalizeFunctions(text));
+  if (freeSymbols(node).length > 1) return factorMultivariate(node, text, given, steps);
+  const { coeffs, variable } = readPolynomial(text, given);
+  addStep(steps, "Standard form", polyToString(coeffs, variable), `Polynomial of degree ${Math.max(0, degree(coeffs))} in ${variable}`);
+  if (degree(coeffs) <= 0) return { answer: formatNumber(coeffs[0]), factors: [], constant: coeffs[0], variable };
+
+  const { constant, grouped } = factorCoefficients(coeffs, variable, steps);
+  const answer = grouped.length === 1 && grouped[0].multiplicity === 1 && constant === 1
+    ? polyToString(grouped[0].coeffs, variable)
+    : productText(constant, grouped, variable);
+
+  const product = grouped.reduce((acc, { coeffs: f, multiplicity }) => polyMul(acc, polyPow(f, multiplicity)), [constant]);
+  const matches = product.length === coeffs.length && product.every((c, i) => isZero(c - coeffs[i], 1e-8 * Math.max(1, Math.abs(coeffs[i]))));
+  addStep(steps, "Check", `${answer} = ${polyToString(product, variable)}`, matches ? "Expanding the factors gives back the original polynomial" : "Expansion differs from the input by rounding");
+  return { answer, factors: grouped.map(({ coeffs: f, multiplicity }) => ({ factor: polyToString(f, variable), multiplicity })), constant, variable };
+};
+
+// ---- expand ----
+
+// Multivariate polynomials as Map(monomial key -> coefficient); the key lists "base^power" factors in sorted order.
+// Non-polynomial subexpressions such as sin(x) act as opaque bases.
+const isPlainSymbol = (base) => /^[a-z_]\w*$/i.test(base);
+
+// Plain symbols first, then opaque subexpressions, each alphabetically
+const compareBases = (a, b) => isPlainSymbol(b) - isPlainSymbol(a) || (a < b ? -1 : a > b ? 1 : 0);
+
+const monomialKey = (powers) =>
+  Object.keys(powers)
+    .filter((b) => powers[b] !== 0)
+    .sort(compareBases)
+    .map((b) => `${b}^${powers[b]}`)
+    .join("*");
+
+const parseKey = (key) =>
+  key ? Object.fromEntries(key.split("*").map((part) => { const at = part.lastIndexOf("^"); return [part.slice(0, at), Number(part.slice(at + 1))]; })) : {};
+
+const multinomial = (entries) => {
+  const result = new Map();
+  entries.forEach(([key, c]) => {
+    const previous = result.get(key) || 0;
+    const total = previous + c;
+    // Cancellation is judged against the terms that cancel, so a small coefficient such as 1e-13 is kept
+    if (isZero(total, 1e-12 * Math.max(Math.abs(previous), Math.abs(c)))) result.delete(key);
+    else result.set(key, total);
+  });
+  return result;
+};
+
+const multiplyMultinomials = (p, q) => {
+  const entries = [];
+  p.forEach((a, keyA) => q.forEach((b, keyB) => {
+    const powers = { ...parseKey(keyA) };
+    Object.entries(parseKey(keyB)).forEach(([base, power]) => { powers[base] = (powers[base] || 0) + power; });
+    entries.push([monomialKey(powers), a * b]);
+  }));
+  return multinomial(entries);
+};
+
+const totalDegree = (key) => Object.values(parseKey(key)).reduce((acc, p) => acc + p, 0);
+
+// Graded lexicographic order: higher total degree first, then higher powers of earlier bases
+const compareMonomials = (a, b) => {
+  const difference = totalDegree(b) - totalDegree(a);
+  if (difference) return difference;
+  const [pa, pb] = [parseKey(a), parseKey(b)];
+  const bases = [...new Set([...Object.keys(pa), ...Object.keys(pb)])].sort(compareBases);
+  for (const base of bases) {
+    if ((pa[base] || 0) !== (pb[base] || 0)) return (pb[base] || 0) - (pa[base] || 0);
+  }
+  return 0;
+};
+
+const multinomialText = (p) => {
+  if (!p.size) return "0";
+  const terms = [...p.entries()].sort(([a], [b]) => compareMonomials(a, b));
+  return terms
+    .map(([key, c], index) => {
+      const factors = Object.entries(parseKey(key)).map(([base, power]) => {
+        const baseText = isPlainSymbol(base) || (/^\w+\(.*\)$/.test(base) && power === 1) ? base : `(${base})`;
+        return power === 1 ? baseText : `${baseText}^${power}`;
+      });
+      const magnitude = formatNumber(Math.abs(c));
+      const [numerator, denominator] = magnitude.split("/");
+      let body = magnitude;
+      if (factors.length && /^\d+\/\d+$/.test(magnitude)) body = `${numerator === "1" ? "" : `${numerator}*`}${factors.join("*")}/${denominator}`;
+      else if (factors.length) body = magnitude === "1" ? factors.join("*") : `${magnitude}*${factors.join("*")}`;
+      return index === 0 ? `${c < 0 ? "-" : ""}${body}` : `${c < 0 ? " - " : " + "}${body}`;
+    })
+    .join("");
+};
+
+const toMultinomial = (input, record) => {
+  const node = stripParentheses(toNode(input));
+  if (!freeSymbols(node).length) {
+    const value = evaluateNumber(node);
+    if (value !== null && isFinite(value)) return multinomial([["", value]]);
+  }
+  if (node.isSymbolNode) return multinomial([[`${node.name}^1`, 1]]);
+  const opaque = () => multinomial([[`${node.toString()}^1`, 1]]);
+  if (!node.isOperatorNode) return opaque();
+
+  switch (node.fn) {
+    case "add":
+    case "subtract": {
+      const [left, right] = node.args.map((arg) => toMultinomial(arg, record));
+      const sign = node.fn === "subtract" ? -1 : 1;
+      return multinomial([...left.entries(), ...[...right.entries()].map(([k, c]) => [k, sign * c])]);
+    }
+    case "unaryMinus":
+      return multinomial([...toMultinomial(node.args[0], record).entries()].map(([k, c]) => [k, -c]));
+    case "unaryPlus":
+      return toMultinomial(node.args[0], record);
+    case "multiply": {
+      const parts = node.args.map((arg) => toMultinomial(arg, record));
+      const result = parts.reduce(multiplyMultinomials);
+      if (parts.filter((p) => p.size > 1).length && result.size > 1) record(node, result);
+      return result;
+    }
+    case "divide": {
+      const divisor = freeSymbols(node.args[1]).length ? null : evaluateNumber(node.args[1]);
+      if (!divisor) return opaque();
+      return multinomial([...toMultinomial(node.args[0], record).entries()].map(([k, c]) => [k, c / divisor]));
+    }
+    case "pow": {
+      const exponent = freeSymbols(node.args[1]).length ? null : evaluateNumber(node.args[1]);
+      if (!Number.isInteger(exponent) || exponent < 0 || exponent > MAX_POWER) return opaque();
+      const base = toMultinomial(node.args[0], record);
+      let result = multinomial([["", 1]]);
+      for (let i = 0; i < exponent; i++) result = multiplyMultinomials(result, base);
+      if (base.size > 1 && exponent > 1) record(node, result);
+      return result;
+    }
+    default:
+      return opaque();
+  }
+};
+
+const expandExpression = (text, steps) => {
+  const node = normalizeFunctions(text);
+  const recorded = [];
+  const record = (n, result) => recorded.push({ power: n.fn === "pow", line: `${n.toString()} = ${multinomialText(result)}` });
+  const result = toMultinomial(node, record);
+  recorded.slice(0, MAX_EXPANSION_STEPS).forEach(({ power, line }) => {
+    addStep(steps, power ? "Expand power" : "Distribute", line,
+      power ? "Multiply the base by itself term by term (binomial expansion)" : "Multiply every term of one factor by every term of the other");
+  });
+  if (recorded.length > MAX_EXPANSION_STEPS) addStep(steps, "Distribute", `${recorded.length - MAX_EXPANSION_STEPS} more products`, "Remaining products are expanded the same way");
+  const answer = multinomialText(result);
+  addStep(steps, "Collect like terms", answer, `${result.size} term(s), ordered by total degree`);
+  return { answer, terms: result.size };
+};
+
+// ---- factor with several variables ----
+
+// f(x) of degree k as the homogeneous y^k·f(x/y), highest power of x first; without y it is f(x) itself
+const homogeneousText = (f, variable, other) => {
+  const k = degree(f);
+  return f
+    .map((c, power) => ({ c, power }))
+    .filter(({ c }) => c !== 0)
+    .reverse()
+    .map(({ c, power }, index) => {
+      const monomial = [[variable, power], [other, k - power]]
+        .filter(([symbol, p]) => symbol && p)
+        .map(([symbol, p]) => (p === 1 ? symbol : `${symbol}^${p}`))
+        .join("*");
+      const magnitude = formatNumber(Math.abs(c));
+      const body = !monomial ? magnitude : magnitude === "1" ? monomial : `${magnitude}*${monomial}`;
+      return index === 0 ? `${c < 0 ? "-" : ""}${body}` : `${c < 0 ? " - " : " + "}${body}`;
+    })
+    .join("");
+};
+
+const homogeneousMultinomial = (f, variable, other) =>
+  multinomial(f.map((c, power) => [monomialKey({ [variable]: power, ...(other ? { [other]: degree(f) - power } : {}) }), c]).filter(([, c]) => c !== 0));
+
+// A common monomial comes out first; what is left must be a polynomial in one variable, or a homogeneous one in two
+// (every term of the same total degree), which factors as y^n·p(x/y) through the one-variable p(x) = p(x, 1)
+const factorMultivariate = (node, text, given, steps) => {
+  const symbols = freeSymbols(node);
+  const original = toMultinomial(node, () => {});
+  const terms = [...original.entries()].map(([key, c]) => ({ powers: parseKey(key), c }));
+  if (terms.some(({ powers }) => Object.keys(powers).some((base) => !symbols.includes(base)))) {
+    throw new Error(`${text} is not a polynomial in ${symbols.join(", ")} with numeric coefficients`);
+  }
+  addStep(steps, "Standard form", multinomialText(original), `Polynomial in ${symbols.join(", ")}`);
+
+  const common = Object.fromEntries(symbols.map((s) => [s, Math.min(...terms.map(({ powers }) => powers[s] || 0))]));
+  const reduced = terms.map(({ powers, c }) => ({ powers: Object.fromEntries(symbols.map((s) => [s, (powers[s] || 0) - common[s]])), c }));
+  const monomial = symbols.filter((s) => common[s]).map((s) => (common[s] === 1 ? s : `${s}^${common[s]}`));
+  const remaining = symbols.filter((s) => reduced.some(({ powers }) => powers[s]));
+  const degrees = new Set(reduced.map(({ powers }) => Object.values(powers).reduce((acc, p) => acc + p, 0)));
+  if (remaining.length > 2 || (remaining.length === 2 && degrees.size > 1)) {
+    throw new Error(`${text} cannot be factored: with several variables only a common factor and homogeneous polynomials in two variables, such as x^2 - y^2 or x^3 + 8*y^3, are supported`);
+  }
+  if (monomial.length && remaining.length) {
+    const rest = multinomialText(multinomial(reduced.map(({ powers, c }) => [monomialKey(powers), c])));
+    addStep(steps, "Greatest common factor", `${monomial.join("*")} * (${rest})`, `Every term contains ${monomial.join("*")}`);
+  }
+
+  const variable = remaining.includes(given) ? given : remaining[0] || symbols[0];
+  const other = remaining.find((s) => s !== variable);
+  const top = Math.max(...reduced.map(({ powers }) => powers[variable]));
+  const coeffs = Array.from({ length: top + 1 }, (_, power) => reduced.filter(({ powers }) => powers[variable] === power).reduce((acc, { c }) => acc + c, 0));
+  if (other) {
+    addStep(steps, "Homogeneous polynomial", `p(${variable}, 1) = ${polyToString(coeffs, variable)}`,
+      `Every term has total degree ${[...degrees][0]}: factor p(${variable}, 1) in ${variable} alone, then give each term of a factor the power of ${other} that restores the factor's degree`);
+  }
+  const { constant, grouped } = degree(coeffs) > 0 ? factorCoefficients(coeffs, variable, steps) : { constant: coeffs[0], grouped: [] };
+
+  const texts = grouped.map(({ coeffs: f }) => homogeneousText(f, variable, other));
+  const parts = [...monomial, ...grouped.map(({ multiplicity }, i) => `${/^[\w^*]+$/.test(texts[i]) ? texts[i] : `(${texts[i]})`}${multiplicity > 1 ? `^${multiplicity}` : ""}`)];
+  let answer;
+  if (!monomial.length && grouped.length === 1 && grouped[0].multiplicity === 1 && constant === 1) answer = texts[0];
+  else if (constant === -1 && parts.length) answer = `-${parts.join(" * ")}`;
+  else answer = [...(constant !== 1 || !parts.length ? [formatNumber(constant)] : []), ...parts].join(" * ");
+  if (other) addStep(steps, `Restore ${other}`, answer, `A factor of degree k in ${variable} becomes homogeneous of degree k in ${variable} and ${other}`);
+
+  const product = grouped.reduce(
+    (acc, { coeffs: f, multiplicity }) => Array(multiplicity).fill(homogeneousMultinomial(f, variable, other)).reduce(multiplyMultinomials, acc),
+    multinomial([[monomialKey(common), constant]])
+  );
+  const expanded = multinomialText(product);
+  addStep(steps, "Check", `${answer} = ${expanded}`, expanded === multinomialText(original) ? "Expanding the factors gives back the original polynomial" : "Expansion differs from the input by rounding");
+  const factors = [
+    ...symbols.filter((s) => common[s]).map((s) => ({ factor: s, multiplicity: common[s] })),
+    ...grouped.map(({ multiplicity }, i) => ({ factor: texts[i], multiplicity }))
+  ];
+  return { answer, factors, constant, variable };
+};
+
+// ---- polydiv ----
+
+const syntheticTable = (dividend, root, variable) => {
+  const coefficients = [...dividend].reverse();
+  const bottom = [];
+  const middle = [""];
+  coefficients.forEach((c, i) => {
+    const value = i === 0 ? c : c + bottom[i - 1] * root;
+    if (i > 0) middle.push(formatNumber(bottom[i - 1] * root));
+    bottom.push(value);
+  });
+  return {
+    title: "Synthetic division",
+    columns: ["", ...coefficients.map((_, i) => polyToString(monomialPoly(1, coefficients.length - 1 - i), variable))],
+    rows: [[formatNumber(root), ...coefficients.map(formatNumber)], ["", ...middle], ["", ...bottom.map(formatNumber)]]
+  };
+};
+
+const dividePolynomials = (dividendText, divisorText, given, steps) => {
+  const node = normalizeFunctions(`(${dividendText}) / (${divisorText})`);
+  const variable = resolveVariable(node, given);
+  const { coeffs: dividend } = readPolynomial(dividendText, variable);
+  const { coeffs: divisor } = readPolynomial(divisorText, variable);
+  if (degree(divisor) === -Infinity) throw new Error("Division by the zero polynomial");
+  addStep(steps, "Set up the division", `(${polyToString(dividend, variable)}) ÷ (${polyToString(divisor, variable)})`, "Both polynomials written in descending powers");
+
+  const { quotient, remainder } = polyDivide(dividend, divisor);
+  if (degree(divisor) === 1 && divisor[1] === 1) {
+    // Synthetic division by x - r
+    const root = -divisor[0];
+    const table = syntheticTable(dividend, root, variable);
+    addStep(steps, "Synthetic division", `Divide by ${variable} - ${formatNumber(root)}: bring down, multiply by ${formatNumber(root)}, add`,
+      "The bottom row holds the quotient coefficients followed by the remainder", { table });
+  } else {
+    let current = trimPolynomial(dividend);
+    while (degree(current) >= degree(divisor)) {
+      const shift = degree(current) - degree(divisor);
+      const term = monomialPoly(leadingCoefficient(current) / leadingCoefficient(divisor), shift);
+      const subtrahend = polyMul(term, divisor);
+      const next = polySub(current, subtrahend);
+      const trimmed = next.length > shift + degree(divisor) ? trimPolynomial(next.slice(0, shift + degree(divisor))) : next;
+      addStep(steps, "Divide leading terms", `${polyToString(term, variable)}: (${polyToString(current, variable)}) - (${polyToString(subtrahend, variable)}) = ${polyToString(trimmed, variable)}`,
+        `Leading term ÷ ${polyToString(monomialPoly(leadingCoefficient(divisor), degree(divisor)), variable)} gives the next quotient term; multiply it by the divisor and subtract`);
+      current = trimmed;
+    }
+  }
+
+  const quotientText = polyToString(quotient, variable);
+  const remainderText = polyToString(remainder, variable);
+  addStep(steps, "Result", `${polyToString(dividend, variable)} = (${polyToString(divisor, variable)})(${quotientText})${degree(remainder) === -Infinity ? "" : leadingCoefficient(remainder) < 0 ? ` - (${polyToString(polyScale(remainder, -1), variable)})` : ` + ${remainderText}`}`,
+    degree(remainder) === -Infinity ? "The remainder is zero, so the divisor is a factor" : "Dividend = divisor × quotient + remainder, with deg(remainder) < deg(divisor)");
+  return { quotient: quotientText, remainder: remainderText, answer: `Quotient: ${quotientText}, Remainder: ${remainderText}`, variable };
+};
+
+// ---- gcd ----
+
+const polynomialGcd = (firstText, secondText, given, steps) => {
+  const node = normalizeFunctions(`(${firstText}) + (${secondText})`);
+  const variable = resolveVariable(node, given);
+  let { coeffs: a } = readPolynomial(firstText, variable);
+  let { coeffs: b } = readPolynomial(secondText, variable);
+  if (degree(a) < degree(b)) [a, b] = [b, a];
+  addStep(steps, "Euclidean algorithm", `gcd(${polyToString(a, variable)}, ${polyToString(b, variable)})`, "Repeatedly replace the pair (a, b) by (b, a mod b) until the remainder is zero");
+  while (degree(b) !== -Infinity) {
+    const { remainder } = polyDivide(a, b);
+    const scale = Math.max(...b.map(Math.abs));
+    const cleaned = remainder.every((c) => Math.abs(c) < 1e-9 * Math.max(1, scale)) ? [0] : remainder;
+    addStep(steps, "Divide", `(${polyToString(a, variable)}) mod (${polyToString(b, variable)}) = ${polyToString(cleaned, variable)}`, degree(cleaned) === -Infinity ? "Zero remainder: the last divisor is the gcd" : "Continue with the divisor and the remainder");
+    [a, b] = [b, cleaned];
+  }
+  const gcd = degree(a) <= 0 ? [1] : a;
+  const answer = polyToString(primitive(gcd), variable);
+  addStep(steps, "Normalize", answer, degree(gcd) <= 0 ? "Only constants divide both, so the polynomials are coprime" : "Scaled to integer coefficients with a positive leading coefficient");
+  return { answer, variable };
+};
+
+// gcd(12, 18) on plain integers
+const integerGcd = (values, steps) => {
+  let [a, b] = values.map(Math.abs);
+  while (b !== 0) {
+    addStep(steps, "Divide", `${a} = ${Math.floor(a / b)}·${b} + ${a % b}`, a % b === 0 ? "Zero remainder: the last divisor is the gcd" : "Continue with the divisor and the remainder");
+    [a, b] = [b, a % b];
+  }
+  return { answer: String(a) };
+};
+
+const hasSymbols = (text) => freeSymbols(normalizeFunctions(text)).length > 0;
+
+module.exports = {
+  factorPolynomial,
+  expandExpression,
+  dividePolynomials,
+  polynomialGcd,
+  integerGcd,
+  hasSymbols
+};
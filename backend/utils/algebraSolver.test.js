@@ -0,0 +1,86 @@
+// backend/utils/algebraSolver.test.js
+// Regression tests for factor, expand, polydiv and gcd: the factoring patterns, the division steps and the answers
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { factorPolynomial, expandExpression, dividePolynomials, polynomialGcd, integerGcd } = require("./algebraSolver");
+const { solveMathExpression } = require("./mathSolver");
+
+const factor = (text, variable = null, steps = []) => factorPolynomial(text, variable, steps).answer;
+
+test("rational roots and a common factor", () => {
+  assert.equal(factor("x^2 - 5x + 6"), "(x - 2) * (x - 3)");
+  assert.equal(factor("6x^2 + x - 2"), "(3*x + 2) * (2*x - 1)");
+  assert.equal(factor("2x^3 - 8x"), "2 * x * (x + 2) * (x - 2)");
+  assert.equal(factor("x^3 - 3x + 2"), "(x + 2) * (x - 1)^2");
+  assert.equal(factor("x^2/2 - 1/2"), "1/2 * (x + 1) * (x - 1)");
+});
+
+test("difference of squares and grouping are named in the steps", () => {
+  const squares = [];
+  assert.equal(factor("x^4 - 16", null, squares), "(x + 2) * (x - 2) * (x^2 + 4)");
+  assert.deepEqual(squares.filter((s) => s.description === "Difference of squares").map((s) => s.expression), ["x^4 - 16 = (x^2 - 4)(x^2 + 4)", "x^2 - 4 = (x - 2)(x + 2)"]);
+  const grouping = [];
+  assert.equal(factor("x^3 + 2x^2 + 3x + 6", null, grouping), "(x + 2) * (x^2 + 3)");
+  assert.ok(grouping.some((s) => s.description === "Factor by grouping"));
+});
+
+test("irreducible polynomials stay as they are", () => {
+  assert.equal(factor("x^2 + 1"), "x^2 + 1");
+  assert.equal(factor("x^2 - 2"), "x^2 - 2");
+  assert.equal(factor("y^2 - 1"), "(y + 1) * (y - 1)");
+  assert.equal(factor("x^4 + 1"), "x^4 + 1");
+});
+
+test("a quartic without rational roots can split into two quadratics", () => {
+  const steps = [];
+  assert.equal(factor("x^4 + 4", null, steps), "(x^2 - 2*x + 2) * (x^2 + 2*x + 2)");
+  assert.match(steps.find((s) => s.description === "Quadratic factors").explanation, /a⁴ \+ 4b⁴/);
+  assert.equal(factor("x^4 + x^2 + 1"), "(x^2 - x + 1) * (x^2 + x + 1)");
+});
+
+test("several variables: a common factor, then homogeneous polynomials through p(x, 1)", () => {
+  assert.equal(factor("x^2 - y^2", "x"), "(x + y) * (x - y)");
+  assert.equal(factor("x^2 + 2*a*x + a^2", "x"), "(x + a)^2");
+  assert.equal(factor("x^3 - 8*y^3"), "(x - 2*y) * (x^2 + 2*x*y + 4*y^2)");
+  assert.equal(factor("x^4 + 4*y^4"), "(x^2 - 2*x*y + 2*y^2) * (x^2 + 2*x*y + 2*y^2)");
+  assert.equal(factor("x*y - x"), "x * (y - 1)");
+  assert.equal(factor("x^2*y - y^3"), "y * (x + y) * (x - y)");
+  assert.throws(() => factor("x^2 - y^2 + 1"), /only a common factor and homogeneous polynomials in two variables/);
+});
+
+test("expand multiplies out powers and products", () => {
+  assert.equal(expandExpression("(x + 1)^3", []).answer, "x^3 + 3*x^2 + 3*x + 1");
+  assert.equal(expandExpression("(x + y)^2", []).answer, "x^2 + 2*x*y + y^2");
+  assert.equal(expandExpression("(2x - 3)(x + 4)", []).answer, "2*x^2 + 5*x - 12");
+  assert.equal(expandExpression("sin(x)*(x+1)", []).answer, "x*sin(x) + sin(x)");
+});
+
+test("division by a linear factor uses synthetic division", () => {
+  const steps = [];
+  const result = dividePolynomials("x^3 - 2x^2 - 4", "x - 3", null, steps);
+  assert.equal(result.answer, "Quotient: x^2 + x + 3, Remainder: 5");
+  const synthetic = steps.find((s) => s.description === "Synthetic division");
+  assert.deepEqual(synthetic.table.rows, [["3", "1", "-2", "0", "-4"], ["", "", "3", "3", "9"], ["", "1", "1", "3", "5"]]);
+});
+
+test("long division shows each leading-term step", () => {
+  const steps = [];
+  const result = dividePolynomials("2x^4 + 3x^3 - x + 5", "x^2 - x + 1", null, steps);
+  assert.equal(result.quotient, "2*x^2 + 5*x + 3");
+  assert.equal(result.remainder, "-3*x + 2");
+  assert.equal(steps.filter((s) => s.description === "Divide leading terms").length, 3);
+  assert.throws(() => dividePolynomials("x^2", "0", null, []), /zero polynomial/);
+});
+
+test("polynomial and integer gcd", () => {
+  assert.equal(polynomialGcd("x^2 - 1", "x^2 - 2x + 1", null, []).answer, "x - 1");
+  assert.equal(polynomialGcd("x^3 - x", "x^2 + x", null, []).answer, "x^2 + x");
+  assert.equal(polynomialGcd("x^2 + 1", "x - 1", null, []).answer, "1");
+  assert.equal(integerGcd([12, 18], []).answer, "6");
+});
+
+test("the commands are reachable from the solver", () => {
+  assert.equal(solveMathExpression("factor(x^5 - x)").finalAnswer, "x * (x + 1) * (x - 1) * (x^2 + 1)");
+  assert.equal(solveMathExpression("gcd(12, 18)").finalAnswer, "6");
+  assert.equal(solveMathExpression("polydiv(x^2 - 1, x + 1)").finalAnswer, "Quotient: x - 1, Remainder: 0");
+});
@@ -0,0 +1,385 @@
+// backend/utils/assumptions.js
+// Variable assumptions such as "x > 0", "-1 < t < 1" or "n integer": parsing, interval reasoning about the
+// range of an expression, the rewrites they allow (|x| = x, √(x²) = x, ...) and filtering roots against them
+const { parse, OperatorNode, FunctionNode, ConstantNode } = require("mathjs");
+const { toNode, stripParentheses, tidy, getFactors, productNode, quotientNode } = require("./expressionUtils");
+
+const KEYWORDS = {
+  positive: { lower: 0, lowerOpen: true },
+  negative: { upper: 0, upperOpen: true },
+  nonnegative: { lower: 0, lowerOpen: false },
+  nonpositive: { upper: 0, upperOpen: false },
+  real: {},
+  integer: { integer: true }
+};
+const COMPARISON = /^(.+?)\s*(<=|>=|≤|≥|<|>)\s*(.+?)(?:\s*(<=|>=|≤|≥|<|>)\s*(.+))?$/;
+const NAME = /^[a-z_]\w*$/i;
+const FULL = { lo: -Infinity, hi: Infinity, loOpen: true, hiOpen: true };
+const USAGE = "Use forms such as x > 0, x <= 1, -1 < x < 1, n integer or x positive";
+
+// ---- parsing ----
+
+const emptyBounds = () => ({ lower: -Infinity, lowerOpen: true, upper: Infinity, upperOpen: true, integer: false });
+
+const numberValue = (text) => {
+  try {
+    const value = parse(text).evaluate();
+    return typeof value === "number" && !Number.isNaN(value) ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+// Tighten a variable's bounds with "name op value" (value on the right); text keeps "2*pi" for display
+const addBound = (bounds, op, value, text = String(value)) => {
+  const strict = op === "<" || op === ">";
+  if (op === ">" || op === ">=" || op === "≥") {
+    if (value > bounds.lower || (value === bounds.lower && strict)) Object.assign(bounds, { lower: value, lowerOpen: strict, lowerText: text });
+  } else if (value < bounds.upper || (value === bounds.upper && strict)) {
+    Object.assign(bounds, { upper: value, upperOpen: strict, upperText: text });
+  }
+};
+
+const FLIP = { "<": ">", ">": "<", "<=": ">=", ">=": "<=", "≤": "≥", "≥": "≤" };
+
+const readAssumption = (text, variables) => {
+  const trimmed = text.trim();
+  const keyword = trimmed.match(/^([a-z_]\w*)\s+(?:is\s+)?(positive|negative|nonnegative|nonpositive|real|integer)$/i);
+  if (keyword) {
+    const bounds = variables[keyword[1]] || emptyBounds();
+    const rule = KEYWORDS[keyword[2].toLowerCase()];
+    if (rule.lower !== undefined) addBound(bounds, rule.lowerOpen ? ">" : ">=", rule.lower);
+    if (rule.upper !== undefined) addBound(bounds, rule.upperOpen ? "<" : "<=", rule.upper);
+    if (rule.integer) bounds.integer = true;
+    variables[keyword[1]] = bounds;
+    return;
+  }
+  const comparison = trimmed.match(COMPARISON);
+  if (!comparison) throw new Error(`Cannot read the assumption "${trimmed}". ${USAGE}`);
+  const [, left, op, middle, op2, right] = comparison;
+  if (op2) {
+    // a < x < b
+    const [low, high] = [numberValue(left), numberValue(right)];
+    if (!NAME.test(middle.trim()) || low === null || high === null) throw new Error(`Cannot read the assumption "${trimmed}". ${USAGE}`);
+    const bounds = variables[middle.trim()] || emptyBounds();
+    addBound(bounds, FLIP[op], low, left.trim());
+    addBound(bounds, op2, high, right.trim());
+    variables[middle.trim()] = bounds;
+    return;
+  }
+  const [name, valueText, relation] = NAME.test(left.trim()) && numberValue(middle) !== null
+    ? [left.trim(), middle.trim(), op]
+    : [middle.trim(), left.trim(), FLIP[op]];
+  const value = numberValue(valueText);
+  if (!NAME.test(name) || value === null) throw new Error(`Cannot read the assumption "${trimmed}". ${USAGE}`);
+  const bounds = variables[name] || emptyBounds();
+  addBound(bounds, relation, value, valueText);
+  variables[name] = bounds;
+};
+
+// { x: { lower, lowerOpen, upper, upperOpen, integer } } from a list of texts, or null when the list is empty
+const parseAssumptions = (texts) => {
+  const list = (texts || []).map((text) => text.trim()).filter(Boolean);
+  if (!list.length) return null;
+  const variables = {};
+  list.forEach((text) => readAssumption(text, variables));
+  Object.entries(variables).forEach(([name, bounds]) => {
+    if (bounds.lower > bounds.upper || (bounds.lower === bounds.upper && (bounds.lowerOpen || bounds.upperOpen))) {
+      throw new Error(`The assumptions on ${name} contradict each other`);
+    }
+  });
+  return variables;
+};
+
+// The request body's assumptions field: a list of strings or one comma-separated string
+const readAssumptionList = (value) => {
+  if (value === undefined || value === null) return { assumptions: [] };
+  const list = typeof value === "string" ? value.split(",") : value;
+  if (!Array.isArray(list) || !list.every((item) => typeof item === "string")) return { error: "assumptions must be a string or a list of strings" };
+  try {
+    parseAssumptions(list);
+    return { assumptions: list.map((item) => item.trim()).filter(Boolean) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// "x > 0", "-1 < t <= 1", "n ∈ ℤ", "n ∈ ℤ, n ≥ 0"
+const describeVariable = (name, { lower, lowerOpen, lowerText = String(lower), upper, upperOpen, upperText = String(upper), integer }) => {
+  const parts = [];
+  if (integer) parts.push(`${name} ∈ ℤ`);
+  const low = isFinite(lower) ? `${lowerText} ${lowerOpen ? "<" : "≤"} ` : "";
+  const high = isFinite(upper) ? ` ${upperOpen ? "<" : "≤"} ${upperText}` : "";
+  if (low && high) parts.push(`${low}${name}${high}`);
+  else if (low) parts.push(`${name} ${lowerOpen ? ">" : "≥"} ${lowerText}`);
+  else if (high) parts.push(`${name}${high}`);
+  if (!parts.length) parts.push(`${name} ∈ ℝ`);
+  return parts.join(", ");
+};
+
+const describeAssumptions = (assumptions) =>
+  Object.entries(assumptions).map(([name, bounds]) => describeVariable(name, bounds)).join(", ");
+
+// ---- ranges ----
+
+const point = (value) => ({ lo: value, hi: value, loOpen: false, hiOpen: false });
+
+const negateRange = ({ lo, hi, loOpen, hiOpen }) => ({ lo: -hi, hi: -lo, loOpen: hiOpen, hiOpen: loOpen });
+
+const addRanges = (a, b) => ({ lo: a.lo + b.lo, hi: a.hi + b.hi, loOpen: a.loOpen || b.loOpen, hiOpen: a.hiOpen || b.hiOpen });
+
+const multiplyRanges = (a, b) => {
+  const corners = [];
+  [[a.lo, a.loOpen], [a.hi, a.hiOpen]].forEach(([x, xOpen]) => [[b.lo, b.loOpen], [b.hi, b.hiOpen]].forEach(([y, yOpen]) => {
+    // A closed zero endpoint makes the product exactly zero, whatever the other endpoint
+    const value = x === 0 || y === 0 ? 0 : x * y;
+    corners.push({ value, open: (xOpen && !(y === 0 && !yOpen)) || (yOpen && !(x === 0 && !xOpen)) });
+  }));
+  if (corners.some(({ value }) => Number.isNaN(value))) return FULL;
+  const lo = Math.min(...corners.map(({ value }) => value));
+  const hi = Math.max(...corners.map(({ value }) => value));
+  return {
+    lo,
+    hi,
+    loOpen: corners.filter(({ value }) => value === lo).every(({ open }) => open),
+    hiOpen: corners.filter(({ value }) => value === hi).every(({ open }) => open)
+  };
+};
+
+// Apply an increasing function to a range
+const monotone = (range, f) => ({ ...range, lo: f(range.lo), hi: f(range.hi) });
+
+const contains = ({ lo, hi, loOpen, hiOpen }, value) => (value > lo || (value === lo && !loOpen)) && (value < hi || (value === hi && !hiOpen));
+
+const powerRange = (base, n) => {
+  if (n % 2 !== 0) return monotone(base, (x) => x ** n);
+  if (base.lo >= 0) return monotone(base, (x) => x ** n);
+  if (base.hi <= 0) return monotone(negateRange(base), (x) => x ** n);
+  return { lo: 0, hi: Math.max(base.lo ** n, base.hi ** n), loOpen: false, hiOpen: true };
+};
+
+// Interval containing every value of the expression under the assumptions
+const rangeOf = (expr, assumptions) => {
+  const node = stripParentheses(toNode(expr));
+  if (node.isConstantNode) return typeof node.value === "number" ? point(node.value) : FULL;
+  if (node.isSymbolNode) {
+    if (node.name === "pi") return point(Math.PI);
+    if (node.name === "e") return point(Math.E);
+    const bounds = assumptions[node.name];
+    return bounds ? { lo: bounds.lower, hi: bounds.upper, loOpen: bounds.lowerOpen, hiOpen: bounds.upperOpen } : FULL;
+  }
+  if (node.isOperatorNode) {
+    const args = node.args.map((arg) => rangeOf(arg, assumptions));
+    switch (node.fn) {
+      case "unaryMinus": return negateRange(args[0]);
+      case "unaryPlus": return args[0];
+      case "add": return args.reduce(addRanges);
+      case "subtract": return addRanges(args[0], negateRange(args[1]));
+      case "multiply": return args.reduce(multiplyRanges);
+      case "divide": {
+        const [top, bottom] = args;
+        if (contains(bottom, 0)) return FULL;
+        return multiplyRanges(top, { lo: 1 / bottom.hi, hi: 1 / bottom.lo, loOpen: bottom.hiOpen, hiOpen: bottom.loOpen });
+      }
+      case "pow": {
+        const [base, exponent] = args;
+        if (exponent.lo === exponent.hi && Number.isInteger(exponent.lo) && exponent.lo > 0) return powerRange(base, exponent.lo);
+        if (exponent.lo === exponent.hi && exponent.lo > 0 && base.lo >= 0) return monotone(base, (x) => x ** exponent.lo);
+        if (base.lo === base.hi && base.lo > 0) {
+          const b = base.lo;
+          return b >= 1 ? monotone(exponent, (x) => b ** x) : monotone(negateRange(exponent), (x) => (1 / b) ** x);
+        }
+        return FULL;
+      }
+      default: return FULL;
+    }
+  }
+  if (node.isFunctionNode && node.args.length === 1) {
+    const arg = rangeOf(node.args[0], assumptions);
+    switch (node.fn.name) {
+      case "abs":
+        if (arg.lo >= 0) return arg;
+        if (arg.hi <= 0) return negateRange(arg);
+        return { lo: 0, hi: Math.max(-arg.lo, arg.hi), loOpen: false, hiOpen: true };
+      case "sqrt": return arg.lo >= 0 ? monotone(arg, Math.sqrt) : FULL;
+      case "exp": return monotone(arg, Math.exp);
+      case "log": return arg.lo >= 0 ? monotone(arg, Math.log) : FULL;
+      case "sin":
+      case "cos": return { lo: -1, hi: 1, loOpen: false, hiOpen: false };
+      case "atan": return { lo: -Math.PI / 2, hi: Math.PI / 2, loOpen: true, hiOpen: true };
+      case "cosh": return { lo: 1, hi: Infinity, loOpen: false, hiOpen: true };
+      default: return FULL;
+    }
+  }
+  return FULL;
+};
+
+const isPositive = (range) => range.lo > 0 || (range.lo === 0 && range.loOpen);
+const isNonNegative = (range) => range.lo >= 0;
+const isNonPositive = (range) => range.hi <= 0;
+
+// True when the expression only takes integer values: integer constants, integer symbols, and sums and products of them
+const isIntegerValued = (expr, assumptions) => {
+  const node = stripParentheses(toNode(expr));
+  if (node.isConstantNode) return Number.isInteger(node.value);
+  if (node.isSymbolNode) return Boolean(assumptions[node.name] && assumptions[node.name].integer);
+  if (node.isOperatorNode && ["add", "subtract", "multiply", "unaryMinus", "unaryPlus"].includes(node.fn)) return node.args.every((arg) => isIntegerValued(arg, assumptions));
+  return false;
+};
+
+// ---- rewrites ----
+
+const text = (node) => tidy(node).toString();
+const even = (node) => {
+  const n = stripParentheses(node);
+  return n.isConstantNode && Number.isInteger(n.value) && n.value % 2 === 0 ? n.value : null;
+};
+
+// arg = m·pi with m integer-valued: returns m, otherwise null
+const piMultiple = (arg, assumptions) => {
+  const { numerator, denominator } = getFactors(arg);
+  const index = numerator.findIndex((factor) => factor.isSymbolNode && factor.name === "pi");
+  if (index < 0 || denominator.length) return null;
+  const rest = productNode(numerator.filter((_, i) => i !== index));
+  return isIntegerValued(rest, assumptions) ? rest : null;
+};
+
+// One rewrite at this node (children already rewritten), recording why it holds
+const rewriteNode = (node, assumptions, notes) => {
+  const n = stripParentheses(node);
+  if (n.isFunctionNode && n.args.length === 1) {
+    const [arg] = n.args;
+    const range = rangeOf(arg, assumptions);
+    switch (n.fn.name) {
+      case "abs":
+        if (isNonNegative(range)) {
+          notes.push(`|${text(arg)}| = ${text(arg)} since ${text(arg)} ≥ 0`);
+          return arg;
+        }
+        if (isNonPositive(range)) {
+          const negated = new OperatorNode("-", "unaryMinus", [arg]);
+          notes.push(`|${text(arg)}| = ${text(negated)} since ${text(arg)} ≤ 0`);
+          return negated;
+        }
+        return n;
+      case "sqrt": {
+        // √(f^(2k)·g) = |f|^k·√g: even powers and square constants leave the root factor by factor, so each
+        // |f| is then settled by the assumptions on its own variables
+        const { numerator, denominator } = getFactors(arg);
+        const split = (factors) => factors.map((factor) => {
+          const f = stripParentheses(factor);
+          const root = f.isConstantNode && f.value > 0 ? Math.sqrt(f.value) : null;
+          if (root !== null && Number.isInteger(root)) return { root: new ConstantNode(root) };
+          const power = f.isOperatorNode && f.fn === "pow" ? even(f.args[1]) : null;
+          if (!power) return { rest: factor };
+          // √(f^4) = f^2 needs no absolute value
+          if (power % 4 === 0) return { root: new OperatorNode("^", "pow", [f.args[0], new ConstantNode(power / 2)]) };
+          const absolute = new FunctionNode("abs", [f.args[0]]);
+          return { root: power === 2 ? absolute : new OperatorNode("^", "pow", [absolute, new ConstantNode(power / 2)]) };
+        });
+        const [top, bottom] = [split(numerator), split(denominator)];
+        const roots = (parts) => parts.filter((part) => part.root).map((part) => part.root);
+        const rests = (parts) => parts.filter((part) => part.rest).map((part) => part.rest);
+        if (![...top, ...bottom].some((part) => part.root && !part.root.isConstantNode)) return n;
+        const remaining = [rests(top), rests(bottom)];
+        const outside = roots(top);
+        if (remaining[0].length || remaining[1].length) outside.push(new FunctionNode("sqrt", [quotientNode(...remaining)]));
+        const result = quotientNode(outside, roots(bottom));
+        notes.push(`√(${text(arg)}) = ${text(result)}`);
+        return rewriteTree(result, assumptions, notes);
+      }
+      case "log": {
+        const inner = stripParentheses(arg);
+        if (!inner.isOperatorNode || inner.fn !== "pow" || !isPositive(rangeOf(inner.args[0], assumptions))) return n;
+        const result = new OperatorNode("*", "multiply", [inner.args[1], new FunctionNode("log", [inner.args[0]])]);
+        notes.push(`log(${text(arg)}) = ${text(result)} since ${text(inner.args[0])} > 0`);
+        return result;
+      }
+      case "sin": {
+        const m = piMultiple(arg, assumptions);
+        if (!m) return n;
+        notes.push(`sin(${text(arg)}) = 0 since ${text(m)} is an integer`);
+        return new ConstantNode(0);
+      }
+      case "cos": {
+        const m = piMultiple(arg, assumptions);
+        if (!m) return n;
+        const { numerator } = getFactors(m);
+        const evenMultiple = numerator.some((factor) => even(factor) !== null);
+        const minusOne = new OperatorNode("-", "unaryMinus", [new ConstantNode(1)]);
+        const result = evenMultiple ? new ConstantNode(1) : new OperatorNode("^", "pow", [minusOne, m]);
+        notes.push(`cos(${text(arg)}) = ${text(result)} since ${text(m)} is an integer`);
+        return result;
+      }
+      default:
+        return n;
+    }
+  }
+  if (n.isOperatorNode && n.fn === "pow") {
+    const [base, exponent] = n.args.map(stripParentheses);
+    // (√f)² = f for f ≥ 0
+    if (base.isFunctionNode && base.fn.name === "sqrt" && even(exponent) === 2 && isNonNegative(rangeOf(base.args[0], assumptions))) {
+      notes.push(`(√${text(base.args[0])})² = ${text(base.args[0])} since ${text(base.args[0])} ≥ 0`);
+      return base.args[0];
+    }
+    // (-1)^(2m) = 1 for integer m
+    const isMinusOne = (base.isConstantNode && base.value === -1) || (base.isOperatorNode && base.fn === "unaryMinus" && stripParentheses(base.args[0]).value === 1);
+    if (isMinusOne && isIntegerValued(exponent, assumptions)) {
+      const { numerator } = getFactors(exponent);
+      if (numerator.some((factor) => even(factor) !== null)) {
+        notes.push(`(-1)^(${text(exponent)}) = 1 since ${text(exponent)} is an even integer`);
+        return new ConstantNode(1);
+      }
+    }
+  }
+  return n;
+};
+
+// Rewrite every sub-expression, innermost first
+const rewriteTree = (node, assumptions, notes) => {
+  const n = stripParentheses(node);
+  const mapped = n.args ? n.map((child, path) => (path === "fn" ? child : rewriteTree(child, assumptions, notes))) : n;
+  return rewriteNode(mapped, assumptions, notes);
+};
+
+// Simplify with the assumptions: returns the rewritten expression and one note per rewrite
+const applyAssumptions = (expr, assumptions) => {
+  const notes = [];
+  const node = tidy(rewriteTree(toNode(expr), assumptions, notes));
+  return { node, notes };
+};
+
+// ---- roots ----
+
+// Closed ends allow for rounding: a numeric root 1.9999999999999998 satisfies x >= 2
+const satisfies = (value, bounds) => {
+  if (bounds.integer && Math.abs(value - Math.round(value)) > 1e-9) return false;
+  const near = (end) => Math.abs(value - end) < 1e-12 * Math.max(1, Math.abs(value));
+  if (near(bounds.lower)) return !bounds.lowerOpen;
+  if (near(bounds.upper)) return !bounds.upperOpen;
+  return contains({ lo: bounds.lower, hi: bounds.upper, loOpen: bounds.lowerOpen, hiOpen: bounds.upperOpen }, value);
+};
+
+// Split roots { re, im } into those the assumptions on the variable allow and those they rule out; any assumption implies a real value
+const filterRoots = (roots, variable, assumptions) => {
+  const bounds = assumptions[variable];
+  if (!bounds) return { kept: roots, dropped: [] };
+  const kept = roots.filter(({ re, im }) => im === 0 && satisfies(re, bounds));
+  return { kept, dropped: roots.filter((root) => !kept.includes(root)) };
+};
+
+// Finite bounds of the variable, for searching or listing solutions on an interval; null when either side is open-ended
+const assumedInterval = (variable, assumptions) => {
+  const bounds = assumptions[variable];
+  return bounds && isFinite(bounds.lower) && isFinite(bounds.upper) ? [bounds.lower, bounds.upper] : null;
+};
+
+module.exports = {
+  parseAssumptions,
+  readAssumptionList,
+  describeAssumptions,
+  describeVariable,
+  applyAssumptions,
+  filterRoots,
+  assumedInterval
+};
@@ -0,0 +1,71 @@
+// backend/utils/assumptions.test.js
+// Regression tests for variable assumptions: parsing, the rewrites they allow in simplification and
+// integration, roots dropped when solving, and assumptions on several variables at once
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseAssumptions, readAssumptionList, describeAssumptions, applyAssumptions } = require("./assumptions");
+const { solveMathExpression } = require("./mathSolver");
+
+const rewrite = (expression, texts) => applyAssumptions(expression, parseAssumptions(texts)).node.toString();
+
+test("assumptions are parsed into bounds on each variable", () => {
+  assert.equal(describeAssumptions(parseAssumptions(["-1 < t <= 1", "n integer", "x positive"])), "-1 < t ≤ 1, n ∈ ℤ, x > 0");
+  assert.equal(describeAssumptions(parseAssumptions(["0 < x", "x < 2*pi"])), "0 < x < 2*pi");
+  assert.equal(parseAssumptions([]), null);
+  assert.throws(() => parseAssumptions(["x > 0", "x < -1"]), /assumptions on x contradict each other/);
+  assert.throws(() => parseAssumptions(["x foo"]), /Cannot read the assumption "x foo"/);
+});
+
+test("the request body field accepts a list or a comma-separated string", () => {
+  assert.deepEqual(readAssumptionList("x > 0, y < 1"), { assumptions: ["x > 0", "y < 1"] });
+  assert.deepEqual(readAssumptionList(undefined), { assumptions: [] });
+  assert.match(readAssumptionList([1]).error, /string or a list of strings/);
+});
+
+test("absolute values, roots and logarithms follow the sign of their argument", () => {
+  assert.equal(rewrite("sqrt(x^2)", ["x > 0"]), "x");
+  assert.equal(rewrite("abs(x - 3)", ["x < 1"]), "3 - x");
+  assert.equal(rewrite("log(x^3)", ["x > 0"]), "3 * log(x)");
+  assert.equal(rewrite("sqrt(x)^2", ["x >= 0"]), "x");
+  assert.equal(rewrite("sqrt(x^2)", ["x integer"]), "abs(x)");
+});
+
+test("integer assumptions settle sin, cos and powers of -1", () => {
+  assert.equal(rewrite("sin(n*pi)", ["n integer"]), "0");
+  assert.equal(rewrite("cos(2*n*pi)", ["n integer"]), "1");
+  assert.equal(solveMathExpression("cos(n*pi), assume(n integer)").finalAnswer, "(-1) ^ n");
+});
+
+test("each factor under a square root uses the assumptions on its own variable", () => {
+  assert.equal(solveMathExpression("sqrt(x^2*y^2), assume(x > 0, y > 0)").finalAnswer, "x * y");
+  assert.equal(solveMathExpression("sqrt(x^2/y^2), assume(x > 0, y > 0)").finalAnswer, "x / y");
+  assert.equal(solveMathExpression("sqrt(x^2*y), assume(x > 0)").finalAnswer, "x * sqrt(y)");
+  assert.equal(solveMathExpression("sqrt(4*x^2*y^4), assume(x < 0)").finalAnswer, "-(2 * x * y ^ 2)");
+  // Without an assumption on the sign the absolute value stays
+  assert.equal(rewrite("sqrt(x^2*y^2)", ["x > 0"]), "x * abs(y)");
+});
+
+test("the active assumptions are listed as the first step", () => {
+  const result = solveMathExpression("sqrt(x^2*y^2), assume(x > 0, y > 0)");
+  assert.equal(result.assumptions, "x > 0, y > 0");
+  assert.deepEqual([result.steps[0].description, result.steps[0].expression], ["Assumptions", "x > 0, y > 0"]);
+  assert.match(result.steps.find((s) => s.description === "Apply assumptions").explanation, /\|x\| = x since x ≥ 0; \|y\| = y since y ≥ 0$/);
+});
+
+test("the assume clause may lead or trail and must close", () => {
+  assert.equal(solveMathExpression("assume(x > 0) sqrt(x^2)").finalAnswer, "x");
+  assert.match(solveMathExpression("sqrt(x^2), assume(x > 0").error, /missing its closing bracket/);
+  assert.match(solveMathExpression("assume(x > 0)").error, /needs an expression to apply to/);
+});
+
+test("solving drops the roots the assumptions rule out", () => {
+  const result = solveMathExpression("solve(x^2 = 4, x), assume(x > 0)");
+  assert.equal(result.finalAnswer, "x = 2");
+  assert.equal(result.steps.find((s) => s.description === "Apply assumptions").expression, "Discard x = -2");
+  assert.equal(solveMathExpression("solve(x^2 - 4 = 0, x)", { assumptions: ["x < 0"] }).finalAnswer, "x = -2");
+  assert.equal(solveMathExpression("solve(sin(x) = 0, x), assume(0 <= x < 7)").finalAnswer, "x = 0, pi, 2*pi on [0, 7)");
+});
+
+test("integration picks the branch the assumptions allow", () => {
+  assert.equal(solveMathExpression("integral(1/x, x), assume(x > 0)").finalAnswer, "log(x) + C");
+});
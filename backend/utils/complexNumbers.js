@@ -0,0 +1,112 @@
+// backend/utils/complexNumbers.js
+// Complex values as results: rectangular, polar and exponential forms, and the polar(z) / rect(r, θ) conversions
+const { evaluate, isComplex } = require("mathjs");
+const { addStep } = require("./solverHelpers");
+const { formatNumber, isExactText, isZero } = require("./expressionUtils");
+
+// Parts below this (relative to the modulus) are rounding noise, as in e^(iπ) = -1 + 1.2e-16i
+const NOISE = 1e-12;
+
+// Exact text when formatNumber finds one, otherwise the value rounded to `precision` decimal places
+const partText = (value, output, precision) => {
+  const exact = formatNumber(value);
+  if (output !== "decimal" && isExactText(exact)) return exact;
+  return String(parseFloat(value.toFixed(precision)));
+};
+
+const denoise = (re, im) => {
+  const scale = Math.max(1, Math.hypot(re, im));
+  return { re: isZero(re, NOISE * scale) ? 0 : re, im: isZero(im, NOISE * scale) ? 0 : im };
+};
+
+// Noise-free real and imaginary parts of a mathjs value, or null when it is not a number
+const complexParts = (value) => {
+  if (typeof value === "number") return isFinite(value) ? { re: value, im: 0 } : null;
+  if (!isComplex(value) || !isFinite(value.re) || !isFinite(value.im)) return null;
+  return denoise(value.re, value.im);
+};
+
+// "3 - 2*i", "sqrt(3)/2*i", "-i"
+const rectangularText = (re, im, output = "both", precision = 10) => {
+  if (im === 0) return partText(re, output, precision);
+  const magnitude = partText(Math.abs(im), output, precision);
+  const imaginary = magnitude === "1" ? "i" : `${magnitude}*i`;
+  if (re === 0) return `${im < 0 ? "-" : ""}${imaginary}`;
+  return `${partText(re, output, precision)} ${im < 0 ? "-" : "+"} ${imaginary}`;
+};
+
+// Modulus r = |z| and argument θ = atan2(im, re) in (-π, π]
+const polarParts = (re, im, output = "both", precision = 10) => {
+  const modulus = Math.hypot(re, im);
+  const argument = Math.atan2(im, re);
+  return { modulus, argument, r: partText(modulus, output, precision), theta: partText(argument, output, precision) };
+};
+
+const polarText = (re, im, output, precision) => {
+  const { r, theta } = polarParts(re, im, output, precision);
+  return `${r}∠${theta}`;
+};
+
+const exponentialText = (re, im, output, precision) => {
+  const { r, theta } = polarParts(re, im, output, precision);
+  // r and θ are single products or quotients (2*sqrt(3), -3*pi/4), so they need no brackets
+  const scale = r === "1" ? "" : `${r}*`;
+  const exponent = theta.startsWith("-") ? `-i*${theta.slice(1)}` : `i*${theta}`;
+  return theta === "0" ? r : `${scale}e^(${exponent})`;
+};
+
+// Every form of a complex value, for results and the steps that show it
+const describeComplex = ({ re, im }, output = "both", precision = 10) => {
+  const { modulus, argument, r, theta } = polarParts(re, im, output, precision);
+  return {
+    re,
+    im,
+    modulus,
+    argument,
+    modulusText: r,
+    argumentText: theta,
+    rectangular: rectangularText(re, im, output, precision),
+    polar: polarText(re, im, output, precision),
+    exponential: exponentialText(re, im, output, precision)
+  };
+};
+
+// Steps for a complex result: the rectangular value, then modulus and argument, then the polar forms
+const complexSteps = (forms, steps) => {
+  addStep(steps, "Rectangular form", forms.rectangular, "a + b·i with real part a and imaginary part b");
+  addStep(steps, "Modulus and argument", `|z| = √(a² + b²) = ${forms.modulusText}, θ = atan2(b, a) = ${forms.argumentText}`,
+    "Distance from the origin and angle from the positive real axis");
+  addStep(steps, "Polar form", `${forms.polar} = ${forms.exponential}`, "z = r(cos θ + i·sin θ) = r·e^(iθ)");
+};
+
+// polar(z): modulus and argument of a complex number
+const toPolar = (text, steps, output, precision) => {
+  const parts = complexParts(evaluate(text));
+  if (!parts) throw new Error(`${text} is not a complex number`);
+  const forms = describeComplex(parts, output, precision);
+  complexSteps(forms, steps);
+  return { answer: `${forms.polar} = ${forms.exponential}`, complex: forms };
+};
+
+// rect(r, θ): r(cos θ + i·sin θ) in rectangular form
+const toRectangular = (modulusText, argumentText, steps, output, precision) => {
+  const [modulus, argument] = [modulusText, argumentText].map((text) => evaluate(text));
+  if (typeof modulus !== "number" || typeof argument !== "number" || !isFinite(modulus) || !isFinite(argument)) {
+    throw new Error("rect(r, θ) needs a real modulus and a real angle in radians");
+  }
+  const parts = denoise(modulus * Math.cos(argument), modulus * Math.sin(argument));
+  const forms = describeComplex(parts, output, precision);
+  addStep(steps, "Expand", `${modulusText}·(cos(${argumentText}) + i·sin(${argumentText}))`, "Polar to rectangular: a = r cos θ, b = r sin θ");
+  addStep(steps, "Rectangular form", forms.rectangular, "Evaluate the cosine and sine");
+  return { answer: forms.rectangular, complex: forms };
+};
+
+module.exports = {
+  complexParts,
+  rectangularText,
+  polarText,
+  describeComplex,
+  complexSteps,
+  toPolar,
+  toRectangular
+};
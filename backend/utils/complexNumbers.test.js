@@ -0,0 +1,54 @@
+// backend/utils/complexNumbers.test.js
+// Regression tests for complex values: arithmetic results in rectangular and polar form,
+// the polar(z) / rect(r, θ) conversions and complex roots of equations
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluate } = require("mathjs");
+const { complexParts, rectangularText, polarText } = require("./complexNumbers");
+const { solveMathExpression } = require("./mathSolver");
+
+test("rectangular and polar text", () => {
+  assert.equal(rectangularText(3, -2), "3 - 2*i");
+  assert.equal(rectangularText(0, -1), "-i");
+  assert.equal(rectangularText(2, 0), "2");
+  assert.equal(polarText(0, 1), "1∠pi/2");
+});
+
+test("rounding noise in the imaginary part is dropped", () => {
+  assert.deepEqual(complexParts(evaluate("e^(i*pi)")), { re: -1, im: 0 });
+  assert.equal(complexParts(Infinity), null);
+  assert.equal(solveMathExpression("e^(i*pi)").finalAnswer, "-1");
+});
+
+test("complex arithmetic results are values with every form", () => {
+  const root = solveMathExpression("sqrt(-4)");
+  assert.equal(root.type, "complex");
+  assert.equal(root.complex.rectangular, "2*i");
+  const product = solveMathExpression("(1+2i)*(3-i)");
+  assert.equal(product.type, "complex");
+  assert.match(product.finalAnswer, /^5 \+ 5\*i = 7\.0710678119\*e\^\(i\*0\.7853981634\)$/);
+  assert.deepEqual(product.steps.slice(-3).map((s) => s.description), ["Rectangular form", "Modulus and argument", "Polar form"]);
+  assert.equal(solveMathExpression("1/(1+i)", { output: "decimal", precision: 3 }).finalAnswer, "0.5 - 0.5*i = 0.707*e^(-i*0.785)");
+});
+
+test("polar(z) gives the modulus and argument", () => {
+  const result = solveMathExpression("polar(1+i)");
+  assert.equal(result.finalAnswer, "sqrt(2)∠pi/4 = sqrt(2)*e^(i*pi/4)");
+  assert.equal(result.complex.modulus, Math.SQRT2);
+  assert.equal(solveMathExpression("polar(-2i)").finalAnswer, "2∠-pi/2 = 2*e^(-i*pi/2)");
+  assert.match(solveMathExpression("polar(x)").error, /Undefined symbol x/);
+});
+
+test("rect(r, θ) goes back to rectangular form", () => {
+  assert.equal(solveMathExpression("rect(2, pi/3)").finalAnswer, "1 + sqrt(3)*i");
+  assert.equal(solveMathExpression("rect(1, pi)").finalAnswer, "-1");
+  assert.match(solveMathExpression("rect(i, 1)").error, /real modulus and a real angle/);
+});
+
+test("negative discriminants give complex roots with their polar form", () => {
+  const result = solveMathExpression("solve(x^2 + 2*x + 5 = 0, x)");
+  assert.equal(result.finalAnswer, "x = -1 - 2*i, -1 + 2*i");
+  assert.deepEqual(result.roots.map((r) => [r.re, r.im, r.real]), [[-1, -2, false], [-1, 2, false]]);
+  assert.match(result.roots[1].polar, /^sqrt\(5\)∠2\.0344439358$/);
+  assert.equal(solveMathExpression("solve(x^2 + 1 = 0, x)").finalAnswer, "x = -i, i");
+});
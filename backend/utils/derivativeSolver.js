@@ -0,0 +1,294 @@
+// backend/utils/derivativeSolver.js
+// Differentiator that walks the mathjs AST and records every rule it applies
+// (sum, constant multiple, product, quotient, power, exponential, chain) on the concrete sub-expression.
+const { derivative, parse, OperatorNode, ConstantNode, SymbolNode } = require("mathjs");
+const { addStep } = require("./solverHelpers");
+const {
+  toNode,
+  normalizeFunctions,
+  stripParentheses,
+  tidy,
+  simplifyNode,
+  dependsOn,
+  substitute,
+  evaluateNumber,
+  formatNumber,
+  isExactText
+} = require("./expressionUtils");
+const { toRational, degree, leadingCoefficient, polyScale, polyToString, toIntegerCoefficients } = require("./polynomial");
+
+// Outer derivatives f'(u) of the elementary functions, written in terms of u
+const FUNCTION_RULES = {
+  sin: { rule: "d/du[sin(u)] = cos(u)", outer: "cos(u)" },
+  cos: { rule: "d/du[cos(u)] = -sin(u)", outer: "-sin(u)" },
+  tan: { rule: "d/du[tan(u)] = sec²(u)", outer: "sec(u)^2" },
+  cot: { rule: "d/du[cot(u)] = -csc²(u)", outer: "-csc(u)^2" },
+  sec: { rule: "d/du[sec(u)] = sec(u) tan(u)", outer: "sec(u) * tan(u)" },
+  csc: { rule: "d/du[csc(u)] = -csc(u) cot(u)", outer: "-csc(u) * cot(u)" },
+  exp: { rule: "d/du[e^u] = e^u", outer: "exp(u)" },
+  log: { rule: "d/du[ln(u)] = 1/u", outer: "1 / u" },
+  log10: { rule: "d/du[log10(u)] = 1/(u ln 10)", outer: "1 / (u * log(10))" },
+  log2: { rule: "d/du[log2(u)] = 1/(u ln 2)", outer: "1 / (u * log(2))" },
+  sqrt: { rule: "d/du[√u] = 1/(2√u)", outer: "1 / (2 * sqrt(u))" },
+  cbrt: { rule: "d/du[∛u] = 1/(3∛u²)", outer: "1 / (3 * cbrt(u)^2)" },
+  asin: { rule: "d/du[asin(u)] = 1/√(1 - u²)", outer: "1 / sqrt(1 - u^2)" },
+  acos: { rule: "d/du[acos(u)] = -1/√(1 - u²)", outer: "-1 / sqrt(1 - u^2)" },
+  atan: { rule: "d/du[atan(u)] = 1/(1 + u²)", outer: "1 / (1 + u^2)" },
+  sinh: { rule: "d/du[sinh(u)] = cosh(u)", outer: "cosh(u)" },
+  cosh: { rule: "d/du[cosh(u)] = sinh(u)", outer: "sinh(u)" },
+  tanh: { rule: "d/du[tanh(u)] = sech²(u)", outer: "sech(u)^2" },
+  abs: { rule: "d/du[|u|] = u/|u|", outer: "u / abs(u)" }
+};
+
+const ZERO = new ConstantNode(0);
+const ONE = new ConstantNode(1);
+
+const isConstantValue = (node, value) => {
+  const number = node.isConstantNode ? node.value : null;
+  return number === value;
+};
+
+// Small builders that drop the obvious zeros and ones so intermediate results stay readable
+const add = (a, b) => (isConstantValue(a, 0) ? b : isConstantValue(b, 0) ? a : new OperatorNode("+", "add", [a, b]));
+const subtract = (a, b) => (isConstantValue(b, 0) ? a : isConstantValue(a, 0) ? new OperatorNode("-", "unaryMinus", [b]) : new OperatorNode("-", "subtract", [a, b]));
+const multiply = (a, b) => {
+  if (isConstantValue(a, 0) || isConstantValue(b, 0)) return ZERO;
+  if (isConstantValue(a, 1)) return b;
+  if (isConstantValue(b, 1)) return a;
+  return new OperatorNode("*", "multiply", [a, b]);
+};
+const divide = (a, b) => (isConstantValue(b, 1) ? a : new OperatorNode("/", "divide", [a, b]));
+const power = (a, b) => new OperatorNode("^", "pow", [a, b]);
+
+const derivativeText = (node, variable) => `d/d${variable}[${node.toString()}]`;
+
+function differentiateNode(expr, variable, steps) {
+  const node = stripParentheses(toNode(expr));
+  const d = (child) => differentiateNode(child, variable, steps);
+  const record = (description, expression, explanation) => {
+    if (steps) addStep(steps, description, expression, explanation);
+  };
+  const show = (rewritten) => `${derivativeText(node, variable)} = ${tidy(rewritten).toString()}`;
+  // Placeholder printed as d/dx[u] while the rule is being stated
+  const pending = (child) => new SymbolNode(derivativeText(child, variable));
+
+  if (!dependsOn(node, variable)) return ZERO;
+  if (node.isSymbolNode) return ONE;
+
+  if (node.isOperatorNode) {
+    const [u, v] = node.args;
+    switch (node.fn) {
+      case "unaryPlus":
+        return d(u);
+      case "unaryMinus": {
+        record("Constant multiple rule", show(new OperatorNode("-", "unaryMinus", [pending(u)])), "(-u)' = -u'");
+        return simplifyNode(new OperatorNode("-", "unaryMinus", [d(u)]));
+      }
+      case "add":
+      case "subtract": {
+        const combine = node.fn === "add" ? add : subtract;
+        const op = node.fn === "add" ? "+" : "-";
+        record("Sum rule", show(new OperatorNode(op, node.fn, [pending(u), pending(v)])), `(u ${op} v)' = u' ${op} v'`);
+        return simplifyNode(combine(d(u), d(v)));
+      }
+      case "multiply": {
+        if (node.args.length > 2) {
+          return d(node.args.slice(1).reduce((acc, f) => new OperatorNode("*", "multiply", [acc, f]), node.args[0]));
+        }
+        if (!dependsOn(u, variable) || !dependsOn(v, variable)) {
+          const [constant, factor] = dependsOn(u, variable) ? [v, u] : [u, v];
+          record("Constant multiple rule", show(multiply(constant, pending(factor))), "(c·u)' = c·u'");
+          return simplifyNode(multiply(constant, d(factor)));
+        }
+        record("Product rule", show(add(multiply(pending(u), v), multiply(u, pending(v)))), "(u·v)' = u'·v + u·v'");
+        return simplifyNode(add(multiply(d(u), v), multiply(u, d(v))));
+      }
+      case "divide": {
+        if (!dependsOn(v, variable)) {
+          record("Constant multiple rule", show(divide(pending(u), v)), "(u/c)' = u'/c");
+          return simplifyNode(divide(d(u), v));
+        }
+        record("Quotient rule", show(divide(subtract(multiply(pending(u), v), multiply(u, pending(v))), power(v, new ConstantNode(2)))),
+          "(u/v)' = (u'·v - u·v') / v²");
+        return simplifyNode(divide(subtract(multiply(d(u), v), multiply(u, d(v))), power(v, new ConstantNode(2))));
+      }
+      case "pow": {
+        const baseVaries = dependsOn(u, variable);
+        const exponentVaries = dependsOn(v, variable);
+        if (baseVaries && !exponentVaries) {
+          const n = evaluateNumber(v);
+          const lowered = n === null ? new OperatorNode("-", "subtract", [v, ONE]) : new ConstantNode(n - 1);
+          const outer = multiply(v, isConstantValue(lowered, 1) ? u : power(u, lowered));
+          if (u.isSymbolNode) {
+            record("Power rule", show(outer), "d/dx[xⁿ] = n·xⁿ⁻¹");
+            return simplifyNode(outer);
+          }
+          record("Power rule with chain rule", show(multiply(outer, pending(u))), "d/dx[uⁿ] = n·uⁿ⁻¹·u'");
+          return simplifyNode(multiply(outer, d(u)));
+        }
+        if (!baseVaries) {
+          const natural = u.isSymbolNode && u.name === "e";
+          const outer = natural ? node : multiply(node, parse(`log(${u.toString()})`));
+          const rule = natural ? "d/dx[e^u] = e^u·u'" : "d/dx[a^u] = a^u·ln(a)·u'";
+          if (v.isSymbolNode) {
+            record("Exponential rule", show(outer), rule);
+            return simplifyNode(outer);
+          }
+          record("Exponential rule with chain rule", show(multiply(outer, pending(v))), rule);
+          return simplifyNode(multiply(outer, d(v)));
+        }
+        // u^v with both varying: differentiate e^(v·ln u)
+        const logarithm = multiply(v, parse(`log(${u.toString()})`));
+        record("Logarithmic differentiation", show(multiply(node, pending(logarithm))), "u^v = e^(v·ln u), so (u^v)' = u^v·(v·ln u)'");
+        return simplifyNode(multiply(node, d(logarithm)));
+      }
+      default:
+        break;
+    }
+  }
+
+  if (node.isFunctionNode) {
+    const name = node.fn.name;
+    // log(u, b) = ln(u) / ln(b)
+    if (name === "log" && node.args.length === 2 && !dependsOn(node.args[1], variable)) {
+      const rewritten = divide(parse(`log(${node.args[0].toString()})`), parse(`log(${node.args[1].toString()})`));
+      record("Change of base", show(rewritten), "log_b(u) = ln(u) / ln(b)");
+      return d(rewritten);
+    }
+    const entry = FUNCTION_RULES[name];
+    if (entry && node.args.length === 1) {
+      const [inner] = node.args;
+      const outer = tidy(substitute(parse(entry.outer), "u", inner));
+      if (inner.isSymbolNode) {
+        record(`${name} rule`, show(outer), entry.rule);
+        return simplifyNode(outer);
+      }
+      record("Chain rule", show(multiply(outer, pending(inner))), `${entry.rule}, multiplied by the derivative of the inner function u = ${inner.toString()}`);
+      return simplifyNode(multiply(outer, d(inner)));
+    }
+  }
+
+  // Anything else (user functions, nthRoot, ...) falls back to mathjs
+  const result = simplifyNode(derivative(node, variable));
+  record("Built-in rule", `${derivativeText(node, variable)} = ${result.toString()}`, "Differentiated with the mathjs rule table");
+  return result;
+}
+
+// Entry point: returns { node, text } after recording the derivation in steps
+const differentiateWithSteps = (func, variable, steps) => {
+  const node = tidy(normalizeFunctions(func));
+  const raw = differentiateNode(node, variable, steps);
+  // simplify() sometimes nests fractions, so keep whichever of the two forms is shorter
+  const candidates = [simplifyNode(raw), tidy(raw)];
+  const simplified = candidates.reduce((best, n) => (n.toString().length < best.toString().length ? n : best));
+  // Quotient-rule results often come back as nested fractions; show rational functions as one fraction
+  const rational = toRational(simplified, variable);
+  const nestedDivisions = simplified.filter((n) => n.isOperatorNode && n.fn === "divide").length > 1;
+  const exact = rational && [...rational.numerator, ...rational.denominator].every((c) => isExactText(formatNumber(c)));
+  if (exact && nestedDivisions) {
+    const denominator = toIntegerCoefficients(rational.denominator) || rational.denominator;
+    const numerator = polyScale(rational.numerator, leadingCoefficient(denominator) / leadingCoefficient(rational.denominator));
+    const text = degree(denominator) === 0
+      ? polyToString(polyScale(numerator, 1 / denominator[0]), variable)
+      : `(${polyToString(numerator, variable)}) / (${polyToString(denominator, variable)})`;
+    return { node: tidy(parse(text)), text };
+  }
+  return { node: simplified, text: simplified.toString() };
+};
+
+const ORDINALS = ["", "First", "Second", "Third", "Fourth", "Fifth", "Sixth"];
+// Products of trig functions roughly double in size with each derivative and the cost grows faster than the size.
+// Past MAX_TRACED_NODES an order is differentiated without listing every rule, and a higher derivative stops once
+// the expression to differentiate passes MAX_DERIVATIVE_NODES
+const MAX_TRACED_NODES = 80;
+const MAX_DERIVATIVE_NODES = 150;
+
+const orderName = (order) => ORDINALS[order] || `Order ${order}`;
+
+// Leibniz notation: ∂²f/∂x∂y, or d³f/dx³ when only one variable is involved
+const derivativeNotation = (variables, partial = new Set(variables).size > 1) => {
+  const order = variables.length;
+  const superscript = (n) => (n === 1 ? "" : String(n).split("").map((d) => "⁰¹²³⁴⁵⁶⁷⁸⁹"[d]).join(""));
+  const d = partial ? "∂" : "d";
+  const groups = [];
+  variables.forEach((v) => {
+    const last = groups[groups.length - 1];
+    if (last && last.variable === v) last.count++;
+    else groups.push({ variable: v, count: 1 });
+  });
+  return `${d}${superscript(order)}f/${groups.map((g) => `${d}${g.variable}${superscript(g.count)}`).join("")}`;
+};
+
+// Differentiate successively with respect to each variable in the list: [x, x, y] is ∂³f/∂x²∂y
+const higherDerivative = (func, variables, steps) => {
+  let current = tidy(normalizeFunctions(func));
+  const partial = new Set(variables).size > 1;
+  const notation = (count) => derivativeNotation(variables.slice(0, count), partial);
+  variables.forEach((variable, index) => {
+    const size = current.filter(() => true).length;
+    if (size > MAX_DERIVATIVE_NODES) {
+      throw new Error(`The derivative of order ${index} is already too large to differentiate again (${size} nodes, the limit is ${MAX_DERIVATIVE_NODES}); ask for order ${index} or lower`);
+    }
+    const traced = size <= MAX_TRACED_NODES;
+    addStep(steps, `${orderName(index + 1)} derivative`, `${notation(index + 1)}: differentiate ${current.toString()} with respect to ${variable}`,
+      `${index === 0 ? "Start from the original function" : "Differentiate the previous result again"}${traced ? "" : `; the rules are not listed for an expression of ${size} nodes`}`);
+    // An untraced order goes straight to mathjs, which skips the rule-by-rule tree and is faster on large input
+    current = traced ? differentiateWithSteps(current, variable, steps).node : simplifyNode(derivative(current, variable));
+    addStep(steps, "Result", `${notation(index + 1)} = ${current.toString()}`, `Derivative of order ${index + 1}`);
+  });
+  return { node: current, text: current.toString() };
+};
+
+const vectorText = (entries) => `[${entries.join(", ")}]`;
+const matrixText = (rows) => `[${rows.map(vectorText).join(", ")}]`;
+
+const gradient = (func, variables, steps) => {
+  const node = tidy(normalizeFunctions(func));
+  const vector = variables.map((variable) => {
+    const { text } = differentiateWithSteps(node, variable, null);
+    addStep(steps, `Partial derivative in ${variable}`, `∂f/∂${variable} = ${text}`, `Treat every variable except ${variable} as a constant`);
+    return text;
+  });
+  addStep(steps, "Gradient", `∇f = ${vectorText(vector)}`, "Collect the first partial derivatives into a vector");
+  return { vector, text: vectorText(vector) };
+};
+
+const hessian = (func, variables, steps) => {
+  const node = tidy(normalizeFunctions(func));
+  const firsts = variables.map((variable) => differentiateWithSteps(node, variable, null).node);
+  addStep(steps, "First partial derivatives", vectorText(firsts.map((n, i) => `∂f/∂${variables[i]} = ${n.toString()}`)), "Differentiate once with respect to each variable");
+  const matrix = variables.map((_, i) => variables.map((v, j) => {
+    // Mixed partials agree for smooth functions, so reuse the entry above the diagonal
+    if (j < i) return null;
+    const { text } = differentiateWithSteps(firsts[i], v, null);
+    addStep(steps, "Second partial derivative", `${derivativeNotation([variables[i], v], true)} = ${text}`,
+      `Differentiate ∂f/∂${variables[i]} with respect to ${v}`);
+    return text;
+  }));
+  matrix.forEach((row, i) => row.forEach((entry, j) => {
+    if (entry === null) row[j] = matrix[j][i];
+  }));
+  addStep(steps, "Hessian", `H = ${matrixText(matrix)}`, "Second partial derivatives; the matrix is symmetric because mixed partials commute");
+  return { matrix, text: matrixText(matrix) };
+};
+
+const jacobian = (funcs, variables, steps) => {
+  const matrix = funcs.map((func, i) => {
+    const node = tidy(normalizeFunctions(func));
+    const row = variables.map((variable) => differentiateWithSteps(node, variable, null).text);
+    addStep(steps, `Row ${i + 1}`, `∇f${i + 1} = ${vectorText(row)}`, `Partial derivatives of f${i + 1} = ${node.toString()}`);
+    return row;
+  });
+  addStep(steps, "Jacobian", `J = ${matrixText(matrix)}`, "Row i holds the partial derivatives of component i");
+  return { matrix, text: matrixText(matrix) };
+};
+
+module.exports = {
+  differentiateNode,
+  differentiateWithSteps,
+  derivativeNotation,
+  higherDerivative,
+  gradient,
+  hessian,
+  jacobian
+};
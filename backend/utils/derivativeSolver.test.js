@@ -0,0 +1,75 @@
+// backend/utils/derivativeSolver.test.js
+// Regression tests for the rule-by-rule differentiator: the rules it records and the derivatives it returns
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { derivative } = require("mathjs");
+const { differentiateWithSteps, higherDerivative } = require("./derivativeSolver");
+const { normalizeFunctions } = require("./expressionUtils");
+
+// Compare with the mathjs derivative at a few points, so the tests do not depend on the printed form
+const assertDerivative = (func, variable = "x") => {
+  const steps = [];
+  const result = differentiateWithSteps(func, variable, steps);
+  const expected = derivative(normalizeFunctions(func), variable).compile();
+  const actual = result.node.compile();
+  for (const x of [0.3, 0.7, 1.3, 2.2]) {
+    const [a, b] = [actual.evaluate({ [variable]: x }), expected.evaluate({ [variable]: x })];
+    assert.ok(Math.abs(a - b) < 1e-9 * Math.max(1, Math.abs(b)), `d/d${variable}(${func}) = ${result.text} is wrong at ${x}`);
+  }
+  return { ...result, rules: steps.map((s) => s.description) };
+};
+
+test("sum, constant multiple and power rules", () => {
+  const { text, rules } = assertDerivative("3*x^2 + 5*x");
+  assert.equal(text, "6 * x + 5");
+  assert.deepEqual(rules, ["Sum rule", "Constant multiple rule", "Power rule", "Constant multiple rule"]);
+});
+
+test("product, chain and exponential rules on the concrete sub-expressions", () => {
+  const steps = [];
+  differentiateWithSteps("sin(x^2)*e^x", "x", steps);
+  const rule = (name) => steps.find((s) => s.description === name);
+  assert.match(rule("Product rule").expression, /^d\/dx\[sin\(x \^ 2\) \* e \^ x\]/);
+  assert.match(rule("Chain rule").expression, /^d\/dx\[sin\(x \^ 2\)\] = cos\(x \^ 2\) \* d\/dx\[x \^ 2\]/);
+  assert.equal(rule("Power rule").expression, "d/dx[x ^ 2] = 2 * x");
+  assert.equal(rule("Exponential rule").expression, "d/dx[e ^ x] = e ^ x");
+  assertDerivative("sin(x^2)*e^x");
+});
+
+test("quotient rule results are shown as one fraction", () => {
+  const { text, rules } = assertDerivative("x/(x+1)");
+  assert.equal(text, "1 / (x + 1) ^ 2");
+  assert.equal(rules[0], "Quotient rule");
+});
+
+test("exponentials with other bases keep log of the base", () => {
+  assert.equal(assertDerivative("2^x").text, "2 ^ x * log(2)");
+});
+
+test("nested elementary functions", () => {
+  assertDerivative("log(cos(x))");
+  assertDerivative("atan(sqrt(x))");
+  assertDerivative("x^x");
+  assertDerivative("t^3*cos(t)", "t");
+});
+
+test("higher derivatives differentiate the simplified previous order", () => {
+  assert.equal(higherDerivative("x^3", ["x", "x", "x"], []).text, "6");
+  assert.equal(higherDerivative("sin(x)", Array(4).fill("x"), []).text, "sin(x)");
+  assert.equal(higherDerivative("x^2*y^3", ["x", "y"], []).text, "6 * x * y ^ 2");
+});
+
+test("large orders are differentiated without listing every rule", () => {
+  const steps = [];
+  const result = higherDerivative("e^(x^2)*sin(x)", Array(5).fill("x"), steps);
+  // f^(5)(1/2) from the Taylor series of e^(x^2)·sin(x) around 1/2
+  assert.ok(Math.abs(result.node.evaluate({ x: 0.5 }) - 118.02599144371354) < 1e-9);
+  assert.match(steps.find((s) => s.description === "Fifth derivative").explanation, /the rules are not listed for an expression of 101 nodes$/);
+  assert.doesNotMatch(steps.find((s) => s.description === "Fourth derivative").explanation, /not listed/);
+});
+
+test("higher derivatives stop with an error once the expression grows too large", () => {
+  const started = Date.now();
+  assert.throws(() => higherDerivative("sin(x)*cos(x)*tan(x)", Array(6).fill("x"), []), /too large to differentiate again/);
+  assert.ok(Date.now() - started < 5000, "the size limit should stop the work early");
+});
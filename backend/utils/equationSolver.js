@@ -0,0 +1,648 @@
+// backend/utils/equationSolver.js
+// Equation solving: polynomial (and rational) equations with exact roots through degree 4
+// and Durand–Kerner for higher degrees.
+const { addStep } = require("./solverHelpers");
+const { derivative, evaluate, rationalize } = require("mathjs");
+const {
+  formatNumber,
+  isExactText,
+  isZero,
+  normalizeFunctions,
+  tidy,
+  simplifyNode,
+  substitute,
+  getFactors,
+  productNode,
+  dependsOn,
+  numericFunction,
+  approximateFraction,
+  splitSquareFactor,
+  gcdInteger
+} = require("./expressionUtils");
+const {
+  trimPolynomial,
+  degree,
+  toRational,
+  polyToString,
+  rationalRoots
+} = require("./polynomial");
+const { durandKerner, evaluateComplex, scanForRoots, brentRoot, newtonRoot } = require("./numericMethods");
+
+const ROOT_TOLERANCE = 1e-7;
+const NUMERIC_TOLERANCE = 1e-12;
+const DEFAULT_INTERVAL = [-10, 10];
+const WIDE_INTERVAL = [-100, 100];
+const SCAN_SAMPLES = 400;
+const SHOWN_ITERATIONS = 8;
+
+const imaginaryText = (magnitude) => {
+  const text = formatNumber(magnitude);
+  return text === "1" ? "i" : `${text}*i`;
+};
+
+const complexText = (re, im) => {
+  if (isZero(im, 1e-12)) return formatNumber(re);
+  const imaginary = imaginaryText(Math.abs(im));
+  if (isZero(re, 1e-12)) return `${im < 0 ? "-" : ""}${imaginary}`;
+  return `${formatNumber(re)} ${im < 0 ? "-" : "+"} ${imaginary}`;
+};
+
+const root = (re, im = 0, text = complexText(re, im), multiplicity = 1) => ({
+  re: isZero(re, 1e-13) ? 0 : re,
+  im: isZero(im, 1e-12) ? 0 : im,
+  text,
+  multiplicity
+});
+
+// "exact ≈ decimal" for roots that also carry a radical form
+const withExact = (r) => (r.exact ? `${r.exact} ≈ ${r.text}` : r.text);
+
+const coefficientNames = (coeffs) => {
+  const n = coeffs.length - 1;
+  const letters = "abcde";
+  return coeffs
+    .map((c, i) => `${n <= 4 ? letters[n - i] : `a${i}`} = ${formatNumber(c)}`)
+    .reverse()
+    .join(", ");
+};
+
+// a*x + b = 0
+const solveLinear = ([b, a], variable, steps) => {
+  const value = -b / a;
+  addStep(steps, "Isolate the variable", `${variable} = -(${formatNumber(b)}) / ${formatNumber(a)} = ${formatNumber(value)}`, "Subtract the constant term and divide by the coefficient");
+  return [root(value)];
+};
+
+// a*x^2 + b*x + c = 0 via the discriminant and the quadratic formula
+const solveQuadratic = ([c, b, a], variable, steps) => {
+  const discriminant = b * b - 4 * a * c;
+  const nature = isZero(discriminant, 1e-12) ? "a repeated real root" : discriminant > 0 ? "two distinct real roots" : "two complex conjugate roots";
+  addStep(steps, "Discriminant", `Δ = b² - 4ac = (${formatNumber(b)})² - 4·(${formatNumber(a)})·(${formatNumber(c)}) = ${formatNumber(discriminant)}`, `Δ ${isZero(discriminant, 1e-12) ? "= 0" : discriminant > 0 ? "> 0" : "< 0"}, so there are ${nature}`);
+
+  const centre = -b / (2 * a);
+  const spread = Math.sqrt(Math.abs(discriminant)) / Math.abs(2 * a);
+  const centreText = formatNumber(centre);
+  const spreadText = formatNumber(spread);
+  let roots;
+  if (isZero(discriminant, 1e-12)) {
+    roots = [root(centre, 0, centreText, 2)];
+  } else if (discriminant > 0) {
+    const exact = isExactText(formatNumber(centre - spread)) && !/sqrt/.test(formatNumber(centre - spread)) || isZero(centre, 1e-12);
+    roots = exact
+      ? [root(centre - spread), root(centre + spread)]
+      : [root(centre - spread, 0, `${centreText} - ${spreadText}`), root(centre + spread, 0, `${centreText} + ${spreadText}`)];
+  } else {
+    roots = [root(centre, -spread), root(centre, spread)];
+  }
+  addStep(steps, "Quadratic formula", `${variable} = (-b ± √Δ) / (2a) = ${roots.map((r) => r.text).join(", ")}`, "Substitute the coefficients into the quadratic formula");
+  return roots;
+};
+
+const substitution = (variable, name, shift) =>
+  isZero(shift, 1e-12) ? "" : `${variable} = ${name} ${shift > 0 ? "-" : "+"} ${formatNumber(Math.abs(shift))}: `;
+
+// ---- Exact radical forms for cubics and quartics with rational coefficients ----
+const EXACT_DENOMINATOR = 100000;
+const MAX_RADICAND = 1e12;
+
+const fractionOf = (value) => {
+  const fraction = approximateFraction(value, EXACT_DENOMINATOR);
+  return fraction && Math.abs(fraction.numerator * fraction.denominator) <= MAX_RADICAND ? fraction : null;
+};
+
+const rationalText = (value) => {
+  const fraction = fractionOf(value);
+  if (!fraction) return null;
+  return fraction.denominator === 1 ? `${fraction.numerator}` : `${fraction.numerator}/${fraction.denominator}`;
+};
+
+// √value for a rational value as c·√n/d with n square-free; negative values give an imaginary result
+const sqrtText = (value) => {
+  const fraction = fractionOf(Math.abs(value));
+  if (!fraction) return null;
+  const { outside, inside } = splitSquareFactor(fraction.numerator * fraction.denominator);
+  const divisor = gcdInteger(outside, fraction.denominator);
+  const [coefficient, denominator] = [outside / divisor, fraction.denominator / divisor];
+  const magnitude = inside === 1
+    ? `${coefficient}${denominator === 1 ? "" : `/${denominator}`}`
+    : `${coefficient === 1 ? "" : `${coefficient}*`}sqrt(${inside})${denominator === 1 ? "" : `/${denominator}`}`;
+  if (value >= 0) return magnitude;
+  return magnitude === "1" ? "i" : `${magnitude}*i`;
+};
+
+// ∛value for a rational value, exact when numerator and denominator are perfect cubes
+const cubeRootText = (value) => {
+  const fraction = fractionOf(value);
+  if (!fraction) return null;
+  const [top, bottom] = [Math.round(Math.cbrt(fraction.numerator)), Math.round(Math.cbrt(fraction.denominator))];
+  if (top ** 3 === fraction.numerator && bottom ** 3 === fraction.denominator) return rationalText(top / bottom);
+  return `cbrt(${rationalText(value)})`;
+};
+
+const joinTerms = (terms) => terms.filter((t) => t && t !== "0").join(" + ").replace(/\+ -/g, "- ") || "0";
+
+// Wrap anything that is not a number, a symbol or a single function call before it is multiplied or divided
+const group = (text) => {
+  if (/^[\w.]+$/.test(text)) return text;
+  const call = /^\w+\(/.exec(text);
+  if (call) {
+    let depth = 0;
+    for (let i = call[0].length - 1; i < text.length; i++) {
+      depth += text[i] === "(" ? 1 : text[i] === ")" ? -1 : 0;
+      if (depth === 0) return i === text.length - 1 ? text : `(${text})`;
+    }
+  }
+  return `(${text})`;
+};
+
+// t = ∛(-q/2 + √D) + ∛(-q/2 - √D) and the two complex roots -(u + v)/2 ± (√3/2)(u - v)i, shifted back by x = t - shift
+const cardanoForms = (p, q, shift) => {
+  const delta = (q / 2) ** 2 + (p / 3) ** 3;
+  const [half, root, offset] = [rationalText(-q / 2), sqrtText(delta), rationalText(-shift)];
+  if (!half || !root || !offset) return null;
+  const cube = (sign) => {
+    const radicand = -q / 2 + sign * Math.sqrt(delta);
+    if (isZero(radicand, 1e-12)) return "0";
+    return /sqrt/.test(root) ? `cbrt(${joinTerms([half, `${sign < 0 ? "-" : ""}${root}`])})` : cubeRootText(radicand);
+  };
+  const [u, v] = [cube(1), cube(-1)];
+  if (!u || !v) return null;
+  const difference = v === "0" ? u : u === "0" ? `-${group(v)}` : `${u} - ${v}`;
+  const centre = joinTerms([`-${group(joinTerms([u, v]))}/2`, offset]);
+  const imaginary = `sqrt(3)*${group(difference)}/2`;
+  return [joinTerms([u, v, offset]), `${centre} - ${imaginary}*i`, `${centre} + ${imaginary}*i`];
+};
+
+// t_k = 2√(-p/3)·cos(acos(C)/3 - 2πk/3) with C = (3q/2p)·√(-3/p), whose square -27q²/(4p³) is rational
+const trigonometricForms = (p, q, shift) => {
+  const [radius, cosine, offset] = [sqrtText((-4 * p) / 3), sqrtText((-27 * q * q) / (4 * p ** 3)), rationalText(-shift)];
+  if (!radius || !cosine || !offset) return null;
+  const angle = `acos(${q > 0 ? "-" : ""}${cosine})/3`;
+  return [0, 1, 2].map((k) => joinTerms([`${radius === "1" ? "" : `${group(radius)}*`}cos(${angle}${k ? ` - ${2 * k}*pi/3` : ""})`, offset]));
+};
+
+// Exact text of the resolvent root: a rational value when it is one, otherwise its Cardano or cosine form
+const resolventText = (m, resolvent) => {
+  const text = rationalText(m.re);
+  if (text && isZero(evaluateComplex(resolvent, { re: exactValue(text).re, im: 0 }).re, 1e-9)) return text;
+  return m.exact || (isExactText(m.text) ? m.text : null);
+};
+
+// The four roots of the depressed quartic split by m: y = (-s ± √(-2m - 2p + 2q/s))/2 and (s ± √(-2m - 2p - 2q/s))/2
+// with s = √(2m), each shifted back by x = y - shift
+const ferrariForms = (p, q, shift, m, mText) => {
+  const offset = rationalText(-shift);
+  if (!offset || !rationalText(p) || !rationalText(q)) return null;
+  const rational = !/[a-z]/.test(mText);
+  const s = rational ? sqrtText(2 * m) : `sqrt(2*${group(mText)})`;
+  if (!s) return null;
+  const radical = (sign) => {
+    const inner = -2 * m - 2 * p + (sign * 2 * q) / Math.sqrt(2 * m);
+    if (rational && !/sqrt/.test(s)) return sqrtText(inner);
+    const terms = [rational ? rationalText(-2 * m) : `-2*${group(mText)}`, rationalText(-2 * p), `${rationalText(sign * 2 * q)}/${group(s)}`];
+    return isZero(q, 1e-12) ? `sqrt(${joinTerms(terms.slice(0, 2))})` : `sqrt(${joinTerms(terms)})`;
+  };
+  return [-1, 1].flatMap((sign) => {
+    const centre = sign < 0 ? `-${group(s)}` : s;
+    const root = radical(-sign);
+    return root ? [-1, 1].map((pm) => joinTerms([`${group(joinTerms([centre, `${pm < 0 ? "-" : ""}${group(root)}`]))}/2`, offset])) : [];
+  });
+};
+
+// Evaluate an exact form as a complex number, or null when mathjs cannot
+const exactValue = (text) => {
+  try {
+    const value = evaluate(text);
+    if (typeof value === "number") return { re: value, im: 0 };
+    return value && typeof value.re === "number" ? { re: value.re, im: value.im } : null;
+  } catch {
+    return null;
+  }
+};
+
+// Pair each exact form with the numeric root it evaluates to; forms that match no root are dropped,
+// so a wrong rational guess can never be shown as the exact answer
+const attachExact = (roots, forms) => {
+  if (!forms) return roots;
+  const unmatched = [...roots];
+  forms.forEach((form) => {
+    const value = exactValue(form);
+    if (!value) return;
+    const index = unmatched.findIndex((r) => Math.hypot(r.re - value.re, r.im - value.im) < 1e-7 * Math.max(1, Math.hypot(r.re, r.im)));
+    if (index === -1) return;
+    const [match] = unmatched.splice(index, 1);
+    if (form !== match.text) match.exact = form;
+  });
+  return roots;
+};
+
+// Cubic via Cardano's formula on the depressed cubic t^3 + p*t + q = 0 with x = t - b/(3a)
+const solveCubic = (coeffs, variable, steps) => {
+  const [d, c, b, a] = coeffs;
+  const shift = b / (3 * a);
+  const p = (3 * a * c - b * b) / (3 * a * a);
+  const q = (2 * b * b * b - 9 * a * b * c + 27 * a * a * d) / (27 * a * a * a);
+  addStep(steps, "Depressed cubic", `${substitution(variable, "t", shift)}t³ + (${formatNumber(p)})·t + (${formatNumber(q)}) = 0`, "Shift the variable to remove the quadratic term");
+  const delta = (q / 2) ** 2 + (p / 3) ** 3;
+  addStep(steps, "Cardano discriminant", `(q/2)² + (p/3)³ = ${formatNumber(delta)}`,
+    isZero(delta, 1e-12) ? "Zero: the cubic has a repeated root" : delta > 0 ? "Positive: one real root and two complex conjugate roots" : "Negative: three distinct real roots (casus irreducibilis, solved with cosines)");
+
+  if (isZero(delta, 1e-12)) {
+    if (isZero(p, 1e-12)) return [root(-shift, 0, formatNumber(-shift), 3)];
+    return [root(3 * q / p - shift), root(-3 * q / (2 * p) - shift, 0, formatNumber(-3 * q / (2 * p) - shift), 2)];
+  }
+
+  if (delta > 0) {
+    const sqrtDelta = Math.sqrt(delta);
+    const u = Math.cbrt(-q / 2 + sqrtDelta);
+    const v = Math.cbrt(-q / 2 - sqrtDelta);
+    const real = u + v - shift;
+    const half = -(u + v) / 2 - shift;
+    const imaginary = (Math.sqrt(3) / 2) * (u - v);
+    const roots = attachExact([root(real), root(half, -Math.abs(imaginary)), root(half, Math.abs(imaginary))], cardanoForms(p, q, shift));
+    // Sums of rational cube roots such as cbrt(2) are short enough to stand for the root itself
+    if (roots[0].exact && !/sqrt/.test(roots[0].exact)) {
+      roots[0].text = roots[0].exact;
+      delete roots[0].exact;
+    }
+    const complexNote = roots.slice(1).some((r) => r.exact) ? `: ${roots.slice(1).map(withExact).join(", ")}` : "";
+    addStep(steps, "Cardano's formula", `t = ∛(-q/2 + √D) + ∛(-q/2 - √D), so ${variable} = ${withExact(roots[0])}`, `The other two roots are complex conjugates${complexNote}`);
+    return roots;
+  }
+
+  const radius = 2 * Math.sqrt(-p / 3);
+  const angle = Math.acos((3 * q) / (p * radius)) / 3;
+  const roots = attachExact([0, 1, 2].map((k) => root(radius * Math.cos(angle - (2 * Math.PI * k) / 3) - shift)), trigonometricForms(p, q, shift));
+  addStep(steps, "Trigonometric form", `t_k = 2√(-p/3)·cos(θ/3 - 2πk/3) with cos θ = (3q/2p)·√(-3/p): ${variable} = ${roots.map(withExact).join(", ")}`, "Three real roots written with cosines instead of complex cube roots");
+  return roots;
+};
+
+// Quartic: biquadratic substitution when possible, otherwise Ferrari's resolvent cubic
+const solveQuartic = (coeffs, variable, steps) => {
+  const [e, d, c, b, a] = coeffs;
+  if (isZero(b, 1e-12) && isZero(d, 1e-12)) {
+    addStep(steps, "Biquadratic substitution", `u = ${variable}²: ${polyToString([e, c, a], "u")} = 0`, "Only even powers appear, so solve a quadratic in u");
+    const squares = solveQuadratic([e, c, a], "u", steps);
+    const roots = squares.flatMap((s) => {
+      // x = ±√u, taking complex square roots where needed
+      const modulus = Math.hypot(s.re, s.im);
+      const re = Math.sqrt((modulus + s.re) / 2);
+      const im = Math.sign(s.im || 1) * Math.sqrt((modulus - s.re) / 2);
+      if (isZero(s.im, 1e-12) && s.re >= 0) {
+        const value = Math.sqrt(s.re);
+        const text = isExactText(formatNumber(value)) ? formatNumber(value) : `sqrt(${s.text})`;
+        if (isZero(value, 1e-12)) return [root(0, 0, "0", 2 * s.multiplicity)];
+        return [root(-value, 0, `-${text}`, s.multiplicity), root(value, 0, text, s.multiplicity)];
+      }
+      return [root(-re, -im, undefined, s.multiplicity), root(re, im, undefined, s.multiplicity)];
+    });
+    addStep(steps, "Back-substitute", `${variable} = ±√u: ${roots.map((r) => r.text).join(", ")}`, "Each value of u gives two values of the variable");
+    return roots;
+  }
+
+  // Depressed quartic y^4 + p*y^2 + q*y + r with x = y - b/(4a)
+  const [B, C, D, E] = [b / a, c / a, d / a, e / a];
+  const shift = B / 4;
+  const p = C - (3 * B * B) / 8;
+  const q = D - (B * C) / 2 + (B * B * B) / 8;
+  const r = E - (B * D) / 4 + (B * B * C) / 16 - (3 * B ** 4) / 256;
+  addStep(steps, "Depressed quartic", `${substitution(variable, "y", shift)}y⁴ + (${formatNumber(p)})y² + (${formatNumber(q)})y + (${formatNumber(r)}) = 0`, "Shift the variable to remove the cubic term");
+  // Resolvent cubic 8m³ + 8p·m² + (2p² - 8r)·m - q² = 0; any positive root m splits the quartic
+  const resolvent = [-q * q, 2 * p * p - 8 * r, 8 * p, 8];
+  const candidates = solveCubic(resolvent, "m", []).filter((m) => isZero(m.im, 1e-9) && m.re > 1e-12);
+  const chosen = candidates.reduce((best, m) => (!best || m.re > best.re ? m : best), null);
+  const m = chosen ? chosen.re : 0;
+  const mText = chosen && resolventText(chosen, resolvent);
+  addStep(steps, "Ferrari's resolvent cubic", `8m³ + 8p·m² + (2p² - 8r)·m - q² = 0 has the root m = ${mText && mText !== formatNumber(m) ? `${mText} ≈ ` : ""}${formatNumber(m)}`, "Adding 2m·y² + m² + p·m to both sides turns the left side into a perfect square");
+  const s = Math.sqrt(2 * m);
+  const factors = isZero(s, 1e-12)
+    ? [[p / 2 + Math.sqrt(Math.max(0, p * p / 4 - r)), 0, 1], [p / 2 - Math.sqrt(Math.max(0, p * p / 4 - r)), 0, 1]]
+    : [[p / 2 + m - q / (2 * s), s, 1], [p / 2 + m + q / (2 * s), -s, 1]];
+  addStep(steps, "Split into quadratics", factors.map((f) => `(${polyToString(f, "y")})`).join(" · ") + " = 0", "Each quadratic factor is solved with the quadratic formula");
+  const roots = factors.flatMap((f) => solveQuadratic(f, "y", steps)).map((y) => root(y.re - shift, y.im, undefined, y.multiplicity));
+  const exact = mText && attachExact(roots, ferrariForms(p, q, shift, m, mText)).filter((r) => r.exact);
+  if (exact && exact.length) addStep(steps, "Exact roots", exact.map(withExact).join(", "), "y = (∓√(2m) ± √(-2m - 2p ± 2q/√(2m)))/2 with the exact value of m, shifted back to the original variable");
+  return roots;
+};
+
+// Degree 5 and up: Durand–Kerner, then merge numerically coincident roots into multiplicities
+const solveByDurandKerner = (coeffs, variable, steps) => {
+  const { roots, iterations, converged } = durandKerner(coeffs);
+  addStep(steps, "Durand–Kerner iteration", `${iterations} iterations${converged ? "" : " (iteration limit reached)"} for ${degree(coeffs)} simultaneous root estimates`,
+    "There is no general closed form beyond degree 4, so every root is refined at once: zₖ ← zₖ - p(zₖ) / ∏(zₖ - zⱼ)");
+  const merged = [];
+  roots.forEach((z) => {
+    const existing = merged.find((r) => Math.hypot(r.re - z.re, r.im - z.im) < 1e-4 * Math.max(1, Math.hypot(z.re, z.im)));
+    if (existing) {
+      existing.sum.re += z.re;
+      existing.sum.im += z.im;
+      existing.multiplicity++;
+    } else {
+      merged.push({ re: z.re, im: z.im, sum: { ...z }, multiplicity: 1 });
+    }
+  });
+  return merged.map(({ sum, multiplicity }) => {
+    const re = sum.re / multiplicity;
+    const im = sum.im / multiplicity;
+    return root(re, Math.abs(im) < ROOT_TOLERANCE ? 0 : im, undefined, multiplicity);
+  });
+};
+
+const solveByDegree = (coeffs, variable, steps) => {
+  switch (degree(coeffs)) {
+    case 1:
+      return solveLinear(coeffs, variable, steps);
+    case 2:
+      return solveQuadratic(coeffs, variable, steps);
+    case 3:
+      return solveCubic(coeffs, variable, steps);
+    case 4:
+      return solveQuartic(coeffs, variable, steps);
+    default:
+      return solveByDurandKerner(coeffs, variable, steps);
+  }
+};
+
+// Real roots first, then complex ones, each in increasing order
+const sortRoots = (roots) =>
+  [...roots].sort((a, b) => (a.im !== 0) - (b.im !== 0) || (Math.abs(a.re - b.re) > 1e-9 ? a.re - b.re : a.im - b.im));
+
+const describeRoot = (r) => (r.multiplicity > 1 ? `${withExact(r)} (multiplicity ${r.multiplicity})` : withExact(r));
+
+// Solve expression = 0 when the expression is a polynomial or rational function of the variable.
+// Returns null when it is not, so callers can fall back to other methods.
+const solvePolynomialEquation = (expression, variable, steps) => {
+  const node = tidy(normalizeFunctions(expression));
+  const rational = toRational(node, variable);
+  if (!rational) return null;
+  const coeffs = trimPolynomial(rational.numerator);
+  if (degree(rational.denominator) > 0) {
+    addStep(steps, "Clear denominators", `${polyToString(coeffs, variable)} = 0 with ${polyToString(rational.denominator, variable)} ≠ 0`,
+      "Multiply through by the denominator; common factors were cancelled, so its zeros cannot be solutions");
+  }
+
+  const n = degree(coeffs);
+  if (n <= 0) {
+    const identity = n === -Infinity;
+    addStep(steps, "No variable left", `${formatNumber(coeffs[0] || 0)} = 0`, identity ? "The equation holds for every value" : "The equation is a contradiction");
+    return { roots: [], answer: identity ? `All real numbers satisfy the equation` : "No solution", degree: n };
+  }
+
+  addStep(steps, "Standard form", `${polyToString(coeffs, variable)} = 0`, `Polynomial of degree ${n}`);
+  addStep(steps, "Collect coefficients", coefficientNames(coeffs), "Coefficients read off the expression tree, highest power first");
+
+  let roots = [];
+  let remaining = coeffs;
+  if (n > 2) {
+    // Rational roots first: they are exact and lower the degree of what is left
+    const rationalPart = rationalRoots(coeffs);
+    if (rationalPart.roots.length) {
+      roots = rationalPart.roots.map((r) => root(r.value, 0, formatNumber(r.value), r.multiplicity));
+      remaining = rationalPart.remaining;
+      addStep(steps, "Rational root theorem", `${roots.map(describeRoot).join(", ")}; remaining factor: ${degree(remaining) > 0 ? polyToString(remaining, variable) : "none"}`,
+        "Candidates ±p/q (p divides the constant term, q the leading coefficient) that make the polynomial zero; divide them out synthetically");
+    }
+  }
+  if (degree(remaining) > 0) {
+    roots = roots.concat(solveByDegree(remaining, variable, steps));
+  }
+
+  // Merge equal roots that came from different stages
+  const merged = [];
+  roots.forEach((r) => {
+    const existing = merged.find((m) => Math.hypot(m.re - r.re, m.im - r.im) < ROOT_TOLERANCE);
+    if (existing) existing.multiplicity += r.multiplicity;
+    else merged.push({ ...r });
+  });
+  const sorted = sortRoots(merged);
+
+  // Check each root against the original polynomial
+  const residual = Math.max(...sorted.map((r) => Math.hypot(...Object.values(evaluateComplex(coeffs, r)))));
+  const scale = Math.max(...coeffs.map(Math.abs));
+  addStep(steps, "Check", `max |p(${variable})| over the roots = ${residual.toExponential(2)}`, residual < 1e-6 * scale ? "Every root satisfies the equation" : "Residuals are larger than expected; the roots are approximate");
+
+  const real = sorted.filter((r) => r.im === 0);
+  const complex = sorted.filter((r) => r.im !== 0);
+  addStep(steps, "Solutions", sorted.map(describeRoot).join(", "), `${real.length} real and ${complex.length} complex root(s), counted without multiplicity`);
+  return { roots: sorted, answer: `${variable} = ${sorted.map(describeRoot).join(", ")}`, degree: n };
+};
+
+// ---- letters as coefficients ----
+
+const CONSTANTS = ["pi", "e", "i"];
+
+// Symbols other than the variable, function names and the constants: a in a*x + b
+const parametersOf = (node, variable) => [...new Set(node
+  .filter((n, path, parent) => n.isSymbolNode && !(parent && parent.isFunctionNode && path === "fn") && n.name !== variable && !CONSTANTS.includes(n.name))
+  .map((n) => n.name))].sort();
+
+const isZeroNode = (node) => node.isConstantNode && node.value === 0;
+const grouped = (node) => (node.isSymbolNode || node.isConstantNode ? node.toString() : `(${node})`);
+const negated = (node) => (node.isConstantNode ? formatNumber(-node.value) : node.isOperatorNode && node.fn === "unaryMinus" ? grouped(node.args[0]) : `-${grouped(node)}`);
+// Expanded and collected when the expression is a polynomial in the letters: (-(a + b))^2 - 4ab -> a^2 - 2ab + b^2
+const collected = (text) => {
+  try {
+    return simplifyNode(rationalize(text));
+  } catch {
+    return simplifyNode(text);
+  }
+};
+// text / d, leaving out a divisor of 1; simplify() may cancel what is left, (a*b)/a -> b, but it also writes
+// -b/a as -(b/a), so its form is kept only when shorter
+const over = (text, d) => {
+  const written = d.isConstantNode && d.value === 1 ? text : `${text} / ${grouped(d)}`;
+  const simple = simplifyNode(written).toString();
+  return simple.length < written.length && !/\* -1/.test(simple) ? simple : written;
+};
+// sqrt(Δ) / d with the square part of a number factor of Δ taken outside and divided by a number d:
+// sqrt(4*a) / 2 -> sqrt(a)
+const rootText = (discriminant, d) => {
+  const { numerator, denominator } = getFactors(discriminant);
+  const number = numerator.find((f) => f.isConstantNode && Number.isInteger(f.value) && f.value > 0);
+  const { outside, inside } = number && !denominator.length ? splitSquareFactor(number.value) : { outside: 1, inside: 1 };
+  const radicand = outside === 1 ? discriminant : productNode([...(inside === 1 ? [] : [simplifyNode(String(inside))]), ...numerator.filter((f) => f !== number)]);
+  const root = `sqrt(${radicand})`;
+  if (!d.isConstantNode) return { text: outside === 1 ? root : `${outside}*${root}`, divisor: d };
+  const ratio = approximateFraction(outside / d.value);
+  const text = ratio.numerator === 1 ? root : `${ratio.numerator}*${root}`;
+  return { text, divisor: simplifyNode(String(ratio.denominator)) };
+};
+// a*x^2 + b*x + c with coefficients of 1 and 0 left out
+const standardText = (coeffs, variable) => coeffs.map((coeff, power) => ({ coeff, power })).reverse()
+  .filter(({ coeff }) => !isZeroNode(coeff))
+  .map(({ coeff, power }, i) => {
+    const negative = coeff.isOperatorNode && coeff.fn === "unaryMinus" || coeff.isConstantNode && coeff.value < 0;
+    const size = negative ? simplifyNode(negated(coeff)) : coeff;
+    const monomial = power === 0 ? "" : power === 1 ? variable : `${variable}^${power}`;
+    const term = !monomial ? size.toString() : size.isConstantNode && size.value === 1 ? monomial : `${grouped(size)}*${monomial}`;
+    return i === 0 ? `${negative ? "-" : ""}${term}` : `${negative ? " - " : " + "}${term}`;
+  }).join("");
+
+// a*x + b = 0 and a*x^2 + b*x + c = 0 whose coefficients contain letters: the roots as expressions in them. The
+// coefficients are the Taylor coefficients p^(k)(0) / k!, and the third derivative must vanish. Returns null when
+// there are no letters, and throws for other equations with letters, which no other method can solve
+const solveLiteralEquation = (expression, variable, steps) => {
+  const node = tidy(normalizeFunctions(expression));
+  const parameters = parametersOf(node, variable);
+  if (!parameters.length || !dependsOn(node, variable)) return null;
+  const unsupported = new Error(`Symbolic coefficients (${parameters.join(", ")}) are only supported in linear and quadratic equations; give them numeric values`);
+  const coeffs = [];
+  let current = node;
+  try {
+    for (let k = 0; k <= 3; k++) {
+      if (k === 3) {
+        if (!isZeroNode(current)) throw unsupported;
+        break;
+      }
+      coeffs.push(simplifyNode(`(${substitute(current, variable, "0")}) / ${k === 2 ? 2 : 1}`));
+      current = simplifyNode(derivative(current, variable));
+    }
+  } catch {
+    throw unsupported;
+  }
+  if (coeffs.some((c) => dependsOn(c, variable))) throw unsupported;
+  const [c, b, a] = coeffs;
+  const n = isZeroNode(a) ? 1 : 2;
+  addStep(steps, "Standard form", `${standardText(n === 1 ? [c, b] : coeffs, variable)} = 0`, `${n === 1 ? "Linear" : "Quadratic"} in ${variable}, with ${parameters.join(", ")} treated as constants`);
+
+  // A leading coefficient with letters must not vanish
+  const leading = n === 1 ? b : a;
+  const condition = parametersOf(leading, variable).length ? `${leading} ≠ 0` : null;
+  const requires = condition ? `, which requires ${condition}` : "";
+  let roots;
+  if (n === 1) {
+    roots = [isZeroNode(c) ? "0" : over(negated(c), b)];
+    addStep(steps, "Isolate the variable", `${variable} = ${roots[0]}`, `Subtract the constant term and divide by the coefficient${requires}`);
+  } else {
+    const discriminant = collected(`${grouped(b)}^2 - 4*${grouped(a)}*${grouped(c)}`);
+    addStep(steps, "Discriminant", `Δ = b² - 4ac = ${discriminant}`, "Real roots need Δ ≥ 0, complex conjugate roots come from Δ < 0");
+    const twice = a.isConstantNode ? simplifyNode(String(2 * a.value)) : simplifyNode(`2*${grouped(a)}`);
+    const centre = isZeroNode(b) ? "" : negated(b);
+    // (-b ± sqrt(Δ)) / (2a) is left as written so both roots read the same way
+    const spread = rootText(discriminant, twice);
+    const unit = (node) => node.isConstantNode && node.value === 1;
+    roots = isZeroNode(discriminant)
+      ? [isZeroNode(b) ? "0" : over(centre, twice)]
+      : centre
+        ? ["-", "+"].map((sign) => (unit(twice) ? `${centre} ${sign} ${rootText(discriminant, twice).text}` : `(${centre} ${sign} ${rootText(discriminant, simplifyNode("1")).text}) / ${grouped(twice)}`))
+        : [`-${spread.text}`, spread.text].map((text) => (unit(spread.divisor) ? text : `${text} / ${grouped(spread.divisor)}`));
+    addStep(steps, "Quadratic formula", `${variable} = (-b ± √Δ) / (2a) = ${roots.join(", ")}`, `Substitute the coefficients into the quadratic formula${requires}`);
+  }
+  return { roots, answer: `${variable} = ${roots.join(", ")}${condition ? ` (for ${condition})` : ""}`, degree: n, parameters, condition };
+};
+
+const iterationText = (iterations, describe) => {
+  const shown = iterations.slice(0, SHOWN_ITERATIONS).map(describe);
+  if (iterations.length > SHOWN_ITERATIONS) shown.push(`... ${iterations.length - SHOWN_ITERATIONS} more`);
+  return shown.join("\n");
+};
+
+// f'(x) from mathjs when it can differentiate, otherwise a central difference
+const slopeFunction = (node, variable, f) => {
+  try {
+    return numericFunction(derivative(node, variable), variable);
+  } catch {
+    return (x) => {
+      const h = 1e-6 * Math.max(1, Math.abs(x));
+      const [left, right] = [f(x - h), f(x + h)];
+      return left === null || right === null ? null : (right - left) / (2 * h);
+    };
+  }
+};
+
+// Bracket every sign change in the interval and refine it with Brent's method; dips of |f| that touch zero
+// without crossing it are refined with Newton's method on f'. Poles also change sign, so each root is checked.
+const findRootsInInterval = (f, df, [a, b], variable, steps) => {
+  const { brackets, exact, dips, step } = scanForRoots(f, a, b, SCAN_SAMPLES);
+  addStep(steps, "Scan for sign changes", brackets.length ? brackets.map(([l, r]) => `[${formatNumber(l)}, ${formatNumber(r)}]`).join(", ") : "No sign changes",
+    `f(${variable}) sampled at ${SCAN_SAMPLES + 1} points; a sign change between neighbours brackets a root (or a pole)`);
+
+  const roots = [...exact];
+  if (exact.length) {
+    addStep(steps, "Exact zeros on the grid", exact.map((x) => `f(${formatNumber(x)}) = 0`).join(", "), "These sample points are already roots");
+  }
+  const isRoot = (x) => {
+    const value = f(x);
+    return value !== null && Math.abs(value) < 1e-8 * Math.max(1, Math.abs(f(x + step)), Math.abs(f(x - step)));
+  };
+  brackets.forEach(([left, right]) => {
+    const { root: x, iterations, converged } = brentRoot(f, left, right, { tolerance: NUMERIC_TOLERANCE });
+    const accepted = converged && isRoot(x);
+    addStep(steps, `Brent's method on [${formatNumber(left)}, ${formatNumber(right)}]`,
+      iterationText(iterations, (it) => `${it.iteration}: ${variable} = ${it.x.toPrecision(12)}, f = ${it.fx.toExponential(3)} (${it.method})`),
+      accepted
+        ? `Converged after ${iterations.length} iterations: bracket width below ${NUMERIC_TOLERANCE} relative, |f(${variable})| = ${Math.abs(f(x)).toExponential(2)}`
+        : `Discarded: f(${variable}) does not approach 0 here, so the sign change comes from a pole or jump`);
+    if (accepted) roots.push(x);
+  });
+  // A touching root is also a critical point, where f' has a simple root that Newton finds to full precision
+  const curvature = (x) => {
+    const h = 1e-6 * Math.max(1, Math.abs(x));
+    const [left, right] = [df(x - h), df(x + h)];
+    return left === null || right === null ? null : (right - left) / (2 * h);
+  };
+  dips.forEach((start) => {
+    if (Math.abs(f(start)) > 1e-2 * Math.max(1, ...[a, b].map((x) => Math.abs(f(x)) || 0))) return;
+    const { root: x, iterations, converged } = newtonRoot(df, curvature, start, { tolerance: NUMERIC_TOLERANCE });
+    if (!converged || Math.abs(x - start) > step || !isRoot(x)) return;
+    addStep(steps, `Newton's method on f'(${variable}) from ${variable} = ${formatNumber(start)}`,
+      iterationText(iterations, (it) => `${it.iteration}: ${variable} = ${it.x.toPrecision(12)}, f' = ${it.fx.toExponential(3)}`),
+      `|f| dips to 0 without changing sign, so the root is also a critical point; converged after ${iterations.length} iterations with f(${variable}) = ${f(x).toExponential(2)}`);
+    roots.push(x);
+  });
+
+  return roots
+    .sort((p, q) => p - q)
+    .filter((x, i, all) => i === 0 || Math.abs(x - all[i - 1]) > 1e-8 * Math.max(1, Math.abs(x)));
+};
+
+// Numeric solution of expression = 0 on [a, b]; without an interval, search [-10, 10] and then [-100, 100]
+const solveNumericEquation = (expression, variable, interval, steps) => {
+  const node = tidy(normalizeFunctions(expression));
+  const f = numericFunction(node, variable);
+  const df = slopeFunction(node, variable, f);
+  addStep(steps, "Numeric method", `f(${variable}) = ${node.toString()} = 0`, `No closed form: the equation is not a polynomial in ${variable}, so its roots are located numerically`);
+
+  let searched = interval || DEFAULT_INTERVAL;
+  if (!(searched[0] < searched[1])) throw new Error("The search interval must satisfy a < b");
+  addStep(steps, "Search interval", `[${formatNumber(searched[0])}, ${formatNumber(searched[1])}]`,
+    interval ? "Interval given in the input" : "No interval given, so search a default window; pass solve(f = g, x, a, b) to choose one");
+  let roots = findRootsInInterval(f, df, searched, variable, steps);
+  if (!roots.length && !interval) {
+    searched = WIDE_INTERVAL;
+    addStep(steps, "Widen the search", `[${formatNumber(searched[0])}, ${formatNumber(searched[1])}]`, "No roots in the default window");
+    roots = findRootsInInterval(f, df, searched, variable, steps);
+  }
+
+  const range = `[${formatNumber(searched[0])}, ${formatNumber(searched[1])}]`;
+  if (!roots.length) {
+    addStep(steps, "No roots found", `f(${variable}) ≠ 0 on ${range}`, "Roots outside the interval, or complex roots, are not found by this method");
+    return { roots: [], answer: `No real roots found in ${range}`, interval: searched, tolerance: NUMERIC_TOLERANCE };
+  }
+  const texts = roots.map((x) => formatNumber(x));
+  addStep(steps, "Solutions", texts.join(", "), `${roots.length} root(s) in ${range}, each to a relative tolerance of ${NUMERIC_TOLERANCE}`);
+  return {
+    roots: roots.map((x, i) => root(x, 0, texts[i])),
+    answer: `${variable} ≈ ${texts.join(", ")}`,
+    interval: searched,
+    tolerance: NUMERIC_TOLERANCE
+  };
+};
+
+// Split "lhs = rhs" into lhs - (rhs); leaves expressions without "=" alone
+const toZeroForm = (equation) => {
+  const parts = equation.split(/(?<![<>!=])=(?!=)/);
+  if (parts.length === 1) return equation.trim();
+  if (parts.length > 2) throw new Error("An equation can contain only one '=' sign");
+  const [left, right] = parts.map((p) => p.trim());
+  if (!left || !right) throw new Error("Both sides of the equation are required");
+  return right === "0" ? left : `${left} - (${right})`;
+};
+
+module.exports = {
+  solvePolynomialEquation,
+  solveLiteralEquation,
+  solveNumericEquation,
+  toZeroForm,
+  complexText
+};
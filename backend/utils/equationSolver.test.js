@@ -0,0 +1,123 @@
+// backend/utils/equationSolver.test.js
+// Regression tests for the equation solver: rational roots, the exact Cardano, cosine and Ferrari forms
+// shown next to the decimals for cubics and quartics, and numeric root finding for transcendental equations
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluate } = require("mathjs");
+const { solvePolynomialEquation, solveNumericEquation, toZeroForm } = require("./equationSolver");
+const { solveMathExpression } = require("./mathSolver");
+
+const solve = (expression, steps = []) => solvePolynomialEquation(expression, "x", steps);
+
+// Every exact form must evaluate to the numeric root it is attached to
+const assertExactMatches = (roots) => {
+  roots.filter((r) => r.exact).forEach((r) => {
+    const value = evaluate(r.exact);
+    const [re, im] = typeof value === "number" ? [value, 0] : [value.re, value.im];
+    assert.ok(Math.hypot(re - r.re, im - r.im) < 1e-9, `${r.exact} does not evaluate to ${r.text}`);
+  });
+};
+
+test("rational roots and quadratics keep their exact text", () => {
+  assert.equal(solve("x^3 - 6*x^2 + 11*x - 6").answer, "x = 1, 2, 3");
+  assert.equal(solve("x^2 - 2").answer, "x = -sqrt(2), sqrt(2)");
+  assert.equal(solve("x^4 - 5*x^2 + 4").answer, "x = -2, -1, 1, 2");
+});
+
+test("Cardano's formula gives the exact real root of x^3 + x + 1", () => {
+  const steps = [];
+  const { roots, answer } = solve("x^3 + x + 1", steps);
+  const [real] = roots;
+  assert.equal(real.exact, "cbrt(-1/2 + sqrt(93)/18) + cbrt(-1/2 - sqrt(93)/18)");
+  assert.equal(real.text, "-0.6823278038");
+  assert.match(answer, /^x = cbrt\(-1\/2 \+ sqrt\(93\)\/18\) \+ cbrt\(-1\/2 - sqrt\(93\)\/18\) ≈ -0\.6823278038, /);
+  assert.ok(roots.slice(1).every((r) => r.exact && r.im !== 0));
+  assert.match(steps.find((s) => s.description === "Cardano's formula").expression, /≈ -0\.6823278038$/);
+  assertExactMatches(roots);
+});
+
+test("pure cube roots stay the root text", () => {
+  const { roots } = solve("x^3 - 2");
+  assert.equal(roots[0].text, "cbrt(2)");
+  assert.equal(roots[0].exact, undefined);
+  assertExactMatches(roots);
+});
+
+test("three real roots get the cosine form", () => {
+  const { roots } = solve("x^3 - 3*x + 1");
+  assert.equal(roots.length, 3);
+  roots.forEach((r) => assert.match(r.exact, /^2\*cos\(acos\(-1\/2\)\/3( - [24]\*pi\/3)?\)$/));
+  assertExactMatches(roots);
+});
+
+test("Ferrari's method carries the exact resolvent root into the quartic roots", () => {
+  const steps = [];
+  const { roots } = solve("x^4 + 4*x^3 + x + 1", steps);
+  assert.equal(roots.length, 4);
+  assert.ok(roots.every((r) => /cbrt\(17\/8\)/.test(r.exact)));
+  assert.match(steps.find((s) => s.description === "Ferrari's resolvent cubic").expression, /m = cbrt\(17\/8\) \+ 2 ≈ 3\.285640795/);
+  assertExactMatches(roots);
+  assertExactMatches(solve("x^4 + x + 1").roots);
+});
+
+const solveNumeric = (equation, interval = null, steps = []) => solveNumericEquation(toZeroForm(equation), "x", interval, steps);
+
+test("Brent's method finds every sign change in the default window", () => {
+  const steps = [];
+  const result = solveNumeric("cos(x) = x", null, steps);
+  assert.equal(result.answer, "x ≈ 0.7390851332");
+  assert.equal(result.tolerance, 1e-12);
+  assert.deepEqual(result.interval, [-10, 10]);
+  assert.ok(steps.some((s) => /^Brent's method on/.test(s.description) && /^Converged after \d+ iterations/.test(s.explanation)));
+  assert.deepEqual(solveNumeric("e^x = 3*x").roots.map((r) => r.text), ["0.6190612867", "1.512134552"]);
+});
+
+test("roots that touch zero without crossing are found with Newton's method", () => {
+  const steps = [];
+  assert.equal(solveNumeric("(x^2 - 2)^2*e^x = 0", null, steps).answer, "x ≈ -sqrt(2), sqrt(2)");
+  assert.equal(steps.filter((s) => /^Newton's method on f'/.test(s.description)).length, 2);
+  assert.ok(!steps.some((s) => /^Brent's method/.test(s.description)));
+});
+
+test("a given interval is searched as is and poles are not reported as roots", () => {
+  assert.deepEqual(solveNumeric("x - cos(x) = 1", [-5, 5]).interval, [-5, 5]);
+  const pole = solveNumeric("1/x = 0");
+  assert.equal(pole.roots.length, 0);
+  assert.equal(pole.answer, "No real roots found in [-100, 100]");
+  assert.throws(() => solveNumeric("cos(x) = x", [3, 1]), /a < b/);
+});
+
+test("solve(...) falls back to the numeric mode for transcendental equations", () => {
+  const result = solveMathExpression("solve(cos(x) = x, x)");
+  assert.equal(result.type, "equation-numeric");
+  assert.equal(result.finalAnswer, "x ≈ 0.7390851332");
+  assert.equal(result.tolerance, 1e-12);
+});
+
+test("letters as coefficients give the roots in terms of them", () => {
+  const linear = solveMathExpression("solve(a*x + b, x)");
+  assert.equal(linear.type, "equation-symbolic");
+  assert.equal(linear.finalAnswer, "x = -b / a (for a ≠ 0)");
+  assert.equal(linear.verified, true);
+  assert.equal(solveMathExpression("solve(a*x^2 + b*x + c = 0, x)").finalAnswer,
+    "x = (-b - sqrt(b ^ 2 - 4 * a * c)) / (2 * a), (-b + sqrt(b ^ 2 - 4 * a * c)) / (2 * a) (for a ≠ 0)");
+  assert.equal(solveMathExpression("solve(x^2 = a, x)").finalAnswer, "x = -sqrt(a), sqrt(a)");
+  assert.equal(solveMathExpression("solve(2*x = k, x)").finalAnswer, "x = k / 2");
+  assert.equal(solveMathExpression("solve(a*x - a*b = 0, x)").finalAnswer, "x = b (for a ≠ 0)");
+  assert.match(solveMathExpression("solve(sin(a*x) = 0, x)").error, /^Symbolic coefficients \(a\) are only supported in linear and quadratic equations/);
+});
+
+test("a variable missing from the equation is reported", () => {
+  assert.equal(solveMathExpression("solve(x^2 + 2x, y)").error, "y does not appear in the equation, which contains x");
+  assert.equal(solveMathExpression("solve(5 = 5, x)").finalAnswer, "All real numbers satisfy the equation");
+});
+
+test("exact roots are kept only inside a given interval", () => {
+  const result = solveMathExpression("solve(x^2 = 4, x, 0, 5)");
+  assert.equal(result.finalAnswer, "x = 2");
+  assert.deepEqual(result.roots.map((r) => r.value), ["2"]);
+  assert.equal(result.steps.find((s) => s.description === "Restrict to the interval").expression, "Discard x = -2");
+  assert.equal(solveMathExpression("solve(x^3 - 2x = 0, x, 0, 2)").finalAnswer, "x = 0, sqrt(2)");
+  assert.equal(solveMathExpression("solve(x^2 = -4, x, -5, 5)").finalAnswer, "No real roots in [-5, 5]");
+  assert.equal(solveMathExpression("solve(e^(2x) - 5e^x + 6 = 0, x, 0, 1)").finalAnswer, "x = log(2)");
+});
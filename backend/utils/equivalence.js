@@ -0,0 +1,184 @@
+// backend/utils/equivalence.js
+// Whether two expressions are equal: symbolic simplification of their difference first, then seeded
+// random sampling over the points where both are defined, with a counterexample when they differ
+const { parse, OperatorNode } = require("mathjs");
+const { normalizeFunctions, tidy, simplifyNode, formatNumber } = require("./expressionUtils");
+const { createStep, createSuccessResult, createErrorResult } = require("./solverHelpers");
+const { expandExpression } = require("./algebraSolver");
+
+const SAMPLE_COUNT = 60;
+const MIN_SAMPLES = 12;
+const MAX_ATTEMPTS = 400;
+const RELATIVE_TOLERANCE = 1e-8;
+// Tried before the random points so a counterexample is easy to read
+const SIMPLE_VALUES = [1, 2, -1, 0.5, 3, -2, 0, 1.5, -0.5, 5];
+const SCALES = [1, 10, 0.1];
+const CONSTANTS = ["pi", "e", "i", "Infinity"];
+
+// mulberry32 with a fixed seed, so a given pair always gets the same verdict and counterexample
+const seededRandom = (seed = 0x2f6b1d3) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const freeSymbols = (...nodes) => [...new Set(nodes.flatMap((node) =>
+  node.filter((n, path, parent) => n.isSymbolNode && !(parent && parent.isFunctionNode && path === "fn") && !CONSTANTS.includes(n.name))
+    .map((n) => n.name)))].sort();
+
+// A finite real value, or null where the expression is undefined or complex (sqrt(-1), log(0), 1/0)
+const realValue = (compiled, scope) => {
+  try {
+    const value = compiled.evaluate(scope);
+    if (typeof value === "number") return isFinite(value) ? value : null;
+    if (value && value.isComplex) return Math.abs(value.im) < 1e-12 && isFinite(value.re) ? value.re : null;
+    if (value && typeof value.toNumber === "function") return value.toNumber();
+    return null;
+  } catch {
+    return null;
+  }
+};
+
+// Relative to the larger value, or to the largest term of a sum or function argument inside either expression:
+// their rounding errors survive cancellation (sin(pi) is 1.2e-16, not 0), while 1e-9*x really differs from 0
+const close = (a, b, scale) => Math.abs(a - b) <= RELATIVE_TOLERANCE * Math.max(Math.abs(a), Math.abs(b), scale);
+
+const roundoffOperands = (...nodes) => nodes.flatMap((node) =>
+  node.filter((n) => (n.isOperatorNode && (n.fn === "add" || n.fn === "subtract")) || n.isFunctionNode).flatMap((n) => n.args))
+  .map((n) => n.compile());
+
+// Simple points first (each variable offset through SIMPLE_VALUES), then random ones at mixed scales
+const samplePoints = (variables) => {
+  const random = seededRandom();
+  const points = SIMPLE_VALUES.map((_, k) =>
+    Object.fromEntries(variables.map((name, j) => [name, SIMPLE_VALUES[(k + 3 * j) % SIMPLE_VALUES.length]])));
+  for (let k = 0; points.length < MAX_ATTEMPTS; k++) {
+    points.push(Object.fromEntries(variables.map((name) => [name, (2 * random() - 1) * SCALES[k % SCALES.length]])));
+  }
+  return points;
+};
+
+// Two values that differ, in text that shows the difference: formatNumber rounds 1e-20 to 0
+const differenceText = (a, b) => (formatNumber(a) === formatNumber(b)
+  ? `${parseFloat(a.toPrecision(10))} ≠ ${parseFloat(b.toPrecision(10))}`
+  : `${formatNumber(a)} ≠ ${formatNumber(b)}`);
+
+const pointText = (point) => Object.entries(point).map(([name, value]) => `${name} = ${formatNumber(value)}`).join(", ");
+
+// Compare the two at sample points where both are real: { tested, counterexample, domainMismatch }
+const compareSamples = (first, second, variables) => {
+  const [f, g] = [first.compile(), second.compile()];
+  const operands = roundoffOperands(first, second);
+  const points = variables.length ? samplePoints(variables) : [{}];
+  let tested = 0;
+  let domainMismatch = null;
+  for (const point of points) {
+    if (tested >= SAMPLE_COUNT) break;
+    const [a, b] = [realValue(f, point), realValue(g, point)];
+    if (a === null || b === null) {
+      if (a !== b && !domainMismatch) domainMismatch = { point, definedFor: a === null ? "second" : "first" };
+      continue;
+    }
+    tested++;
+    const scale = Math.max(0, ...operands.map((operand) => Math.abs(realValue(operand, point) || 0)));
+    if (!close(a, b, scale)) return { tested, counterexample: { point, first: a, second: b }, domainMismatch };
+  }
+  return { tested, counterexample: null, domainMismatch };
+};
+
+const isZeroNode = (node) => node.isConstantNode && node.value === 0;
+
+// Non-integer number literals as written (0.5, 0.3333333333333, 1e-20)
+const decimalLiterals = (...nodes) => [...new Set(nodes.flatMap((node) =>
+  node.filter((n) => n.isConstantNode && typeof n.value === "number" && !Number.isInteger(n.value)).map((n) => n.toString())))];
+
+// Decide whether two expressions are mathematically equal
+const checkEquivalence = (firstText, secondText) => {
+  try {
+    // tidy() folds 1e-20*x to 0, so the literals, the variables and the numeric comparison use the input as written
+    const written = [firstText, secondText].map((text) => normalizeFunctions(parse(text)));
+    const [first, second] = written.map((node) => tidy(node));
+    const steps = [createStep(1, "Expressions", `${first} and ${second}`, "Decide whether the two expressions are equal")];
+    const variables = freeSymbols(...written);
+
+    // 1. Symbolic: a difference that simplifies to 0 proves the identity, but only for exact inputs, since simplify()
+    // folds 1/3 - 0.3333333333333 into a float and the expansion rounds that to 0
+    const subtraction = new OperatorNode("-", "subtract", [first, second]);
+    const difference = simplifyNode(subtraction);
+    steps.push(createStep(2, "Simplify the difference", `${subtraction} = ${difference}`, "Expressions are equal when their difference simplifies to 0"));
+    const decimals = decimalLiterals(...written);
+    if (decimals.length) {
+      steps.push(createStep(3, "Decimal literals", decimals.join(", "), "Decimals are rounded values, so a zero difference proves nothing; compare the expressions numerically instead"));
+    } else {
+      // simplify() leaves (x + 1)^2 - (x^2 + 2x + 1) alone, so multiply out a polynomial difference as well
+      const expanded = isZeroNode(difference) ? "0" : expandExpression(difference.toString(), []).answer;
+      if (!isZeroNode(difference) && expanded === "0") {
+        steps.push(createStep(3, "Expand the difference", `${difference} = 0`, "Multiplying out and collecting like terms cancels everything"));
+      }
+      if (expanded === "0") {
+        return {
+          ...createSuccessResult(steps, "Equivalent: the difference simplifies to 0", "equivalence"),
+          equivalent: true,
+          confidence: "certain",
+          method: "symbolic",
+          variables
+        };
+      }
+    }
+
+    // 2. Numeric: evaluate both on sample points in their common domain
+    const { tested, counterexample, domainMismatch } = compareSamples(...written, variables);
+    const where = variables.length ? `${tested} sample points` : "the constant values";
+    if (domainMismatch) {
+      const [defined, undefinedOne] = domainMismatch.definedFor === "first" ? ["first", "second"] : ["second", "first"];
+      steps.push(createStep(steps.length + 1, "Compare domains", pointText(domainMismatch.point),
+        `The ${defined} expression is defined here but the ${undefinedOne} is not, so only points in both domains are compared`));
+    }
+    const base = { variables, method: "numeric", samples: tested, domainMismatch };
+    if (counterexample) {
+      const detail = differenceText(counterexample.first, counterexample.second);
+      const at = variables.length ? `at ${pointText(counterexample.point)}: ` : "";
+      steps.push(createStep(steps.length + 1, "Counterexample", `${at}${detail}`, "The expressions take different values"));
+      return {
+        ...createSuccessResult(steps, `Not equivalent: ${at}${detail}`, "equivalence"),
+        ...base,
+        equivalent: false,
+        confidence: "certain",
+        counterexample
+      };
+    }
+    if (!tested) {
+      steps.push(createStep(steps.length + 1, "Sample", "no common points", "No sample point lies in both domains"));
+      return {
+        ...createSuccessResult(steps, "Undecided: no sample point where both expressions are defined", "equivalence"),
+        ...base,
+        equivalent: null,
+        confidence: "unknown",
+        counterexample: null
+      };
+    }
+    // Agreement on many random points is strong evidence, not a proof
+    const confidence = tested >= MIN_SAMPLES || !variables.length ? "high" : "low";
+    steps.push(createStep(steps.length + 1, "Sample", `agree on ${where}`, `Evaluated both expressions where both are defined (relative tolerance ${RELATIVE_TOLERANCE})`));
+    return {
+      ...createSuccessResult(steps, `Equivalent${domainMismatch ? " where both are defined" : ""} (numerically, ${confidence} confidence): agree on ${where}`, "equivalence"),
+      ...base,
+      equivalent: true,
+      confidence,
+      counterexample: null
+    };
+  } catch (error) {
+    return createErrorResult("equivalence", error);
+  }
+};
+
+module.exports = {
+  checkEquivalence,
+  compareSamples,
+  freeSymbols,
+  pointText
+};
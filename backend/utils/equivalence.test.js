@@ -0,0 +1,70 @@
+// backend/utils/equivalence.test.js
+// Regression tests for equivalence checking: symbolic proofs for exact inputs, numeric sampling for
+// identities simplify() misses and for decimals, domain mismatches and counterexamples
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkEquivalence } = require("./equivalence");
+const { expandExpression } = require("./algebraSolver");
+
+const verdict = (first, second) => {
+  const { equivalent, confidence, method } = checkEquivalence(first, second);
+  return { equivalent, confidence, method };
+};
+
+test("a difference that simplifies or expands to 0 is a proof", () => {
+  assert.deepEqual(verdict("(x+1)^2", "x^2 + 2*x + 1"), { equivalent: true, confidence: "certain", method: "symbolic" });
+  assert.deepEqual(verdict("x^2/3 + x/3", "x*(x+1)/3"), { equivalent: true, confidence: "certain", method: "symbolic" });
+  assert.deepEqual(verdict("1/2 + 1/3", "5/6"), { equivalent: true, confidence: "certain", method: "symbolic" });
+  const steps = checkEquivalence("(x+y)^3", "x^3 + 3*x^2*y + 3*x*y^2 + y^3").steps;
+  assert.equal(steps[steps.length - 1].description, "Expand the difference");
+});
+
+test("decimal literals are compared numerically, never proved", () => {
+  const result = checkEquivalence("1/3", "0.3333333333333");
+  assert.equal(result.equivalent, true);
+  assert.equal(result.confidence, "high");
+  assert.equal(result.method, "numeric");
+  assert.equal(result.steps.find((s) => s.description === "Decimal literals").expression, "0.3333333333333");
+  assert.deepEqual(verdict("0.5*x", "x/2"), { equivalent: true, confidence: "high", method: "numeric" });
+  assert.equal(checkEquivalence("1/3", "0.33").finalAnswer, "Not equivalent: 1/3 ≠ 33/100");
+});
+
+test("tiny exact coefficients are not rounded away in the expansion", () => {
+  assert.equal(verdict("x/10000000000000", "0").method, "numeric");
+  assert.equal(expandExpression("3*x/10 - 0.3*x", []).answer, "0");
+});
+
+test("tiny coefficients are literals and differences, whatever tidy() folds", () => {
+  // tidy() folds 1e-20*x to 0; the literal is still seen and the expressions are compared as written
+  const folded = checkEquivalence("x + 1e-20*x", "x");
+  assert.equal(folded.method, "numeric");
+  assert.equal(folded.steps.find((s) => s.description === "Decimal literals").expression, "1e-20");
+  assert.equal(checkEquivalence("1e-20*x", "0").finalAnswer, "Not equivalent: at x = 1: 1e-20 ≠ 0");
+  assert.deepEqual(verdict("1e-9*x", "0"), { equivalent: false, confidence: "certain", method: "numeric" });
+  assert.equal(verdict("x/10000000000000", "0").equivalent, false);
+  // Rounding in the terms of a sum or a function argument is not a difference
+  assert.deepEqual(verdict("sin(x + pi) + sin(x)", "0"), { equivalent: true, confidence: "high", method: "numeric" });
+  assert.equal(verdict("log(x*1e10) - log(1e10)", "log(x)").equivalent, true);
+});
+
+test("identities simplify() misses are confirmed by sampling", () => {
+  const result = checkEquivalence("sin(x)^2 + cos(x)^2", "1");
+  assert.deepEqual([result.equivalent, result.confidence, result.samples], [true, "high", 60]);
+  assert.equal(verdict("sin(2*x)", "2*sin(x)*cos(x)").confidence, "high");
+});
+
+test("counterexamples are reported at a readable point", () => {
+  const result = checkEquivalence("sqrt(x^2)", "x");
+  assert.equal(result.equivalent, false);
+  assert.equal(result.finalAnswer, "Not equivalent: at x = -1: 1 ≠ -1");
+  assert.deepEqual(result.counterexample, { point: { x: -1 }, first: 1, second: -1 });
+});
+
+test("different domains are compared where both are defined", () => {
+  const result = checkEquivalence("log(x^2)", "2*log(x)");
+  assert.match(result.finalAnswer, /^Equivalent where both are defined/);
+  assert.deepEqual(result.domainMismatch, { point: { x: -1 }, definedFor: "first" });
+  const disjoint = checkEquivalence("sqrt(-x)", "log(x)");
+  assert.deepEqual([disjoint.equivalent, disjoint.confidence], [null, "unknown"]);
+  assert.match(checkEquivalence("x +", "x").error, /Unexpected end of expression/);
+});
@@ -0,0 +1,317 @@
+// backend/utils/exactArithmetic.js
+// Exact evaluation of numeric expressions as sums of rational multiples of square and cube roots and integer powers
+// of e and pi (Fraction/BigInt based), plus decimal evaluation with BigNumber at a chosen number of decimal places
+const { create, all, fraction } = require("mathjs");
+const { toNode, stripParentheses, hasFreeSymbols } = require("./expressionUtils");
+
+const OUTPUT_MODES = ["exact", "decimal", "both"];
+const DEFAULT_PRECISION = 10;
+const MAX_PRECISION = 64;
+const MAX_EXPONENT = 4096;
+const MAX_FACTORIAL = 2000;
+const MAX_TERMS = 16;
+// Trial division bound when pulling square or cube factors out of a radicand
+const SQUARE_SEARCH = 100000n;
+
+const bigMath = create(all, { number: "BigNumber", precision: MAX_PRECISION + 20 });
+
+// ---- square roots of BigInts ----
+
+const integerSqrt = (n) => {
+  if (n < 2n) return n;
+  let x = BigInt(Math.floor(Math.sqrt(Number(n))));
+  while (x * x > n) x--;
+  while ((x + 1n) * (x + 1n) <= n) x++;
+  return x;
+};
+
+// n = outside^2 * inside with inside square-free (as far as trial division and a final perfect-square check go)
+const splitSquare = (n) => {
+  let outside = 1n;
+  let inside = n;
+  for (let f = 2n; f * f <= inside && f <= SQUARE_SEARCH; f++) {
+    while (inside % (f * f) === 0n) {
+      inside /= f * f;
+      outside *= f;
+    }
+  }
+  const root = integerSqrt(inside);
+  if (root * root === inside) return { outside: outside * root, inside: 1n };
+  return { outside, inside };
+};
+
+const integerCbrt = (n) => {
+  if (n < 2n) return n;
+  let x = BigInt(Math.round(Math.cbrt(Number(n))));
+  while (x * x * x > n) x--;
+  while ((x + 1n) * (x + 1n) * (x + 1n) <= n) x++;
+  return x;
+};
+
+// n = outside^3 * inside with inside cube-free, for n > 0
+const splitCube = (n) => {
+  let outside = 1n;
+  let inside = n;
+  for (let f = 2n; f * f * f <= inside && f <= SQUARE_SEARCH; f++) {
+    while (inside % (f * f * f) === 0n) {
+      inside /= f * f * f;
+      outside *= f;
+    }
+  }
+  const root = integerCbrt(inside);
+  if (root * root * root === inside) return { outside: outside * root, inside: 1n };
+  return { outside, inside };
+};
+
+// ---- exact values: [{ coefficient: Fraction, radicand, cube: BigInt, e, pi: integer }] meaning
+// Σ coefficient·√radicand·∛cube·e^e·pi^pi ----
+
+const ONE = { radicand: 1n, cube: 1n, e: 0, pi: 0 };
+
+const rational = (value) => [{ ...ONE, coefficient: fraction(value) }];
+
+const isRationalTerm = ({ radicand, cube, e, pi }) => radicand === 1n && cube === 1n && e === 0 && pi === 0;
+const unitKey = ({ radicand, cube, e, pi }) => `${radicand}|${cube}|${e}|${pi}`;
+
+// The rational term first, then by the powers of pi and e, the cube root and the square root
+const compareTerms = (p, q) => {
+  const order = [isRationalTerm(q) - isRationalTerm(p), p.pi - q.pi, p.e - q.e];
+  const first = order.find((d) => d !== 0);
+  if (first) return first;
+  if (p.cube !== q.cube) return p.cube < q.cube ? -1 : 1;
+  return p.radicand < q.radicand ? -1 : p.radicand > q.radicand ? 1 : 0;
+};
+
+const normalise = (terms) => {
+  const merged = new Map();
+  terms.forEach((term) => {
+    const key = unitKey(term);
+    merged.set(key, merged.has(key) ? { ...term, coefficient: merged.get(key).coefficient.add(term.coefficient) } : term);
+  });
+  const result = [...merged.values()].filter(({ coefficient }) => coefficient.n !== 0n);
+  return result.length > MAX_TERMS ? null : result.sort(compareTerms);
+};
+
+const isRational = (terms) => terms.every(isRationalTerm);
+const rationalPart = (terms) => (terms.length ? terms[0].coefficient : fraction(0));
+
+const add = (p, q) => normalise([...p, ...q]);
+const negate = (p) => p.map((term) => ({ ...term, coefficient: term.coefficient.neg() }));
+
+const multiply = (p, q) => {
+  const terms = [];
+  p.forEach((a) => q.forEach((b) => {
+    const square = splitSquare(a.radicand * b.radicand);
+    const cube = splitCube(a.cube * b.cube);
+    terms.push({
+      coefficient: a.coefficient.mul(b.coefficient).mul(fraction(square.outside * cube.outside)),
+      radicand: square.inside,
+      cube: cube.inside,
+      e: a.e + b.e,
+      pi: a.pi + b.pi
+    });
+  }));
+  return normalise(terms);
+};
+
+// 1/(c√r∛s) = √r·∛(s²)/(c·r·s); 1/(a√r + b√s) = (a√r - b√s)/(a²r - b²s); anything longer has no exact form here
+const reciprocal = (p) => {
+  if (!p.length) throw new Error("Division by zero");
+  if (p.length === 1) {
+    const [{ coefficient, radicand, cube, e, pi }] = p;
+    const square = splitCube(cube * cube);
+    return [{
+      coefficient: fraction(square.outside).div(coefficient.mul(fraction(radicand)).mul(fraction(cube))),
+      radicand,
+      cube: square.inside,
+      e: -e,
+      pi: -pi
+    }];
+  }
+  if (p.length === 2) {
+    const [a, b] = p;
+    const conjugate = [a, { ...b, coefficient: b.coefficient.neg() }];
+    const norm = multiply(p, conjugate);
+    if (!norm || !isRational(norm)) return null;
+    return multiply(conjugate, rational(fraction(1).div(rationalPart(norm))));
+  }
+  return null;
+};
+
+const power = (base, exponent) => {
+  let result = rational(1);
+  let factor = base;
+  let n = Math.abs(exponent);
+  while (n > 0) {
+    if (n % 2 === 1) result = result && factor && multiply(result, factor);
+    n = Math.floor(n / 2);
+    if (n > 0) factor = factor && multiply(factor, factor);
+  }
+  return exponent < 0 && result ? reciprocal(result) : result;
+};
+
+// √(p/q) = √(p·q)/q for a non-negative rational
+const squareRoot = (terms) => {
+  if (!isRational(terms)) return null;
+  const value = rationalPart(terms);
+  if (value.s < 0n && value.n !== 0n) return null;
+  if (value.n === 0n) return [];
+  const { outside, inside } = splitSquare(value.n * value.d);
+  return [{ ...ONE, coefficient: fraction(outside).div(fraction(value.d)), radicand: inside }];
+};
+
+// ∛(p/q) = ∛(p·q²)/q, the real cube root, so ∛(-8) = -2
+const cubeRoot = (terms) => {
+  if (!isRational(terms)) return null;
+  const value = rationalPart(terms);
+  if (value.n === 0n) return [];
+  const { outside, inside } = splitCube(value.n * value.d * value.d);
+  const root = [{ ...ONE, coefficient: fraction(outside).div(fraction(value.d)), cube: inside }];
+  return value.s < 0n ? negate(root) : root;
+};
+
+// A whole number n from exact terms, or null
+const integerOf = (terms) => {
+  if (!isRational(terms)) return null;
+  const value = rationalPart(terms);
+  return value.d === 1n && value.n <= BigInt(MAX_EXPONENT) ? Number(value.n) * (value.s < 0n ? -1 : 1) : null;
+};
+
+const approximate = (terms) => terms.reduce((sum, { coefficient, radicand, cube, e, pi }) =>
+  sum + coefficient.valueOf() * Math.sqrt(Number(radicand)) * Math.cbrt(Number(cube)) * Math.E ** e * Math.PI ** pi, 0);
+
+const CONSTANTS = {
+  e: [{ ...ONE, coefficient: fraction(1), e: 1 }],
+  pi: [{ ...ONE, coefficient: fraction(1), pi: 1 }]
+};
+
+const FUNCTIONS = {
+  sqrt: (x) => squareRoot(x),
+  cbrt: (x) => cubeRoot(x),
+  // nthRoot(x, 2) and nthRoot(x, 3)
+  nthRoot: (x, n) => {
+    const degree = n ? integerOf(n) : 2;
+    return degree === 2 ? squareRoot(x) : degree === 3 ? cubeRoot(x) : null;
+  },
+  exp: (x) => {
+    const n = integerOf(x);
+    return n === null ? null : [{ ...ONE, coefficient: fraction(1), e: n }];
+  },
+  // log(e^n) = n, the only logarithms with an exact value here
+  log: (x, base) => {
+    if (base || x.length !== 1) return null;
+    const [{ coefficient, radicand, cube, e, pi }] = x;
+    return coefficient.equals(1) && radicand === 1n && cube === 1n && pi === 0 ? rational(e) : null;
+  },
+  abs: (x) => (approximate(x) < 0 ? negate(x) : x),
+  factorial: (x) => {
+    if (!isRational(x)) return null;
+    const n = rationalPart(x);
+    if (n.d !== 1n || n.s < 0n || n.n > BigInt(MAX_FACTORIAL)) return null;
+    let product = 1n;
+    for (let k = 2n; k <= n.n; k++) product *= k;
+    return rational(product);
+  }
+};
+
+// Exact value of a constant expression, or null when it leaves that form (sin(1), log(2), fourth roots...)
+const exactTerms = (expr) => {
+  const node = stripParentheses(toNode(expr));
+  if (node.isConstantNode) return typeof node.value === "number" && isFinite(node.value) ? normalise(rational(String(node.value))) : null;
+  if (node.isSymbolNode) return CONSTANTS[node.name] || null;
+  const args = node.args ? node.args.map(exactTerms) : [];
+  if (args.includes(null)) return null;
+  if (node.isFunctionNode) {
+    const fn = FUNCTIONS[node.fn.name];
+    return fn && args.length >= 1 && args.length <= fn.length ? fn(...args) : null;
+  }
+  if (!node.isOperatorNode) return null;
+  switch (node.fn) {
+    case "add": return args.reduce(add);
+    case "subtract": return add(args[0], negate(args[1]));
+    case "unaryMinus": return negate(args[0]);
+    case "unaryPlus": return args[0];
+    case "multiply": return args.reduce((p, q) => p && q && multiply(p, q));
+    case "divide": {
+      const inverse = reciprocal(args[1]);
+      return inverse && multiply(args[0], inverse);
+    }
+    case "factorial": return FUNCTIONS.factorial(args[0]);
+    case "pow": {
+      if (!isRational(args[1])) return null;
+      const exponent = rationalPart(args[1]);
+      if ((exponent.d === 2n || exponent.d === 3n) && exponent.n <= BigInt(MAX_EXPONENT)) {
+        const root = exponent.d === 2n ? squareRoot(args[0]) : cubeRoot(args[0]);
+        return root && power(root, Number(exponent.n) * (exponent.s < 0n ? -1 : 1));
+      }
+      if (exponent.d !== 1n || exponent.n > BigInt(MAX_EXPONENT)) return null;
+      return power(args[0], Number(exponent.n) * (exponent.s < 0n ? -1 : 1));
+    }
+    default: return null;
+  }
+};
+
+const powerText = (name, exponent) => (Math.abs(exponent) === 1 ? name : `${name}^${Math.abs(exponent)}`);
+
+// "2*sqrt(2)", "sqrt(3)/2", "-3*sqrt(5)/4", "1 + sqrt(2)", "2*cbrt(2)", "pi/(2*e)"
+const formatExact = (terms) => {
+  if (!terms.length) return "0";
+  // Lead with a positive term so that √2 - 1 is not written -1 + √2
+  const ordered = [...terms.filter(({ coefficient }) => coefficient.s > 0n), ...terms.filter(({ coefficient }) => coefficient.s < 0n)];
+  return ordered.map(({ coefficient, radicand, cube, e, pi }, index) => {
+    const negative = coefficient.s < 0n;
+    const magnitude = coefficient.abs();
+    const above = [
+      ...(radicand === 1n ? [] : [`sqrt(${radicand})`]),
+      ...(cube === 1n ? [] : [`cbrt(${cube})`]),
+      ...(pi > 0 ? [powerText("pi", pi)] : []),
+      ...(e > 0 ? [powerText("e", e)] : [])
+    ];
+    const below = [...(magnitude.d === 1n ? [] : [String(magnitude.d)]), ...(pi < 0 ? [powerText("pi", pi)] : []), ...(e < 0 ? [powerText("e", e)] : [])];
+    const numerator = [...(magnitude.n === 1n && above.length ? [] : [String(magnitude.n)]), ...above].join("*");
+    const text = below.length ? `${numerator}/${below.length > 1 ? `(${below.join("*")})` : below[0]}` : numerator;
+    if (index === 0) return `${negative ? "-" : ""}${text}`;
+    return `${negative ? " - " : " + "}${text}`;
+  }).join("");
+};
+
+// Exact text for a constant expression, or null
+const evaluateExact = (expr) => {
+  const node = toNode(expr);
+  if (hasFreeSymbols(node)) return null;
+  try {
+    const terms = exactTerms(node);
+    return terms ? formatExact(terms) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Decimal text with `places` digits after the point, trailing zeros dropped; integers keep every digit
+const evaluateDecimal = (text, places = DEFAULT_PRECISION) => {
+  try {
+    const value = bigMath.evaluate(text);
+    if (!bigMath.isBigNumber(value) || !value.isFinite()) return null;
+    if (value.isInteger()) return value.toFixed(0);
+    const fixed = value.toFixed(places);
+    return fixed.includes(".") ? fixed.replace(/\.?0+$/, "") : fixed;
+  } catch {
+    return null;
+  }
+};
+
+// { output, precision } from request options, with an error message for bad values
+const readOutputOptions = ({ output = "decimal", precision = DEFAULT_PRECISION } = {}) => {
+  if (!OUTPUT_MODES.includes(output)) return { error: `output must be one of ${OUTPUT_MODES.join(", ")}` };
+  const places = Number(precision);
+  if (!Number.isInteger(places) || places < 0 || places > MAX_PRECISION) return { error: `precision must be a whole number from 0 to ${MAX_PRECISION}` };
+  return { output, precision: places };
+};
+
+module.exports = {
+  OUTPUT_MODES,
+  DEFAULT_PRECISION,
+  evaluateExact,
+  evaluateDecimal,
+  readOutputOptions
+};
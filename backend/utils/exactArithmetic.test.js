@@ -0,0 +1,73 @@
+// backend/utils/exactArithmetic.test.js
+// Regression tests for exact arithmetic: fractions and simplified square roots, BigNumber decimals
+// at a chosen precision and the exact / decimal / both output modes of the solver
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateExact, evaluateDecimal, readOutputOptions } = require("./exactArithmetic");
+const { solveMathExpression } = require("./mathSolver");
+
+test("fractions stay fractions and square roots are simplified", () => {
+  assert.equal(evaluateExact("1/3 + 1/6"), "1/2");
+  assert.equal(evaluateExact("0.1 + 0.2"), "3/10");
+  assert.equal(evaluateExact("sqrt(8)"), "2*sqrt(2)");
+  assert.equal(evaluateExact("sqrt(1/2)"), "sqrt(2)/2");
+  assert.equal(evaluateExact("sqrt(3)/2 + sqrt(12)"), "5*sqrt(3)/2");
+  assert.equal(evaluateExact("(1 + sqrt(3))^2"), "4 + 2*sqrt(3)");
+});
+
+test("denominators with two radical terms are rationalised", () => {
+  assert.equal(evaluateExact("1/(1 + sqrt(2))"), "sqrt(2) - 1");
+  assert.equal(evaluateExact("1/(sqrt(2) + sqrt(3) + sqrt(5))"), null);
+});
+
+test("big integers keep every digit", () => {
+  assert.equal(evaluateExact("2^100"), "1267650600228229401496703205376");
+  assert.equal(evaluateExact("30!"), "265252859812191058636308480000000");
+  assert.equal(solveMathExpression("2^70", { output: "decimal" }).finalAnswer, "1180591620717411303424");
+});
+
+test("cube roots and powers of e and pi are exact too", () => {
+  assert.equal(evaluateExact("exp(1)"), "e");
+  assert.equal(evaluateExact("cbrt(16)"), "2*cbrt(2)");
+  assert.equal(evaluateExact("16^(1/3) + nthRoot(54, 3)"), "5*cbrt(2)");
+  assert.equal(evaluateExact("1/cbrt(2)"), "cbrt(4)/2");
+  assert.equal(evaluateExact("pi/(2*exp(1))"), "pi/(2*e)");
+  assert.equal(evaluateExact("log(e^3)"), "3");
+});
+
+test("other values have no exact form, and the exact output says so", () => {
+  assert.equal(evaluateExact("sin(1)"), null);
+  assert.equal(evaluateExact("log(2)"), null);
+  assert.equal(evaluateExact("x + 1"), null);
+  assert.equal(evaluateDecimal("pi", 20), "3.14159265358979323846");
+  const result = solveMathExpression("sin(1)", { output: "exact" });
+  assert.equal(result.finalAnswer, "0.8414709848 (no exact form found)");
+  assert.ok(result.steps.some((s) => s.description === "No exact form"));
+  assert.equal(solveMathExpression("exp(1)", { output: "exact" }).finalAnswer, "e");
+});
+
+test("decimals use BigNumber at the requested number of places", () => {
+  assert.equal(evaluateDecimal("sqrt(8)", 20), "2.8284271247461900976");
+  assert.equal(evaluateDecimal("1/3 + 1/6", 20), "0.5");
+  const result = solveMathExpression("sqrt(8)", { output: "both", precision: 30 });
+  assert.equal(result.finalAnswer, "2*sqrt(2) ≈ 2.828427124746190097603377448419");
+  assert.deepEqual(result.steps.slice(-2).map((s) => s.description), ["Exact value", "Numerical evaluation"]);
+});
+
+test("the output option picks the answer that is shown", () => {
+  const answers = ["exact", "decimal", "both"].map((output) => solveMathExpression("1/3 + 1/6", { output, precision: 4 }));
+  assert.deepEqual(answers.map((r) => r.finalAnswer), ["1/2", "0.5", "1/2 ≈ 0.5"]);
+  answers.forEach((r) => {
+    assert.equal(r.type, "arithmetic");
+    assert.equal(r.exact, "1/2");
+    assert.equal(r.decimal, "0.5");
+  });
+});
+
+test("output options are validated", () => {
+  assert.match(readOutputOptions({ output: "fraction" }).error, /output must be one of exact, decimal, both/);
+  assert.match(readOutputOptions({ precision: 65 }).error, /from 0 to 64/);
+  assert.match(readOutputOptions({ precision: 2.5 }).error, /whole number/);
+  assert.deepEqual(readOutputOptions({ output: "both", precision: "5" }), { output: "both", precision: 5 });
+  assert.deepEqual(readOutputOptions(), { output: "decimal", precision: 10 });
+});
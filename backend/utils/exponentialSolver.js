@@ -0,0 +1,333 @@
+// backend/utils/exponentialSolver.js
+// Exponential and logarithmic equations: taking logarithms, the substitution u = b^x, combining logs with the
+// product, quotient and power rules, and a domain check that rejects extraneous roots
+const { OperatorNode, ConstantNode } = require("mathjs");
+const { addStep, appendSteps } = require("./solverHelpers");
+const {
+  toNode,
+  normalizeFunctions,
+  stripParentheses,
+  tidy,
+  simplifyNode,
+  dependsOn,
+  evaluateNumber,
+  numericFunction,
+  isZero,
+  gcdInteger,
+  approximateFraction,
+  formatNumber,
+  isExactText,
+  foldConstants,
+  getFactors,
+  getTerms,
+  symbolNode,
+  freshSymbol
+} = require("./expressionUtils");
+const { linearCoefficients } = require("./polynomial");
+const { solvePolynomialEquation } = require("./equationSolver");
+
+// Highest power of u (or of a log argument) the substitution may produce
+const MAX_DEGREE = 8;
+const CHECK_TOLERANCE = 1e-8;
+const LOG_BASES = { log10: "10", log2: "2" };
+
+const isConstant = (node, variable) => !dependsOn(node, variable);
+
+// Constant base > 0 (other than 1) with an exponent linear in the variable: b^(p·x + q) and exp(p·x + q)
+const readExponential = (node, variable) => {
+  const n = stripParentheses(node);
+  let base;
+  let exponent;
+  if (n.isFunctionNode && n.fn.name === "exp" && n.args.length === 1) {
+    base = "e";
+    exponent = n.args[0];
+  } else if (n.isOperatorNode && n.fn === "pow" && isConstant(n.args[0], variable) && dependsOn(n.args[1], variable)) {
+    base = tidy(n.args[0]).toString();
+    exponent = n.args[1];
+  } else {
+    return null;
+  }
+  const value = evaluateNumber(base);
+  const line = linearCoefficients(exponent, variable);
+  if (value === null || !(value > 0) || isZero(value - 1) || !line) return null;
+  return { base, value, p: line.a, q: line.b, exponent: tidy(exponent).toString(), rate: line.a * Math.log(value) };
+};
+
+const exponentials = (node, variable) =>
+  node.filter((n) => dependsOn(n, variable) && readExponential(n, variable) !== null);
+
+// log(f), log(f, b), log10(f), log2(f) with a constant base
+const readLogarithm = (node, variable) => {
+  const n = stripParentheses(node);
+  if (!n.isFunctionNode || !dependsOn(n, variable)) return null;
+  const name = n.fn.name;
+  if (name === "log" && n.args.length === 1) return { argument: n.args[0], base: "e", value: Math.E };
+  if (name === "log" && n.args.length === 2 && isConstant(n.args[1], variable)) {
+    const base = tidy(n.args[1]).toString();
+    const value = evaluateNumber(base);
+    return value > 0 && !isZero(value - 1) ? { argument: n.args[0], base, value } : null;
+  }
+  if (LOG_BASES[name] && n.args.length === 1) return { argument: n.args[0], base: LOG_BASES[name], value: Number(LOG_BASES[name]) };
+  return null;
+};
+
+// A term as constant · one factor of the given kind; null when it has other variable factors
+const readTerm = ({ sign, node }, variable, reader) => {
+  const { numerator, denominator } = getFactors(node);
+  let coefficient = sign;
+  const found = [];
+  for (const factor of numerator) {
+    if (isConstant(factor, variable)) {
+      const value = evaluateNumber(factor);
+      if (value === null) return null;
+      coefficient *= value;
+    } else {
+      const read = reader(factor);
+      if (!read) return null;
+      found.push(read);
+    }
+  }
+  for (const factor of denominator) {
+    const value = isConstant(factor, variable) ? evaluateNumber(factor) : null;
+    if (value === null || value === 0) return null;
+    coefficient /= value;
+  }
+  return { coefficient, found };
+};
+
+const wrap = (text) => (/^[\w.]+$/.test(text) ? text : `(${text})`);
+// Like wrap, but a single power such as x^2 needs no brackets as a factor
+const wrapFactor = (text) => (/^[\w.]+(\^\w+)?$/.test(text) ? text : `(${text})`);
+const logText = (argument, base) => (base === "e" ? `log(${argument})` : `log(${argument}, ${base})`);
+
+// Solutions x (text and value), checked against the original equation
+const checkRoots = (node, variable, roots) => {
+  const f = numericFunction(node, variable);
+  return roots.filter(({ value }) => {
+    const residual = f(value);
+    return residual !== null && isZero(residual, CHECK_TOLERANCE * Math.max(1, Math.abs(value)));
+  });
+};
+
+const finish = (steps, variable, roots, rejected, kind) => {
+  const sorted = [...roots].sort((p, q) => p.value - q.value).filter((r, i, all) => i === 0 || !isZero(r.value - all[i - 1].value, 1e-9));
+  if (!sorted.length) {
+    addStep(steps, "No solution", rejected.length ? "Every candidate was rejected" : "No admissible value", "The equation has no real solution");
+    return { answer: "No solution", roots: [], rejected, kind };
+  }
+  const approximate = sorted.some(({ text }) => !isExactText(text));
+  const answer = `${variable} ${approximate ? "≈" : "="} ${sorted.map(({ text }) => text).join(", ")}`;
+  addStep(steps, "Solution", answer, `${sorted.length} solution(s)${rejected.length ? `; ${rejected.length} extraneous root(s) rejected` : ""}`);
+  return { answer, roots: sorted.map(({ value, text }) => ({ re: value, im: 0, text, multiplicity: 1 })), rejected, kind };
+};
+
+// The exact form when formatNumber finds one, then the symbolic form, then a decimal
+const solutionText = (value, symbolic) => {
+  const folded = formatNumber(value);
+  if (isExactText(folded)) return folded;
+  return symbolic && isExactText(symbolic) ? symbolic : folded;
+};
+
+// ---- exponential equations ----
+
+// A·b^(p·x + q) = C·d^(r·x + s): take logarithms of both sides and solve the linear equation in x
+const solveByLogarithms = (node, variable, steps) => {
+  const terms = getTerms(node);
+  if (terms.length !== 2) return null;
+  const sides = terms.map((term) => readTerm(term, variable, (factor) => readExponential(factor, variable)));
+  if (sides.includes(null) || !sides.some((side) => side.found.length)) return null;
+  const [left, right] = [sides[0], { ...sides[1], coefficient: -sides[1].coefficient }];
+  const signed = (sign, term) => (sign < 0 ? `-${wrap(tidy(term).toString())}` : tidy(term).toString());
+  addStep(steps, "Isolate", `${signed(terms[0].sign, terms[0].node)} = ${signed(-terms[1].sign, terms[1].node)}`, "One term on each side");
+
+  if (left.coefficient * right.coefficient <= 0) {
+    addStep(steps, "Compare signs", `${formatNumber(left.coefficient)}·(positive) = ${formatNumber(right.coefficient)}·(positive)`, "b^y > 0 for every y, so the two sides can never be equal");
+    return finish(steps, variable, [], [], "exponential");
+  }
+  // Both sides negative: multiply through by -1 before taking logarithms
+  const sign = left.coefficient < 0 ? -1 : 1;
+  const logSide = (side) => {
+    const parts = [];
+    const constant = sign * side.coefficient;
+    if (!isZero(constant - 1)) parts.push(`log(${formatNumber(constant)})`);
+    side.found.forEach(({ base, exponent }) => parts.push(base === "e" ? wrap(exponent) : `${wrap(exponent)}·log(${base})`));
+    return parts.length ? parts.join(" + ") : "0";
+  };
+  addStep(steps, "Take logarithms", `log(${signed(sign * terms[0].sign, terms[0].node)}) = log(${signed(-sign * terms[1].sign, terms[1].node)})`,
+    `Both sides are ${sign < 0 ? "negative; multiply by -1, then" : "positive, so"} take the natural logarithm of each`);
+  const several = sides.some((side) => side.found.length + (isZero(sign * side.coefficient - 1) ? 0 : 1) > 1);
+  addStep(steps, several ? "Product and power rules" : "Power rule", `${logSide(left)} = ${logSide(right)}`,
+    several ? "log(a·b) = log(a) + log(b) and log(b^y) = y·log(b)" : "log(b^y) = y·log(b)");
+
+  // (Σ p·ln b)·x + (ln A + Σ q·ln b) on each side
+  const linear = (side) => side.found.reduce((acc, { p, q, value }) => ({ a: acc.a + p * Math.log(value), b: acc.b + q * Math.log(value) }),
+    { a: 0, b: Math.log(sign * side.coefficient) });
+  const [l, r] = [linear(left), linear(right)];
+  const a = l.a - r.a;
+  const b = l.b - r.b;
+  if (isZero(a)) {
+    const identity = isZero(b);
+    addStep(steps, "No variable left", `${formatNumber(b)} = 0`, identity ? "The equation holds for every value" : "The equation is a contradiction");
+    return identity ? { answer: "All real numbers satisfy the equation", roots: [], rejected: [], kind: "exponential" } : finish(steps, variable, [], [], "exponential");
+  }
+  const value = -b / a;
+  // One exponential against a constant keeps an exact logarithm: x = (log_b(C/A) - q)/p
+  let symbolic = null;
+  const all = [...left.found, ...right.found];
+  if (all.length === 1) {
+    const [{ base, p, q }] = all;
+    const ratio = formatNumber(left.found.length ? right.coefficient / left.coefficient : left.coefficient / right.coefficient);
+    if (isExactText(ratio)) symbolic = simplifyNode(`(${logText(ratio, base)} - ${wrap(formatNumber(q))}) / ${wrap(formatNumber(p))}`).toString();
+  }
+  const text = solutionText(value, symbolic);
+  addStep(steps, `Solve for ${variable}`, `${variable} = ${text}${isExactText(text) && !isExactText(formatNumber(value)) ? ` ≈ ${formatNumber(value)}` : ""}`,
+    `Linear in ${variable}: divide by its coefficient ${formatNumber(a)}`);
+  return finish(steps, variable, checkRoots(node, variable, [{ value, text }]), [], "exponential");
+};
+
+// Sums of b^(k·x) with integer k: a polynomial in u = b^x
+const solveBySubstitution = (node, variable, steps) => {
+  const found = exponentials(node, variable).map((n) => ({ node: n, ...readExponential(n, variable) }));
+  if (!found.length) return null;
+  // u is the exponential with the slowest rate; every other rate must be an integer multiple of it
+  const unit = found.reduce((best, e) => (Math.abs(e.rate) < Math.abs(best.rate) ? e : best));
+  const rate = Math.abs(unit.rate);
+  const p = unit.rate < 0 ? -unit.p : unit.p;
+  const powers = found.map((e) => e.rate / rate);
+  if (!powers.every((k) => isZero(k - Math.round(k), 1e-9) && Math.abs(Math.round(k)) <= MAX_DEGREE)) return null;
+
+  const u = freshSymbol(node, "u");
+  const uText = `${unit.base}^${wrap(simplifyNode(`${formatNumber(p)} * ${variable}`).toString())}`;
+  // b^(p·x + q) = b^q·u^k
+  const substituted = node.transform((n) => {
+    if (!dependsOn(n, variable)) return n;
+    const read = readExponential(n, variable);
+    if (!read) return n;
+    const k = Math.round(read.rate / rate);
+    const power = k === 1 ? symbolNode(u) : new OperatorNode("^", "pow", [symbolNode(u), new ConstantNode(k)]);
+    if (isZero(read.q)) return power;
+    const scale = foldConstants(new OperatorNode("^", "pow", [toNode(read.base), new ConstantNode(read.q)]));
+    return new OperatorNode("*", "multiply", [scale, power]);
+  });
+  if (dependsOn(substituted, variable)) return null;
+  const scratch = [];
+  const solution = solvePolynomialEquation(substituted, u, scratch);
+  if (!solution || solution.degree <= 0) return null;
+  addStep(steps, "Substitute", `${u} = ${uText}: ${tidy(substituted).toString()} = 0`, `Every exponential is a power of ${uText}, so the equation is a polynomial in ${u}`);
+  appendSteps(steps, scratch);
+
+  const real = solution.roots.filter((r) => r.im === 0);
+  const positive = real.filter((r) => r.re > 0);
+  const rejected = real.filter((r) => r.re <= 0).map((r) => r.text);
+  if (rejected.length) addStep(steps, "Reject", rejected.map((text) => `${u} = ${text}`).join("\n"), `${uText} > 0 for every ${variable}, so these give no solution`);
+  if (!positive.length) return finish(steps, variable, [], rejected, "exponential");
+
+  const roots = positive.map((r) => {
+    const value = Math.log(r.re) / rate;
+    const symbolic = isExactText(r.text) ? simplifyNode(`${logText(r.text, unit.base)} / ${wrap(formatNumber(p))}`).toString() : null;
+    return { value, text: solutionText(value, symbolic) };
+  });
+  addStep(steps, "Take logarithms", positive.map((r, i) => `${uText} = ${r.text} ⇒ ${variable} = ${roots[i].text}`).join("\n"),
+    `b^y = c ⇔ y = log_b(c) for c > 0`);
+  return finish(steps, variable, checkRoots(node, variable, roots), rejected, "exponential");
+};
+
+// ---- logarithmic equations ----
+
+const solveLogarithmic = (node, variable, steps) => {
+  const raw = getTerms(node);
+  const terms = raw.map((term) => readTerm(term, variable, (factor) => readLogarithm(factor, variable)));
+  if (terms.includes(null) || terms.some(({ found }) => found.length > 1) || !terms.some(({ found }) => found.length)) return null;
+  const logs = terms.filter(({ found }) => found.length).map(({ coefficient, found: [log] }) => ({ coefficient, ...log, text: tidy(log.argument).toString() }));
+  const constant = terms.filter(({ found }) => !found.length).reduce((sum, { coefficient }) => sum + coefficient, 0);
+  const { base, value: baseValue } = logs[0];
+  if (logs.some((log) => !isZero(log.value - baseValue))) return null;
+
+  addStep(steps, "Domain", logs.map(({ text }) => `${text} > 0`).filter((line, i, all) => all.indexOf(line) === i).join(", "),
+    "A logarithm is only defined for positive arguments");
+
+  // Integer exponents for the power rule: scale by the common denominator of the coefficients
+  const fractions = logs.map(({ coefficient }) => approximateFraction(coefficient, 12));
+  if (fractions.includes(null)) return null;
+  const scale = fractions.reduce((lcm, { denominator }) => (lcm * denominator) / gcdInteger(lcm, denominator), 1);
+  const exponents = fractions.map(({ numerator, denominator }) => (numerator * scale) / denominator);
+  if (exponents.some((n) => Math.abs(n) > MAX_DEGREE)) return null;
+  const power = (text, n) => (Math.abs(n) === 1 ? text : `${wrap(text)}^${Math.abs(n)}`);
+  const logLine = (n, text) => `${Math.abs(n) === 1 ? "" : `${Math.abs(n)}·`}${logText(text, base)}`;
+
+  if (exponents.some((n) => Math.abs(n) !== 1)) {
+    addStep(steps, "Power rule", logs.map(({ text }, i) => `${logLine(exponents[i], text)} = ${logText(power(text, exponents[i]), base)}`).filter((_, i) => Math.abs(exponents[i]) !== 1).join("\n"),
+      "c·log_b(a) = log_b(a^c)");
+  }
+  const up = logs.map(({ text }, i) => ({ text: power(text, exponents[i]), n: exponents[i] })).filter(({ n }) => n > 0).map(({ text }) => text);
+  const down = logs.map(({ text }, i) => ({ text: power(text, exponents[i]), n: exponents[i] })).filter(({ n }) => n < 0).map(({ text }) => text);
+  const product = (texts) => (texts.length ? texts.map((text) => (texts.length > 1 ? wrapFactor(text) : text)).join(" * ") : "1");
+  if (up.length > 1) addStep(steps, "Product rule", `${up.map((text) => logText(text, base)).join(" + ")} = ${logText(product(up), base)}`, "log_b(a) + log_b(c) = log_b(a·c)");
+  if (down.length > 1) addStep(steps, "Product rule", `${down.map((text) => logText(text, base)).join(" + ")} = ${logText(product(down), base)}`, "log_b(a) + log_b(c) = log_b(a·c)");
+  if (up.length && down.length) {
+    addStep(steps, "Quotient rule", `${logText(product(up), base)} - ${logText(product(down), base)} = ${logText(`${wrapFactor(product(up))} / ${wrapFactor(product(down))}`, base)}`, "log_b(a) - log_b(c) = log_b(a/c)");
+  }
+
+  // log_b(P/N) = K ⇔ P = b^K·N
+  const level = -constant * scale;
+  // Keep constants such as log(2) symbolic when the level is not a plain number
+  const constantText = raw.filter((_, i) => !terms[i].found.length).map(({ sign, node: term }) => `${sign < 0 ? "+" : "-"} ${wrap(tidy(term).toString())}`).join(" ");
+  const levelText = isExactText(formatNumber(level)) ? formatNumber(level) : simplifyNode(`(0 ${constantText}) * ${scale}`).toString();
+  const right = isZero(level) ? "1" : formatNumber(baseValue ** level);
+  const rightText = isExactText(right) || base !== "e" ? right : levelText === "1" ? "e" : `e^${wrap(levelText)}`;
+  const combined = up.length && down.length ? `${wrapFactor(product(up))} / ${wrapFactor(product(down))}` : up.length ? product(up) : `1 / ${wrapFactor(product(down))}`;
+  addStep(steps, "Exponentiate", `${logText(combined, base)} = ${levelText} ⇒ ${combined} = ${rightText}`,
+    `log_b(A) = c ⇔ A = b^c${base === "e" ? " (here b = e)" : ""}`);
+  const equation = down.length ? `${product(up)} - ${wrap(rightText)} * ${wrap(product(down))}` : `${product(up)} - ${wrap(rightText)}`;
+  const scratch = [];
+  const solution = solvePolynomialEquation(equation, variable, scratch);
+  if (!solution) return null;
+  appendSteps(steps, scratch);
+  if (solution.degree <= 0) return finish(steps, variable, [], [], "logarithmic");
+
+  // Domain check: every original log argument must be positive at the root
+  const kept = [];
+  const rejected = [];
+  const lines = solution.roots.map((r) => {
+    const text = isExactText(r.text) ? r.text : formatNumber(r.re);
+    if (r.im !== 0) {
+      rejected.push(r.text);
+      return `${variable} = ${r.text}: not real`;
+    }
+    const bad = logs.find(({ argument }) => !(evaluateNumber(argument, { [variable]: r.re }) > 0));
+    if (bad) {
+      rejected.push(text);
+      return `${variable} = ${text}: ${bad.text} = ${formatNumber(evaluateNumber(bad.argument, { [variable]: r.re }) ?? NaN)} ≤ 0, rejected`;
+    }
+    // log(x) = c gives x = e^c exactly; otherwise keep exact root texts and round the rest
+    const symbolic = up.length === 1 && !down.length && up[0] === variable ? rightText : null;
+    kept.push({ value: r.re, text: solutionText(r.re, symbolic || text) });
+    return `${variable} = ${text}: every argument is positive`;
+  });
+  addStep(steps, "Check domain", lines.join("\n"), rejected.length ? "Combining the logarithms widened the domain, so roots where an original argument is not positive are extraneous" : "Every root lies in the domain");
+  return finish(steps, variable, checkRoots(node, variable, kept), rejected, "logarithmic");
+};
+
+// Solve an equation in zero form whose variable appears only in exponents or only inside logarithms; null otherwise
+const solveExpLogEquation = (expression, variable, steps) => {
+  const node = tidy(normalizeFunctions(expression));
+  const hasExponentials = exponentials(node, variable).length > 0;
+  const hasLogs = node.filter((n) => readLogarithm(n, variable) !== null).length > 0;
+  if (hasExponentials === hasLogs) return null;
+
+  // Each method records into its own scratch list, so a method that gives up leaves no steps behind
+  const methods = hasLogs ? [solveLogarithmic] : [solveByLogarithms, solveBySubstitution];
+  for (const method of methods) {
+    const attempt = [];
+    const result = method(node, variable, attempt);
+    if (result) {
+      appendSteps(steps, attempt);
+      return result;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  solveExpLogEquation
+};
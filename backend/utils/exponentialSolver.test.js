@@ -0,0 +1,77 @@
+// backend/utils/exponentialSolver.test.js
+// Regression tests for exponential and logarithmic equations: logarithms of both sides, u = e^x
+// substitution, the log laws as steps and the domain check that rejects extraneous roots
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { solveExpLogEquation } = require("./exponentialSolver");
+const { toZeroForm } = require("./equationSolver");
+const { solveMathExpression } = require("./mathSolver");
+
+const solve = (equation, steps = []) => solveExpLogEquation(toZeroForm(equation), "x", steps);
+const rules = (equation) => {
+  const steps = [];
+  solve(equation, steps);
+  return steps.map((s) => s.description);
+};
+
+test("equal bases and logarithms of both sides", () => {
+  const steps = [];
+  assert.equal(solve("2^(x+1) = 16", steps).answer, "x = 3");
+  assert.deepEqual(steps.map((s) => s.description), ["Isolate", "Take logarithms", "Power rule", "Solve for x", "Solution"]);
+  assert.equal(solve("2^x = 5").answer, "x = log(5, 2)");
+  assert.equal(solve("3^(2x) = 5^x").answer, "x = 0");
+  assert.equal(solve("5*e^(3x - 1) = 10").answer, "x = (log(2) + 1) / 3");
+  assert.equal(solve("-2^x = -8").answer, "x = 3");
+});
+
+test("a positive exponential cannot equal a negative number", () => {
+  const result = solve("exp(x) = -1");
+  assert.equal(result.answer, "No solution");
+  assert.deepEqual(result.roots, []);
+});
+
+test("u = e^x turns exponential sums into polynomials", () => {
+  const result = solve("e^(2x) - 5e^x + 6 = 0");
+  assert.equal(result.answer, "x = log(2), log(3)");
+  assert.equal(result.kind, "exponential");
+  assert.equal(solve("4^x - 3*2^x - 4 = 0").answer, "x = 2");
+  assert.equal(solve("e^x + e^(-x) = 2").answer, "x = 0");
+});
+
+test("negative values of u are rejected", () => {
+  const steps = [];
+  assert.equal(solve("e^(2x) + e^x - 2 = 0", steps).answer, "x = 0");
+  assert.equal(steps.find((s) => s.description === "Reject").expression, "u = -2");
+});
+
+test("each log law appears as a step", () => {
+  assert.ok(rules("log(x) + log(x - 3) = 1").includes("Product rule"));
+  assert.ok(rules("log(x) - log(x - 1) = log(2)").includes("Quotient rule"));
+  assert.deepEqual(rules("2*log(x) = log(4x - 4)").slice(0, 4), ["Domain", "Power rule", "Quotient rule", "Exponentiate"]);
+});
+
+test("the domain check rejects extraneous roots", () => {
+  const steps = [];
+  const result = solve("log10(x) + log10(x - 3) = 1", steps);
+  assert.equal(result.answer, "x = 5");
+  assert.deepEqual(result.rejected, ["-2"]);
+  assert.match(steps.find((s) => s.description === "Check domain").expression, /^x = -2: x = -2 ≤ 0, rejected/);
+  assert.equal(solve("log(x, 2) + log(x - 2, 2) = 3").answer, "x = 4");
+  assert.equal(solve("ln(x^2) = ln(4)").answer, "x = -2, 2");
+  assert.equal(solve("log(x) = 2").answer, "x = e^2");
+});
+
+test("equations mixing the variable inside and outside exponents or logs are left to other solvers", () => {
+  assert.equal(solve("x^2 = 4"), null);
+  assert.equal(solve("log(x) = x - 1"), null);
+  assert.equal(solve("e^x = x + log(x)"), null);
+  assert.equal(solveMathExpression("solve(x*e^x = 1, x)").type, "equation-numeric");
+});
+
+test("solve(...) reports the kind and the rejected roots", () => {
+  const result = solveMathExpression("solve(log(x) + log(x-3) = 1, x)");
+  assert.equal(result.type, "equation-logarithmic");
+  assert.equal(result.finalAnswer, "x ≈ 3.728964295");
+  assert.deepEqual(result.rejected, ["-0.728964295"]);
+  assert.equal(solveMathExpression("solve(e^(2x) - 5e^x + 6 = 0, x)").type, "equation-exponential");
+});
@@ -0,0 +1,282 @@
+// backend/utils/expressionUtils.js
+// AST helpers shared by the symbolic engines (integration, limits, polynomials, ...)
+const { parse, simplify, simplifyCore, OperatorNode, ConstantNode, SymbolNode, FunctionNode } = require("mathjs");
+
+const TOLERANCE = 1e-10;
+
+const toNode = (expr) => (typeof expr === "string" ? parse(expr) : expr);
+
+// mathjs has no ln(); users type it anyway, so map it onto the natural log
+const normalizeFunctions = (expr) =>
+  toNode(expr).transform((n) => (n.isFunctionNode && n.fn.name === "ln" ? new FunctionNode("log", n.args) : n));
+
+const stripParentheses = (node) => node.transform((n) => (n.isParenthesisNode ? stripParentheses(n.content) : n));
+
+// Print "2x" as "2 * x" once it has been through the engines
+const makeExplicit = (node) =>
+  node.transform((n) => (n.isOperatorNode && n.implicit ? new OperatorNode(n.op, n.fn, n.args.map(makeExplicit)) : n));
+
+// Light cleanup that keeps the shape of the expression (no reordering, no constant folding)
+const tidy = (expr) => simplifyCore(makeExplicit(stripParentheses(toNode(expr))));
+
+// simplify() folds log(2) or sqrt(3) into decimals, so park irrational constant calls behind placeholder symbols
+const protectConstants = (node) => {
+  const saved = new Map();
+  const guarded = node.transform((n) => {
+    if (!n.isFunctionNode || hasFreeSymbols(n)) return n;
+    const value = evaluateNumber(n);
+    if (value === null || isExactText(formatNumber(value))) return n;
+    const name = `_c${saved.size}`;
+    saved.set(name, n);
+    return new SymbolNode(name);
+  });
+  const restore = (result) => result.transform((n) => (n.isSymbolNode && saved.has(n.name) ? saved.get(n.name).cloneDeep() : n));
+  return { guarded, restore };
+};
+
+// Full mathjs simplification followed by the light cleanup above
+const simplifyNode = (expr) => {
+  try {
+    const { guarded, restore } = protectConstants(toNode(expr));
+    return tidy(restore(simplify(guarded)));
+  } catch {
+    return tidy(expr);
+  }
+};
+
+// Symbols other than function names and the constants pi and e
+const hasFreeSymbols = (expr) =>
+  toNode(expr).filter((n, path, parent) => n.isSymbolNode && !(parent && parent.isFunctionNode && path === "fn") && !["pi", "e"].includes(n.name)).length > 0;
+
+// True when the variable appears as a symbol (function names such as "sin" are ignored)
+const dependsOn = (expr, variable) =>
+  toNode(expr).filter((n, path, parent) => n.isSymbolNode && n.name === variable && !(parent && parent.isFunctionNode && path === "fn")).length > 0;
+
+const substitute = (expr, variable, replacement) => {
+  const replacementNode = toNode(replacement);
+  return toNode(expr).transform((n, path, parent) => {
+    if (n.isSymbolNode && n.name === variable && !(parent && parent.isFunctionNode && path === "fn")) {
+      return replacementNode.cloneDeep();
+    }
+    return n;
+  });
+};
+
+// Replace every occurrence of a sub-expression (compared structurally) with another node
+const replaceSubexpression = (expr, target, replacement) => {
+  const key = tidy(target).toString();
+  const replacementNode = toNode(replacement);
+  return tidy(expr).transform((n) => (n.toString() === key ? replacementNode.cloneDeep() : n));
+};
+
+// Evaluate a node to a real number, or null when it is symbolic, complex or undefined
+const evaluateNumber = (expr, scope = {}) => {
+  try {
+    const value = toNode(expr).evaluate(scope);
+    if (typeof value === "number") return value;
+    // Symbols such as b or m parse as units (byte, metre), which are not numbers
+    if (value && (value.isBigNumber || value.isFraction)) return value.toNumber();
+    return null;
+  } catch {
+    return null;
+  }
+};
+
+// Compile once and return x => real number (or null) for fast repeated sampling
+const numericFunction = (expr, variable) => {
+  const compiled = toNode(expr).compile();
+  return (x) => {
+    try {
+      const value = compiled.evaluate({ [variable]: x });
+      return typeof value === "number" ? value : null;
+    } catch {
+      return null;
+    }
+  };
+};
+
+const isZero = (value, tolerance = TOLERANCE) => Math.abs(value) < tolerance;
+
+const gcdInteger = (a, b) => {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) [a, b] = [b, a % b];
+  return a;
+};
+
+// Best rational approximation by continued fractions; null when none is close enough
+const approximateFraction = (value, maxDenominator = 1000) => {
+  if (!isFinite(value)) return null;
+  const sign = value < 0 ? -1 : 1;
+  const target = Math.abs(value);
+  let [h0, h1, k0, k1] = [0, 1, 1, 0];
+  let x = target;
+  for (let i = 0; i < 32; i++) {
+    const a = Math.floor(x);
+    const h2 = a * h1 + h0;
+    const k2 = a * k1 + k0;
+    if (k2 > maxDenominator) break;
+    [h0, h1, k0, k1] = [h1, h2, k1, k2];
+    if (Math.abs(target - h1 / k1) <= TOLERANCE * Math.max(1, target)) {
+      return { numerator: sign * h1, denominator: k1 };
+    }
+    const remainder = x - a;
+    if (remainder < 1e-15) break;
+    x = 1 / remainder;
+  }
+  return null;
+};
+
+// sqrt(n) = outside * sqrt(inside) with inside square-free
+const splitSquareFactor = (n) => {
+  let outside = 1;
+  let inside = n;
+  for (let f = 2; f * f <= inside; f++) {
+    while (inside % (f * f) === 0) {
+      inside /= f * f;
+      outside *= f;
+    }
+  }
+  return { outside, inside };
+};
+
+const formatRadical = (value) => {
+  const square = approximateFraction(value * value, 100);
+  if (!square || square.numerator <= 0) return null;
+  const { outside, inside } = splitSquareFactor(square.numerator * square.denominator);
+  if (inside === 1) return null;
+  const divisor = gcdInteger(outside, square.denominator);
+  const coefficient = outside / divisor;
+  const denominator = square.denominator / divisor;
+  const sign = value < 0 ? "-" : "";
+  return `${sign}${coefficient === 1 ? "" : `${coefficient}*`}sqrt(${inside})${denominator === 1 ? "" : `/${denominator}`}`;
+};
+
+const formatPiMultiple = (value) => {
+  const ratio = approximateFraction(value / Math.PI, 12);
+  if (!ratio || ratio.numerator === 0) return null;
+  const { numerator, denominator } = ratio;
+  const sign = numerator < 0 ? "-" : "";
+  const magnitude = Math.abs(numerator);
+  return `${sign}${magnitude === 1 ? "" : `${magnitude}*`}pi${denominator === 1 ? "" : `/${denominator}`}`;
+};
+
+// Format a computed number exactly when it is (close to) an integer, fraction, radical or multiple of pi
+const formatNumber = (value) => {
+  if (!isFinite(value)) return isNaN(value) ? "NaN" : value > 0 ? "Infinity" : "-Infinity";
+  const rounded = Math.round(value);
+  if (Math.abs(value) < 1e15 && Math.abs(value - rounded) <= TOLERANCE * Math.max(1, Math.abs(value))) {
+    return String(rounded === 0 ? 0 : rounded);
+  }
+  // Integers past 2^53 are not exact in floating point, so they are not printed digit by digit (or as n/1)
+  if (Number.isInteger(value)) return Number.isSafeInteger(value) ? String(value) : value.toPrecision(10);
+  const fraction = approximateFraction(value);
+  if (fraction) return `${fraction.numerator}/${fraction.denominator}`;
+  const radical = formatRadical(value);
+  if (radical) return radical;
+  const piMultiple = formatPiMultiple(value);
+  if (piMultiple) return piMultiple;
+  return String(parseFloat(value.toPrecision(10)));
+};
+
+const numberNode = (value) => stripParentheses(parse(formatNumber(value)));
+
+const isExactText = (text) => !/\d\.\d|e[+-]\d|Infinity|NaN/.test(text);
+
+// Replace constant sub-expressions with exact numbers where possible: cos(pi) -> -1, atan(1) -> pi/4, log(abs(2)) -> log(2)
+const foldConstants = (expr) => {
+  const node = stripParentheses(toNode(expr));
+  const folded = node.map((child, path) => (path === "fn" ? child : foldConstants(child)));
+  if (!(folded.isOperatorNode || folded.isFunctionNode)) return folded;
+  if (hasFreeSymbols(folded)) return folded;
+  const value = evaluateNumber(folded);
+  if (value === null) return folded;
+  const text = formatNumber(value);
+  return isExactText(text) ? stripParentheses(parse(text)) : folded;
+};
+
+// Split a product/quotient into numerator and denominator factor lists
+const getFactors = (expr) => {
+  const node = stripParentheses(toNode(expr));
+  if (node.isOperatorNode && node.fn === "multiply") {
+    return node.args.map(getFactors).reduce((acc, f) => ({
+      numerator: [...acc.numerator, ...f.numerator],
+      denominator: [...acc.denominator, ...f.denominator]
+    }), { numerator: [], denominator: [] });
+  }
+  if (node.isOperatorNode && node.fn === "divide") {
+    const top = getFactors(node.args[0]);
+    const bottom = getFactors(node.args[1]);
+    return {
+      numerator: [...top.numerator, ...bottom.denominator],
+      denominator: [...top.denominator, ...bottom.numerator]
+    };
+  }
+  if (node.isOperatorNode && node.fn === "unaryMinus") {
+    const inner = getFactors(node.args[0]);
+    return { numerator: [new ConstantNode(-1), ...inner.numerator], denominator: inner.denominator };
+  }
+  return { numerator: [node], denominator: [] };
+};
+
+const productNode = (factors) => {
+  if (factors.length === 0) return new ConstantNode(1);
+  return factors.reduce((acc, f) => new OperatorNode("*", "multiply", [acc, f]));
+};
+
+const quotientNode = (numerator, denominator) => {
+  const top = productNode(numerator);
+  return denominator.length === 0 ? top : new OperatorNode("/", "divide", [top, productNode(denominator)]);
+};
+
+// Flatten a sum into signed terms: a - b + c -> [{ sign: 1, node: a }, { sign: -1, node: b }, ...]
+const getTerms = (expr, sign = 1) => {
+  const node = stripParentheses(toNode(expr));
+  if (node.isOperatorNode && node.fn === "add") return node.args.flatMap((arg) => getTerms(arg, sign));
+  if (node.isOperatorNode && node.fn === "subtract") {
+    return [...getTerms(node.args[0], sign), ...getTerms(node.args[1], -sign)];
+  }
+  if (node.isOperatorNode && node.fn === "unaryMinus") return getTerms(node.args[0], -sign);
+  if (node.isOperatorNode && node.fn === "unaryPlus") return getTerms(node.args[0], sign);
+  return [{ sign, node }];
+};
+
+const symbolNode = (name) => new SymbolNode(name);
+
+// Pick a symbol name that does not already occur in the expression
+const freshSymbol = (expr, preferred = "u") => {
+  const used = new Set(toNode(expr).filter((n) => n.isSymbolNode).map((n) => n.name));
+  if (!used.has(preferred)) return preferred;
+  let index = 1;
+  while (used.has(`${preferred}${index}`)) index++;
+  return `${preferred}${index}`;
+};
+
+module.exports = {
+  TOLERANCE,
+  toNode,
+  normalizeFunctions,
+  stripParentheses,
+  tidy,
+  simplifyNode,
+  hasFreeSymbols,
+  dependsOn,
+  substitute,
+  replaceSubexpression,
+  evaluateNumber,
+  numericFunction,
+  isZero,
+  gcdInteger,
+  approximateFraction,
+  splitSquareFactor,
+  formatNumber,
+  numberNode,
+  isExactText,
+  foldConstants,
+  getFactors,
+  productNode,
+  quotientNode,
+  getTerms,
+  symbolNode,
+  freshSymbol
+};
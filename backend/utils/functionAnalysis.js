@@ -0,0 +1,371 @@
+// backend/utils/functionAnalysis.js
+// analyze(f, x): domain, range, intercepts, asymptotes, critical and inflection points, and the intervals of
+// increase, decrease and concavity of a function of one variable, with a graph marking each feature
+const { addStep } = require("./solverHelpers");
+const { normalizeFunctions, tidy, numericFunction, formatNumber, substitute, evaluateNumber, approximateFraction } = require("./expressionUtils");
+const { differentiateWithSteps } = require("./derivativeSolver");
+const { criticalPoints, mergePieces, intervalText } = require("./inequalitySolver");
+const { evaluateLimit } = require("./limitSolver");
+const { toRational, polyToString, degree } = require("./polynomial");
+
+const SAME_POINT = 1e-7;
+const ZERO_TOLERANCE = 1e-9;
+const RANGE_SAMPLES = 400;
+const GRAPH_MARGIN = 3;
+const GRAPH_LIMIT = 50;
+const DEFAULT_WINDOW = [-10, 10];
+// Beyond this a sampled value counts as a pole rather than a large but regular value
+const POLE_SIZE = 1e12;
+// How far past a numeric search window an end interval is sampled before it is extended to ±∞
+const EXTENSION_DISTANCE = 100;
+const EXTENSION_SAMPLES = 400;
+
+const samePoint = (a, b) => Math.abs(a - b) < SAME_POINT * Math.max(1, Math.abs(a));
+// Equal up to rounding, for deciding whether an extreme value is attained or only approached
+const sameValue = (a, b) => isFinite(a) && isFinite(b) && Math.abs(a - b) <= 1e-12 * Math.max(1, Math.abs(a), Math.abs(b));
+
+const uniquePoints = (points) =>
+  points.filter((p, i) => points.findIndex((q) => samePoint(p.value, q.value)) === i).sort((a, b) => a.value - b.value);
+
+const signOf = (y) => (y === null || !isFinite(y) ? null : Math.abs(y) < ZERO_TOLERANCE ? 0 : Math.sign(y));
+
+// Sign of g on an open interval between consecutive breakpoints, where it cannot change: a value that rounds
+// to 0 at the middle (e^(-x^2) has slope 1e-10 at x = -5) is checked again closer to either end
+const INTERVAL_SAMPLES = [0.5, 0.25, 0.75, 0.1, 0.9, 0.01, 0.99];
+const intervalSign = (g, x, lo, hi) => {
+  if (lo === null || hi === null) return signOf(g(x));
+  let sign = null;
+  INTERVAL_SAMPLES.some((t) => {
+    sign = signOf(g(lo + t * (hi - lo)));
+    return sign !== 0;
+  });
+  return sign;
+};
+
+// A finite limit value, ±Infinity, or null when the limit does not exist (or oscillates)
+const limitAt = (text, variable, approach) => {
+  try {
+    const { value } = evaluateLimit(text, variable, approach, []);
+    return typeof value === "number" && !isNaN(value) ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+// Alternating open intervals and breakpoints, in the shape the inequality solver's sign chart merges;
+// intervalHolds also gets the interval's ends (null when unbounded) for tests that need more than one sample
+const walk = (breaks, intervalHolds, pointHolds) => {
+  const tests = breaks.length
+    ? [breaks[0].value - 1, ...breaks.slice(1).map((p, i) => (breaks[i].value + p.value) / 2), breaks[breaks.length - 1].value + 1]
+    : [0];
+  const pieces = [];
+  tests.forEach((x, i) => {
+    pieces.push({ kind: "interval", satisfied: intervalHolds(x, i > 0 ? breaks[i - 1].value : null, i < breaks.length ? breaks[i].value : null) });
+    if (i < breaks.length) pieces.push({ kind: "point", point: breaks[i], satisfied: false });
+  });
+  pieces.forEach((piece, i) => {
+    if (piece.kind === "point") piece.satisfied = pointHolds(piece.point.value, pieces[i - 1].satisfied, pieces[i + 1].satisfied);
+  });
+  return mergePieces(pieces);
+};
+
+const unionText = (pieces, empty) => (pieces.length ? pieces.map(intervalText).join(" ∪ ") : empty);
+
+// "(-∞, 0) ∪ [1, ∞)" from { lo, loClosed, hi, hiClosed } ranges, merging overlaps; an end that is a known
+// value (an extremum with an exact form) is written as that value's text
+const rangeText = (ranges, labels = []) => {
+  const sorted = [...ranges].sort((a, b) => a.lo - b.lo);
+  const merged = [];
+  sorted.forEach((r) => {
+    const last = merged[merged.length - 1];
+    const touches = last && (r.lo < last.hi || (samePoint(r.lo, last.hi) && (r.loClosed || last.hiClosed)));
+    if (!touches) {
+      merged.push({ ...r });
+    } else if (r.hi > last.hi || (samePoint(r.hi, last.hi) && r.hiClosed)) {
+      Object.assign(last, { hi: r.hi, hiClosed: r.hiClosed || (samePoint(r.hi, last.hi) && last.hiClosed) });
+    }
+  });
+  const valueText = (value) => (labels.find((label) => sameValue(label.value, value)) || { text: formatNumber(value) }).text;
+  const end = (value) => (isFinite(value) ? valueText(value) : value > 0 ? "∞" : "-∞");
+  return merged.map((r) => (samePoint(r.lo, r.hi) && isFinite(r.lo)
+    ? `{${valueText(r.lo)}}`
+    : `${r.loClosed && isFinite(r.lo) ? "[" : "("}${end(r.lo)}, ${end(r.hi)}${r.hiClosed && isFinite(r.hi) ? "]" : ")"}`)).join(" ∪ ");
+};
+
+// f(p + q·sqrt(n)) = P + Q·sqrt(n) for a rational function with rational coefficients, and f at the conjugate
+// p - q·sqrt(n) is P - Q·sqrt(n), so the two values give P and Q; null when x is not of that form
+const surdValue = (f, xText, y) => {
+  const radicands = [...new Set([...xText.matchAll(/sqrt\((\d+)\)/g)].map((m) => Number(m[1])))];
+  if (radicands.length !== 1 || y === null || !isFinite(y)) return null;
+  const [n] = radicands;
+  const conjugate = evaluateNumber(xText.split(`sqrt(${n})`).join(`(-sqrt(${n}))`));
+  const other = conjugate === null ? null : f(conjugate);
+  if (other === null || !isFinite(other)) return null;
+  const [rational, irrational] = [approximateFraction((y + other) / 2), approximateFraction((y - other) / (2 * Math.sqrt(n)))];
+  if (!rational || !irrational) return null;
+  if (irrational.numerator === 0) return formatNumber(y);
+  const magnitude = Math.abs(irrational.numerator);
+  const radical = `${magnitude === 1 ? "" : `${magnitude}*`}sqrt(${n})${irrational.denominator === 1 ? "" : `/${irrational.denominator}`}`;
+  const sign = irrational.numerator < 0 ? "-" : "+";
+  return rational.numerator === 0 ? `${sign === "-" ? "-" : ""}${radical}` : `${formatNumber(rational.numerator / rational.denominator)} ${sign} ${radical}`;
+};
+
+// Slope m and intercept b as "2*x + 1"
+const lineText = (m, b, variable) => {
+  const slope = m === 1 ? variable : m === -1 ? `-${variable}` : `${formatNumber(m)}*${variable}`;
+  if (Math.abs(b) < ZERO_TOLERANCE) return slope;
+  return `${slope} ${b < 0 ? "-" : "+"} ${formatNumber(Math.abs(b))}`;
+};
+
+const analyzeFunction = (func, variable, steps) => {
+  const node = tidy(normalizeFunctions(func));
+  const text = node.toString();
+  const f = numericFunction(node, variable);
+  const defined = (x) => {
+    const y = f(x);
+    return y !== null && isFinite(y);
+  };
+  addStep(steps, "Function", `f(${variable}) = ${text}`, "Analyse the function of one variable");
+
+  const first = differentiateWithSteps(node, variable, []);
+  const second = differentiateWithSteps(first.node, variable, []);
+  const df = numericFunction(first.node, variable);
+  const d2f = numericFunction(second.node, variable);
+  addStep(steps, "Derivatives", `f'(${variable}) = ${first.text}\nf''(${variable}) = ${second.text}`, "Their signs give monotonicity and concavity");
+
+  // Breakpoints of f, f' and f''; numeric searches only see a window, which then bounds the interval findings
+  const [own, slope, bend] = [text, first.text, second.text].map((expression) => criticalPoints(expression, variable));
+  const windows = [own, slope, bend].filter((found) => !found.exact).map((found) => found.window);
+  // Only the part every search covered is reported, so periodic breaks and interval ends line up
+  const window = windows.length ? [Math.max(...windows.map((w) => w[0])), Math.min(...windows.map((w) => w[1]))] : null;
+  const inWindow = (x) => !window || (x >= window[0] && x <= window[1]);
+  const windowNote = window ? ` (searched on [${formatNumber(window[0])}, ${formatNumber(window[1])}])` : "";
+
+  // ---- domain ----
+  // Numeric sign changes beyond the zeros found are not all poles, and a zero of the numerator can be a hole,
+  // so keep the points where f is undefined (or huge) or stops being defined on one side
+  const regular = (x) => defined(x) && Math.abs(f(x)) < POLE_SIZE;
+  const isBreak = ({ value }) => {
+    const h = SAME_POINT * 10 * Math.max(1, Math.abs(value));
+    return !regular(value) || defined(value - h) !== defined(value + h);
+  };
+  // Cancelling common factors hides holes, so the zeros of every written denominator are candidates too
+  const denominators = node.filter((n) => n.isOperatorNode && n.op === "/" && n.args[1].filter((s) => s.isSymbolNode && s.name === variable).length)
+    .flatMap((n) => criticalPoints(n.args[1].toString(), variable).zeros);
+  const domainBreaks = uniquePoints([...own.poles, ...own.boundaries, ...own.zeros, ...denominators]).filter((p) => inWindow(p.value) && isBreak(p));
+  const domain = walk(domainBreaks, defined, regular);
+  const domainText = unionText(domain, "∅");
+  addStep(steps, "Domain", `${variable} ∈ ${domainText}`,
+    `${domainBreaks.length ? `f is undefined at or beyond ${domainBreaks.map((p) => `${variable} = ${p.text}`).join(", ")}` : "f is defined for every real number"}${own.exact ? "" : windowNote}`);
+  const interior = (x) => regular(x) && [-1, 1].every((side) => defined(x + side * SAME_POINT * 10 * Math.max(1, Math.abs(x))));
+
+  // ---- critical and inflection points ----
+  // A rational f with rational coefficients keeps exact values at points such as x = 2 - sqrt(3)
+  const reduced = toRational(node, variable);
+  const rationalCoefficients = reduced && [...reduced.numerator, ...reduced.denominator].every((c) => approximateFraction(c));
+  const valueAt = (p, y) => (rationalCoefficients && surdValue(f, p.text, y)) || formatNumber(y);
+  const gapAround = (x, points) => Math.min(1e-3 * Math.max(1, Math.abs(x)),
+    ...points.filter((p) => !samePoint(p.value, x)).map((p) => Math.abs(p.value - x) / 2));
+  const candidates = uniquePoints([...slope.zeros, ...slope.poles, ...slope.boundaries]).filter((p) => inWindow(p.value) && interior(p.value));
+  const allBreaks = uniquePoints([...domainBreaks, ...candidates]);
+  const critical = candidates.map((p) => {
+    const h = gapAround(p.value, allBreaks);
+    const [left, right] = [signOf(df(p.value - h)), signOf(df(p.value + h))];
+    const y = f(p.value);
+    const curvature = d2f(p.value);
+    const firstTest = left > 0 && right < 0 ? "maximum" : left < 0 && right > 0 ? "minimum" : "neither";
+    const secondTest = signOf(curvature) > 0 ? "minimum" : signOf(curvature) < 0 ? "maximum" : "inconclusive";
+    return { x: p.value, xText: p.text, y, yText: valueAt(p, y), kind: firstTest, firstTest, secondTest, stationary: signOf(df(p.value)) === 0, curvature };
+  });
+  const bends = uniquePoints([...bend.zeros, ...bend.poles, ...bend.boundaries]).filter((p) => inWindow(p.value) && interior(p.value));
+  const inflections = bends.filter((p) => {
+    const h = gapAround(p.value, uniquePoints([...domainBreaks, ...bends]));
+    const [left, right] = [signOf(d2f(p.value - h)), signOf(d2f(p.value + h))];
+    return left && right && left !== right;
+  }).map((p) => ({ x: p.value, xText: p.text, y: f(p.value), yText: valueAt(p, f(p.value)) }));
+
+  // ---- range: extreme values and end behaviour on each piece of the domain, plus samples ----
+  const endValue = (end, approach) => {
+    if (!end) return { value: limitAt(text, variable, approach), closed: false };
+    return end.closed ? { value: f(end.value), closed: true } : { value: limitAt(text, variable, `${end.value}${approach === "inf" ? "-" : "+"}`), closed: false };
+  };
+  const ranges = domain.map((piece) => {
+    if (piece.isPoint) return { lo: f(piece.from.value), hi: f(piece.from.value), loClosed: true, hiClosed: true };
+    const ends = [endValue(piece.from, "-inf"), endValue(piece.to, "inf")].filter((e) => e.value !== null);
+    // Unbounded pieces are sampled over the default window widened around the critical points
+    const lo = piece.from ? piece.from.value : Math.min(DEFAULT_WINDOW[0], (piece.to ? piece.to.value : 0) - 20, ...critical.map((c) => c.x - 10));
+    const hi = piece.to ? piece.to.value : Math.max(DEFAULT_WINDOW[1], lo + 20, ...critical.map((c) => c.x + 10));
+    const attained = [
+      ...critical.filter((c) => c.x > lo && c.x < hi).map((c) => c.y),
+      ...Array.from({ length: RANGE_SAMPLES - 1 }, (_, i) => f(lo + ((i + 1) * (hi - lo)) / RANGE_SAMPLES))
+    ].filter((y) => y !== null && isFinite(y));
+    const values = [...ends.map((e) => ({ value: e.value, closed: e.closed && isFinite(e.value) })), ...attained.map((value) => ({ value, closed: true }))];
+    const least = values.reduce((best, v) => (v.value < best.value - ZERO_TOLERANCE || (sameValue(v.value, best.value) && v.closed) ? v : best));
+    const most = values.reduce((best, v) => (v.value > best.value + ZERO_TOLERANCE || (sameValue(v.value, best.value) && v.closed) ? v : best));
+    return { lo: least.value, loClosed: least.closed, hi: most.value, hiClosed: most.closed };
+  }).filter((r) => r.lo !== undefined && r.lo !== null);
+  const range = ranges.length ? rangeText(ranges, critical.map((c) => ({ value: c.y, text: c.yText }))) : "∅";
+  addStep(steps, "Range", range, "From the extreme values and the limits at the ends of each piece of the domain (values sampled in between fill any gaps)");
+
+  // ---- intercepts ----
+  const xIntercepts = own.zeros.filter((p) => defined(p.value) && signOf(f(p.value)) === 0).map((p) => ({ x: p.value, text: p.text }));
+  const yIntercept = defined(0) ? f(0) : null;
+  addStep(steps, "Intercepts",
+    [xIntercepts.length ? `${variable}-intercepts: ${xIntercepts.map((p) => `(${p.text}, 0)`).join(", ")}` : `no ${variable}-intercepts`,
+      yIntercept === null ? "no y-intercept (0 is not in the domain)" : `y-intercept: (0, ${formatNumber(yIntercept)})`].join("; "),
+    `Solve f(${variable}) = 0 and evaluate f(0)${own.exact ? "" : windowNote}`);
+
+  // ---- asymptotes ----
+  const vertical = [];
+  const holes = [];
+  domainBreaks.forEach((p) => {
+    const sides = [["-", p.value - SAME_POINT * 10 * Math.max(1, Math.abs(p.value))], ["+", p.value + SAME_POINT * 10 * Math.max(1, Math.abs(p.value))]]
+      .filter(([, x]) => defined(x))
+      .map(([side]) => limitAt(text, variable, `${p.value}${side}`));
+    if (sides.some((v) => v !== null && !isFinite(v))) vertical.push({ x: p.value, text: p.text });
+    else if (sides.length === 2 && sides.every((v) => v !== null) && samePoint(sides[0], sides[1]) && !defined(p.value)) holes.push({ x: p.value, text: p.text, y: sides[0] });
+  });
+  addStep(steps, "Vertical asymptotes", vertical.length ? vertical.map((v) => `${variable} = ${v.text}`).join(", ") : "none",
+    holes.length
+      ? `Removable discontinuity (hole) at ${holes.map((h) => `(${h.text}, ${formatNumber(h.y)})`).join(", ")}: the limit is finite there`
+      : "Points where f tends to ±∞");
+
+  // Common factors cancel before the end behaviour is read: (x^2 - 1)/(x - 1) is the line x + 1 with a hole,
+  // and a graph that is itself a polynomial has no horizontal or oblique asymptote
+  const polynomial = reduced && degree(reduced.denominator) <= 0;
+  const endText = reduced
+    ? (polynomial ? polyToString(reduced.numerator, variable) : `(${polyToString(reduced.numerator, variable)}) / (${polyToString(reduced.denominator, variable)})`)
+    : text;
+  if (reduced && holes.length) {
+    addStep(steps, "Cancel common factors", `f(${variable}) = ${endText} for ${holes.map((h) => `${variable} ≠ ${h.text}`).join(", ")}`,
+      "The cancelled factors leave holes, not asymptotes");
+  }
+  const horizontal = [];
+  const oblique = [];
+  [["inf", "∞", domain.length && !domain[domain.length - 1].to], ["-inf", "-∞", domain.length && !domain[0].from]].forEach(([approach, label, unbounded]) => {
+    if (!unbounded || polynomial) return;
+    const end = limitAt(endText, variable, approach);
+    if (end !== null && isFinite(end)) {
+      const existing = horizontal.find((h) => samePoint(h.value, end));
+      if (existing) existing.sides.push(label);
+      else horizontal.push({ value: end, equation: formatNumber(end), sides: [label] });
+      return;
+    }
+    if (end === null) return;
+    const m = limitAt(`(${endText}) / ${variable}`, variable, approach);
+    if (m === null || !isFinite(m) || Math.abs(m) < ZERO_TOLERANCE) return;
+    const b = limitAt(`(${endText}) - (${formatNumber(m)}) * ${variable}`, variable, approach);
+    if (b === null || !isFinite(b)) return;
+    const equation = lineText(m, b, variable);
+    const existing = oblique.find((o) => o.equation === equation);
+    if (existing) existing.sides.push(label);
+    else oblique.push({ slope: m, intercept: b, equation, sides: [label] });
+  });
+  const sideText = (sides) => `as ${variable} → ${sides.length === 2 ? "±∞" : sides[0]}`;
+  const polynomialNote = polynomial ? `; f is the polynomial ${endText} wherever it is defined, so it has none` : "";
+  addStep(steps, "Horizontal asymptotes", horizontal.length ? horizontal.map((h) => `y = ${h.equation} ${sideText(h.sides)}`).join(", ") : "none",
+    `Finite limits of f as ${variable} → ±∞${polynomialNote}`);
+  addStep(steps, "Oblique asymptotes", oblique.length ? oblique.map((o) => `y = ${o.equation} ${sideText(o.sides)}`).join(", ") : "none",
+    `y = m${variable} + b with m = lim f(${variable})/${variable} and b = lim (f(${variable}) - m${variable}), when f grows without bound${polynomialNote}`);
+
+  // ---- critical points, one step each ----
+  if (!critical.length) addStep(steps, "Critical points", "none", `f'(${variable}) is never 0 or undefined inside the domain${slope.exact ? "" : windowNote}`);
+  critical.forEach((c) => {
+    const secondText = c.secondTest === "inconclusive"
+      ? `f''(${c.xText}) = ${c.curvature === null ? "undefined" : "0"}, so the second-derivative test is inconclusive`
+      : `f''(${c.xText}) = ${formatNumber(c.curvature)} ${c.curvature > 0 ? "> 0" : "< 0"}, a local ${c.secondTest}`;
+    const firstText = c.firstTest === "neither" ? `f' does not change sign, so no extremum` : `f' changes sign ${c.firstTest === "maximum" ? "from + to −" : "from − to +"}, a local ${c.firstTest}`;
+    addStep(steps, c.kind === "neither" ? "Critical point" : `Local ${c.kind}`, `(${c.xText}, ${c.yText})`,
+      `f'(${c.xText}) ${c.stationary ? "= 0" : "is undefined"}. First-derivative test: ${firstText}. Second-derivative test: ${secondText}`);
+  });
+  addStep(steps, "Inflection points", inflections.length ? inflections.map((p) => `(${p.xText}, ${p.yText})`).join(", ") : "none",
+    `Points where f''(${variable}) changes sign${bend.exact ? "" : windowNote}`);
+
+  // ---- monotonicity and concavity from the signs of f' and f'' between breakpoints ----
+  // An end interval runs on to ±∞ when g never takes the opposite sign (values that underflow to 0 pass), f stays
+  // defined and the parent function (f for f', f' for f'') never moves the other way at the samples past the window
+  const keepsSign = (g, parent, edge, direction, wanted) => {
+    let previous = parent(edge);
+    for (let i = 1; i <= EXTENSION_SAMPLES; i++) {
+      const x = edge + (direction * EXTENSION_DISTANCE * i) / EXTENSION_SAMPLES;
+      const slopeValue = g(x);
+      const value = parent(x);
+      if (!defined(x) || slopeValue === null || !isFinite(slopeValue) || Math.sign(slopeValue) === -wanted) return false;
+      if (value === null || !isFinite(value) || Math.sign((value - previous) * direction) === -wanted) return false;
+      previous = value;
+    }
+    return true;
+  };
+  const edges = window ? [{ value: window[0], text: formatNumber(window[0]) }, { value: window[1], text: formatNumber(window[1]) }] : [];
+  const signIntervals = (g, parent, breaks, wanted) => {
+    const beyond = window ? [keepsSign(g, parent, window[0], -1, wanted), keepsSign(g, parent, window[1], 1, wanted)] : [];
+    const holds = (x, lo, hi) => (window && x < window[0] ? beyond[0] : window && x > window[1] ? beyond[1] : defined(x) && intervalSign(g, x, lo, hi) === wanted);
+    // A window edge is not a break of f, so only a large value there (e^x at 100) must not split the interval
+    const isEdge = (x) => edges.some((e) => samePoint(e.value, x));
+    const pieces = walk(uniquePoints([...breaks, ...edges]), holds, (x, left, right) => left && right && (isEdge(x) ? defined(x) : regular(x)));
+    // Pieces still stopping at a window edge are only known up to it
+    const windowed = pieces.some((piece) => [piece.from, piece.to].some((end) => end && edges.some((e) => samePoint(e.value, end.value))));
+    return { pieces, windowed };
+  };
+  // Both sets of a pair come from the same sign chart, so when either is cut off by the window both say so
+  const signPair = (g, parent, breaks) => {
+    const [positive, negative] = [signIntervals(g, parent, breaks, 1), signIntervals(g, parent, breaks, -1)];
+    const note = positive.windowed || negative.windowed ? windowNote : "";
+    return [positive, negative].map(({ pieces }) => `${unionText(pieces, "none")}${note}`);
+  };
+  const [increasing, decreasing] = signPair(df, f, allBreaks);
+  const monotonic = { increasing, decreasing };
+  const [up, down] = signPair(d2f, df, uniquePoints([...domainBreaks, ...bends]));
+  const concavity = { up, down };
+  addStep(steps, "Increasing and decreasing", `increasing on ${monotonic.increasing}\ndecreasing on ${monotonic.decreasing}`,
+    `Sign of f'(${variable}) between the critical points and domain breaks${window ? ", extended past the search window where it keeps its sign" : ""}`);
+  addStep(steps, "Concavity", `concave up on ${concavity.up}\nconcave down on ${concavity.down}`,
+    `Sign of f''(${variable}) between its zeros and the domain breaks${window ? ", extended past the search window where it keeps its sign" : ""}`);
+
+  // ---- graph: the features as markers, the slanted and level asymptotes as dashed overlays ----
+  const inX = (expression) => (variable === "x" ? expression : substitute(expression, variable, "x").toString());
+  const featureXs = [...xIntercepts.map((p) => p.x), ...critical.map((c) => c.x), ...inflections.map((p) => p.x), ...vertical.map((v) => v.x), ...holes.map((h) => h.x), 0];
+  const span = [Math.min(...featureXs) - GRAPH_MARGIN, Math.max(...featureXs) + GRAPH_MARGIN].map((v) => Math.max(-GRAPH_LIMIT, Math.min(GRAPH_LIMIT, v)));
+  const graphDomain = span[1] - span[0] < 2 * GRAPH_MARGIN ? DEFAULT_WINDOW : span.map((v) => parseFloat(v.toFixed(2)));
+  const visible = (x) => x >= graphDomain[0] && x <= graphDomain[1];
+  // An intercept that is also an extremum or inflection point is marked once, by the more specific feature
+  const markers = [
+    ...critical.map((c) => ({ x: c.x, y: c.y, label: `${c.kind === "neither" ? "critical" : c.kind === "maximum" ? "max" : "min"} (${c.xText}, ${c.yText})`, kind: c.kind === "neither" ? "critical" : c.kind })),
+    ...inflections.map((p) => ({ x: p.x, y: p.y, label: `inflection (${p.xText}, ${p.yText})`, kind: "inflection" })),
+    ...holes.map((h) => ({ x: h.x, y: h.y, label: `hole (${h.text}, ${formatNumber(h.y)})`, kind: "hole" })),
+    ...xIntercepts.map((p) => ({ x: p.x, y: 0, label: `(${p.text}, 0)`, kind: "intercept" })),
+    ...(yIntercept === null ? [] : [{ x: 0, y: yIntercept, label: `(0, ${formatNumber(yIntercept)})`, kind: "intercept" }]),
+    ...vertical.map((v) => ({ x: v.x, label: `${variable} = ${v.text}`, kind: "asymptote" }))
+  ].filter((m, i, all) => visible(m.x) && !all.slice(0, i).some((o) => samePoint(o.x, m.x) && o.y !== undefined && m.y !== undefined && samePoint(o.y, m.y)));
+  const graph = {
+    equation: inX(text),
+    domain: graphDomain,
+    overlays: [...horizontal, ...oblique].map((a) => ({ equation: inX(a.equation), label: `Asymptote y = ${a.equation}` })),
+    markers
+  };
+
+  return {
+    domain: domainText,
+    range,
+    intercepts: { x: xIntercepts.map((p) => p.text), y: yIntercept === null ? null : formatNumber(yIntercept) },
+    asymptotes: {
+      vertical: vertical.map((v) => `${variable} = ${v.text}`),
+      horizontal: horizontal.map((h) => `y = ${h.equation}`),
+      oblique: oblique.map((o) => `y = ${o.equation}`)
+    },
+    holes: holes.map((h) => ({ x: h.text, y: formatNumber(h.y) })),
+    criticalPoints: critical.map((c) => ({ x: c.xText, y: c.yText, classification: c.kind, firstDerivativeTest: c.firstTest, secondDerivativeTest: c.secondTest })),
+    inflectionPoints: inflections.map((p) => ({ x: p.xText, y: p.yText })),
+    increasing: monotonic.increasing,
+    decreasing: monotonic.decreasing,
+    concaveUp: concavity.up,
+    concaveDown: concavity.down,
+    window,
+    answer: `Domain ${domainText}; range ${range}`,
+    graph
+  };
+};
+
+module.exports = {
+  analyzeFunction
+};
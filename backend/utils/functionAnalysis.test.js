@@ -0,0 +1,70 @@
+// backend/utils/functionAnalysis.test.js
+// Regression tests for analyze(f, x): intervals that run past the numeric search window, common factors
+// cancelled before the end behaviour is read, and critical and inflection points
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeFunction } = require("./functionAnalysis");
+const { solveMathExpression } = require("./mathSolver");
+
+const analyze = (expression, steps = []) => analyzeFunction(expression, "x", steps);
+
+test("end intervals continue to ±∞ or the domain boundary past the search window", () => {
+  const decay = analyze("x*e^(-x)");
+  assert.deepEqual([decay.increasing, decay.decreasing], ["(-∞, 1)", "(1, ∞)"]);
+  assert.deepEqual([decay.concaveUp, decay.concaveDown], ["(2, ∞)", "(-∞, 2)"]);
+  const log = analyze("log(x)");
+  assert.deepEqual([log.increasing, log.concaveDown], ["(0, ∞)", "(0, ∞)"]);
+  assert.equal(analyze("atan(x)").increasing, "(-∞, ∞)");
+  assert.equal(analyze("e^x").increasing, "(-∞, ∞)");
+});
+
+test("a slope too small to sample at the middle of an interval still has a sign", () => {
+  const bell = analyze("e^(-x^2)");
+  assert.deepEqual([bell.increasing, bell.decreasing], ["(-∞, 0)", "(0, ∞)"]);
+  assert.equal(bell.concaveUp, "(-∞, -sqrt(2)/2) ∪ (sqrt(2)/2, ∞)");
+});
+
+test("intervals that keep changing past the window are labelled with it, both sets of a pair alike", () => {
+  const sine = analyze("sin(x)");
+  assert.equal(sine.increasing, "(-5*pi/2, -3*pi/2) ∪ (-pi/2, pi/2) ∪ (3*pi/2, 5*pi/2) (searched on [-10, 10])");
+  assert.equal(sine.decreasing, "(-10, -5*pi/2) ∪ (-3*pi/2, -pi/2) ∪ (pi/2, 3*pi/2) ∪ (5*pi/2, 10) (searched on [-10, 10])");
+  assert.equal(analyze("x + sin(x)").increasing, "(-∞, ∞)");
+});
+
+test("common factors cancel before asymptotes are looked for", () => {
+  const steps = [];
+  const line = analyze("(x^2 - 1)/(x - 1)", steps);
+  assert.deepEqual(line.asymptotes, { vertical: [], horizontal: [], oblique: [] });
+  assert.deepEqual(line.holes, [{ x: "1", y: "2" }]);
+  assert.equal(steps.find((s) => s.description === "Cancel common factors").expression, "f(x) = x + 1 for x ≠ 1");
+  const slant = analyze("(x^3 + 1)/(x^2 - 1)");
+  assert.deepEqual(slant.asymptotes, { vertical: ["x = 1"], horizontal: [], oblique: ["y = x"] });
+  assert.deepEqual(slant.holes, [{ x: "-1", y: "-3/2" }]);
+});
+
+test("asymptotes of a reduced rational function", () => {
+  assert.deepEqual(analyze("1/x").asymptotes, { vertical: ["x = 0"], horizontal: ["y = 0"], oblique: [] });
+  assert.deepEqual(analyze("x^2/(x^2 - 1)").asymptotes, { vertical: ["x = -1", "x = 1"], horizontal: ["y = 1"], oblique: [] });
+  assert.deepEqual(analyze("(x^2 + 1)/x").asymptotes.oblique, ["y = x"]);
+});
+
+test("extreme values at radical points stay exact in the points and the range", () => {
+  const curve = analyze("(x^2 - 1)/(x - 2)");
+  assert.deepEqual(curve.criticalPoints.map((c) => [c.x, c.y]), [["2 - sqrt(3)", "4 - 2*sqrt(3)"], ["2 + sqrt(3)", "4 + 2*sqrt(3)"]]);
+  assert.equal(curve.range, "(-∞, 4 - 2*sqrt(3)] ∪ [4 + 2*sqrt(3), ∞)");
+  assert.deepEqual(analyze("x/(x^2 + 1)").inflectionPoints.map((p) => p.y), ["-sqrt(3)/4", "0", "sqrt(3)/4"]);
+});
+
+test("critical points are classified by both derivative tests", () => {
+  const cubic = analyze("x^3 - 3*x");
+  assert.deepEqual(cubic.criticalPoints.map((c) => [c.x, c.classification, c.firstDerivativeTest, c.secondDerivativeTest]),
+    [["-1", "maximum", "maximum", "maximum"], ["1", "minimum", "minimum", "minimum"]]);
+  assert.deepEqual(cubic.inflectionPoints, [{ x: "0", y: "0" }]);
+  assert.deepEqual([cubic.increasing, cubic.decreasing], ["(-∞, -1) ∪ (1, ∞)", "(-1, 1)"]);
+});
+
+test("analyze(...) returns the analysis with a graph of its features", () => {
+  const result = solveMathExpression("analyze((x^2 - 1)/(x - 1), x)");
+  assert.equal(result.finalAnswer, "Domain (-∞, 1) ∪ (1, ∞); range (-∞, 2) ∪ (2, ∞)");
+  assert.ok(result.graph.markers.some((m) => m.kind === "hole" && m.x === 1 && m.y === 2));
+});
@@ -0,0 +1,409 @@
+// backend/utils/inequalitySolver.js
+// Inequalities (including compound and absolute-value ones) solved with critical points and a sign chart
+const { addStep } = require("./solverHelpers");
+const { OperatorNode } = require("mathjs");
+const { normalizeFunctions, tidy, simplifyNode, dependsOn, numericFunction, evaluateNumber, isExactText, formatNumber } = require("./expressionUtils");
+const { toRational, polyToString, degree, linearCoefficients } = require("./polynomial");
+const { solvePolynomialEquation, solveNumericEquation } = require("./equationSolver");
+const { familyText } = require("./trigSolver");
+const { solveExpLogEquation } = require("./exponentialSolver");
+
+const RELATIONS = {
+  "<": { holds: (v) => v < 0, text: "<", flipped: ">" },
+  "<=": { holds: (v) => v <= 0, text: "≤", flipped: ">=" },
+  ">": { holds: (v) => v > 0, text: ">", flipped: "<" },
+  ">=": { holds: (v) => v >= 0, text: "≥", flipped: "<=" }
+};
+const ZERO_TOLERANCE = 1e-9;
+const SCAN_SAMPLES = 2000;
+// Periods of the periodic functions in their argument
+const PERIODS = { sin: 2 * Math.PI, cos: 2 * Math.PI, sec: 2 * Math.PI, csc: 2 * Math.PI, tan: Math.PI, cot: Math.PI };
+const MAX_PERIOD_MULTIPLE = 12;
+const MAX_ABSOLUTE_CALLS = 3;
+const PERIOD_SAMPLES = 40;
+// How far past a numeric search window the solution set is sampled before an end interval runs on to ±∞
+const EXTENSION_DISTANCE = 100;
+const EXTENSION_SAMPLES = 400;
+
+const isInequality = (text) => /<|>|≤|≥/.test(text);
+
+// |x - 3| is written abs(x - 3) for mathjs
+const absoluteBars = (text) => text.replace(/\|([^|]+)\|/g, "abs($1)");
+
+// "a < b <= c" -> [{ left: "a", relation: "<", right: "b" }, { left: "b", relation: "<=", right: "c" }]. Parts
+// joined by "or" are alternatives and "and" binds tighter, so each condition carries the number of its alternative
+const parseInequality = (text) => {
+  const conditions = [];
+  absoluteBars(text).replace(/≤/g, "<=").replace(/≥/g, ">=").split(/\s+or\s+/).forEach((alternative, clause) => {
+    alternative.split(/\s+and\s+/).forEach((part) => {
+      const parts = part.split(/(<=|>=|<|>)/).map((p) => p.trim());
+      if (parts.length < 3) throw new Error(`"${part.trim()}" is not an inequality; every part joined by "and" or "or" needs <, >, ≤ or ≥`);
+      if (parts.some((p) => !p)) throw new Error("Each side of an inequality needs an expression");
+      for (let i = 1; i < parts.length; i += 2) {
+        conditions.push({ left: parts[i - 1], relation: parts[i], right: parts[i + 1], clause });
+      }
+    });
+  });
+  return conditions;
+};
+
+// Snap a numeric point to its exact form when one is recognised
+const point = (value, text = formatNumber(value)) => {
+  const exact = isExactText(text) ? evaluateNumber(text) : null;
+  return { value: exact === null ? value : exact, text };
+};
+
+const realPoints = (solution) => (solution ? solution.roots.filter((r) => r.im === 0).map((r) => point(r.re, r.text)) : []);
+
+// Bisect between a defined and an undefined sample, or across a sign change, to locate a boundary
+const bisect = (inside, lo, hi) => {
+  for (let i = 0; i < 80; i++) {
+    const mid = (lo + hi) / 2;
+    if (inside(mid) === inside(lo)) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Poles and domain boundaries of f on [lo, hi]: where f stops being defined, or changes sign away from a zero
+const scanBreaks = (f, zeros, lo, hi) => {
+  const defined = (x) => {
+    const y = f(x);
+    return y !== null && isFinite(y);
+  };
+  const poles = [];
+  const boundaries = [];
+  const h = (hi - lo) / SCAN_SAMPLES;
+  for (let i = 0; i < SCAN_SAMPLES; i++) {
+    const [a, b] = [lo + i * h, lo + (i + 1) * h];
+    if (defined(a) !== defined(b)) {
+      boundaries.push(point(bisect(defined, a, b)));
+    } else if (defined(a) && Math.sign(f(a)) !== Math.sign(f(b)) && f(a) !== 0 && f(b) !== 0) {
+      // A sign change that is not a zero is a pole or a jump
+      const c = bisect((x) => f(x) > 0, a, b);
+      if (!zeros.some((z) => Math.abs(z.value - c) < 1e-6 * Math.max(1, Math.abs(c)))) poles.push(point(c));
+    }
+  }
+  return { poles, boundaries };
+};
+
+const uniquePoints = (points) =>
+  points.filter((p, i) => points.findIndex((q) => Math.abs(q.value - p.value) < 1e-9 * Math.max(1, Math.abs(p.value))) === i);
+
+// abs(u) with rational u: each choice of signs turns f into a rational function, so the zeros and poles of f are
+// among their roots and the zeros of u; null when the abs calls are nested, too many or not rational inside
+const absoluteCases = (node, variable) => {
+  const calls = node.filter((n) => n.isFunctionNode && n.fn.name === "abs" && n.args.length === 1 && dependsOn(n, variable));
+  const keys = [...new Set(calls.map((n) => n.toString()))];
+  if (!keys.length || keys.length > MAX_ABSOLUTE_CALLS) return null;
+  const inner = keys.map((key) => calls.find((n) => n.toString() === key).args[0]);
+  if (!inner.every((u) => toRational(u, variable))) return null;
+  const cases = [];
+  for (let signs = 0; signs < 2 ** keys.length; signs++) {
+    const chosen = node.transform((n) => {
+      const index = n.isFunctionNode && n.fn.name === "abs" ? keys.indexOf(n.toString()) : -1;
+      if (index === -1) return n;
+      return signs & (1 << index) ? new OperatorNode("-", "unaryMinus", [inner[index]]) : inner[index];
+    });
+    const rational = toRational(tidy(chosen), variable);
+    if (!rational) return null;
+    cases.push(rational);
+  }
+  return { cases, inner: inner.map((u) => toRational(u, variable)) };
+};
+
+const polynomialRoots = (coeffs, variable) =>
+  (degree(coeffs) > 0 ? realPoints(solvePolynomialEquation(polyToString(coeffs, variable), variable, [])) : []);
+
+// Zeros, poles and domain boundaries of f; exact for rational functions (also inside abs), numeric otherwise. A numeric search
+// only covers its window, which is returned so callers can bound what they report by it; exponential and logarithmic
+// zeros are still solved exactly, and only the poles and domain boundaries are searched for
+const criticalPoints = (expression, variable, interval = null) => {
+  const node = tidy(normalizeFunctions(expression));
+  const rational = toRational(node, variable);
+  if (rational) {
+    const zeros = realPoints(solvePolynomialEquation(polyToString(rational.numerator, variable), variable, []));
+    const poles = degree(rational.denominator) > 0 ? realPoints(solvePolynomialEquation(polyToString(rational.denominator, variable), variable, [])) : [];
+    return { zeros, poles, boundaries: [], exact: true };
+  }
+  const absolute = absoluteCases(node, variable);
+  if (absolute) {
+    // Keep the candidates where f really vanishes or is undefined; the kinks are pole candidates as well, since
+    // x/abs(x) cancels to ±1 in every case
+    const f = numericFunction(node, variable);
+    const zeros = uniquePoints([...absolute.cases, ...absolute.inner].flatMap((r) => polynomialRoots(r.numerator, variable)))
+      .filter((p) => f(p.value) !== null && Math.abs(f(p.value)) < ZERO_TOLERANCE);
+    const poles = uniquePoints([...absolute.cases.map((r) => r.denominator), ...absolute.inner.map((r) => r.numerator)].flatMap((coeffs) => polynomialRoots(coeffs, variable)))
+      .filter((p) => f(p.value) === null || !isFinite(f(p.value)));
+    return { zeros: zeros.sort((a, b) => a.value - b.value), poles: poles.sort((a, b) => a.value - b.value), boundaries: [], exact: true };
+  }
+
+  const numeric = solveNumericEquation(node.toString(), variable, interval, []);
+  const expLog = solveExpLogEquation(node.toString(), variable, []);
+  const zeros = realPoints(expLog || numeric);
+  const [lo, hi] = numeric.interval;
+  return { zeros, ...scanBreaks(numericFunction(node, variable), zeros, lo, hi), exact: false, window: [lo, hi] };
+};
+
+// Common period of the conditions, or null: every call of a periodic function needs a linear argument, and the
+// candidate (a multiple of the longest single period) is checked numerically, which also rules out x + sin(x)
+const commonPeriod = (conditions, variable) => {
+  const calls = conditions.flatMap((c) => c.node.filter((n) => n.isFunctionNode && PERIODS[n.fn.name] && dependsOn(n, variable)));
+  if (!calls.length) return null;
+  const periods = calls.map((n) => {
+    const line = n.args.length === 1 ? linearCoefficients(n.args[0], variable) : null;
+    return line ? PERIODS[n.fn.name] / Math.abs(line.a) : null;
+  });
+  if (periods.includes(null)) return null;
+  const longest = Math.max(...periods);
+  const commensurate = (period) => periods.every((p) => {
+    const ratio = period / p;
+    return Math.abs(ratio - Math.round(ratio)) < 1e-9;
+  });
+  const samples = Array.from({ length: PERIOD_SAMPLES }, (_, i) => -7.3 + 0.37 * i);
+  const repeats = (period) => conditions.every((c) => samples.every((x) => {
+    const [a, b] = [c.f(x), c.f(x + period)];
+    if (a === null || b === null || !isFinite(a) || !isFinite(b)) return (a === null || !isFinite(a)) === (b === null || !isFinite(b));
+    return Math.abs(a - b) < 1e-8 * Math.max(1, Math.abs(a));
+  }));
+  const multiple = Array.from({ length: MAX_PERIOD_MULTIPLE }, (_, i) => (i + 1) * longest).find(commensurate);
+  if (!multiple || !repeats(multiple)) return null;
+  // sin(x)·cos(x) repeats after π although each factor needs 2π, so try the fractions of the period as well
+  const fraction = Array.from({ length: MAX_PERIOD_MULTIPLE - 1 }, (_, i) => MAX_PERIOD_MULTIPLE - i).find((n) => repeats(multiple / n));
+  return fraction ? multiple / fraction : multiple;
+};
+
+const intervalText = (piece) => {
+  const left = piece.from ? `${piece.from.closed ? "[" : "("}${piece.from.text}` : "(-∞";
+  const right = piece.to ? `${piece.to.text}${piece.to.closed ? "]" : ")"}` : "∞)";
+  return piece.isPoint ? `{${piece.from.text}}` : `${left}, ${right}`;
+};
+
+const builderText = (piece, variable) => {
+  if (piece.isPoint) return `${variable} = ${piece.from.text}`;
+  if (!piece.from && !piece.to) return `${variable} ∈ ℝ`;
+  const lower = piece.from ? `${piece.from.text} ${piece.from.closed ? "≤" : "<"} ` : "";
+  const upper = piece.to ? ` ${piece.to.closed ? "≤" : "<"} ${piece.to.text}` : "";
+  if (!piece.from) return `${variable}${upper}`;
+  if (!piece.to) return `${variable} ${piece.from.closed ? "≥" : ">"} ${piece.from.text}`;
+  return `${lower}${variable}${upper}`;
+};
+
+// Walk the alternating list of open intervals and breakpoints, merging consecutive pieces that satisfy the system
+const mergePieces = (pieces) => {
+  const result = [];
+  let current = null;
+  pieces.forEach((piece, i) => {
+    if (!piece.satisfied) {
+      if (current) result.push(current);
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = piece.kind === "point"
+        ? { from: { text: piece.point.text, value: piece.point.value, closed: true } }
+        : { from: i === 0 ? null : { text: pieces[i - 1].point.text, value: pieces[i - 1].point.value, closed: false } };
+      current.start = i;
+    }
+    current.to = piece.kind === "point"
+      ? { text: piece.point.text, value: piece.point.value, closed: true }
+      : i === pieces.length - 1 ? null : { text: pieces[i + 1].point.text, value: pieces[i + 1].point.value, closed: false };
+    current.isPoint = piece.kind === "point" && current.start === i;
+  });
+  if (current) result.push(current);
+  return result.map(({ from, to, isPoint }) => ({ from, to, isPoint }));
+};
+
+const signOf = (condition, x) => {
+  const y = condition.f(x);
+  if (y === null || !isFinite(y)) return null;
+  return Math.abs(y) < ZERO_TOLERANCE ? 0 : y;
+};
+
+// Every part of some alternative holds; the parts in `undefinedFor` have a pole at x and fail there
+const satisfiedAt = (conditions, x, undefinedFor = []) => {
+  const holds = conditions.map((c) => {
+    const y = undefinedFor.includes(c) ? null : signOf(c, x);
+    return y !== null && c.rule.holds(y);
+  });
+  return conditions.some((c) => conditions.every((other, i) => other.clause !== c.clause || holds[i]));
+};
+
+const symbol = (y) => (y === null ? "undefined" : y === 0 ? "0" : y > 0 ? "+" : "−");
+
+// Every zero, pole and domain boundary of every part, once each; poles carry the parts they belong to, which
+// fail there, so a pole is only included when another alternative holds at it
+const collectBreaks = (found) => {
+  const points = found.flatMap(({ condition, zeros, poles, boundaries }) =>
+    [...zeros, ...poles.map((p) => ({ ...p, pole: true, poleOf: p.poleOf || [condition] })), ...boundaries]);
+  return uniquePoints(points).map((p) => {
+    const poleOf = [...new Set(points.filter((q) => q.pole && Math.abs(q.value - p.value) < 1e-9 * Math.max(1, Math.abs(p.value))).flatMap((q) => q.poleOf))];
+    return poleOf.length ? { ...p, pole: true, poleOf } : p;
+  }).sort((a, b) => a.value - b.value);
+};
+
+// true or false when every sample past a window edge, out to EXTENSION_DISTANCE, agrees with the edge itself
+// about the inequality (the end interval then runs on to ±∞); null when it changes out there
+const settledBeyond = (conditions, edge, direction) => {
+  const wanted = satisfiedAt(conditions, edge);
+  for (let i = 1; i <= EXTENSION_SAMPLES; i++) {
+    if (satisfiedAt(conditions, edge + (direction * EXTENSION_DISTANCE * i) / EXTENSION_SAMPLES) !== wanted) return null;
+  }
+  return wanted;
+};
+
+const reportCriticalPoints = (found, steps, numericNote) => {
+  found.forEach(({ condition, zeros, poles, boundaries, exact, window }) => {
+    const parts = [
+      zeros.length ? `zeros ${zeros.map((p) => p.text).join(", ")}` : "no real zeros",
+      poles.length ? `undefined at ${poles.map((p) => p.text).join(", ")}` : "",
+      boundaries.length ? `domain boundary at ${boundaries.map((p) => p.text).join(", ")}` : ""
+    ].filter(Boolean);
+    addStep(steps, "Critical points", `${condition.node.toString()}: ${parts.join("; ")}`, exact ? "Real roots of the numerator and denominator" : numericNote(window));
+  });
+};
+
+// The alternating interval/point pieces and the sign chart rows: one test point inside each open interval, then the
+// breakpoint that closes it. `first` labels the start of the first interval; test points outside `searched` are
+// not decided
+const signChart = (conditions, variable, breaks, testPoints, first = "-∞", searched = () => true) => {
+  const pieces = [];
+  const rows = [];
+  testPoints.forEach((x, i) => {
+    const from = i === 0 ? first : breaks[i - 1].text;
+    const to = i < breaks.length ? breaks[i].text : "∞";
+    if (searched(x)) {
+      const satisfied = satisfiedAt(conditions, x);
+      pieces.push({ kind: "interval", satisfied });
+      rows.push([`(${from}, ${to})`, formatNumber(x), ...conditions.map((c) => symbol(signOf(c, x))), satisfied ? "yes" : "no"]);
+    } else {
+      pieces.push({ kind: "interval", satisfied: false });
+      rows.push([`(${from}, ${to})`, "—", ...conditions.map(() => ""), "not searched"]);
+    }
+    if (i < breaks.length) {
+      const p = breaks[i];
+      const undefinedFor = p.poleOf || [];
+      const pointSatisfied = satisfiedAt(conditions, p.value, undefinedFor);
+      pieces.push({ kind: "point", point: p, satisfied: pointSatisfied });
+      rows.push([`${variable} = ${p.text}`, p.text, ...conditions.map((c) => symbol(undefinedFor.includes(c) ? null : signOf(c, p.value))), pointSatisfied ? "yes" : "no"]);
+    }
+  });
+  const table = {
+    title: "Sign chart",
+    columns: ["Interval", "Test point", ...conditions.map((c) => `${c.node.toString()} ${c.rule.text} 0`), "Satisfied"],
+    rows
+  };
+  return { pieces, rows, table };
+};
+
+const solutionSet = (solution, variable, suffix = "") => {
+  const intervals = solution.length ? solution.map(intervalText).join(" ∪ ") : "∅";
+  const setBuilder = solution.length ? `{${variable} | ${solution.map((piece) => builderText(piece, variable)).join(" or ")}${suffix}}` : "∅";
+  return {
+    intervals,
+    setBuilder,
+    pieces: solution.map(({ from, to, isPoint }) => ({
+      from: from ? { value: from.value, text: from.text, closed: from.closed } : null,
+      to: to ? { value: to.value, text: to.text, closed: to.closed } : null,
+      isPoint: Boolean(isPoint)
+    }))
+  };
+};
+
+// Periodic systems are solved on one period [s, s + T) that starts at a breakpoint; the pieces are then rotated
+// to start at one that fails, so a piece that runs across the end of the period is merged into one
+const solvePeriodicInequality = (conditions, variable, period, steps) => {
+  addStep(steps, "Period", `T = ${formatNumber(period)}`, "Every part repeats with this period, so one period decides the whole solution set");
+  const found = conditions.map((c) => ({ condition: c, ...criticalPoints(c.node.toString(), variable, [0, period]) }));
+  reportCriticalPoints(found, steps, () => `Located numerically on one period [0, ${formatNumber(period)}]`);
+
+  const wrapped = collectBreaks(found).map((p) => (p.value >= period - 1e-9 * period ? { ...p, ...point(p.value - period) } : p));
+  const breaks = collectBreaks([{ zeros: wrapped.filter((p) => !p.pole), poles: wrapped.filter((p) => p.pole), boundaries: [] }]);
+  const whole = (satisfied) => {
+    addStep(steps, "Sign chart", `${variable} = 0: ${satisfied ? "satisfied" : "not satisfied"}`, "No critical points, so the sign never changes");
+    const result = solutionSet(satisfied ? [{ from: null, to: null }] : [], variable);
+    return { ...result, period, answer: satisfied ? `${variable} ∈ ${result.intervals}` : "No solution" };
+  };
+  if (!breaks.length) return whole(satisfiedAt(conditions, 0));
+
+  const start = breaks[0];
+  const cycle = [...breaks.slice(1), { ...start, ...point(start.value + period) }];
+  const testPoints = cycle.map((p, i) => ((i === 0 ? start.value : cycle[i - 1].value) + p.value) / 2);
+  const { pieces, rows, table } = signChart(conditions, variable, cycle, testPoints, start.text);
+  addStep(steps, "Sign chart", rows.map((row) => row.join(" | ")).join("\n"), `One period from ${variable} = ${start.text}; the signs repeat in every other period`, { table });
+
+  const failing = pieces.findIndex((piece) => !piece.satisfied);
+  if (failing === -1) return whole(true);
+  const shift = (piece) => (piece.kind === "point" ? { ...piece, point: { ...piece.point, ...point(piece.point.value + period) } } : piece);
+  const rotated = [...pieces.slice(failing), ...pieces.slice(0, failing).map(shift), shift(pieces[failing])];
+  // Centre each piece on the period nearest 0 and write its ends as families base + k·T
+  const solution = mergePieces(rotated).map(({ from, to, isPoint }) => {
+    const offset = Math.ceil((isPoint ? from.value : (from.value + to.value) / 2) / period - 0.5 - 1e-9) * period;
+    const end = (p) => ({ ...p, value: p.value - offset, text: familyText({ base: p.value - offset, period }) });
+    return { from: end(from), to: end(to), isPoint };
+  }).sort((a, b) => a.from.value - b.from.value);
+  const result = solutionSet(solution, variable, " for some k ∈ ℤ");
+  addStep(steps, "Interval notation", `${result.intervals}, k ∈ ℤ`, `The solutions in one period, repeated every ${formatNumber(period)}`);
+  addStep(steps, "Set-builder form", result.setBuilder, solution.length ? "The same solution set described by conditions" : "No value satisfies the inequality");
+  return { ...result, period, answer: solution.length ? `${variable} ∈ ${result.intervals}, k ∈ ℤ` : "No solution" };
+};
+
+const solveInequality = (text, variable, steps) => {
+  const conditions = parseInequality(text).map((c) => {
+    // Keep the variable on the left: "3 < x" becomes "x - 3 > 0"
+    const swap = !dependsOn(c.left, variable) && dependsOn(c.right, variable);
+    const [left, right, relation] = swap ? [c.right, c.left, RELATIONS[c.relation].flipped] : [c.left, c.right, c.relation];
+    const node = simplifyNode(normalizeFunctions(right === "0" ? left : `${left} - (${right})`));
+    return { node, f: numericFunction(node, variable), rule: RELATIONS[relation], clause: c.clause };
+  });
+  const alternatives = [...new Set(conditions.map((c) => c.clause))]
+    .map((clause) => conditions.filter((c) => c.clause === clause).map((c) => `${c.node.toString()} ${c.rule.text} 0`).join("  and  "));
+  addStep(steps, "Rewrite with zero on one side", alternatives.join("  or  "),
+    alternatives.length > 1 ? "The compound inequality holds where every part of at least one alternative holds"
+      : conditions.length > 1 ? "A compound inequality holds when every part holds" : "Compare a single expression with zero");
+
+  const period = conditions.some((c) => !toRational(c.node, variable)) ? commonPeriod(conditions, variable) : null;
+  if (period) return solvePeriodicInequality(conditions, variable, period, steps);
+
+  // Breakpoints: every zero, pole and domain boundary of every part. Numeric searches only cover a window; an
+  // end interval runs on to ±∞ when the inequality keeps its truth value far past the window, and the answer is
+  // otherwise bounded by the window edge
+  const found = conditions.map((c) => ({ condition: c, ...criticalPoints(c.node.toString(), variable) }));
+  const windows = found.filter((f) => !f.exact).map((f) => f.window);
+  const searchedWindow = windows.length ? [Math.max(...windows.map((w) => w[0])), Math.min(...windows.map((w) => w[1]))] : null;
+  const beyond = searchedWindow ? [settledBeyond(conditions, searchedWindow[0], -1), settledBeyond(conditions, searchedWindow[1], 1)] : [];
+  const window = searchedWindow && beyond.includes(null) ? searchedWindow : null;
+  const searched = (x) => !searchedWindow || (x >= searchedWindow[0] || beyond[0] !== null) && (x <= searchedWindow[1] || beyond[1] !== null);
+  const edges = searchedWindow ? searchedWindow.filter((_, i) => beyond[i] === null).map((value) => ({ ...point(value), edge: true })) : [];
+  const all = uniquePoints([...collectBreaks(found).filter((p) => searched(p.value)), ...edges]).sort((a, b) => a.value - b.value);
+  reportCriticalPoints(found, steps, (w) => `Located numerically on [${formatNumber(w[0])}, ${formatNumber(w[1])}]; ${window
+    ? "critical points outside it are not detected"
+    : `past it the inequality was sampled out to ${EXTENSION_DISTANCE} further and never changed`}`);
+
+  // Test a point inside each open interval, then each breakpoint itself
+  const testPoints = all.length
+    ? [all[0].value - 1, ...all.slice(1).map((p, i) => (all[i].value + p.value) / 2), all[all.length - 1].value + 1]
+    : [0];
+  const { pieces, rows, table } = signChart(conditions, variable, all, testPoints, "-∞", searched);
+  addStep(steps, "Sign chart", rows.map((row) => row.join(" | ")).join("\n"), "Signs are constant between consecutive critical points, so one test point decides each interval", { table });
+
+  const solution = mergePieces(pieces);
+  const windowNote = window ? ` (searched on [${formatNumber(window[0])}, ${formatNumber(window[1])}])` : "";
+  const result = solutionSet(solution, variable);
+  addStep(steps, "Interval notation", `${result.intervals}${windowNote}`,
+    window ? "Union of the intervals and points where the inequality holds inside the searched window; values outside it were not checked" : "Union of the intervals and points where the inequality holds; brackets mark included endpoints");
+  addStep(steps, "Set-builder form", result.setBuilder, solution.length ? "The same solution set described by conditions" : "No value satisfies the inequality");
+  return {
+    ...result,
+    ...(window && { window }),
+    answer: `${solution.length ? `${variable} ∈ ${result.intervals}` : "No solution"}${windowNote}`
+  };
+};
+
+module.exports = {
+  isInequality,
+  solveInequality,
+  criticalPoints,
+  mergePieces,
+  intervalText
+};
@@ -0,0 +1,68 @@
+// backend/utils/inequalitySolver.test.js
+// Regression tests for the inequality solver: exact sign charts, periodic solution sets and the window that
+// bounds answers found numerically
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { solveInequality, criticalPoints } = require("./inequalitySolver");
+
+const solve = (text, variable = "x", steps = []) => solveInequality(text, variable, steps);
+
+test("polynomial and rational inequalities are exact", () => {
+  assert.equal(solve("x^2 - 4 > 0").answer, "x ∈ (-∞, -2) ∪ (2, ∞)");
+  assert.equal(solve("(x-1)/(x+2) >= 0").answer, "x ∈ (-∞, -2) ∪ [1, ∞)");
+  assert.equal(solve("-1 < 2x + 1 <= 5").answer, "x ∈ (-1, 2]");
+  assert.equal(solve("(x-1)^2 <= 0").answer, "x ∈ {1}");
+  assert.equal(solve("x^2 + 1 < 0").answer, "No solution");
+});
+
+test("absolute values are split into rational cases instead of searched numerically", () => {
+  const result = solve("|2x + 1| >= 3");
+  assert.equal(result.answer, "x ∈ (-∞, -2] ∪ [1, ∞)");
+  assert.equal(result.window, undefined);
+  assert.equal(solve("abs(x^2 - 4) < 3").answer, "x ∈ (-sqrt(7), -1) ∪ (1, sqrt(7))");
+  assert.equal(solve("x/abs(x) > 0").answer, "x ∈ (0, ∞)");
+  assert.deepEqual(criticalPoints("x/abs(x)", "x").poles.map((p) => p.value), [0]);
+});
+
+test("periodic inequalities give one period repeated for every integer k", () => {
+  const sine = solve("sin(x) > 0");
+  assert.equal(sine.answer, "x ∈ (2*k*pi, pi + 2*k*pi), k ∈ ℤ");
+  assert.equal(sine.period, 2 * Math.PI);
+  assert.equal(solve("cos(x) > 0").answer, "x ∈ (-pi/2 + 2*k*pi, pi/2 + 2*k*pi), k ∈ ℤ");
+  assert.equal(solve("cos(2x) >= 0.5").answer, "x ∈ [-pi/6 + k*pi, pi/6 + k*pi], k ∈ ℤ");
+  assert.equal(solve("sin(x)*cos(x) <= 0").answer, "x ∈ [-pi/2 + k*pi, k*pi], k ∈ ℤ");
+  assert.equal(solve("0 < sin(x) < 1/2").answer, "x ∈ (2*k*pi, pi/6 + 2*k*pi) ∪ (5*pi/6 + 2*k*pi, pi + 2*k*pi), k ∈ ℤ");
+  assert.equal(solve("sin(x) > 2").answer, "No solution");
+});
+
+test("poles of periodic functions are never included", () => {
+  assert.equal(solve("tan(x) > 1").answer, "x ∈ (pi/4 + k*pi, pi/2 + k*pi), k ∈ ℤ");
+});
+
+test("numeric answers run past the searched window only where the inequality settles", () => {
+  // The zero of e^x - 2 is solved exactly, and the window edge is no endpoint once e^x > 2 holds far past it
+  const exponential = solve("exp(x) > 2");
+  assert.equal(exponential.answer, "x ∈ (log(2), ∞)");
+  assert.equal(exponential.window, undefined);
+  assert.equal(solve("log(x) > 1").answer, "x ∈ (e, ∞)");
+  assert.equal(solve("x + sin(x) > 1").answer, "x ∈ (0.5109734294, ∞)");
+  const steps = [];
+  const result = solve("x*sin(x) > 1", "x", steps);
+  assert.match(result.answer, /^x ∈ \(-9\.317242941, -6\.439117238\) ∪ .* \(searched on \[-10, 10\]\)$/);
+  assert.deepEqual(result.window, [-10, 10]);
+  assert.ok(steps.find((s) => s.description === "Sign chart").table.rows.some((row) => row[row.length - 1] === "not searched"));
+});
+
+test("parts joined by and are intersected and alternatives joined by or are united", () => {
+  assert.equal(solve("x^2 - 4 > 0 and x > 0").answer, "x ∈ (2, ∞)");
+  assert.equal(solve("x > 0 and x < 2").answer, "x ∈ (0, 2)");
+  const steps = [];
+  assert.equal(solve("x < -1 or x > 1", "x", steps).answer, "x ∈ (-∞, -1) ∪ (1, ∞)");
+  assert.equal(steps[0].expression, "x + 1 < 0  or  x - 1 > 0");
+  // "and" binds tighter than "or"
+  assert.equal(solve("x^2 < 1 or x^2 > 4 and x > 0").answer, "x ∈ (-1, 1) ∪ (2, ∞)");
+  // A pole of one alternative is included when the other holds there
+  assert.equal(solve("1/x > 0 or x >= 0").answer, "x ∈ [0, ∞)");
+  assert.equal(solve("sin(x) > 0 or cos(x) > 0").answer, "x ∈ (-pi/2 + 2*k*pi, pi + 2*k*pi), k ∈ ℤ");
+  assert.throws(() => solve("x > 0 and 3"), /"3" is not an inequality/);
+});
@@ -0,0 +1,563 @@
+// backend/utils/limitSolver.js
+// AST-based limit evaluator. Limits are extended reals (finite numbers, Infinity, -Infinity),
+// BOUNDED for bounded oscillation such as sin(x) as x -> inf, and NaN when the limit does not exist.
+const { derivative, parse, OperatorNode, FunctionNode } = require("mathjs");
+const { addStep } = require("./solverHelpers");
+const {
+  normalizeFunctions,
+  tidy,
+  simplifyNode,
+  dependsOn,
+  evaluateNumber,
+  numericFunction,
+  isZero,
+  formatNumber,
+  isExactText,
+  getFactors,
+  productNode
+} = require("./expressionUtils");
+const { toRational, degree, leadingCoefficient, polyScale, polyEvaluate, polyToString } = require("./polynomial");
+
+const BOUNDED = "bounded";
+const MAX_LHOPITAL = 6;
+const MAX_DEPTH = 40;
+const GROWTH_LIMIT = 1.25;
+
+// log(2) and log(10) stay symbolic when a limit is a rational multiple of them
+const LOG_BASES = [2, 3, 5, 10];
+
+const isInfinite = (value) => value === Infinity || value === -Infinity;
+const isFiniteNumber = (value) => typeof value === "number" && isFinite(value);
+const isZeroLimit = (value) => typeof value === "number" && isZero(value, 1e-12);
+
+const formatLimitValue = (value) => {
+  if (value === BOUNDED) return "does not exist (the function oscillates)";
+  if (value === Infinity) return "∞";
+  if (value === -Infinity) return "-∞";
+  if (typeof value !== "number" || isNaN(value)) return "does not exist";
+  const text = formatNumber(value);
+  if (isExactText(text)) return text;
+  // Limits such as (1 + 1/x)^x land on powers of e
+  const exponent = formatNumber(Math.log(Math.abs(value)));
+  if (value > 0 && isExactText(exponent)) return exponent === "1" ? "e" : `e^(${exponent})`;
+  for (const base of LOG_BASES) {
+    const multiple = formatNumber(value / Math.log(base));
+    if (!/^-?\d+(\/\d+)?$/.test(multiple)) continue;
+    const [top, bottom] = multiple.split("/");
+    const scaled = top === "1" ? `log(${base})` : top === "-1" ? `-log(${base})` : `${top} * log(${base})`;
+    return bottom ? `${scaled} / ${bottom}` : scaled;
+  }
+  return text;
+};
+
+const approachText = ({ point, side }) => {
+  if (point === Infinity) return "∞";
+  if (point === -Infinity) return "-∞";
+  return `${formatNumber(point)}${side === "+" ? "⁺" : side === "-" ? "⁻" : ""}`;
+};
+
+const limitText = (node, ctx) => `lim(${ctx.variable} → ${approachText(ctx)}) ${node.toString()}`;
+
+// Points approaching the limit point from the requested side(s)
+const approachPoints = ({ point, side }) => {
+  if (point === Infinity) return [1e2, 1e3, 1e4, 1e5, 1e6];
+  if (point === -Infinity) return [-1e2, -1e3, -1e4, -1e5, -1e6];
+  const offsets = [1e-2, 1e-3, 1e-4, 1e-5, 1e-6];
+  const scale = Math.max(1, Math.abs(point));
+  const right = offsets.map((h) => point + h * scale);
+  const left = offsets.map((h) => point - h * scale);
+  if (side === "+") return right;
+  if (side === "-") return left;
+  return [...right, ...left];
+};
+
+// Sign of an expression just before the limit point: 1, -1, or 0 when it differs between sides
+const approachSign = (node, ctx) => {
+  const f = numericFunction(node, ctx.variable);
+  const signs = new Set(approachPoints(ctx).map(f).filter((y) => y !== null && y !== 0).map(Math.sign));
+  return signs.size === 1 ? [...signs][0] : 0;
+};
+
+// Extended-real arithmetic; returns undefined for indeterminate combinations
+const addLimits = (a, b) => {
+  if (Number.isNaN(a) || Number.isNaN(b)) return NaN;
+  if (a === BOUNDED || b === BOUNDED) return isInfinite(a) ? a : isInfinite(b) ? b : BOUNDED;
+  if (isInfinite(a) && isInfinite(b) && a !== b) return undefined;
+  return a + b;
+};
+
+const multiplyLimits = (a, b) => {
+  if (Number.isNaN(a) || Number.isNaN(b)) return NaN;
+  if (a === BOUNDED || b === BOUNDED) {
+    const other = a === BOUNDED ? b : a;
+    if (other === BOUNDED) return BOUNDED;
+    if (isZeroLimit(other)) return 0;
+    return isInfinite(other) ? NaN : BOUNDED;
+  }
+  if ((isZeroLimit(a) && isInfinite(b)) || (isInfinite(a) && isZeroLimit(b))) return undefined;
+  return a * b;
+};
+
+// Known behaviour of functions at ±∞ and at the edge of their domain
+const functionAtLimit = (name, value) => {
+  // Functions continuous on all of ℝ keep a bounded oscillating argument bounded
+  if (value === BOUNDED) return ["sin", "cos", "atan", "tanh", "abs", "exp", "sinh", "cosh", "cbrt"].includes(name) ? BOUNDED : NaN;
+  const atInfinity = {
+    exp: [Infinity, 0],
+    log: [Infinity, NaN],
+    log10: [Infinity, NaN],
+    log2: [Infinity, NaN],
+    sqrt: [Infinity, NaN],
+    cbrt: [Infinity, -Infinity],
+    atan: [Math.PI / 2, -Math.PI / 2],
+    tanh: [1, -1],
+    sinh: [Infinity, -Infinity],
+    cosh: [Infinity, Infinity],
+    abs: [Infinity, Infinity],
+    sin: [BOUNDED, BOUNDED],
+    cos: [BOUNDED, BOUNDED]
+  };
+  if (isInfinite(value)) {
+    const entry = atInfinity[name];
+    return entry ? entry[value > 0 ? 0 : 1] : NaN;
+  }
+  return undefined;
+};
+
+const numericEstimate = (node, ctx, reason) => {
+  const f = numericFunction(node, ctx.variable);
+  const compiled = node.compile();
+  // Infinity or NaN out of a real expression means double precision ran out, not that the limit fails to exist
+  const overflows = (x) => {
+    try {
+      const value = compiled.evaluate({ [ctx.variable]: x });
+      return typeof value === "number" && !isFinite(value);
+    } catch {
+      return false;
+    }
+  };
+  const estimateSide = (side) => {
+    const points = approachPoints({ ...ctx, side });
+    const values = points.map(f);
+    if (values.some((y) => y === null)) {
+      if (points.some((x, i) => values[i] === null && overflows(x))) ctx.state.overflow = true;
+      return NaN;
+    }
+    if (values.some((y) => !isFinite(y))) {
+      // Samples that grow until they overflow to the same infinity are unbounded; anything else is an overflow
+      const finite = values.filter((y) => isFinite(y));
+      const infinities = new Set(values.filter((y) => !isFinite(y)));
+      const [a, b] = finite.slice(-2);
+      const edge = [...infinities][0];
+      if (infinities.size === 1 && !Number.isNaN(edge) && finite.length >= 2 && Math.abs(b) > 1e6 && Math.abs(b) > Math.abs(a) && Math.sign(b) === Math.sign(edge)) return edge;
+      ctx.state.overflow = true;
+      return NaN;
+    }
+    const last = values.slice(-3);
+    if (last.every((y) => Math.abs(y) > 1e6) && last.every((y) => Math.sign(y) === Math.sign(last[0]))) {
+      const growing = Math.abs(last[2]) > Math.abs(last[0]);
+      if (growing) return Math.sign(last[0]) * Infinity;
+    }
+    const [a, b, c] = last;
+    const tolerance = 1e-4 * Math.max(1, Math.abs(c));
+    if (Math.abs(c - b) < tolerance && Math.abs(b - a) < tolerance * 10) {
+      // The sample points shrink by a factor of 10, so Richardson extrapolation removes the leading error term
+      return Number(((10 * c - b) / 9).toPrecision(9));
+    }
+    return NaN;
+  };
+
+  let value;
+  if (isFinite(ctx.point) && !ctx.side) {
+    const right = estimateSide("+");
+    const left = estimateSide("-");
+    value = Math.abs(right - left) < 1e-6 * Math.max(1, Math.abs(right)) || right === left ? right : NaN;
+  } else {
+    value = estimateSide(ctx.side);
+  }
+  addStep(ctx.steps, "Numerical estimate", `${limitText(node, ctx)} ≈ ${formatLimitValue(value)}`,
+    `${reason}; evaluate the function at points approaching ${approachText(ctx)}`);
+  ctx.state.numeric = true;
+  return value;
+};
+
+// derivative() simplifies on its own and folds log(2) into 0.693..., so simplify afterwards with constants protected
+const differentiate = (node, variable) => simplifyNode(derivative(node, variable, { simplify: false }));
+
+// Size of the part of an expression that involves the variable; constant factors such as log(2) do not count
+const nodeCount = (node, variable) => node.filter((n) => dependsOn(n, variable)).length;
+
+const resolveQuotient = (numerator, denominator, form, ctx) => {
+  const quotient = tidy(new OperatorNode("/", "divide", [numerator, denominator]));
+  if (ctx.lhopital >= MAX_LHOPITAL) return numericEstimate(quotient, ctx, `L'Hôpital's rule was applied ${MAX_LHOPITAL} times without resolving the ${form} form`);
+  // Quotients already met along this chain of rewrites; a sibling branch may legitimately meet them again
+  if (ctx.seen.has(quotient.toString())) return numericEstimate(quotient, ctx, "L'Hôpital's rule keeps returning to the same quotient");
+  const seen = new Set([...ctx.seen, quotient.toString()]);
+  const top = differentiate(numerator, ctx.variable);
+  const bottom = differentiate(denominator, ctx.variable);
+  const next = simplifyNode(new OperatorNode("/", "divide", [top, bottom]));
+  // Two rounds in a row that each make the quotient a quarter bigger will not settle it
+  const growing = nodeCount(next, ctx.variable) > GROWTH_LIMIT * nodeCount(quotient, ctx.variable);
+  if (growing && ctx.growing) return numericEstimate(quotient, ctx, "L'Hôpital's rule keeps making the quotient more complicated");
+  addStep(ctx.steps, "L'Hôpital's rule", `${limitText(quotient, ctx)} = ${limitText(next, ctx)}`,
+    `The ${form} form allows differentiating numerator and denominator separately: (${numerator.toString()})' = ${top.toString()}, (${denominator.toString()})' = ${bottom.toString()}`);
+  return limitOf(next, { ...ctx, lhopital: ctx.lhopital + 1, depth: ctx.depth + 1, growing, seen });
+};
+
+// Rational functions need no L'Hôpital: compare leading terms at ±∞, cancel common factors at a finite point
+const rationalLimit = (node, { numerator, denominator }, ctx) => {
+  const { variable, point } = ctx;
+  const reduced = tidy(parse(degree(denominator) === 0
+    ? polyToString(polyScale(numerator, 1 / denominator[0]), variable)
+    : `(${polyToString(numerator, variable)}) / (${polyToString(denominator, variable)})`));
+  if (!isFinite(point)) {
+    const difference = degree(numerator) - degree(denominator);
+    if (difference === -Infinity) return 0;
+    const ratio = leadingCoefficient(numerator) / leadingCoefficient(denominator);
+    const value = difference < 0 ? 0 : difference === 0 ? ratio : Math.sign(ratio) * (point < 0 && difference % 2 === 1 ? -1 : 1) * Infinity;
+    if (degree(denominator) > 0 && node.isOperatorNode && node.fn === "divide" && !ctx.quiet) {
+      addStep(ctx.steps, "Compare leading terms", `${limitText(reduced, ctx)} = ${formatLimitValue(value)}`,
+        difference < 0 ? "The denominator has the higher degree" : difference === 0 ? "Equal degrees: the limit is the ratio of the leading coefficients" : "The numerator has the higher degree");
+    }
+    return value;
+  }
+  const bottom = polyEvaluate(denominator, point);
+  const top = polyEvaluate(numerator, point);
+  const original = evaluateNumber(node, { [variable]: point });
+  if (!isZero(bottom, 1e-12)) {
+    if ((original === null || !isFinite(original)) && !ctx.quiet) {
+      addStep(ctx.steps, "Factor and cancel", `${node.toString()} = ${reduced.toString()}`, "Substitution gives 0/0 because of a common factor, which cancels");
+    }
+    return top / bottom;
+  }
+  const sign = approachSign(reduced, ctx);
+  if (sign === 0) return NaN;
+  if (!ctx.quiet) addStep(ctx.steps, "Division by a vanishing denominator", limitText(reduced, ctx), `The numerator tends to ${formatNumber(top)} while the denominator tends to 0 with constant sign`);
+  return sign * Infinity;
+};
+
+const isExponential = (node) =>
+  (node.isFunctionNode && node.fn.name === "exp") || (node.isOperatorNode && node.fn === "pow" && node.args[0].isSymbolNode && node.args[0].name === "e");
+// 2^x as well as e^x: a constant base raised to a power of the variable
+const isExponentialIn = (node, variable) =>
+  isExponential(node) || (node.isOperatorNode && node.fn === "pow" && !dependsOn(node.args[0], variable) && dependsOn(node.args[1], variable));
+const hasLogarithm = (node) => node.filter((n) => n.isFunctionNode && ["log", "log10", "log2", "atan", "asin", "acos"].includes(n.fn.name)).length > 0;
+
+// log(a·b / c) = log(a) + log(b) - log(c) and log(a^k) = k·log(a), while every base stays positive near the point
+const expandLogarithms = (expr, ctx) => expr.transform((n) => {
+  if (!(n.isFunctionNode && n.fn.name === "log" && n.args.length === 1 && dependsOn(n.args[0], ctx.variable))) return n;
+  const { numerator, denominator } = getFactors(n.args[0]);
+  const factors = [...numerator.map((f) => [f, 1]), ...denominator.map((f) => [f, -1])];
+  const isPower = (f) => f.isOperatorNode && f.fn === "pow";
+  if (factors.length === 1 && !isPower(factors[0][0]) && !isExponential(factors[0][0])) return n;
+  const positive = (f) => (dependsOn(f, ctx.variable) ? approachSign(f, ctx) === 1 : evaluateNumber(f) > 0);
+  if (!factors.every(([f]) => (isExponential(f) ? true : positive(isPower(f) ? f.args[0] : f)))) return n;
+  const logOf = (f) => {
+    if (isExponential(f)) return f.isFunctionNode ? f.args[0] : f.args[1];
+    if (isPower(f)) return new OperatorNode("*", "multiply", [f.args[1], new FunctionNode("log", [f.args[0]])]);
+    return new FunctionNode("log", [f]);
+  };
+  return tidy(factors.slice(1).reduce((sum, [f, sign]) => new OperatorNode(sign > 0 ? "+" : "-", sign > 0 ? "add" : "subtract", [sum, logOf(f)]),
+    factors[0][1] > 0 ? logOf(factors[0][0]) : new OperatorNode("-", "unaryMinus", [logOf(factors[0][0])])));
+});
+
+const withExpandedLogarithms = (node, ctx) => {
+  const expanded = expandLogarithms(node, ctx);
+  if (expanded.toString() === node.toString()) return node;
+  addStep(ctx.steps, "Expand the logarithm", `${node.toString()} = ${expanded.toString()}`,
+    "The logarithm of a product, quotient or power splits into a sum of simpler logarithms");
+  return expanded;
+};
+
+// 0·∞: move one factor into the denominator so L'Hôpital applies
+const resolveProduct = (zeroPart, infinitePart, ctx) => {
+  const reciprocal = (node) => simplifyNode(new OperatorNode("/", "divide", [parse("1"), node]));
+  const exponential = (n) => isExponentialIn(n, ctx.variable);
+  const [numerator, denominator] = hasLogarithm(infinitePart) || zeroPart.filter(exponential).length > 0
+    ? [infinitePart, reciprocal(zeroPart)]
+    : [zeroPart, reciprocal(infinitePart)];
+  const form = limitOf(numerator, { ...ctx, quiet: true, steps: [] });
+  const factor = (node) => (node.isOperatorNode && ["add", "subtract"].includes(node.fn) ? `(${node.toString()})` : node.toString());
+  addStep(ctx.steps, "Rewrite 0·∞ as a quotient", `${factor(zeroPart)} · ${factor(infinitePart)} = (${numerator.toString()}) / (${denominator.toString()})`,
+    "Dividing by the reciprocal of one factor turns 0·∞ into a form L'Hôpital's rule can handle");
+  return resolveQuotient(numerator, denominator, isInfinite(form) ? "∞/∞" : "0/0", { ...ctx, growing: false });
+};
+
+// 1^∞, 0^0 and ∞^0: take logarithms, find the limit of the exponent, then exponentiate
+const resolvePower = (base, exponent, form, ctx) => {
+  const logarithm = tidy(new OperatorNode("*", "multiply", [exponent, new FunctionNode("log", [base])]));
+  addStep(ctx.steps, `Indeterminate form ${form}`, `y = ${tidy(new OperatorNode("^", "pow", [base, exponent])).toString()}, ln(y) = ${logarithm.toString()}`,
+    "Take the natural logarithm so the exponent comes down as a factor");
+  const inner = limitOf(withExpandedLogarithms(logarithm, ctx), { ...ctx, depth: ctx.depth + 1 });
+  const value = inner === Infinity ? Infinity : inner === -Infinity ? 0 : isFiniteNumber(inner) ? Math.exp(inner) : NaN;
+  addStep(ctx.steps, "Exponentiate", `lim ln(y) = ${formatLimitValue(inner)} ⇒ lim y = ${formatLimitValue(value)}`, "The limit of y is e raised to the limit of ln(y)");
+  return value;
+};
+
+// ∞ - ∞: multiply by the conjugate when a square root is involved, otherwise combine into one fraction
+const resolveDifference = (left, right, ctx) => {
+  const hasRoot = (node) => node.filter((n) => (n.isFunctionNode && n.fn.name === "sqrt") || (n.isOperatorNode && n.fn === "pow" && evaluateNumber(n.args[1]) === 0.5)).length > 0;
+  if (hasRoot(left) || hasRoot(right)) {
+    const square = (node) => {
+      if (node.isFunctionNode && node.fn.name === "sqrt") return node.args[0];
+      if (node.isOperatorNode && node.fn === "pow" && evaluateNumber(node.args[1]) === 0.5) return node.args[0];
+      return new OperatorNode("^", "pow", [node, parse("2")]);
+    };
+    const numerator = simplifyNode(new OperatorNode("-", "subtract", [square(left), square(right)]));
+    const denominator = tidy(new OperatorNode("+", "add", [left, right]));
+    addStep(ctx.steps, "Multiply by the conjugate", `${left.toString()} - ${right.toString()} = (${numerator.toString()}) / (${denominator.toString()})`,
+      "The ∞ - ∞ form involves a square root, so multiply and divide by the conjugate");
+    return limitOf(new OperatorNode("/", "divide", [numerator, denominator]), { ...ctx, depth: ctx.depth + 1 });
+  }
+  // A - B = A·(1 - B/A): when one term dominates the difference keeps its sign
+  // A trial run: its numeric fallbacks only count when its answer is used
+  const trial = { ...ctx, quiet: true, steps: [], state: { numeric: false } };
+  const a = limitOf(left, trial);
+  const ratio = limitOf(new OperatorNode("/", "divide", [right, left]), trial);
+  if (typeof ratio === "number" && !Number.isNaN(ratio) && !isZero(ratio - 1, 1e-9)) {
+    Object.assign(ctx.state, { numeric: ctx.state.numeric || trial.state.numeric, overflow: ctx.state.overflow || trial.state.overflow });
+    const value = isInfinite(ratio) ? -Math.sign(ratio) * a : a * (1 - ratio);
+    addStep(ctx.steps, "Compare growth rates", `lim (${right.toString()}) / (${left.toString()}) = ${formatLimitValue(ratio)}`,
+      `${isInfinite(ratio) ? right.toString() : left.toString()} dominates, so the difference tends to ${formatLimitValue(value)}`);
+    return value;
+  }
+  const combined = simplifyNode(parse(`((${left.toString()}) * (${right.toString()})) / 1`));
+  const numerator = simplifyNode(parse(`1 / (${right.toString()}) - 1 / (${left.toString()})`));
+  const denominator = simplifyNode(parse(`1 / (${combined.toString()})`));
+  addStep(ctx.steps, "Combine into one fraction", `${left.toString()} - ${right.toString()} = (${numerator.toString()}) / (${denominator.toString()})`,
+    "Rewrite ∞ - ∞ as a single quotient, which has the form 0/0");
+  return resolveQuotient(numerator, denominator, "0/0", ctx);
+};
+
+function limitOf(expr, ctx) {
+  const node = tidy(expr);
+  if (ctx.depth > MAX_DEPTH) return numericEstimate(node, ctx, "The symbolic rules did not settle the limit");
+  const { variable } = ctx;
+
+  if (!dependsOn(node, variable)) {
+    const value = evaluateNumber(node);
+    if (value === null) throw new Error(`Cannot evaluate constant ${node.toString()}; limits need numeric parameters`);
+    return value;
+  }
+  if (node.isSymbolNode) return ctx.point;
+  const rational = toRational(node, variable);
+  if (rational) return rationalLimit(node, rational, ctx);
+  const inner = (child) => limitOf(child, { ...ctx, depth: ctx.depth + 1 });
+
+  if (node.isOperatorNode) {
+    switch (node.fn) {
+      case "unaryMinus": {
+        const value = inner(node.args[0]);
+        return value === BOUNDED ? BOUNDED : -value;
+      }
+      case "unaryPlus":
+        return inner(node.args[0]);
+      case "add":
+      case "subtract": {
+        const values = node.args.map(inner);
+        const sign = node.fn === "subtract" ? -1 : 1;
+        const second = values[1] === BOUNDED ? BOUNDED : sign * values[1];
+        const sum = addLimits(values[0], second);
+        if (sum !== undefined) return sum;
+        const [left, right] = node.fn === "subtract" ? node.args : [node.args[0], tidy(new OperatorNode("-", "unaryMinus", [node.args[1]]))];
+        addStep(ctx.steps, "Indeterminate form ∞ - ∞", limitText(node, ctx), "Both terms grow without bound with opposite signs");
+        return resolveDifference(left, right, ctx);
+      }
+      case "multiply": {
+        const values = node.args.map(inner);
+        let product = 1;
+        for (const value of values) {
+          const next = multiplyLimits(product, value);
+          if (next === undefined) {
+            const zeroPart = productNode(node.args.filter((_, i) => isZeroLimit(values[i])));
+            const infinitePart = productNode(node.args.filter((_, i) => !isZeroLimit(values[i])));
+            addStep(ctx.steps, "Indeterminate form 0·∞", limitText(node, ctx), "One factor tends to 0 while another grows without bound");
+            return resolveProduct(tidy(zeroPart), tidy(infinitePart), ctx);
+          }
+          product = next;
+        }
+        if (values.includes(BOUNDED) && product === 0) {
+          addStep(ctx.steps, "Squeeze theorem", limitText(node, ctx), "A bounded factor times a factor tending to 0 tends to 0");
+        }
+        return product;
+      }
+      case "divide": {
+        const [numerator, denominator] = node.args;
+        const top = inner(numerator);
+        const bottom = inner(denominator);
+        if (Number.isNaN(top) || Number.isNaN(bottom)) return NaN;
+        if ((isZeroLimit(top) && isZeroLimit(bottom)) || (isInfinite(top) && isInfinite(bottom))) {
+          const form = isZeroLimit(top) ? "0/0" : "∞/∞";
+          addStep(ctx.steps, `Indeterminate form ${form}`, limitText(node, ctx), `Numerator → ${formatLimitValue(top)} and denominator → ${formatLimitValue(bottom)}`);
+          return resolveQuotient(numerator, denominator, form, ctx);
+        }
+        if (top === BOUNDED) {
+          if (isInfinite(bottom)) {
+            addStep(ctx.steps, "Squeeze theorem", limitText(node, ctx), "A bounded numerator over a denominator growing without bound tends to 0");
+            return 0;
+          }
+          return isZeroLimit(bottom) ? NaN : BOUNDED;
+        }
+        if (bottom === BOUNDED) return numericEstimate(node, ctx, "The denominator oscillates");
+        if (isZeroLimit(bottom)) {
+          const sign = approachSign(node, ctx);
+          if (sign === 0) {
+            addStep(ctx.steps, "Vertical asymptote", limitText(node, ctx), "The denominator tends to 0 and the quotient has opposite signs on each side, so the limit does not exist");
+            return NaN;
+          }
+          addStep(ctx.steps, "Division by a vanishing denominator", limitText(node, ctx), `The numerator tends to ${formatLimitValue(top)} while the denominator tends to 0 with constant sign`);
+          return sign * Infinity;
+        }
+        if (isInfinite(bottom)) return 0;
+        return top / bottom;
+      }
+      case "pow": {
+        const [base, exponent] = node.args;
+        const b = inner(base);
+        const e = inner(exponent);
+        if (Number.isNaN(b) || Number.isNaN(e) || b === BOUNDED || e === BOUNDED) {
+          return b === BOUNDED && isFiniteNumber(e) && e > 0 ? BOUNDED : NaN;
+        }
+        if (isZero(b - 1, 1e-12) && isInfinite(e) && dependsOn(base, variable)) return resolvePower(base, exponent, "1^∞", ctx);
+        if (isZeroLimit(b) && isZeroLimit(e) && dependsOn(exponent, variable)) return resolvePower(base, exponent, "0^0", ctx);
+        if (isInfinite(b) && isZeroLimit(e) && dependsOn(exponent, variable)) return resolvePower(base, exponent, "∞^0", ctx);
+        if (isZeroLimit(b) && e < 0) {
+          const sign = approachSign(node, ctx);
+          return sign === 0 ? NaN : sign * Infinity;
+        }
+        if (isInfinite(b)) {
+          if (e > 0) return b > 0 || Number.isInteger(e) && e % 2 === 0 ? Infinity : Number.isInteger(e) ? -Infinity : NaN;
+          return e < 0 ? 0 : 1;
+        }
+        if (isInfinite(e)) {
+          if (b < 0) return NaN;
+          if (b > 1) return e > 0 ? Infinity : 0;
+          return e > 0 ? 0 : Infinity;
+        }
+        const value = Math.pow(b, e);
+        return isFinite(value) ? value : NaN;
+      }
+      default:
+        return numericEstimate(node, ctx, `No rule for the operator ${node.op}`);
+    }
+  }
+
+  if (node.isFunctionNode && node.args.length === 1) {
+    const argument = inner(node.args[0]);
+    const known = functionAtLimit(node.fn.name, argument);
+    if (known !== undefined) {
+      if (known === BOUNDED && !ctx.quiet) addStep(ctx.steps, "Bounded oscillation", limitText(node, ctx), `${node.fn.name} keeps oscillating between fixed bounds`);
+      return known;
+    }
+    // An argument without a limit says nothing about a pole; the function itself may still settle or stay bounded
+    if (Number.isNaN(argument)) return numericEstimate(node, ctx, `The argument of ${node.fn.name} has no limit`);
+    const value = evaluateNumber(new FunctionNode(node.fn.name, [parse(String(argument))]));
+    if (value !== null && Math.abs(value) < 1e12) {
+      // Guard against jumps such as floor(x) at an integer, where f(lim) is not lim f
+      const nearby = numericFunction(node, variable)(approachPoints(ctx).slice(-1)[0]);
+      if (nearby !== null && Math.abs(nearby - value) < 1e-2 * Math.max(1, Math.abs(value))) return value;
+      return numericEstimate(node, ctx, `${node.fn.name} is not continuous at ${formatLimitValue(argument)}`);
+    }
+    // Pole or domain boundary such as log(0⁺) or tan(π/2)
+    const sign = approachSign(node, ctx);
+    if (sign !== 0) {
+      if (!ctx.quiet) addStep(ctx.steps, "Vertical asymptote", `${limitText(node, ctx)} = ${formatLimitValue(sign * Infinity)}`, `${node.fn.name} is unbounded as its argument approaches ${formatLimitValue(argument)}`);
+      return sign * Infinity;
+    }
+    return numericEstimate(node, ctx, `${node.fn.name} is not defined at ${formatLimitValue(argument)}`);
+  }
+
+  return numericEstimate(node, ctx, "This expression is outside the symbolic rules");
+}
+
+const parseApproach = (text) => {
+  const clean = String(text).trim().replace(/\s+/g, "").replace(/\^/g, "");
+  const match = clean.match(/^(.*?)([+-]|⁺|⁻)?$/);
+  let body = match[1];
+  let side = match[2] === "+" || match[2] === "⁺" ? "+" : match[2] === "-" || match[2] === "⁻" ? "-" : null;
+  if (!body) {
+    body = clean;
+    side = null;
+  }
+  const lower = body.toLowerCase();
+  if (["inf", "+inf", "infinity", "+infinity", "∞", "+∞", "oo"].includes(lower)) return { point: Infinity, side: null };
+  if (["-inf", "-infinity", "-∞", "-oo"].includes(lower)) return { point: -Infinity, side: null };
+  const point = evaluateNumber(body);
+  if (point === null || !isFinite(point)) throw new Error(`Invalid approach value: ${text}`);
+  return { point, side };
+};
+
+// Entry point: returns { value, answer, numeric }
+const evaluateLimit = (func, variable, approach, steps) => {
+  const node = tidy(normalizeFunctions(func));
+  const { point, side } = parseApproach(approach);
+  const ctx = { variable, point, side, steps, depth: 0, lhopital: 0, seen: new Set(), state: { numeric: false } };
+  if (!isFinite(point)) {
+    addStep(steps, "Limit at infinity", limitText(node, ctx), `Study the behaviour as ${variable} grows ${point > 0 ? "positively" : "negatively"} without bound`);
+  } else if (side) {
+    addStep(steps, "One-sided limit", limitText(node, ctx), `Approach ${formatNumber(point)} from the ${side === "+" ? "right" : "left"} only`);
+  }
+
+  // Direct substitution works whenever the function is continuous at the point
+  if (isFinite(point)) {
+    const f = numericFunction(node, variable);
+    const direct = f(point);
+    const nearby = approachPoints(ctx).map(f);
+    const continuous = direct !== null && isFinite(direct) && nearby.every((y) => y !== null && Math.abs(y - direct) < 1e-3 * Math.max(1, Math.abs(direct)));
+    if (continuous) {
+      addStep(steps, "Direct substitution", `${node.toString()} at ${variable} = ${formatNumber(point)} gives ${formatLimitValue(direct)}`, "The function is continuous at this point, so the limit equals its value");
+      return { value: direct, answer: formatLimitValue(direct), numeric: false };
+    }
+    if (direct === null || !isFinite(direct)) {
+      addStep(steps, "Direct substitution fails", `${node.toString()} at ${variable} = ${formatNumber(point)} is undefined`, "Analyse the form of the expression near the point");
+    }
+  }
+
+  // Only the sides where the function is defined take part, so sqrt(x) at 0⁻ does not exist
+  const f = numericFunction(node, variable);
+  const sides = (isFinite(point) && !side ? ["+", "-"] : [side]).filter((s) => approachPoints({ point, side: s }).map(f).some((y) => y !== null));
+  if (sides.length === 0) {
+    addStep(steps, "Outside the domain", limitText(node, ctx), `${node.toString()} is not defined for ${variable} near ${approachText(ctx)}`);
+    return { value: NaN, answer: "does not exist (the function is not defined there)", numeric: false };
+  }
+
+  const expanded = withExpandedLogarithms(node, ctx);
+  // A NaN reached through an overflowing sample says nothing about existence
+  const undetermined = (value) => (Number.isNaN(value) || value === undefined) && ctx.state.overflow;
+  const couldNotDetermine = () => {
+    addStep(steps, "Limit", `${limitText(node, ctx)} could not be determined`,
+      "The symbolic rules did not settle the limit and the function overflows double precision before the samples settle");
+    return { value: null, answer: "could not be determined (the values overflow before they settle)", numeric: true };
+  };
+
+  if (sides.length === 2) {
+    // Two-sided: both one-sided limits must agree
+    const right = limitOf(expanded, { ...ctx, side: "+" });
+    const leftState = { numeric: false };
+    const left = limitOf(expanded, { ...ctx, side: "-", steps: [], state: leftState });
+    ctx.state.numeric = ctx.state.numeric || leftState.numeric;
+    ctx.state.overflow = ctx.state.overflow || leftState.overflow;
+    if (undetermined(right) || undetermined(left)) return couldNotDetermine();
+    const same = right === left || (isFiniteNumber(right) && isFiniteNumber(left) && Math.abs(right - left) < 1e-9 * Math.max(1, Math.abs(right)));
+    if (!same) {
+      addStep(steps, "One-sided limits differ", `left: ${formatLimitValue(left)}, right: ${formatLimitValue(right)}`, "A two-sided limit exists only when both one-sided limits agree");
+      return { value: NaN, answer: `does not exist (left limit ${formatLimitValue(left)}, right limit ${formatLimitValue(right)})`, numeric: ctx.state.numeric };
+    }
+    addStep(steps, "Limit", `${limitText(node, ctx)} = ${formatLimitValue(right)}`, "The left- and right-hand limits agree");
+    return { value: right, answer: formatLimitValue(right), numeric: ctx.state.numeric };
+  }
+
+  if (sides[0] !== side) {
+    addStep(steps, "One-sided domain", limitText(node, { ...ctx, side: sides[0] }), `The function is only defined on the ${sides[0] === "+" ? "right" : "left"} of ${formatNumber(point)}`);
+  }
+  const value = limitOf(expanded, { ...ctx, side: sides[0] });
+  if (undetermined(value)) return couldNotDetermine();
+  addStep(steps, "Limit", `${limitText(node, ctx)} = ${formatLimitValue(value)}`, value === BOUNDED ? "The values keep oscillating and never settle" : "Combine the results above");
+  return { value: value === BOUNDED ? NaN : value, answer: formatLimitValue(value), numeric: ctx.state.numeric };
+};
+
+module.exports = {
+  evaluateLimit,
+  parseApproach,
+  formatLimitValue
+};
@@ -0,0 +1,60 @@
+// backend/utils/limitSolver.test.js
+// Regression tests for the limit evaluator: substitution, L'Hôpital's rule, indeterminate powers,
+// limits at infinity and the answers given when the samples overflow
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateLimit } = require("./limitSolver");
+
+const limit = (func, approach, variable = "x") => evaluateLimit(func, variable, approach, []);
+
+test("direct substitution and removable singularities", () => {
+  assert.equal(limit("x^2", "2").answer, "4");
+  assert.equal(limit("sin(x)/x", "0").answer, "1");
+  assert.equal(limit("(x^2 - 1)/(x - 1)", "1").answer, "2");
+});
+
+test("one-sided limits and poles", () => {
+  assert.equal(limit("1/x", "0+").answer, "∞");
+  assert.equal(limit("1/x", "0-").answer, "-∞");
+  assert.match(limit("1/x", "0").answer, /^does not exist/);
+});
+
+test("indeterminate powers land on exact values", () => {
+  assert.equal(limit("(1 + 1/x)^x", "inf").answer, "e");
+  assert.equal(limit("x^x", "0+").answer, "1");
+});
+
+test("exponentials against polynomials", () => {
+  assert.equal(limit("x^2/2^x", "inf").answer, "0");
+  assert.equal(limit("2^x/x^2", "inf").answer, "∞");
+  assert.equal(limit("x^3*e^(-x)", "inf").answer, "0");
+});
+
+test("logarithms of quotients are expanded and log(2) stays symbolic", () => {
+  const steps = [];
+  const result = evaluateLimit("log(x^2/2^x)/x", "x", "inf", steps);
+  assert.equal(result.answer, "-log(2)");
+  assert.equal(result.numeric, false);
+  assert.ok(steps.some((s) => s.description === "Expand the logarithm"));
+  assert.ok(steps.every((s) => !/0\.693/.test(s.expression) && !/0\.693/.test(s.explanation)), "log(2) was folded into a decimal");
+  assert.equal(limit("(x^2/2^x)^(1/x)", "inf").answer, "1/2");
+});
+
+test("overflowing samples give no verdict instead of 'does not exist'", () => {
+  const result = limit("x^100/1.001^x", "inf");
+  assert.match(result.answer, /^could not be determined/);
+  assert.equal(result.value, null);
+});
+
+test("trial limits do not mark a symbolic answer as numeric", () => {
+  const result = limit("1/x - 1/sin(x)", "0");
+  assert.equal(result.answer, "0");
+  assert.equal(result.numeric, false);
+});
+
+test("a function of an argument without a limit is not a pole", () => {
+  assert.equal(limit("abs(sin(x)*x/(x+1))", "inf").answer, "does not exist");
+  assert.equal(limit("abs(sin(x+1)*x^2/(x+1)^2/sin(x))", "inf").answer, "does not exist");
+  assert.equal(limit("abs(sin(x))/x", "inf").answer, "0");
+  assert.equal(limit("abs(1/x)", "0").answer, "∞");
+});
@@ -0,0 +1,155 @@
+// backend/utils/linearSystemSolver.js
+// Systems of linear equations: coefficient extraction and Gauss–Jordan elimination with row-operation steps
+const { derivative } = require("mathjs");
+const { addStep } = require("./solverHelpers");
+const { normalizeFunctions, tidy, simplifyNode, hasFreeSymbols, evaluateNumber, isZero, formatNumber } = require("./expressionUtils");
+
+const PIVOT_TOLERANCE = 1e-10;
+const PARAMETER_NAMES = ["t", "s", "r", "u", "v", "w"];
+
+const clean = (value) => (isZero(value, PIVOT_TOLERANCE) ? 0 : value);
+
+const matrixSnapshot = (matrix, variables) => ({
+  matrix: {
+    rows: matrix.map((row) => row.map((value) => formatNumber(clean(value)))),
+    columns: [...variables, "="],
+    divider: variables.length
+  }
+});
+
+const matrixText = (matrix) => matrix.map((row) => `[${row.slice(0, -1).map((v) => formatNumber(clean(v))).join(", ")} | ${formatNumber(clean(row[row.length - 1]))}]`).join("\n");
+
+// Coefficients of each variable are the (constant) partial derivatives; the constant term is the value at the origin
+const linearRow = (expression, variables) => {
+  const node = tidy(normalizeFunctions(expression));
+  const coefficients = variables.map((variable) => {
+    const slope = simplifyNode(derivative(node, variable));
+    const value = hasFreeSymbols(slope) ? null : evaluateNumber(slope);
+    if (value === null || !Number.isFinite(value)) {
+      throw new Error(`The equation ${node.toString()} = 0 is not linear in ${variables.join(", ")} with numeric coefficients`);
+    }
+    return value;
+  });
+  const origin = Object.fromEntries(variables.map((variable) => [variable, 0]));
+  const constant = evaluateNumber(node, origin);
+  if (constant === null) throw new Error(`Could not evaluate the constant term of ${node.toString()}`);
+  return [...coefficients, -constant];
+};
+
+const rowName = (index) => `R${index + 1}`;
+
+const termText = (factor, index) => {
+  const magnitude = formatNumber(Math.abs(factor));
+  return `${magnitude === "1" ? "" : `${magnitude}·`}${rowName(index)}`;
+};
+
+// Parametric text such as "5 - 2*t" for a pivot variable expressed through the free parameters
+const parametricText = (constant, terms) => {
+  const parts = [];
+  if (!isZero(constant, PIVOT_TOLERANCE) || !terms.length) parts.push(formatNumber(clean(constant)));
+  terms.forEach(({ coefficient, name }) => {
+    const magnitude = formatNumber(Math.abs(coefficient));
+    const term = magnitude === "1" ? name : `${magnitude}*${name}`;
+    if (!parts.length) parts.push(coefficient < 0 ? `-${term}` : term);
+    else parts.push(`${coefficient < 0 ? "-" : "+"} ${term}`);
+  });
+  return parts.join(" ");
+};
+
+// Reduce [A | b] to reduced row echelon form, recording every row operation as a step; pivots are sought in
+// the first variables.length columns, and snapshot decides how the matrix is attached to each step
+const eliminate = (matrix, variables, steps, snapshot = (m) => matrixSnapshot(m, variables)) => {
+  const rows = matrix.length;
+  const columns = variables.length;
+  const pivots = [];
+  let pivotRow = 0;
+  for (let column = 0; column < columns && pivotRow < rows; column++) {
+    // Prefer a row that already has 1 in this column, then the largest entry (partial pivoting)
+    const candidates = [];
+    for (let r = pivotRow; r < rows; r++) {
+      if (!isZero(matrix[r][column], PIVOT_TOLERANCE)) candidates.push(r);
+    }
+    const unit = candidates.find((r) => isZero(Math.abs(matrix[r][column]) - 1, PIVOT_TOLERANCE));
+    const best = unit !== undefined ? unit : candidates.reduce((a, r) => (a === -1 || Math.abs(matrix[r][column]) > Math.abs(matrix[a][column]) ? r : a), -1);
+    if (best === -1) {
+      addStep(steps, `Column ${variables[column]}`, `No pivot available for ${variables[column]}`, `Every remaining entry in the ${variables[column]} column is zero, so ${variables[column]} is a free variable`);
+      continue;
+    }
+
+    if (best !== pivotRow) {
+      [matrix[pivotRow], matrix[best]] = [matrix[best], matrix[pivotRow]];
+      addStep(steps, "Swap rows", `${rowName(pivotRow)} ↔ ${rowName(best)}`, `Move a nonzero ${variables[column]} coefficient into the pivot position`, snapshot(matrix));
+    }
+
+    const pivot = matrix[pivotRow][column];
+    if (!isZero(pivot - 1, PIVOT_TOLERANCE)) {
+      matrix[pivotRow] = matrix[pivotRow].map((value) => clean(value / pivot));
+      addStep(steps, "Scale row", `${rowName(pivotRow)} → ${rowName(pivotRow)} / ${pivot < 0 ? `(${formatNumber(pivot)})` : formatNumber(pivot)}`, `Make the pivot for ${variables[column]} equal to 1`, snapshot(matrix));
+    }
+
+    for (let r = 0; r < rows; r++) {
+      const factor = matrix[r][column];
+      if (r === pivotRow || isZero(factor, PIVOT_TOLERANCE)) continue;
+      matrix[r] = matrix[r].map((value, c) => clean(value - factor * matrix[pivotRow][c]));
+      addStep(steps, "Eliminate", `${rowName(r)} → ${rowName(r)} ${factor > 0 ? "-" : "+"} ${termText(factor, pivotRow)}`,
+        `Clear ${variables[column]} from ${rowName(r)} ${r < pivotRow ? "(back substitution)" : ""}`.trim(), snapshot(matrix));
+    }
+    pivots.push({ row: pivotRow, column });
+    pivotRow++;
+  }
+  return pivots;
+};
+
+// Solve a list of expressions (each understood as "= 0") for the given variables
+const solveLinearSystem = (expressions, variables, steps) => {
+  if (!expressions.length) throw new Error("At least one equation is required");
+  if (!variables.length) throw new Error("At least one variable is required");
+
+  const matrix = expressions.map((expression) => linearRow(expression, variables));
+  addStep(steps, "Augmented matrix", matrixText(matrix), `Coefficients of ${variables.join(", ")} on the left, constants on the right`, matrixSnapshot(matrix, variables));
+
+  const pivots = eliminate(matrix, variables, steps);
+  addStep(steps, "Reduced row echelon form", matrixText(matrix), `${pivots.length} pivot(s) for ${variables.length} unknown(s)`, matrixSnapshot(matrix, variables));
+
+  // A row [0 ... 0 | c] with c ≠ 0 says 0 = c
+  const inconsistent = matrix.findIndex((row) => row.slice(0, -1).every((v) => isZero(v, PIVOT_TOLERANCE)) && !isZero(row[row.length - 1], PIVOT_TOLERANCE));
+  if (inconsistent !== -1) {
+    addStep(steps, "Inconsistent row", `${rowName(inconsistent)}: 0 = ${formatNumber(matrix[inconsistent][variables.length])}`, "A contradiction, so the system has no solution");
+    return { classification: "none", answer: "No solution (the system is inconsistent)", solution: null, rank: pivots.length };
+  }
+
+  const pivotColumns = new Set(pivots.map((p) => p.column));
+  const free = variables.filter((_, column) => !pivotColumns.has(column));
+  const available = PARAMETER_NAMES.filter((name) => !variables.includes(name));
+  const parameters = free.map((variable, i) => (free.length === 1 ? available[0] : `${available[0]}${i + 1}`));
+
+  const solution = {};
+  variables.forEach((variable, column) => {
+    const freeIndex = free.indexOf(variable);
+    if (freeIndex !== -1) {
+      solution[variable] = parameters[freeIndex];
+      return;
+    }
+    const { row } = pivots.find((p) => p.column === column);
+    const terms = free
+      .map((freeVariable, i) => ({ coefficient: -matrix[row][variables.indexOf(freeVariable)], name: parameters[i] }))
+      .filter(({ coefficient }) => !isZero(coefficient, PIVOT_TOLERANCE));
+    solution[variable] = parametricText(matrix[row][variables.length], terms);
+  });
+
+  const assignments = variables.map((variable) => `${variable} = ${solution[variable]}`).join(", ");
+  if (free.length) {
+    const parameterList = parameters.join(", ");
+    addStep(steps, "Parametric solution", assignments, `${free.join(", ")} ${free.length === 1 ? "is" : "are"} free; set ${free.map((v, i) => `${v} = ${parameters[i]}`).join(", ")} and read the pivot variables off each row`);
+    return { classification: "infinite", answer: `Infinitely many solutions: ${assignments} (${parameterList} any real number${free.length === 1 ? "" : "s"})`, solution, parameters, rank: pivots.length };
+  }
+
+  addStep(steps, "Read off the solution", assignments, "Each row now states the value of one variable");
+  const values = Object.fromEntries(pivots.map(({ row, column }) => [variables[column], matrix[row][variables.length]]));
+  return { classification: "unique", answer: assignments, solution, values, rank: pivots.length };
+};
+
+module.exports = {
+  solveLinearSystem,
+  eliminate
+};
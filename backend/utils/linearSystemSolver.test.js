@@ -0,0 +1,51 @@
+// backend/utils/linearSystemSolver.test.js
+// Regression tests for Gauss–Jordan elimination: unique, inconsistent and parametric systems and the matrix steps
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { solveLinearSystem } = require("./linearSystemSolver");
+const { solveMathExpression } = require("./mathSolver");
+
+test("a unique solution is read off the reduced matrix", () => {
+  const steps = [];
+  const result = solveLinearSystem(["2*x + y - 5", "x - y - 1"], ["x", "y"], steps);
+  assert.equal(result.classification, "unique");
+  assert.equal(result.answer, "x = 2, y = 1");
+  assert.deepEqual(result.values, { x: 2, y: 1 });
+  assert.deepEqual(steps.map((s) => s.description), ["Augmented matrix", "Swap rows", "Eliminate", "Scale row", "Eliminate", "Reduced row echelon form", "Read off the solution"]);
+});
+
+test("every row operation carries the augmented matrix", () => {
+  const steps = [];
+  solveLinearSystem(["2*x + y - 5", "x - y - 1"], ["x", "y"], steps);
+  assert.deepEqual(steps[0].matrix, { rows: [["2", "1", "5"], ["1", "-1", "1"]], columns: ["x", "y", "="], divider: 2 });
+  assert.equal(steps[1].expression, "R1 ↔ R2");
+  assert.deepEqual(steps[5].matrix.rows, [["1", "0", "2"], ["0", "1", "1"]]);
+  assert.ok(steps.slice(0, -1).every((s) => s.matrix));
+});
+
+test("a contradiction means no solution", () => {
+  const steps = [];
+  const result = solveLinearSystem(["x + y - 1", "2*x + 2*y - 3"], ["x", "y"], steps);
+  assert.equal(result.classification, "none");
+  assert.equal(result.solution, null);
+  assert.ok(steps.some((s) => s.description === "Inconsistent row"));
+});
+
+test("free variables give a parametric solution", () => {
+  const one = solveLinearSystem(["x + y - 3", "2*x + 2*y - 6"], ["x", "y"], []);
+  assert.equal(one.classification, "infinite");
+  assert.equal(one.answer, "Infinitely many solutions: x = 3 - t, y = t (t any real number)");
+  const two = solveLinearSystem(["x + y + z - 1", "2*x + 2*y + 2*z - 2"], ["x", "y", "z"], []);
+  assert.deepEqual(two.solution, { x: "1 - t1 - t2", y: "t1", z: "t2" });
+});
+
+test("non-linear equations are rejected", () => {
+  assert.throws(() => solveLinearSystem(["x*y - 1", "x - 1"], ["x", "y"], []), /not linear in x, y/);
+});
+
+test("solve([...], [...]) reaches the elimination", () => {
+  const result = solveMathExpression("solve([2x + y = 5, x - y = 1], [x, y])");
+  assert.equal(result.success, true);
+  assert.equal(result.type, "linear-system");
+  assert.equal(result.finalAnswer, "x = 2, y = 1");
+});
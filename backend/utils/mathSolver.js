@@ -1,124 +1,600 @@
 // backend/utils/mathSolver.js
-const { evaluate, parse, derivative, simplify, solve } = require("mathjs");
+const { evaluate, parse, simplify } = require("mathjs");
+const { createStep, createSuccessResult, createErrorResult } = require("./solverHelpers");
+const { integrateExpression, integrateDefinite } = require("./integralSolver");
+const { evaluateLimit } = require("./limitSolver");
+const { differentiateWithSteps, derivativeNotation, higherDerivative, gradient, hessian, jacobian } = require("./derivativeSolver");
+const { solvePolynomialEquation, solveLiteralEquation, solveNumericEquation, toZeroForm } = require("./equationSolver");
+const { solveLinearSystem } = require("./linearSystemSolver");
+const { isInequality, solveInequality } = require("./inequalitySolver");
+const { factorPolynomial, expandExpression, dividePolynomials, polynomialGcd, integerGcd, hasSymbols } = require("./algebraSolver");
+const { decompose } = require("./partialFractions");
+const { taylorSeries } = require("./seriesSolver");
+const { solveOde, parseCondition } = require("./odeSolver");
+const { readMatrix, determinant, inverse, rref, rank, nullspace, eigen, matrixValue } = require("./matrixSolver");
+const { sumSeries, productSeries } = require("./summationSolver");
+const { evaluateExact, evaluateDecimal, DEFAULT_PRECISION } = require("./exactArithmetic");
+const { formatNumber, isExactText, dependsOn } = require("./expressionUtils");
+const { complexParts, polarText, describeComplex, complexSteps, toPolar, toRectangular } = require("./complexNumbers");
+const { unitStatus, dimensionError, solveUnits } = require("./unitSolver");
+const { solveTrigEquation, simplifyTrig } = require("./trigSolver");
+const { solveExpLogEquation } = require("./exponentialSolver");
+const { analyzeFunction } = require("./functionAnalysis");
+const { withVerification, verifyAntiderivative, verifyDefiniteIntegral, verifyRoots, verifyLiteralRoots, verifyFamilies, verifyDerivative, unverified } = require("./verification");
+const { freeSymbols } = require("./equivalence");
+const { parseAssumptions, describeAssumptions, describeVariable, applyAssumptions, filterRoots, assumedInterval } = require("./assumptions");
 
-const solveMathExpression = (equation) => {
+// options: { output: "exact" | "decimal" | "both", precision } for plain numeric expressions, and
+// assumptions: ["x > 0", "n integer"] on the variables, also accepted inline as "sqrt(x^2), assume(x > 0)"
+const solveMathExpression = (equation, options = {}) => {
   try {
-    const cleanEquation = equation.trim();
+    const { expression, texts } = splitAssumeClause(equation.trim());
+    const assumptions = parseAssumptions([...(options.assumptions || []), ...texts]);
+    const solved = solveByType(expression, { ...options, assumptions });
+    // Branches with an independent check attach it themselves; every other success is marked unchecked
+    const result = solved.success && !("verified" in solved) ? { ...solved, ...unverified() } : solved;
+    return assumptions && result.success ? listAssumptions(result, assumptions) : result;
+  } catch (error) {
+    return createErrorResult("general", error);
+  }
+};
 
+const solveByType = (cleanEquation, options) => {
+  try {
+    if (isVectorCalculusOperation(cleanEquation)) return solveVectorCalculus(cleanEquation);
+    if (isSeriesOperation(cleanEquation)) return solveSeries(cleanEquation);
+    if (isAnalysisOperation(cleanEquation)) return solveAnalysis(cleanEquation);
+    if (isOdeOperation(cleanEquation)) return solveDifferentialEquation(cleanEquation);
+    if (isMatrixOperation(cleanEquation)) return solveMatrix(cleanEquation);
+    if (isSummationOperation(cleanEquation)) return solveSummation(cleanEquation);
+    if (isComplexOperation(cleanEquation)) return solveComplexForm(cleanEquation, options);
     if (isDerivativeOperation(cleanEquation)) return solveDerivative(cleanEquation);
-    if (isIntegralOperation(cleanEquation)) return solveIntegral(cleanEquation);
-    if (isSolveOperation(cleanEquation)) return solveMathEquation(cleanEquation);
+    if (isIntegralOperation(cleanEquation)) return solveIntegral(cleanEquation, options);
+    if (isSolveOperation(cleanEquation)) return solveMathEquation(cleanEquation, options);
     if (isLimitOperation(cleanEquation)) return solveLimit(cleanEquation);
-    return simplifyExpression(cleanEquation);
+    if (isAlgebraOperation(cleanEquation)) return solveAlgebra(cleanEquation);
+    if (isUnitExpression(cleanEquation)) return solveUnitExpression(cleanEquation, options);
+    return simplifyExpression(cleanEquation, options);
   } catch (error) {
     return createErrorResult("general", error);
   }
 };
 
+// The active assumptions as the first step of a successful result
+const listAssumptions = (result, assumptions) => ({
+  ...result,
+  steps: [
+    createStep(1, "Assumptions", describeAssumptions(assumptions), "Active assumptions on the variables"),
+    ...result.steps.map((step, i) => ({ ...step, step: i + 2 }))
+  ],
+  assumptions: describeAssumptions(assumptions)
+});
+
 const isDerivativeOperation = (eq) => /\b(derivative|diff|d\/d|differentiate)\b/i.test(eq);
-const isIntegralOperation = (eq) => /\b(integral|integrate|∫)\b/i.test(eq);
+const isVectorCalculusOperation = (eq) => /\b(gradient|hessian|jacobian)\s*\(/i.test(eq);
+const isSeriesOperation = (eq) => /\b(taylor|maclaurin)\s*\(/i.test(eq);
+const isAnalysisOperation = (eq) => /\banaly[sz]e\s*\(/i.test(eq);
+const isOdeOperation = (eq) => /\bdsolve\s*\(/i.test(eq);
+const MATRIX_OPERATION = /\b(det|inverse|rref|rank|eigen|nullspace)\s*\(/i;
+const isMatrixOperation = (eq) => MATRIX_OPERATION.test(eq);
+// sum(f, k, a, b) and product(f, k, a, b); plain lists such as sum(1, 2, 3) are left to mathjs
+const SUMMATION_OPERATION = /\b(sum|product)\s*\(/i;
+const isSummationOperation = (eq) => {
+  const match = eq.match(SUMMATION_OPERATION);
+  const args = match && extractCallArguments(eq, [match[1]]);
+  return Boolean(args) && args.length === 4 && /^[a-z_]\w*$/i.test(args[1]);
+};
+const COMPLEX_OPERATION = /\b(polar|rect)\s*\(/i;
+const isComplexOperation = (eq) => COMPLEX_OPERATION.test(eq);
+const isIntegralOperation = (eq) => /\b(integral|integrate)\b|∫/i.test(eq);
 const isSolveOperation = (eq) => /\b(solve)\s*\(/i.test(eq);
 const isLimitOperation = (eq) => /\b(limit|lim)\b/i.test(eq);
+const ALGEBRA_OPERATION = /\b(factor|expand|polydiv|gcd|apart|trigsimp)\s*\(/i;
+const isAlgebraOperation = (eq) => ALGEBRA_OPERATION.test(eq);
+// Quantities with units such as "9.8 m/s^2 * 3 s" or "5 km/h to m/s"
+const isUnitExpression = (eq) => unitStatus(eq) !== null;
 
 const solveDerivative = (equation) => {
   try {
-    const { func, variable } = parseDerivativeInput(equation);
+    const { func, variable, variables } = parseDerivativeInput(equation);
     const steps = [];
     
-    steps.push(createStep(1, "Original function", `f(${variable}) = ${func}`, "Starting with the given function"));
-    
-    const parsed = parse(func);
-    const derivativeResult = derivative(parsed, variable);
-    const simplified = simplify(derivativeResult);
+    steps.push(createStep(1, "Original function", `f(${[...new Set(variables)].join(", ")}) = ${func}`, "Starting with the given function"));
+    if (variables.length > 1) {
+      const result = higherDerivative(func, variables, steps);
+      const mixed = new Set(variables).size > 1;
+      return withVerification({
+        ...createSuccessResult(steps, result.text, mixed ? "partial-derivative" : "higher-derivative"),
+        notation: derivativeNotation(variables)
+      }, verifyDerivative(func, variables, result.text));
+    }
     
-    addDerivativeRules(steps, func, variable);
-    steps.push(createStep(steps.length + 1, "Apply differentiation", `f'(${variable}) = ${simplified.toString()}`, "Computing the derivative"));
+    const result = differentiateWithSteps(func, variable, steps);
+    steps.push(createStep(steps.length + 1, "Simplify", `f'(${variable}) = ${result.text}`, "Combining the pieces from each rule"));
     
-    return createSuccessResult(steps, simplified.toString(), "derivative");
+    return withVerification(createSuccessResult(steps, result.text, "derivative"), verifyDerivative(func, variables, result.text));
   } catch (error) {
     return createErrorResult("derivative", error);
   }
 };
 
-const solveIntegral = (equation) => {
+const solveVectorCalculus = (equation) => {
+  const operation = equation.match(/\b(gradient|hessian|jacobian)\s*\(/i)[1].toLowerCase();
   try {
-    const { func, variable } = parseIntegralInput(equation);
-    const steps = [createStep(1, "Setup integral", `∫ ${func} d${variable}`, "Setting up the integral")];
-    
-    const result = solveIntegralByPattern(func, variable, steps);
-    return createSuccessResult(steps, result, "integral");
+    const args = extractCallArguments(equation, [operation]);
+    if (!args || args.length !== 2) throw new Error(`Invalid ${operation} syntax. Use: ${operation}(${operation === "jacobian" ? "[f1, f2]" : "f"}, [x, y])`);
+    const variables = splitList(args[1]);
+    if (!variables.length || !variables.every((v) => /^[a-z_]\w*$/i.test(v))) throw new Error("Variables must be a list of names such as [x, y, z]");
+    const steps = [];
+
+    if (operation === "jacobian") {
+      const funcs = splitList(args[0]);
+      steps.push(createStep(1, "Vector function", `F(${variables.join(", ")}) = [${funcs.join(", ")}]`, "Starting with the component functions"));
+      const result = jacobian(funcs, variables, steps);
+      return { ...createSuccessResult(steps, result.text, "jacobian"), matrix: result.matrix };
+    }
+
+    steps.push(createStep(1, "Original function", `f(${variables.join(", ")}) = ${args[0]}`, "Starting with the given function"));
+    if (operation === "gradient") {
+      const result = gradient(args[0], variables, steps);
+      return { ...createSuccessResult(steps, result.text, "gradient"), vector: result.vector };
+    }
+    const result = hessian(args[0], variables, steps);
+    return { ...createSuccessResult(steps, result.text, "hessian"), matrix: result.matrix };
+  } catch (error) {
+    return createErrorResult(operation, error);
+  }
+};
+
+// taylor(f, x, a, n[, r]) and maclaurin(f, x, n); the variable defaults to x, the center to 0 and the order to 5
+const solveSeries = (equation) => {
+  const operation = equation.match(/\b(taylor|maclaurin)\s*\(/i)[1].toLowerCase();
+  try {
+    const args = extractCallArguments(equation, [operation]);
+    const maclaurin = operation === "maclaurin";
+    if (!args || args.length < 1 || args.length > (maclaurin ? 3 : 5)) {
+      throw new Error(maclaurin ? "Use: maclaurin(f, x, n)" : "Use: taylor(f, x, a, n) or taylor(f, x, a, n, r) to bound the remainder on |x - a| ≤ r");
+    }
+    const [func, variable = "x"] = args;
+    const [center, order, radius] = maclaurin ? ["0", args[2], undefined] : args.slice(2);
+    const n = order === undefined ? 5 : evaluate(order);
+    const r = radius === undefined ? 1 : evaluate(radius);
+    if (typeof r !== "number" || !(r > 0)) throw new Error("The remainder radius r must be a positive number");
+    const steps = [createStep(1, "Original function", `f(${variable}) = ${func}`, "Starting with the given function")];
+    const result = taylorSeries(func, variable, center || "0", n, r, steps);
+    return {
+      ...createSuccessResult(steps, result.polynomial, "taylor"),
+      coefficients: result.coefficients,
+      remainder: result.remainder,
+      center: result.center,
+      graph: result.graph
+    };
+  } catch (error) {
+    return createErrorResult("taylor", error);
+  }
+};
+
+// analyze(f, x): every feature of the graph of f, one step each, with a graph that marks them
+const solveAnalysis = (equation) => {
+  try {
+    const args = extractCallArguments(equation, ["analyze", "analyse"]);
+    if (!args || args.length > 2 || (args[1] && !/^[a-z_]\w*$/i.test(args[1]))) {
+      throw new Error("Invalid analyze syntax. Use: analyze(expression, variable), e.g. analyze((x^2 - 1)/(x - 2), x)");
+    }
+    const variable = args[1] || "x";
+    const steps = [];
+    const { answer, ...analysis } = analyzeFunction(args[0], variable, steps);
+    return { ...createSuccessResult(steps, answer, "analysis"), ...analysis };
+  } catch (error) {
+    return createErrorResult("analysis", error);
+  }
+};
+
+// dsolve(y' = f(x, y), y, x, y(0) = 1[, y'(0) = 0][, x = 5]); y and x default to y and x
+const solveDifferentialEquation = (equation) => {
+  try {
+    const args = extractCallArguments(equation, ["dsolve"]);
+    if (!args || !args.length) throw new Error("Use: dsolve(y' = f(x, y), y, x) with optional conditions such as y(0) = 1");
+    const [ode, ...rest] = args;
+    const names = rest.filter((arg) => /^[a-z_]\w*$/i.test(arg));
+    const [dependent = "y", independent = "x"] = names;
+    const conditions = [];
+    let end = null;
+    rest.filter((arg) => !names.includes(arg)).forEach((arg) => {
+      const endMatch = arg.match(new RegExp(`^${independent}\\s*=\\s*(.+)$`));
+      if (endMatch) {
+        end = evaluate(endMatch[1]);
+        return;
+      }
+      const condition = parseCondition(arg, dependent);
+      if (!condition) throw new Error(`Could not read the condition ${arg}; write it like ${dependent}(0) = 1 or ${dependent}'(0) = 0`);
+      conditions.push(condition);
+    });
+
+    const steps = [createStep(1, "Original equation", ode, conditions.length ? `With ${conditions.map((c) => c.text).join(" and ")}` : "Find the general solution")];
+    const result = solveOde(ode, dependent, independent, conditions, end, steps);
+    if (result.numeric) {
+      return { ...createSuccessResult(steps, result.answer, "ode-numeric"), points: result.points, interval: result.interval, graph: result.graph };
+    }
+    return {
+      ...createSuccessResult(steps, result.answer, "ode"),
+      solution: result.solution,
+      order: result.order,
+      constants: result.constants,
+      ...(result.graph && { graph: result.graph })
+    };
+  } catch (error) {
+    return createErrorResult("ode", error);
+  }
+};
+
+// det(A), inverse(A), rref(A), rank(A), eigen(A) and nullspace(A) with A written as [[1, 2], [3, 4]]
+const MATRIX_OPERATIONS = { det: determinant, inverse, rref, rank, eigen, nullspace };
+
+const solveMatrix = (equation) => {
+  const operation = equation.match(MATRIX_OPERATION)[1].toLowerCase();
+  try {
+    const args = extractCallArguments(equation, [operation]);
+    if (!args || args.length !== 1) throw new Error(`Use: ${operation}([[1, 2], [3, 4]])`);
+    const steps = [createStep(1, "Original expression", equation, `Apply ${operation}`)];
+    const { answer, ...details } = MATRIX_OPERATIONS[operation](readMatrix(args[0]), steps);
+    return { ...createSuccessResult(steps, answer, operation), ...details };
+  } catch (error) {
+    return createErrorResult(operation, error);
+  }
+};
+
+const solveSummation = (equation) => {
+  const operation = equation.match(SUMMATION_OPERATION)[1].toLowerCase();
+  try {
+    const [func, index, lower, upper] = extractCallArguments(equation, [operation]);
+    const steps = [createStep(1, "Original expression", equation, operation === "sum" ? "Add up the terms" : "Multiply the factors")];
+    const { answer, ...details } = (operation === "sum" ? sumSeries : productSeries)(func, index, lower, upper, steps);
+    return { ...createSuccessResult(steps, answer, operation), ...details };
+  } catch (error) {
+    return createErrorResult(operation, error);
+  }
+};
+
+// polar(z) and rect(r, θ) convert between rectangular and polar form
+const solveComplexForm = (equation, { output = "both", precision = DEFAULT_PRECISION } = {}) => {
+  const operation = equation.match(COMPLEX_OPERATION)[1].toLowerCase();
+  try {
+    const args = extractCallArguments(equation, [operation]);
+    const steps = [createStep(1, "Original expression", equation, operation === "polar" ? "Write the number in polar form" : "Write the number in rectangular form")];
+    if (operation === "polar") {
+      if (!args || args.length !== 1) throw new Error("Use: polar(3 + 4i)");
+      const { answer, complex } = toPolar(args[0], steps, output, precision);
+      return { ...createSuccessResult(steps, answer, "complex"), complex };
+    }
+    if (!args || args.length !== 2) throw new Error("Use: rect(r, θ) with θ in radians, e.g. rect(2, pi/3)");
+    const { answer, complex } = toRectangular(args[0], args[1], steps, output, precision);
+    return { ...createSuccessResult(steps, answer, "complex"), complex };
+  } catch (error) {
+    return createErrorResult("complex", error);
+  }
+};
+
+const solveUnitExpression = (equation, { precision = DEFAULT_PRECISION } = {}) => {
+  try {
+    if (unitStatus(equation) === "mismatch") throw new Error(dimensionError(equation));
+    const steps = [createStep(1, "Original expression", equation, "Evaluate with units")];
+    const { answer, unit } = solveUnits(equation, steps, precision);
+    return { ...createSuccessResult(steps, answer, "unit"), unit };
+  } catch (error) {
+    return createErrorResult("unit", error);
+  }
+};
+
+// Rewrite with the assumptions (|x| = x for x > 0, ...), adding a step when anything changed
+const assumeStep = (expression, assumptions, steps, explanation) => {
+  if (!assumptions) return expression;
+  const { node, notes } = applyAssumptions(expression, assumptions);
+  if (!notes.length) return expression;
+  steps.push(createStep(steps.length + 1, "Apply assumptions", node.toString(), `${explanation}: ${notes.join("; ")}`));
+  return node.toString();
+};
+
+// apart(...) inside an integrand is decomposed first, so integral(apart(f), x) integrates the partial fractions
+const expandApart = (func, variable, steps) => {
+  let text = func;
+  for (let match = text.match(/\bapart\s*\(/i); match; match = text.match(/\bapart\s*\(/i)) {
+    const scan = scanTopLevel(text, match.index + match[0].length);
+    if (!scan || !scan.args.length || scan.args.length > 2) throw new Error("Use: apart(rational function) or apart(rational function, variable)");
+    const { answer } = decompose(scan.args[0], scan.args[1] || variable, []);
+    text = `${text.slice(0, match.index)}(${answer})${text.slice(scan.end + 1)}`;
+  }
+  if (text !== func) steps.push(createStep(steps.length + 1, "Partial fractions", text, "apart(...) is decomposed before integrating, so each fraction is integrated on its own"));
+  return text;
+};
+
+const solveIntegral = (equation, { assumptions = null } = {}) => {
+  try {
+    const { func: written, variable, lower, upper } = parseIntegralInput(equation);
+    if (lower !== undefined) {
+      const steps = [];
+      const given = expandApart(written, variable, steps);
+      const func = assumeStep(given, assumptions, steps, "Simplify the integrand");
+      return solveDefiniteIntegral(func, variable, lower, upper, steps);
+    }
+    const steps = [createStep(1, "Setup integral", `∫ ${written} d${variable}`, "Setting up the integral")];
+    const given = expandApart(written, variable, steps);
+    const func = assumeStep(given, assumptions, steps, "Simplify the integrand");
+
+    const integration = integrateExpression(func, variable, steps);
+    if (!integration.elementary) return createSuccessResult(steps, integration.reason, "integral");
+    // The assumptions also pick the branch of the result, such as log(x) rather than log(|x|) for x > 0
+    const antiderivative = assumeStep(integration.antiderivative, assumptions, steps, "Choose the branch");
+    return withVerification(createSuccessResult(steps, `${antiderivative} + C`, "integral"), verifyAntiderivative(func, antiderivative, variable));
   } catch (error) {
     return createErrorResult("integral", error);
   }
 };
 
-const solveMathEquation = (equation) => {
+const solveDefiniteIntegral = (func, variable, lower, upper, assumed = []) => {
+  const steps = [createStep(1, "Setup integral", `∫_${lower}^${upper} ${func} d${variable}`, "Setting up the definite integral")];
+  assumed.forEach((step) => steps.push({ ...step, step: steps.length + 1 }));
+  const integration = integrateDefinite(func, variable, lower, upper, steps);
+  const exact = integration.method === "fundamental-theorem";
+  const result = {
+    ...createSuccessResult(steps, integration.answer, exact ? "definite-integral-exact" : "definite-integral-numeric"),
+    method: integration.method,
+    value: integration.value,
+    errorEstimate: integration.errorEstimate,
+    converged: integration.converged
+  };
+  // A numeric value is already the quadrature; an exact finite one is checked against it
+  return exact && integration.converged ? withVerification(result, verifyDefiniteIntegral(func, variable, lower, upper, integration.value)) : result;
+};
+
+const formatRoot = ({ re, im, text, exact, multiplicity }) => ({ value: text, ...(exact && { exact }), real: im === 0, re, im, multiplicity, ...(im !== 0 && { polar: polarText(re, im) }) });
+
+const rootText = ({ text, exact, multiplicity }) => {
+  const shown = exact ? `${exact} ≈ ${text}` : text;
+  return multiplicity > 1 ? `${shown} (multiplicity ${multiplicity})` : shown;
+};
+
+// Drop the roots the assumptions rule out, naming each in a step, and rebuild the answer from the rest
+const assumeRoots = (roots, answer, variable, assumptions, steps, suffix = "") => {
+  const bounds = assumptions && assumptions[variable];
+  if (!bounds) return { roots, answer };
+  const condition = describeVariable(variable, bounds);
+  if (!roots.length) {
+    const identity = /^All real numbers/.test(answer);
+    if (identity) steps.push(createStep(steps.length + 1, "Apply assumptions", condition, "The equation holds for every value allowed by the assumptions"));
+    return { roots, answer: identity ? `Every ${condition} satisfies the equation` : answer };
+  }
+  const { kept, dropped } = filterRoots(roots, variable, assumptions);
+  steps.push(createStep(steps.length + 1, "Apply assumptions",
+    dropped.length ? `Discard ${dropped.map((r) => `${variable} = ${r.text}`).join(", ")}` : `Every root satisfies ${condition}`,
+    `Only roots with ${condition} are kept`));
+  if (!dropped.length) return { roots, answer };
+  const relation = answer.includes("≈") ? "≈" : "=";
+  return { roots: kept, answer: kept.length ? `${variable} ${relation} ${kept.map(rootText).join(", ")}${suffix}` : `No solution with ${condition}` };
+};
+
+// solve(f = g, x, a, b) asks for the solutions in [a, b]: exact roots outside it, and complex ones, are dropped
+const rootsInInterval = (roots, answer, variable, interval, steps) => {
+  if (!interval || !roots.length) return { roots, answer };
+  const [a, b] = interval;
+  const inside = (r) => r.im === 0 && r.re >= a - 1e-12 * Math.max(1, Math.abs(a)) && r.re <= b + 1e-12 * Math.max(1, Math.abs(b));
+  const kept = roots.filter(inside);
+  const dropped = roots.filter((r) => !inside(r));
+  const range = `[${formatNumber(a)}, ${formatNumber(b)}]`;
+  steps.push(createStep(steps.length + 1, "Restrict to the interval", dropped.length ? `Discard ${dropped.map((r) => `${variable} = ${r.text}`).join(", ")}` : `Every root lies in ${range}`,
+    `Only real roots in ${range} are solutions`));
+  if (!dropped.length) return { roots, answer };
+  return { roots: kept, answer: kept.length ? `${variable} = ${kept.map(rootText).join(", ")}` : `No real roots in ${range}` };
+};
+
+// A one-sided bound keeps the families in k but only their members on that side
+const restrictFamilies = (answer, variable, assumptions, steps) => {
+  const bounds = assumptions && assumptions[variable];
+  if (!bounds) return { roots: [], answer };
+  const condition = describeVariable(variable, bounds);
+  steps.push(createStep(steps.length + 1, "Apply assumptions", condition, `Only the members of each family with ${condition} are solutions`));
+  return { roots: [], answer: `${answer}, with ${condition}` };
+};
+
+const solveMathEquation = (equation, { assumptions = null } = {}) => {
   try {
-    const { expr, variable } = parseSolveInput(equation);
-    const steps = [createStep(1, "Original equation", expr, "Starting equation to solve")];
-    
-    try {
-      // Try to use mathjs solve function
-      const solutions = solve(expr, variable);
-      
-      if (Array.isArray(solutions)) {
-        steps.push(createStep(2, "Apply solving methods", `Solutions for ${variable}`, "Finding all solutions"));
-        const solutionStr = solutions.map(sol => {
-          if (typeof sol === 'object' && sol.toString) {
-            return sol.toString();
-          }
-          return String(sol);
-        }).join(', ');
-        
-        steps.push(createStep(3, "Solutions found", solutionStr, `Found ${solutions.length} solution(s)`));
-        return createSuccessResult(steps, `${variable} = ${solutionStr}`, "equation");
-      } else {
-        steps.push(createStep(2, "Solution", solutions.toString(), "Single solution found"));
-        return createSuccessResult(steps, `${variable} = ${solutions}`, "equation");
+    const { expr, variable, interval: given, system, variables, inequality } = parseSolveInput(equation);
+    if (system) return solveSystem(system, variables);
+    if (inequality) return solveInequalityInput(inequality, variable);
+    const others = freeSymbols(parse(expr)).filter((name) => name !== variable);
+    if (others.length && !dependsOn(expr, variable)) throw new Error(`${variable} does not appear in the equation, which contains ${others.join(", ")}`);
+    const steps = [createStep(1, "Original equation", `${expr} = 0`, `Solve for ${variable}`)];
+    // a*x + b = 0 and a*x^2 + b*x + c = 0 keep their letters; other equations with letters are rejected
+    const literal = solveLiteralEquation(expr, variable, steps);
+    if (literal) {
+      return withVerification({
+        ...createSuccessResult(steps, literal.answer, "equation-symbolic"),
+        degree: literal.degree,
+        roots: literal.roots.map((value) => ({ value })),
+        parameters: literal.parameters,
+        condition: literal.condition
+      }, verifyLiteralRoots(expr, variable, literal.roots));
+    }
+    // Bounds assumed on both sides of the variable serve as the interval when none is given
+    const interval = given || (assumptions && assumedInterval(variable, assumptions)) || undefined;
+    const solution = solvePolynomialEquation(expr, variable, steps);
+    if (!solution) {
+      // sin(x) = 1/2 has infinitely many solutions: give them as families in k, listed on [a, b) when an interval is given
+      const trig = solveTrigEquation(expr, variable, steps, interval);
+      if (trig) {
+        const suffix = (trig.answer.match(/ on \[.*$/) || [""])[0];
+        const assumed = trig.roots.length
+          ? assumeRoots(trig.roots, trig.answer, variable, assumptions, steps, suffix)
+          : restrictFamilies(trig.answer, variable, assumptions, steps);
+        return withVerification({
+          ...createSuccessResult(steps, assumed.answer, "equation-trig"),
+          general: trig.general,
+          roots: assumed.roots.map(formatRoot),
+          interval: trig.interval
+        }, trig.roots.length ? verifyRoots(expr, variable, assumed.roots) : verifyFamilies(expr, variable, trig.general));
       }
-    } catch (solveError) {
-      // Fallback to manual solving for simple cases
-      return solveEquationManually(expr, variable, steps);
+      // 2^(x + 1) = 16, e^(2x) - 5e^x + 6 = 0 and log(x) + log(x - 3) = 1 have closed forms through logarithms
+      const expLog = solveExpLogEquation(expr, variable, steps);
+      if (expLog) {
+        const inInterval = rootsInInterval(expLog.roots, expLog.answer, variable, given, steps);
+        const assumed = assumeRoots(inInterval.roots, inInterval.answer, variable, assumptions, steps);
+        return withVerification({
+          ...createSuccessResult(steps, assumed.answer, `equation-${expLog.kind}`),
+          roots: assumed.roots.map(formatRoot),
+          rejected: expLog.rejected
+        }, verifyRoots(expr, variable, assumed.roots));
+      }
+      const numeric = solveNumericEquation(expr, variable, interval, steps);
+      const assumed = assumeRoots(numeric.roots, numeric.answer, variable, assumptions, steps);
+      return withVerification({
+        ...createSuccessResult(steps, assumed.answer, "equation-numeric"),
+        roots: assumed.roots.map(formatRoot),
+        interval: numeric.interval,
+        tolerance: numeric.tolerance
+      }, verifyRoots(expr, variable, assumed.roots));
+    }
+    const inInterval = rootsInInterval(solution.roots, solution.answer, variable, given, steps);
+    const assumed = assumeRoots(inInterval.roots, inInterval.answer, variable, assumptions, steps);
+    const complexRoots = assumed.roots.filter((r) => r.im !== 0);
+    if (complexRoots.length) {
+      steps.push(createStep(steps.length + 1, "Polar form", complexRoots.map((r) => `${r.text} = ${polarText(r.re, r.im)}`).join("\n"), "Modulus and argument of each complex root"));
     }
+    return withVerification({
+      ...createSuccessResult(steps, assumed.answer, "equation"),
+      degree: solution.degree,
+      roots: assumed.roots.map(formatRoot)
+    }, verifyRoots(expr, variable, assumed.roots));
   } catch (error) {
     return createErrorResult("equation", error);
   }
 };
 
+const solveInequalityInput = (inequality, variable) => {
+  try {
+    const steps = [createStep(1, "Original inequality", inequality, `Solve for ${variable}`)];
+    const result = solveInequality(inequality, variable, steps);
+    return {
+      ...createSuccessResult(steps, result.answer, "inequality"),
+      intervals: result.intervals,
+      setBuilder: result.setBuilder,
+      pieces: result.pieces,
+      ...(result.period && { period: result.period }),
+      ...(result.window && { window: result.window })
+    };
+  } catch (error) {
+    return createErrorResult("inequality", error);
+  }
+};
+
+const solveSystem = (system, variables) => {
+  try {
+    const steps = [createStep(1, "Original system", system.join("\n"), `Solve for ${variables.join(", ")}`)];
+    const result = solveLinearSystem(system.map(toZeroForm), variables, steps);
+    return {
+      ...createSuccessResult(steps, result.answer, "linear-system"),
+      classification: result.classification,
+      solution: result.solution,
+      rank: result.rank
+    };
+  } catch (error) {
+    return createErrorResult("linear-system", error);
+  }
+};
+
 const solveLimit = (equation) => {
   try {
     const { func, variable, approach } = parseLimitInput(equation);
     const steps = [createStep(1, "Setup limit", `lim(${variable} → ${approach}) ${func}`, "Setting up the limit")];
-    
-    try {
-      // Try direct substitution
-      const substituted = func.replace(new RegExp(variable, "g"), `(${approach})`);
-      const result = evaluate(substituted);
-      
-      if (isFinite(result)) {
-        steps.push(createStep(2, "Direct substitution", `Substitute ${variable} = ${approach}`, "Direct substitution works"));
-        steps.push(createStep(3, "Result", result.toString(), "Limit value"));
-        return createSuccessResult(steps, result.toString(), "limit");
+    const limit = evaluateLimit(func, variable, approach, steps);
+    return {
+      ...createSuccessResult(steps, limit.answer, limit.numeric ? "limit-numeric" : "limit"),
+      value: Number.isNaN(limit.value) ? null : limit.value
+    };
+  } catch (error) {
+    return createErrorResult("limit", error);
+  }
+};
+
+const solveAlgebra = (equation) => {
+  const operation = equation.match(ALGEBRA_OPERATION)[1].toLowerCase();
+  try {
+    const args = extractCallArguments(equation, [operation]);
+    const steps = [createStep(1, "Original expression", equation, `Apply ${operation}`)];
+    switch (operation) {
+      case "factor": {
+        if (!args || args.length < 1 || args.length > 2) throw new Error("Use: factor(polynomial) or factor(polynomial, variable)");
+        const result = factorPolynomial(args[0], args[1], steps);
+        return { ...createSuccessResult(steps, result.answer, "factor"), factors: result.factors, variable: result.variable };
+      }
+      case "expand": {
+        if (!args || args.length !== 1) throw new Error("Use: expand(expression)");
+        const result = expandExpression(args[0], steps);
+        return createSuccessResult(steps, result.answer, "expand");
+      }
+      case "polydiv": {
+        if (!args || args.length < 2 || args.length > 3) throw new Error("Use: polydiv(dividend, divisor) or polydiv(dividend, divisor, variable)");
+        const result = dividePolynomials(args[0], args[1], args[2], steps);
+        return { ...createSuccessResult(steps, result.answer, "polydiv"), quotient: result.quotient, remainder: result.remainder };
+      }
+      case "apart": {
+        if (!args || args.length < 1 || args.length > 2) throw new Error("Use: apart(rational function) or apart(rational function, variable)");
+        const result = decompose(args[0], args[1] || "x", steps);
+        return { ...createSuccessResult(steps, result.answer, "apart"), terms: result.pieces.map((piece) => piece.text) };
+      }
+      case "trigsimp": {
+        if (!args || args.length !== 1) throw new Error("Use: trigsimp(expression)");
+        const result = simplifyTrig(args[0], steps);
+        return { ...createSuccessResult(steps, result.answer, "trigsimp"), identities: result.identities };
+      }
+      default: {
+        if (!args || args.length < 2 || args.length > 3) throw new Error("Use: gcd(p, q) or gcd(p, q, variable)");
+        if (!hasSymbols(args[0]) && !hasSymbols(args[1])) {
+          const values = args.slice(0, 2).map((arg) => evaluate(arg));
+          if (!values.every(Number.isInteger)) throw new Error("gcd of numbers needs integers");
+          return createSuccessResult(steps, integerGcd(values, steps).answer, "gcd");
+        }
+        const result = polynomialGcd(args[0], args[1], args[2], steps);
+        return createSuccessResult(steps, result.answer, "gcd");
       }
-    } catch {
-      steps.push(createStep(2, "Indeterminate form", "0/0 or ∞/∞ form", "Requires L'Hôpital's rule or other techniques"));
     }
-    
-    return createSuccessResult(steps, "Limit requires advanced techniques", "limit");
   } catch (error) {
-    return createErrorResult("limit", error);
+    return createErrorResult(operation, error);
   }
 };
 
-const simplifyExpression = (equation) => {
+// Exact text (fractions, simplified radicals, multiples of pi) and decimal text of a numeric result
+const numericResult = (equation, evaluated, steps, output, precision) => {
+  const folded = isFinite(evaluated) ? formatNumber(evaluated) : null;
+  const exact = evaluateExact(equation) || (folded && isExactText(folded) ? folded : null);
+  // Integers are exact in both modes, however many digits they have
+  const decimal = exact && /^-?\d+$/.test(exact)
+    ? exact
+    : evaluateDecimal(equation, precision) || (isFinite(evaluated) ? String(parseFloat(evaluated.toFixed(precision))) : null);
+  if (!decimal && !exact) return null;
+
+  if (exact && exact !== decimal) steps.push(createStep(steps.length + 1, "Exact value", exact, "Kept as fractions, simplified square and cube roots, and powers of e and pi"));
+  if (!exact && output !== "decimal") {
+    steps.push(createStep(steps.length + 1, "No exact form", equation,
+      "The value is not a combination of fractions, square and cube roots, and powers of e and pi, so only its decimal value is given"));
+  }
+  if (decimal) steps.push(createStep(steps.length + 1, "Numerical evaluation", decimal, `Evaluated to numerical value${decimal === exact ? "" : ` (${precision} decimal places)`}`));
+  const answers = {
+    exact: exact || `${decimal} (no exact form found)`,
+    decimal: decimal || exact,
+    both: exact && decimal && exact !== decimal ? `${exact} ≈ ${decimal}` : exact || decimal
+  };
+  return { ...createSuccessResult(steps, answers[output], "arithmetic"), exact, decimal };
+};
+
+const simplifyExpression = (equation, { output = "decimal", precision = DEFAULT_PRECISION, assumptions = null } = {}) => {
   try {
     const steps = [createStep(1, "Original expression", equation, "Starting expression")];
     
     let simplified;
     try {
-      const parsed = parse(equation);
+      const parsed = parse(assumeStep(equation, assumptions, steps, "Use the assumptions"));
       simplified = simplify(parsed);
-      steps.push(createStep(2, "Simplify", simplified.toString(), "Algebraic simplification"));
+      steps.push(createStep(steps.length + 1, "Simplify", simplified.toString(), "Algebraic simplification"));
     } catch {
       simplified = { toString: () => equation };
     }
@@ -126,10 +602,21 @@ const simplifyExpression = (equation) => {
     // Try to evaluate numerically
     try {
       const evaluated = evaluate(equation);
-      if (typeof evaluated === "number" && isFinite(evaluated)) {
-        const rounded = Number.isInteger(evaluated) ? evaluated : parseFloat(evaluated.toFixed(10));
-        steps.push(createStep(steps.length + 1, "Numerical evaluation", rounded.toString(), "Evaluated to numerical value"));
-        return createSuccessResult(steps, rounded.toString(), "arithmetic");
+      const grid = typeof evaluated === "object" ? matrixValue(evaluated) : null;
+      if (grid) {
+        steps.push(createStep(steps.length + 1, "Matrix result", grid.answer, "Evaluated entry by entry"));
+        return { ...createSuccessResult(steps, grid.answer, "matrix"), matrix: grid.matrix };
+      }
+      const parts = complexParts(evaluated);
+      // Complex results with a non-zero imaginary part are shown in rectangular and polar form
+      if (parts && parts.im !== 0) {
+        const complex = describeComplex(parts, output, precision);
+        complexSteps(complex, steps);
+        return { ...createSuccessResult(steps, `${complex.rectangular} = ${complex.exponential}`, "complex"), complex };
+      }
+      if (typeof evaluated === "number" || parts) {
+        const result = numericResult(equation, parts ? parts.re : evaluated, steps, output, precision);
+        if (result) return result;
       }
     } catch {}
     
@@ -140,7 +627,80 @@ const simplifyExpression = (equation) => {
 };
 
 // Enhanced parsing helpers
+
+// Split on commas that are not nested inside brackets up to the bracket that closes the call; the arguments and
+// the index of that bracket, or null when it never closes
+const scanTopLevel = (text, start = 0) => {
+  const args = [];
+  let depth = 0;
+  let current = "";
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if ("([{".includes(ch)) depth++;
+    if (")]}".includes(ch)) {
+      if (depth === 0) {
+        args.push(current.trim());
+        return { args, end: i };
+      }
+      depth--;
+    }
+    if (ch === "," && depth === 0) {
+      args.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  return null;
+};
+
+const splitTopLevel = (text, start = 0) => {
+  const scan = scanTopLevel(text, start);
+  return scan && scan.args;
+};
+
+// Arguments of the first name(...) call, split on top-level commas: "integral(log(x, 2), x)" -> ["log(x, 2)", "x"]
+const extractCallArguments = (equation, names) => {
+  const match = equation.match(new RegExp(`\\b(${names.join("|")})\\s*\\(`, "i"));
+  if (!match) return null;
+  return splitTopLevel(equation, match.index + match[0].length);
+};
+
+// "sqrt(x^2), assume(x > 0)" -> { expression: "sqrt(x^2)", texts: ["x > 0"] }; the clause may lead or trail
+const splitAssumeClause = (equation) => {
+  const match = equation.match(/\bassume\s*\(/i);
+  if (!match) return { expression: equation, texts: [] };
+  const scan = scanTopLevel(equation, match.index + match[0].length);
+  if (!scan) throw new Error("The assume(...) clause is missing its closing bracket");
+  const expression = `${equation.slice(0, match.index)} ${equation.slice(scan.end + 1)}`.replace(/^[\s,;]+|[\s,;]+$/g, "");
+  if (!expression) throw new Error("assume(...) needs an expression to apply to");
+  return { expression, texts: scan.args };
+};
+
+// "[x, y, z]" -> ["x", "y", "z"]; a bare expression becomes a one-element list
+const splitList = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith("[")) return [trimmed];
+  return (splitTopLevel(trimmed, 1) || []).filter(Boolean);
+};
+
 const parseDerivativeInput = (equation) => {
+  // derivative(f, x), derivative(f, x, n) and mixed partials such as derivative(f, x, y) or derivative(f, x, 2, y)
+  const args = extractCallArguments(equation, ["derivative", "diff"]);
+  if (args && args.length >= 2 && /^[a-z_]\w*$/i.test(args[1])) {
+    const variables = [];
+    for (const arg of args.slice(1)) {
+      if (/^[a-z_]\w*$/i.test(arg)) {
+        variables.push(arg);
+      } else if (/^\d+$/.test(arg) && variables.length && Number(arg) >= 1 && Number(arg) <= 20) {
+        for (let i = 1; i < Number(arg); i++) variables.push(variables[variables.length - 1]);
+      } else {
+        throw new Error(`Invalid derivative order or variable: ${arg}`);
+      }
+    }
+    return { func: args[0], variable: variables[0], variables };
+  }
+
   const patterns = [
     /derivative\s*\(\s*(.+?)\s*,\s*(\w+)\s*\)/i,
     /diff\s*\(\s*(.+?)\s*,\s*(\w+)\s*\)/i,
@@ -148,76 +708,67 @@ const parseDerivativeInput = (equation) => {
     /d\s*\(\s*(.+?)\s*\)\s*\/\s*d(\w+)/i
   ];
   
-  for (const pattern of patterns) {
+  for (const [index, pattern] of patterns.entries()) {
     const match = equation.match(pattern);
     if (match) {
-      if (pattern.toString().includes("d/d")) {
-        return { func: match[2], variable: match[1] };
-      } else if (pattern.toString().includes("d(")) {
-        return { func: match[1], variable: match[2] };
-      } else {
-        return { func: match[1], variable: match[2] };
-      }
+      // Only the d/dx(f) form puts the variable first
+      const [func, variable] = index === 2 ? [match[2], match[1]] : [match[1], match[2]];
+      return { func, variable, variables: [variable] };
     }
   }
   
-  throw new Error("Invalid derivative syntax. Use: derivative(expression, variable)");
+  throw new Error("Invalid derivative syntax. Use: derivative(expression, variable), derivative(expression, variable, n) or derivative(expression, x, y)");
 };
 
 const parseIntegralInput = (equation) => {
-  const patterns = [
-    /integral\s*\(\s*(.+?)\s*,\s*(\w+)\s*\)/i,
-    /integrate\s*\(\s*(.+?)\s*,\s*(\w+)\s*\)/i,
-    /∫\s*(.+?)\s*d(\w+)/i
-  ];
-  
-  for (const pattern of patterns) {
-    const match = equation.match(pattern);
-    if (match) {
-      return { func: match[1].trim(), variable: match[2].trim() };
-    }
+  const args = extractCallArguments(equation, ["integral", "integrate"]);
+  if (args && (args.length === 2 || args.length === 4) && /^\w+$/.test(args[1])) {
+    const [func, variable, lower, upper] = args;
+    return { func, variable, lower, upper };
+  }
+
+  // ∫_a^b f dx, with optional braces around the limits
+  const definiteMatch = equation.match(/∫\s*_\s*(\{[^}]*\}|[^\s^]+)\s*\^\s*(\{[^}]*\}|\S+)\s+(.+?)\s*d(\w+)\s*$/);
+  if (definiteMatch) {
+    const unbrace = (text) => text.replace(/^\{(.*)\}$/, "$1").trim();
+    return { func: definiteMatch[3].trim(), variable: definiteMatch[4], lower: unbrace(definiteMatch[1]), upper: unbrace(definiteMatch[2]) };
+  }
+
+  const match = equation.match(/∫\s*(.+?)\s*d(\w+)\s*$/);
+  if (match) {
+    return { func: match[1].trim(), variable: match[2].trim() };
   }
   
-  throw new Error("Invalid integral syntax. Use: integral(expression, variable)");
+  throw new Error("Invalid integral syntax. Use: integral(expression, variable) or integral(expression, variable, lower, upper)");
 };
 
 const parseSolveInput = (equation) => {
-  // Handle solve(expression, variable) format
-  const solveMatch = equation.match(/solve\s*\(\s*(.+?)\s*,\s*(\w+)\s*\)/i);
-  if (solveMatch) {
-    return { expr: solveMatch[1].trim(), variable: solveMatch[2].trim() };
+  // solve(lhs = rhs, variable) or solve(expression, variable); the variable defaults to x
+  const args = extractCallArguments(equation, ["solve"]);
+  // solve([eq1, eq2, ...], [x, y, ...]) is a system of equations
+  if (args && args[0].startsWith("[")) {
+    if (args.length !== 2) throw new Error("A system needs a list of variables: solve([2x + y = 5, x - y = 1], [x, y])");
+    return { system: splitList(args[0]), variables: splitList(args[1]) };
   }
-  
-  // Handle solve(equation = 0, variable) format
-  const equationMatch = equation.match(/solve\s*\(\s*(.+?)\s*=\s*(.+?)\s*,\s*(\w+)\s*\)/i);
-  if (equationMatch) {
-    const leftSide = equationMatch[1].trim();
-    const rightSide = equationMatch[2].trim();
-    const variable = equationMatch[3].trim();
-    
-    // Convert to form suitable for mathjs solve: leftSide - rightSide = 0
-    if (rightSide === '0') {
-      return { expr: leftSide, variable };
-    } else {
-      return { expr: `${leftSide} - (${rightSide})`, variable };
-    }
+  // solve(x^2 - 4 > 0, x), solve(-1 < 2x + 1 <= 5, x), solve(x < -1 or x > 1, x) and solve(abs(x - 3) < 2, x) are inequalities
+  if (args && args.length <= 2 && isInequality(args[0])) {
+    return { inequality: args[0], variable: args[1] || "x" };
   }
-  
-  throw new Error("Invalid solve syntax. Use: solve(expression, variable) or solve(equation = value, variable)");
+  if (args && (args.length === 1 || args.length === 2)) {
+    return { expr: toZeroForm(args[0]), variable: args[1] || "x" };
+  }
+  // solve(f = g, x, a, b) searches [a, b] numerically when there is no closed form, or lists trig solutions on [a, b)
+  if (args && args.length === 4) {
+    const interval = [args[2], args[3]].map((bound) => evaluate(bound));
+    if (!interval.every((bound) => typeof bound === "number" && isFinite(bound))) throw new Error("The search interval bounds must be finite numbers");
+    return { expr: toZeroForm(args[0]), variable: args[1], interval };
+  }
+
+  throw new Error("Invalid solve syntax. Use: solve(expression, variable), solve(equation = value, variable) or solve(equation, variable, a, b)");
 };
 
 const parseLimitInput = (equation) => {
-  // Handle limit(variable, approach, function) format
-  const match = equation.match(/limit\s*\(\s*(\w+)\s*,\s*([^,]+)\s*,\s*(.+)\s*\)/i);
-  if (match) {
-    return { 
-      variable: match[1].trim(), 
-      approach: match[2].trim(), 
-      func: match[3].trim() 
-    };
-  }
-  
-  // Handle lim(x->a) f(x) format
+  // Handle lim(x->a) f(x) format, where a may be 0+, 0-, inf or -inf
   const limMatch = equation.match(/lim\s*\(\s*(\w+)\s*(?:→|->)\s*([^)]+)\s*\)\s*(.+)/i);
   if (limMatch) {
     return { 
@@ -226,136 +777,49 @@ const parseLimitInput = (equation) => {
       func: limMatch[3].trim() 
     };
   }
-  
-  throw new Error("Invalid limit syntax. Use: limit(variable, approach, function)");
-};
 
-// Helper functions
-const addDerivativeRules = (steps, func, variable) => {
-  if (/\^/.test(func)) {
-    steps.push(createStep(steps.length + 1, "Power rule", "d/dx[x^n] = n*x^(n-1)", "Apply power rule"));
-  }
-  if (/(sin|cos|tan)/.test(func)) {
-    steps.push(createStep(steps.length + 1, "Trigonometric rules", "d/dx[sin(x)] = cos(x), d/dx[cos(x)] = -sin(x)", "Apply trigonometric differentiation"));
-  }
-  if (/(ln|log)/.test(func)) {
-    steps.push(createStep(steps.length + 1, "Logarithmic rule", "d/dx[ln(x)] = 1/x", "Apply logarithmic differentiation"));
+  const args = extractCallArguments(equation, ["limit", "lim"]);
+  // limit(function, x -> a)
+  if (args && args.length === 2) {
+    const arrow = args[1].match(/^(\w+)\s*(?:→|->)\s*(.+)$/);
+    if (arrow) return { func: args[0], variable: arrow[1], approach: arrow[2].trim() };
   }
-  if (/exp|e\^/.test(func)) {
-    steps.push(createStep(steps.length + 1, "Exponential rule", "d/dx[e^x] = e^x", "Apply exponential differentiation"));
-  }
-};
-
-const solveIntegralByPattern = (func, variable, steps) => {
-  // Handle power functions: x^n
-  const powerMatch = func.match(new RegExp(`(\\d*)?\\*?${variable}\\^(\\d+)`));
-  if (powerMatch) {
-    const coeff = powerMatch[1] ? parseInt(powerMatch[1]) : 1;
-    const power = parseInt(powerMatch[2]);
-    const newPower = power + 1;
-    const newCoeff = coeff / newPower;
-    
-    steps.push(createStep(steps.length + 1, "Power rule", "∫x^n dx = x^(n+1)/(n+1) + C", "Apply power rule for integration"));
-    
-    const result = newCoeff === 1 ? `${variable}^${newPower}` : `${newCoeff}*${variable}^${newPower}`;
-    return `${result} + C`;
+  if (args && args.length === 3) {
+    // limit(variable, approach, function) or limit(function, variable, approach)
+    const isVariableName = (text) => /^[a-z_]\w*$/i.test(text) && !/^(inf|infinity|oo|pi|e)$/i.test(text);
+    if (isVariableName(args[1]) && !isVariableName(args[0])) return { func: args[0], variable: args[1], approach: args[2] };
+    if (isVariableName(args[1]) && isVariableName(args[0]) && !isVariableName(args[2])) return { func: args[0], variable: args[1], approach: args[2] };
+    return { variable: args[0], approach: args[1], func: args[2] };
   }
   
-  // Handle simple variable: x
-  if (func === variable) {
-    steps.push(createStep(steps.length + 1, "Linear function", "∫x dx = x²/2 + C", "Integrate linear function"));
-    return `${variable}^2/2 + C`;
-  }
-  
-  // Handle constants
-  if (!func.includes(variable)) {
-    steps.push(createStep(steps.length + 1, "Constant rule", "∫c dx = c*x + C", "Integrate constant"));
-    return `${func}*${variable} + C`;
-  }
-  
-  // Handle trigonometric functions
-  if (func.includes("sin")) {
-    steps.push(createStep(steps.length + 1, "Sine integration", "∫sin(x) dx = -cos(x) + C", "Integrate sine"));
-    return `-cos(${variable}) + C`;
-  }
-  
-  if (func.includes("cos")) {
-    steps.push(createStep(steps.length + 1, "Cosine integration", "∫cos(x) dx = sin(x) + C", "Integrate cosine"));
-    return `sin(${variable}) + C`;
-  }
-  
-  // Default case
-  steps.push(createStep(steps.length + 1, "Complex integration", "Advanced techniques required", "This integral requires more advanced methods"));
-  return `∫${func} d${variable} + C (requires advanced techniques)`;
-};
-
-const solveEquationManually = (expr, variable, steps) => {
-  // Try some simple patterns
-  
-  // Linear equation: ax + b = 0 -> x = -b/a
-  const linearMatch = expr.match(new RegExp(`(-?\\d*)?\\*?${variable}\\s*([+-]\\s*\\d+)?`));
-  if (linearMatch && !expr.includes('^') && !expr.includes('*' + variable + '*')) {
-    try {
-      const solutions = solve(expr, variable);
-      if (solutions) {
-        steps.push(createStep(2, "Linear equation", "Isolate the variable", "Solve linear equation"));
-        return createSuccessResult(steps, `${variable} = ${solutions}`, "equation");
-      }
-    } catch {}
-  }
-  
-  // Quadratic equation: ax^2 + bx + c = 0
-  if (expr.includes('^2')) {
-    steps.push(createStep(2, "Quadratic equation", "Use quadratic formula or factoring", "Solve quadratic equation"));
-    try {
-      const solutions = solve(expr, variable);
-      if (Array.isArray(solutions)) {
-        return createSuccessResult(steps, `${variable} = ${solutions.join(', ')}`, "equation");
-      }
-    } catch {}
-  }
-  
-  steps.push(createStep(2, "Complex equation", "Advanced algebraic techniques required", "Equation requires specialized methods"));
-  return createSuccessResult(steps, "Solution requires advanced techniques", "equation");
+  throw new Error("Invalid limit syntax. Use: limit(variable, approach, function) or lim(x -> a) f(x); approach may be 0+, 0- or inf");
 };
 
-// Utility functions
-const createStep = (step, description, expression, explanation) => ({
-  step,
-  description,
-  expression,
-  explanation
-});
-
-const createSuccessResult = (steps, finalAnswer, type) => ({
-  steps,
-  finalAnswer,
-  type,
-  success: true
-});
-
-const createErrorResult = (type, error) => ({
-  steps: [],
-  finalAnswer: "",
-  type,
-  success: false,
-  error: error instanceof Error ? error.message : String(error)
-});
-
 const validateMathExpression = (expression) => {
   try {
     if (!expression || expression.trim().length === 0) {
       return { valid: false, error: "Expression cannot be empty" };
     }
 
-    const trimmed = expression.trim();
+    const { expression: trimmed, texts } = splitAssumeClause(expression.trim());
+    parseAssumptions(texts);
     const lower = trimmed.toLowerCase();
 
     // Allow our supported operation syntaxes without mathjs parsing
+    if (isVectorCalculusOperation(lower)) return { valid: true };
+    if (isSeriesOperation(lower)) return { valid: true };
+    if (isAnalysisOperation(lower)) return { valid: true };
+    if (isOdeOperation(lower)) return { valid: true };
+    if (isMatrixOperation(lower)) return { valid: true };
+    if (isSummationOperation(lower)) return { valid: true };
+    if (isComplexOperation(lower)) return { valid: true };
     if (isDerivativeOperation(lower)) return { valid: true };
     if (isIntegralOperation(lower)) return { valid: true };
     if (isSolveOperation(lower)) return { valid: true };
     if (isLimitOperation(lower)) return { valid: true };
+    if (isAlgebraOperation(lower)) return { valid: true };
+    // Mismatched dimensions are an input error, not something to solve
+    if (unitStatus(trimmed) === "mismatch") return { valid: false, error: dimensionError(trimmed) };
 
     // Otherwise, try to parse as a standard math expression
     parse(trimmed);
@@ -368,12 +832,22 @@ const validateMathExpression = (expression) => {
   }
 };
 
-const getExpressionType = (expression) => {
+const getExpressionType = (input) => {
+  const { expression } = splitAssumeClause(input.trim());
   const clean = expression.toLowerCase();
+  if (isVectorCalculusOperation(clean)) return clean.match(/\b(gradient|hessian|jacobian)\s*\(/)[1];
+  if (isSeriesOperation(clean)) return "taylor";
+  if (isAnalysisOperation(clean)) return "analysis";
+  if (isOdeOperation(clean)) return "ode";
+  if (isMatrixOperation(clean)) return clean.match(MATRIX_OPERATION)[1];
+  if (isSummationOperation(clean)) return clean.match(SUMMATION_OPERATION)[1];
+  if (isComplexOperation(clean)) return "complex";
   if (isDerivativeOperation(clean)) return "derivative";
   if (isIntegralOperation(clean)) return "integral";
-  if (isSolveOperation(clean)) return "equation";
+  if (isSolveOperation(clean)) return isInequality(clean) ? "inequality" : "equation";
   if (isLimitOperation(clean)) return "limit";
+  if (isAlgebraOperation(clean)) return clean.match(ALGEBRA_OPERATION)[1];
+  if (isUnitExpression(expression.trim())) return "unit";
   return "simplification";
 };
 
@@ -0,0 +1,315 @@
+// backend/utils/matrixSolver.js
+// Matrix operations: det, inverse, rref, rank, nullspace and eigen, with cofactor-expansion and row-reduction steps
+const { evaluate } = require("mathjs");
+const { addStep } = require("./solverHelpers");
+const { formatNumber, isZero, approximateFraction, gcdInteger } = require("./expressionUtils");
+const { trimPolynomial, polyAdd, polySub, polyMul, polyToString } = require("./polynomial");
+const { eliminate } = require("./linearSystemSolver");
+const { solvePolynomialEquation } = require("./equationSolver");
+
+const TOLERANCE = 1e-10;
+// Larger determinants are found by elimination: cofactor expansion grows like n!
+const MAX_COFACTOR_SIZE = 3;
+const MAX_EIGEN_SIZE = 6;
+
+const clean = (value) => (isZero(value, TOLERANCE) ? 0 : value);
+const entryText = (value) => formatNumber(clean(value));
+// Negative entries are bracketed inside products: 3·(-2)
+const factorText = (value) => (clean(value) < 0 ? `(${entryText(value)})` : entryText(value));
+
+const vectorText = (entries) => `[${entries.join(", ")}]`;
+const gridText = (rows) => vectorText(rows.map((row) => vectorText(row.map(entryText))));
+// [1, 2 | 1, 0] rows of an augmented matrix, one per line
+const augmentedText = (rows, divider) => rows.map((row) => `[${row.slice(0, divider).map(entryText).join(", ")} | ${row.slice(divider).map(entryText).join(", ")}]`).join("\n");
+
+// Matrix attached to a step or result for the grid renderer; divider marks the bar in [A | I]
+const textSnapshot = (rows, divider) => ({ matrix: { rows, ...(divider !== undefined && { divider }) } });
+const gridSnapshot = (rows, divider) => textSnapshot(rows.map((row) => row.map(entryText)), divider);
+
+// x1, x2, ... name the columns (the unknowns of A x = 0) in the row-operation explanations
+const columnNames = (n) => Array.from({ length: n }, (_, i) => `x${i + 1}`);
+
+const toRows = (value) => {
+  const rows = value && typeof value.toArray === "function" ? value.toArray() : value;
+  if (!Array.isArray(rows) || !rows.length) return null;
+  // A plain vector is shown as a single row
+  return rows.every(Array.isArray) ? rows : [rows];
+};
+
+const readMatrix = (text) => {
+  let value;
+  try {
+    value = evaluate(text);
+  } catch {
+    throw new Error(`Could not read the matrix ${text}; write it as [[1, 2], [3, 4]] with numeric entries`);
+  }
+  const rows = toRows(value);
+  if (!rows) throw new Error("Write the matrix as a list of rows, such as [[1, 2], [3, 4]]");
+  const width = rows[0].length;
+  if (!width || rows.some((row) => row.length !== width)) throw new Error("Every row of the matrix must have the same number of entries");
+  if (!rows.every((row) => row.every((entry) => typeof entry === "number" && isFinite(entry)))) throw new Error("Matrix entries must be real numbers");
+  return rows;
+};
+
+const requireSquare = (rows, operation) => {
+  if (rows.length !== rows[0].length) throw new Error(`${operation} needs a square matrix; this one is ${rows.length}×${rows[0].length}`);
+};
+
+const minor = (rows, i, j) => rows.filter((_, r) => r !== i).map((row) => row.filter((_, c) => c !== j));
+
+const twoByTwo = (rows) => rows[0][0] * rows[1][1] - rows[0][1] * rows[1][0];
+const twoByTwoText = (rows) => `${factorText(rows[0][0])}·${factorText(rows[1][1])} - ${factorText(rows[0][1])}·${factorText(rows[1][0])}`;
+
+// Signed sum "a·M11 - b·M12 + ..." with the sign of each term folded into the operator
+const signedSum = (terms) =>
+  terms.map(({ sign, text }, k) => (k === 0 ? `${sign < 0 ? "-" : ""}${text}` : `${sign < 0 ? " - " : " + "}${text}`)).join("");
+
+// ---- det ----
+
+// Expand along the row or column with the most zeros; 3×3 at most, so every minor is 2×2
+const cofactorDeterminant = (rows, steps) => {
+  if (rows.length === 1) {
+    addStep(steps, "1×1 determinant", `det(A) = ${entryText(rows[0][0])}`, "The determinant of a 1×1 matrix is its entry");
+    return rows[0][0];
+  }
+  if (rows.length === 2) {
+    const value = twoByTwo(rows);
+    addStep(steps, "2×2 determinant", `det(A) = ${twoByTwoText(rows)} = ${entryText(value)}`, "For [[a, b], [c, d]] the determinant is ad - bc");
+    return value;
+  }
+  const zeros = (entries) => entries.filter((v) => isZero(v, TOLERANCE)).length;
+  const lines = [
+    ...rows.map((row, i) => ({ kind: "row", index: i, entries: row })),
+    ...rows[0].map((_, j) => ({ kind: "column", index: j, entries: rows.map((row) => row[j]) }))
+  ];
+  const line = lines.reduce((best, candidate) => (zeros(candidate.entries) > zeros(best.entries) ? candidate : best));
+  const terms = line.entries
+    .map((value, k) => {
+      const [i, j] = line.kind === "row" ? [line.index, k] : [k, line.index];
+      return { value, i, j, sign: (i + j) % 2 === 0 ? 1 : -1 };
+    })
+    .filter(({ value }) => !isZero(value, TOLERANCE));
+  if (!terms.length) {
+    addStep(steps, "Zero line", `${line.kind === "row" ? "Row" : "Column"} ${line.index + 1} is all zeros`, "Expanding along it gives det(A) = 0");
+    return 0;
+  }
+  const name = ({ i, j }) => `M${i + 1}${j + 1}`;
+  addStep(steps, `Cofactor expansion along ${line.kind} ${line.index + 1}`,
+    `det(A) = ${signedSum(terms.map((term) => ({ sign: term.sign * Math.sign(term.value), text: `${entryText(Math.abs(term.value))}·${name(term)}` })))}`,
+    `Each entry times its minor, with signs alternating + - + by position; ${line.kind} ${line.index + 1} has the most zeros, and zero entries drop out`);
+
+  const total = terms.reduce((sum, term) => {
+    const part = minor(rows, term.i, term.j);
+    term.minor = twoByTwo(part);
+    addStep(steps, `Minor ${name(term)}`, `${name(term)} = det(${gridText(part)}) = ${twoByTwoText(part)} = ${entryText(term.minor)}`,
+      `Delete row ${term.i + 1} and column ${term.j + 1}`, gridSnapshot(part));
+    return sum + term.sign * term.value * term.minor;
+  }, 0);
+  addStep(steps, "Determinant", `det(A) = ${signedSum(terms.map((term) => ({ sign: term.sign * Math.sign(term.value), text: `${entryText(Math.abs(term.value))}·${factorText(term.minor)}` })))} = ${entryText(total)}`,
+    "Combine the expansion terms");
+  return total;
+};
+
+// Reduce to upper triangular form; swaps flip the sign and adding row multiples leaves det unchanged
+const eliminationDeterminant = (rows, steps) => {
+  const m = rows.map((row) => [...row]);
+  const n = m.length;
+  let sign = 1;
+  for (let column = 0; column < n; column++) {
+    const candidates = [];
+    for (let r = column; r < n; r++) {
+      if (!isZero(m[r][column], TOLERANCE)) candidates.push(r);
+    }
+    if (!candidates.length) {
+      addStep(steps, "No pivot", `Column ${column + 1} has no nonzero entry on or below the diagonal`, "The triangular form would have a zero on its diagonal, so det(A) = 0", gridSnapshot(m));
+      return 0;
+    }
+    const unit = candidates.find((r) => isZero(Math.abs(m[r][column]) - 1, TOLERANCE));
+    const best = unit !== undefined ? unit : candidates.reduce((a, r) => (Math.abs(m[r][column]) > Math.abs(m[a][column]) ? r : a));
+    if (best !== column) {
+      [m[column], m[best]] = [m[best], m[column]];
+      sign = -sign;
+      addStep(steps, "Swap rows", `R${column + 1} ↔ R${best + 1}`, "Swapping two rows changes the sign of the determinant", gridSnapshot(m));
+    }
+    for (let r = column + 1; r < n; r++) {
+      const factor = m[r][column] / m[column][column];
+      if (isZero(factor, TOLERANCE)) continue;
+      m[r] = m[r].map((value, c) => clean(value - factor * m[column][c]));
+      const magnitude = entryText(Math.abs(factor));
+      addStep(steps, "Eliminate", `R${r + 1} → R${r + 1} ${factor > 0 ? "-" : "+"} ${magnitude === "1" ? "" : `${magnitude}·`}R${column + 1}`,
+        "Adding a multiple of one row to another leaves the determinant unchanged", gridSnapshot(m));
+    }
+  }
+  const diagonal = m.map((row, i) => row[i]);
+  const value = sign * diagonal.reduce((product, v) => product * v, 1);
+  addStep(steps, "Triangular form", `det(A) = ${sign < 0 ? "-" : ""}${diagonal.map(factorText).join("·")} = ${entryText(value)}`,
+    `The determinant of a triangular matrix is the product of its diagonal${sign < 0 ? ", negated for the odd number of row swaps" : ""}`);
+  return value;
+};
+
+const determinant = (rows, steps) => {
+  requireSquare(rows, "det");
+  addStep(steps, "Matrix", `A = ${gridText(rows)}`, `A ${rows.length}×${rows.length} matrix`, gridSnapshot(rows));
+  const value = rows.length <= MAX_COFACTOR_SIZE ? cofactorDeterminant(rows, steps) : eliminationDeterminant(rows, steps);
+  return { answer: entryText(value), value: clean(value) };
+};
+
+// ---- inverse ----
+
+const inverse = (rows, steps) => {
+  requireSquare(rows, "inverse");
+  const n = rows.length;
+  const augmented = rows.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  addStep(steps, "Augment with the identity", augmentedText(augmented, n), "Row-reduce [A | I]: when the left half becomes I, the right half is A⁻¹", gridSnapshot(augmented, n));
+  const pivots = eliminate(augmented, columnNames(n), steps, (m) => gridSnapshot(m, n));
+  if (pivots.length < n) {
+    addStep(steps, "Singular matrix", `rank(A) = ${pivots.length} < ${n}`, "The left half cannot be reduced to I, so det(A) = 0 and A has no inverse", gridSnapshot(augmented, n));
+    return { answer: `No inverse: the matrix is singular (rank ${pivots.length} < ${n})`, matrix: null };
+  }
+  const result = augmented.map((row) => row.slice(n));
+  addStep(steps, "Inverse", `A⁻¹ = ${gridText(result)}`, "Read A⁻¹ off the right half", gridSnapshot(result));
+  return { answer: gridText(result), matrix: gridSnapshot(result).matrix.rows };
+};
+
+// ---- rref, rank, nullspace ----
+
+const reduce = (rows, steps) => {
+  const reduced = rows.map((row) => [...row]);
+  addStep(steps, "Matrix", `A = ${gridText(rows)}`, `A ${rows.length}×${rows[0].length} matrix`, gridSnapshot(rows));
+  const pivots = eliminate(reduced, columnNames(rows[0].length), steps, (m) => gridSnapshot(m));
+  addStep(steps, "Reduced row echelon form", gridText(reduced),
+    pivots.length ? `Pivots in column${pivots.length === 1 ? "" : "s"} ${pivots.map(({ column }) => column + 1).join(", ")}` : "The zero matrix is already reduced", gridSnapshot(reduced));
+  return { reduced, pivots };
+};
+
+const rref = (rows, steps) => {
+  const { reduced, pivots } = reduce(rows, steps);
+  return { answer: gridText(reduced), matrix: gridSnapshot(reduced).matrix.rows, pivotColumns: pivots.map(({ column }) => column + 1), rank: pivots.length };
+};
+
+const rank = (rows, steps) => {
+  const { pivots } = reduce(rows, steps);
+  addStep(steps, "Rank", `rank(A) = ${pivots.length}`, "The number of pivots, which is the number of nonzero rows in the reduced form");
+  return { answer: String(pivots.length), rank: pivots.length };
+};
+
+// Scale a rational vector to the smallest integer multiple: [1/2, 1] -> [1, 2]
+const integerVector = (vector) => {
+  const fractions = vector.map((v) => approximateFraction(v, 1000));
+  if (fractions.some((f) => !f)) return vector;
+  const scale = fractions.reduce((lcm, { denominator }) => (lcm * denominator) / gcdInteger(lcm, denominator), 1);
+  const scaled = vector.map((v) => Math.round(v * scale));
+  const common = scaled.reduce((g, v) => gcdInteger(g, Math.abs(v)), 0) || 1;
+  return scaled.map((v) => v / common);
+};
+
+// One basis vector per free column: that variable 1, the other free ones 0, pivot variables read off their rows
+const nullBasis = (reduced, pivots, n) => {
+  const pivotColumns = pivots.map(({ column }) => column);
+  return Array.from({ length: n }, (_, c) => c)
+    .filter((c) => !pivotColumns.includes(c))
+    .map((free) => {
+      const vector = Array(n).fill(0);
+      vector[free] = 1;
+      pivots.forEach(({ row, column }) => {
+        vector[column] = clean(-reduced[row][free]);
+      });
+      return vector;
+    });
+};
+
+const nullspace = (rows, steps) => {
+  const n = rows[0].length;
+  const { reduced, pivots } = reduce(rows, steps);
+  const basis = nullBasis(reduced, pivots, n);
+  if (!basis.length) {
+    addStep(steps, "Trivial null space", `Every column has a pivot, so A x = 0 only for x = ${vectorText(Array(n).fill("0"))}`, "The columns of A are linearly independent");
+    return { answer: `{${vectorText(Array(n).fill("0"))}}`, basis: [], matrix: null };
+  }
+  const names = columnNames(n);
+  const pivotColumns = pivots.map(({ column }) => column);
+  const free = names.filter((_, c) => !pivotColumns.includes(c));
+  addStep(steps, "Free variables", basis.map((vector, k) => `${free[k]} = 1: ${vectorText(vector.map(entryText))}`).join("\n"),
+    `${free.join(", ")} ${free.length === 1 ? "is" : "are"} free; set one to 1 and the rest to 0, then read each pivot variable off its row`);
+  const texts = basis.map((vector) => vector.map(entryText));
+  const answer = `span{${texts.map(vectorText).join(", ")}}`;
+  addStep(steps, "Null space basis", answer, `dim null(A) = ${basis.length} = ${n} columns - rank ${pivots.length}`, textSnapshot(names.map((_, i) => texts.map((vector) => vector[i]))));
+  return { answer, basis: texts, matrix: names.map((_, i) => texts.map((vector) => vector[i])) };
+};
+
+// ---- eigen ----
+
+// det(A - λI) by cofactor expansion along the first row, with the entries as polynomials in λ
+const polyDeterminant = (entries) => {
+  if (entries.length === 1) return entries[0][0];
+  return entries[0].reduce((sum, entry, j) => {
+    const term = polyMul(entry, polyDeterminant(minor(entries, 0, j)));
+    return j % 2 === 0 ? polyAdd(sum, term) : polySub(sum, term);
+  }, [0]);
+};
+
+const eigen = (rows, steps) => {
+  requireSquare(rows, "eigen");
+  const n = rows.length;
+  if (n > MAX_EIGEN_SIZE) throw new Error(`eigen works with matrices up to ${MAX_EIGEN_SIZE}×${MAX_EIGEN_SIZE}`);
+  addStep(steps, "Matrix", `A = ${gridText(rows)}`, `A ${n}×${n} matrix`, gridSnapshot(rows));
+
+  const shiftedText = rows.map((row, i) => row.map((v, j) => {
+    if (i !== j) return entryText(v);
+    return isZero(v, TOLERANCE) ? "-λ" : `${entryText(v)} - λ`;
+  }));
+  addStep(steps, "Characteristic matrix", `A - λI = ${vectorText(shiftedText.map(vectorText))}`, "Subtract λ from each diagonal entry", textSnapshot(shiftedText));
+
+  const coeffs = trimPolynomial(polyDeterminant(rows.map((row, i) => row.map((v, j) => (i === j ? [v, -1] : [v])))));
+  const polynomial = polyToString(coeffs, "λ");
+  addStep(steps, "Characteristic polynomial",
+    n === 2 ? `det(A - λI) = (${shiftedText[0][0]})(${shiftedText[1][1]}) - ${factorText(rows[0][1])}·${factorText(rows[1][0])} = ${polynomial}` : `det(A - λI) = ${polynomial}`,
+    n === 2 ? "ad - bc with λ subtracted on the diagonal" : "Cofactor expansion along the first row, with every entry a polynomial in λ");
+
+  const solution = solvePolynomialEquation(polynomial, "λ", steps);
+  const roots = solution.roots.filter((r) => r.im === 0);
+  const complex = solution.roots.filter((r) => r.im !== 0);
+
+  const eigenvectors = roots.map((r) => {
+    const shifted = rows.map((row, i) => row.map((v, j) => (i === j ? v - r.re : v)));
+    const pivots = eliminate(shifted, columnNames(n), []);
+    const vectors = nullBasis(shifted, pivots, n).map(integerVector).map((vector) => vector.map(entryText));
+    const defective = vectors.length < r.multiplicity;
+    addStep(steps, `Eigenvectors for λ = ${r.text}`, `(A - ${factorText(r.re)}I) v = 0 reduces to ${gridText(shifted)}, so v ∈ span{${vectors.map(vectorText).join(", ")}}`,
+      `The null space of A - λI${defective ? `; only ${vectors.length} independent eigenvector${vectors.length === 1 ? "" : "s"} for multiplicity ${r.multiplicity}, so A is not diagonalizable` : ""}`,
+      gridSnapshot(shifted));
+    return { value: r.text, multiplicity: r.multiplicity, vectors };
+  });
+  if (complex.length) {
+    addStep(steps, "Complex eigenvalues", complex.map((r) => `λ = ${r.text}`).join(", "), "Complex eigenvalues have no real eigenvectors");
+  }
+
+  const answer = [
+    ...eigenvectors.map(({ value, multiplicity, vectors }) => `λ = ${value}${multiplicity > 1 ? ` (multiplicity ${multiplicity})` : ""}: ${vectors.map(vectorText).join(", ")}`),
+    ...complex.map((r) => `λ = ${r.text}`)
+  ].join("; ");
+  return {
+    answer,
+    characteristicPolynomial: polynomial,
+    eigenvalues: solution.roots.map((r) => r.text),
+    eigenvectors
+  };
+};
+
+// Grid form of a matrix value produced by plain evaluation, such as a product of two matrices
+const matrixValue = (value) => {
+  const rows = toRows(value);
+  if (!rows || !rows.every((row) => row.every((entry) => typeof entry === "number"))) return null;
+  return { answer: gridText(rows), matrix: gridSnapshot(rows).matrix.rows };
+};
+
+module.exports = {
+  readMatrix,
+  determinant,
+  inverse,
+  rref,
+  rank,
+  nullspace,
+  eigen,
+  matrixValue
+};
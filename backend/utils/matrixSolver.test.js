@@ -0,0 +1,66 @@
+// backend/utils/matrixSolver.test.js
+// Regression tests for the matrix operations: cofactor expansion, [A | I] row reduction, rref, rank,
+// null spaces and eigenpairs, with the matrix snapshots the output grid renders
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { solveMathExpression } = require("./mathSolver");
+
+const run = (input) => {
+  const result = solveMathExpression(input);
+  assert.equal(result.success, true, result.error);
+  return result;
+};
+const step = (result, name) => result.steps.find((s) => s.description === name);
+
+test("determinants by formula and by cofactor expansion", () => {
+  const small = run("det([[1,2],[3,4]])");
+  assert.equal(small.type, "det");
+  assert.equal(small.value, -2);
+  assert.equal(step(small, "2×2 determinant").expression, "det(A) = 1·4 - 2·3 = -2");
+
+  const large = run("det([[2,0,1],[1,3,2],[1,1,1]])");
+  assert.equal(large.finalAnswer, "0");
+  assert.equal(step(large, "Cofactor expansion along row 1").expression, "det(A) = 2·M11 + 1·M13");
+  assert.deepEqual(step(large, "Minor M13").matrix, { rows: [["1", "3"], ["1", "1"]] });
+  assert.equal(run("det([[1,2,3,4],[0,1,2,3],[2,1,0,1],[1,1,1,0]])").finalAnswer, "0");
+});
+
+test("inverse row-reduces [A | I] and keeps fractions exact", () => {
+  const result = run("inverse([[1,2],[3,4]])");
+  assert.equal(result.finalAnswer, "[[-2, 1], [3/2, -1/2]]");
+  assert.deepEqual(result.matrix, [["-2", "1"], ["3/2", "-1/2"]]);
+  assert.deepEqual(step(result, "Augment with the identity").matrix, { rows: [["1", "2", "1", "0"], ["3", "4", "0", "1"]], divider: 2 });
+  assert.equal(run("inverse([[1,2],[2,4]])").finalAnswer, "No inverse: the matrix is singular (rank 1 < 2)");
+});
+
+test("rref, rank and null space of a singular matrix", () => {
+  const reduced = run("rref([[1,2,3],[4,5,6],[7,8,9]])");
+  assert.deepEqual(reduced.matrix, [["1", "0", "-1"], ["0", "1", "2"], ["0", "0", "0"]]);
+  assert.deepEqual(reduced.pivotColumns, [1, 2]);
+  assert.ok(reduced.steps.some((s) => s.description === "Swap rows"));
+  assert.equal(run("rank([[1,2,3],[4,5,6],[7,8,9]])").finalAnswer, "2");
+
+  const kernel = run("nullspace([[1,2,3],[4,5,6],[7,8,9]])");
+  assert.equal(kernel.finalAnswer, "span{[1, -2, 1]}");
+  assert.deepEqual(kernel.basis, [["1", "-2", "1"]]);
+  assert.equal(run("nullspace([[1,0],[0,1]])").finalAnswer, "{[0, 0]}");
+});
+
+test("eigenvalues come from the characteristic polynomial", () => {
+  const result = run("eigen([[2,1],[1,2]])");
+  assert.equal(result.finalAnswer, "λ = 1: [-1, 1]; λ = 3: [1, 1]");
+  assert.equal(result.characteristicPolynomial, "λ^2 - 4*λ + 3");
+  assert.deepEqual(result.eigenvalues, ["1", "3"]);
+  assert.equal(run("eigen([[2,1],[0,2]])").finalAnswer, "λ = 2 (multiplicity 2): [1, 0]");
+  assert.equal(run("eigen([[0,-1],[1,0]])").finalAnswer, "λ = -i; λ = i");
+  assert.equal(run("eigen([[2,0,0],[0,3,4],[0,4,9]])").finalAnswer, "λ = 1: [0, -2, 1]; λ = 2: [1, 0, 0]; λ = 11: [0, 1, 2]");
+});
+
+test("matrix arithmetic results are returned as grids", () => {
+  assert.deepEqual(run("[[1,2],[3,4]] * [[0,1],[1,0]]").matrix, [["2", "1"], ["4", "3"]]);
+});
+
+test("malformed matrices are reported", () => {
+  assert.match(solveMathExpression("det([1,2])").error, /det needs a square matrix; this one is 1×2/);
+  assert.match(solveMathExpression("det(x)").error, /Could not read the matrix x/);
+});
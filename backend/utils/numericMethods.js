@@ -0,0 +1,303 @@
+// backend/utils/numericMethods.js
+// Numerical fallbacks used when a closed form is not available
+
+// Gauss–Kronrod 7/15 nodes on [-1, 1]; the odd-indexed Kronrod nodes are the 7 Gauss nodes
+const KRONROD_NODES = [
+  0.991455371120812639206854697526329, 0.949107912342758524526189684047851,
+  0.864864423359769072789712788640926, 0.741531185599394439863864773280788,
+  0.586087235467691130294144845693013, 0.405845151377397166906606412076961,
+  0.207784955007898467600689403773245, 0
+];
+const KRONROD_WEIGHTS = [
+  0.02293532201052922496373200805897, 0.063092092629978553290700663189204,
+  0.104790010322250183839876322541518, 0.140653259715525918745189590510238,
+  0.16900472663926790282658342659855, 0.190350578064785409913256402421014,
+  0.204432940075298892414161999234649, 0.209482141084727828012999174891714
+];
+const GAUSS_WEIGHTS = [
+  0.129484966168869693270611432679082, 0.27970539148927666790146777142378,
+  0.381830050505118944950369775488975, 0.417959183673469387755102040816327
+];
+
+const gaussKronrodPanel = (f, a, b) => {
+  const centre = (a + b) / 2;
+  const half = (b - a) / 2;
+  const fc = f(centre);
+  let kronrod = fc * KRONROD_WEIGHTS[7];
+  let gauss = fc * GAUSS_WEIGHTS[3];
+  for (let i = 0; i < 7; i++) {
+    const dx = half * KRONROD_NODES[i];
+    const sum = f(centre - dx) + f(centre + dx);
+    kronrod += KRONROD_WEIGHTS[i] * sum;
+    if (i % 2 === 1) gauss += GAUSS_WEIGHTS[(i - 1) / 2] * sum;
+  }
+  return { a, b, value: kronrod * half, error: Math.abs((kronrod - gauss) * half) };
+};
+
+// Map an infinite interval onto a finite one so the same rule applies
+const finiteInterval = (f, a, b) => {
+  if (isFinite(a) && isFinite(b)) return { g: f, lo: a, hi: b };
+  if (isFinite(a)) return { g: (t) => f(a + t / (1 - t)) / ((1 - t) * (1 - t)), lo: 0, hi: 1 };
+  if (isFinite(b)) return { g: (t) => f(b - (1 - t) / t) / (t * t), lo: 0, hi: 1 };
+  return { g: (t) => f(t / (1 - t * t)) * (1 + t * t) / ((1 - t * t) * (1 - t * t)), lo: -1, hi: 1 };
+};
+
+// Adaptive Gauss–Kronrod quadrature: repeatedly bisect the panel with the largest error estimate
+const adaptiveQuadrature = (f, a, b, { tolerance = 1e-10, maxPanels = 500 } = {}) => {
+  if (a === b) return { value: 0, errorEstimate: 0, panels: 0, evaluations: 0, converged: true };
+  const sign = a < b ? 1 : -1;
+  const [lo, hi] = sign > 0 ? [a, b] : [b, a];
+  let evaluations = 0;
+  const { g, lo: start, hi: end } = finiteInterval(f, lo, hi);
+  const counted = (t) => {
+    evaluations++;
+    const y = g(t);
+    return typeof y === "number" ? y : NaN;
+  };
+
+  let panels = [gaussKronrodPanel(counted, start, end)];
+  const total = (key) => panels.reduce((acc, p) => acc + p[key], 0);
+  while (panels.length < maxPanels) {
+    const value = total("value");
+    const error = total("error");
+    if (!isFinite(value)) break;
+    if (error <= Math.max(tolerance, tolerance * Math.abs(value))) break;
+    panels.sort((p, q) => q.error - p.error);
+    const worst = panels.shift();
+    const middle = (worst.a + worst.b) / 2;
+    panels.push(gaussKronrodPanel(counted, worst.a, middle), gaussKronrodPanel(counted, middle, worst.b));
+  }
+
+  const value = total("value");
+  const errorEstimate = total("error");
+  return {
+    value: sign * value,
+    errorEstimate,
+    panels: panels.length,
+    evaluations,
+    converged: isFinite(value) && errorEstimate <= Math.max(tolerance, tolerance * Math.abs(value)) * 10
+  };
+};
+
+// Minimal complex arithmetic on { re, im } pairs for polynomial root finding
+const complexMul = (a, b) => ({ re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re });
+const complexSub = (a, b) => ({ re: a.re - b.re, im: a.im - b.im });
+const complexDiv = (a, b) => {
+  const scale = b.re * b.re + b.im * b.im;
+  return { re: (a.re * b.re + a.im * b.im) / scale, im: (a.im * b.re - a.re * b.im) / scale };
+};
+const complexAbs = (a) => Math.hypot(a.re, a.im);
+
+// Horner evaluation of a real polynomial (ascending coefficients) at a complex point
+const evaluateComplex = (coeffs, z) =>
+  coeffs.reduceRight((acc, c) => {
+    const product = complexMul(acc, z);
+    return { re: product.re + c, im: product.im };
+  }, { re: 0, im: 0 });
+
+// Durand–Kerner (Weierstrass) iteration: all complex roots of a polynomial at once
+const durandKerner = (coeffs, { tolerance = 1e-14, maxIterations = 1000 } = {}) => {
+  const lead = coeffs[coeffs.length - 1];
+  const monic = coeffs.map((c) => c / lead);
+  const n = monic.length - 1;
+  // Starting points on a circle that bounds every root, rotated off the real axis
+  const radius = 1 + Math.max(...monic.slice(0, n).map(Math.abs));
+  let roots = Array.from({ length: n }, (_, k) => {
+    const angle = (2 * Math.PI * k) / n + 0.4;
+    return { re: radius * Math.cos(angle), im: radius * Math.sin(angle) };
+  });
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations++) {
+    let change = 0;
+    roots = roots.map((z, k) => {
+      const denominator = roots.reduce((acc, w, j) => (j === k ? acc : complexMul(acc, complexSub(z, w))), { re: 1, im: 0 });
+      const correction = complexDiv(evaluateComplex(monic, z), denominator);
+      change = Math.max(change, complexAbs(correction));
+      return complexSub(z, correction);
+    });
+    if (change < tolerance * radius) break;
+  }
+  return { roots, iterations, converged: iterations < maxIterations };
+};
+
+// Sample f on a grid: sign changes give brackets, dips of |f| that do not cross zero are Newton starting points
+const scanForRoots = (f, a, b, samples = 400) => {
+  const h = (b - a) / samples;
+  const points = Array.from({ length: samples + 1 }, (_, i) => {
+    const x = a + i * h;
+    const y = f(x);
+    return { x, y: typeof y === "number" && isFinite(y) ? y : NaN };
+  });
+  const brackets = [];
+  const exact = [];
+  const dips = [];
+  for (let i = 0; i < samples; i++) {
+    const p = points[i];
+    const q = points[i + 1];
+    if (p.y === 0) exact.push(p.x);
+    else if (!isNaN(p.y) && !isNaN(q.y) && q.y !== 0 && Math.sign(p.y) !== Math.sign(q.y)) brackets.push([p.x, q.x]);
+    const r = points[i - 1];
+    if (r && !isNaN(r.y) && !isNaN(p.y) && !isNaN(q.y) && Math.sign(r.y) === Math.sign(p.y) && Math.sign(p.y) === Math.sign(q.y) &&
+      Math.abs(p.y) < Math.abs(r.y) && Math.abs(p.y) <= Math.abs(q.y)) {
+      dips.push(p.x);
+    }
+  }
+  if (points[samples].y === 0) exact.push(points[samples].x);
+  return { brackets, exact, dips, step: h };
+};
+
+// Brent's method: inverse quadratic interpolation and secant steps, falling back to bisection
+const brentRoot = (f, a, b, { tolerance = 1e-12, maxIterations = 100 } = {}) => {
+  let fa = f(a);
+  let fb = f(b);
+  if (Math.sign(fa) === Math.sign(fb)) throw new Error("Brent's method needs a sign change on the interval");
+  if (Math.abs(fa) < Math.abs(fb)) [a, b, fa, fb] = [b, a, fb, fa];
+  let c = a;
+  let fc = fa;
+  let d = b - a;
+  let bisected = true;
+  const iterations = [];
+  for (let k = 1; k <= maxIterations; k++) {
+    let s;
+    let method;
+    if (fa !== fc && fb !== fc) {
+      s = (a * fb * fc) / ((fa - fb) * (fa - fc)) + (b * fa * fc) / ((fb - fa) * (fb - fc)) + (c * fa * fb) / ((fc - fa) * (fc - fb));
+      method = "inverse quadratic";
+    } else {
+      s = b - (fb * (b - a)) / (fb - fa);
+      method = "secant";
+    }
+    const outside = (s - (3 * a + b) / 4) * (s - b) >= 0;
+    const slow = bisected ? Math.abs(s - b) >= Math.abs(b - c) / 2 : Math.abs(s - b) >= Math.abs(c - d) / 2;
+    const tiny = bisected ? Math.abs(b - c) < tolerance : Math.abs(c - d) < tolerance;
+    if (outside || slow || tiny) {
+      s = (a + b) / 2;
+      method = "bisection";
+      bisected = true;
+    } else {
+      bisected = false;
+    }
+    const fs = f(s);
+    d = c;
+    c = b;
+    fc = fb;
+    if (Math.sign(fa) === Math.sign(fs)) {
+      a = s;
+      fa = fs;
+    } else {
+      b = s;
+      fb = fs;
+    }
+    if (Math.abs(fa) < Math.abs(fb)) [a, b, fa, fb] = [b, a, fb, fa];
+    iterations.push({ iteration: k, x: b, fx: fb, width: Math.abs(b - a), method });
+    if (fb === 0 || Math.abs(b - a) < tolerance * Math.max(1, Math.abs(b))) return { root: b, iterations, converged: true };
+  }
+  return { root: b, iterations, converged: false };
+};
+
+// Newton's method x ← x - f(x)/f'(x)
+const newtonRoot = (f, df, x0, { tolerance = 1e-12, maxIterations = 50 } = {}) => {
+  let x = x0;
+  const iterations = [];
+  for (let k = 1; k <= maxIterations; k++) {
+    const fx = f(x);
+    const slope = df(x);
+    if (typeof fx !== "number" || typeof slope !== "number" || !isFinite(fx) || !isFinite(slope)) break;
+    if (fx === 0) return { root: x, iterations, converged: true };
+    if (slope === 0) break;
+    const step = fx / slope;
+    x -= step;
+    iterations.push({ iteration: k, x, fx: f(x), step: Math.abs(step) });
+    if (Math.abs(step) < tolerance * Math.max(1, Math.abs(x))) return { root: x, iterations, converged: true };
+  }
+  return { root: x, iterations, converged: false };
+};
+
+// ODE systems y' = f(x, y) with y an array; both integrators report the solution on `outputs` equal steps
+const axpy = (y, h, terms) => y.map((value, i) => value + h * terms.reduce((sum, [weight, k]) => sum + weight * k[i], 0));
+const isFiniteVector = (y) => y.every((value) => typeof value === "number" && isFinite(value));
+
+// Classical fourth-order Runge–Kutta with a fixed step
+const rungeKutta4 = (f, x0, y0, x1, { steps = 1000, outputs = 200 } = {}) => {
+  const h = (x1 - x0) / steps;
+  const every = Math.max(1, Math.round(steps / outputs));
+  let [x, y] = [x0, [...y0]];
+  const points = [{ x, y }];
+  for (let i = 1; i <= steps; i++) {
+    const k1 = f(x, y);
+    const k2 = f(x + h / 2, axpy(y, h / 2, [[1, k1]]));
+    const k3 = f(x + h / 2, axpy(y, h / 2, [[1, k2]]));
+    const k4 = f(x + h, axpy(y, h, [[1, k3]]));
+    const next = axpy(y, h / 6, [[1, k1], [2, k2], [2, k3], [1, k4]]);
+    if (!isFiniteVector(next)) return { points, converged: false, stoppedAt: x };
+    [x, y] = [x0 + i * h, next];
+    if (i % every === 0 || i === steps) points.push({ x, y });
+  }
+  return { points, converged: true, stoppedAt: null };
+};
+
+// Dormand–Prince 5(4) tableau
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+// Adaptive Runge–Kutta 4(5) (Dormand–Prince): the embedded 4th-order result estimates the local error
+const rungeKutta45 = (f, x0, y0, x1, { tolerance = 1e-9, outputs = 200, maxSteps = 20000 } = {}) => {
+  const span = x1 - x0;
+  const direction = Math.sign(span);
+  let [x, y] = [x0, [...y0]];
+  let h = span / 100;
+  const points = [{ x, y }];
+  let [accepted, rejected] = [0, 0];
+  for (let output = 1; output <= outputs; output++) {
+    const target = x0 + (span * output) / outputs;
+    while (direction * (target - x) > 1e-14 * Math.max(1, Math.abs(target))) {
+      if (accepted + rejected >= maxSteps) return { points, accepted, rejected, converged: false, stoppedAt: x };
+      if (direction * (x + h - target) > 0) h = target - x;
+      const k = [];
+      for (let stage = 0; stage < 7; stage++) {
+        k.push(f(x + DP_C[stage] * h, axpy(y, h, DP_A[stage].map((weight, j) => [weight, k[j]]))));
+      }
+      const fifth = axpy(y, h, DP_B5.map((weight, j) => [weight, k[j]]));
+      const fourth = axpy(y, h, DP_B4.map((weight, j) => [weight, k[j]]));
+      if (!isFiniteVector(fifth)) {
+        h /= 4;
+        rejected++;
+        if (Math.abs(h) < 1e-12 * Math.max(1, Math.abs(x))) return { points, accepted, rejected, converged: false, stoppedAt: x };
+        continue;
+      }
+      const error = Math.max(...fifth.map((value, i) => Math.abs(value - fourth[i]) / (tolerance * (1 + Math.max(Math.abs(value), Math.abs(y[i]))))));
+      if (error <= 1) {
+        [x, y] = [x + h, fifth];
+        accepted++;
+      } else {
+        rejected++;
+      }
+      // Standard step-size controller with safety factor 0.9, growth capped at 5x
+      h *= Math.min(5, Math.max(0.2, 0.9 * (error === 0 ? 5 : error ** -0.2)));
+      if (Math.abs(h) < 1e-12 * Math.max(1, Math.abs(x))) return { points, accepted, rejected, converged: false, stoppedAt: x };
+    }
+    points.push({ x: target, y });
+  }
+  return { points, accepted, rejected, converged: true, stoppedAt: null };
+};
+
+module.exports = {
+  adaptiveQuadrature,
+  durandKerner,
+  evaluateComplex,
+  scanForRoots,
+  brentRoot,
+  newtonRoot,
+  rungeKutta4,
+  rungeKutta45
+};
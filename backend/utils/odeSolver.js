@@ -0,0 +1,556 @@
+// backend/utils/odeSolver.js
+// Ordinary differential equations: separable and linear first-order equations, constant-coefficient
+// second-order equations (undetermined coefficients for the forcing term), initial conditions,
+// and an adaptive Runge–Kutta fallback when no closed form is found
+const { derivative } = require("mathjs");
+const { addStep } = require("./solverHelpers");
+const {
+  normalizeFunctions,
+  tidy,
+  simplifyNode,
+  dependsOn,
+  substitute,
+  evaluateNumber,
+  numericFunction,
+  formatNumber,
+  isExactText,
+  numberNode,
+  getTerms,
+  getFactors,
+  isZero
+} = require("./expressionUtils");
+const { toPolynomial, polyToString } = require("./polynomial");
+const { integrateExpression } = require("./integralSolver");
+const { solvePolynomialEquation, toZeroForm } = require("./equationSolver");
+const { solveLinearSystem } = require("./linearSystemSolver");
+const { rungeKutta4, rungeKutta45 } = require("./numericMethods");
+
+// y' and y'' become plain symbols so mathjs can parse and differentiate with respect to them
+const SLOPE = "_yp";
+const CURVATURE = "_ypp";
+const NUMERIC_SPAN = 10;
+const CHECK_POINTS = [0.3, 0.7, 1.1, 1.9];
+const SAMPLE_POINTS = [0.15, 0.45, 0.8, 1.25, 1.7, 2.2, 2.75, 3.3];
+
+// Exact text where one is recognised, full precision otherwise (for equations handed to the linear solver)
+const numberText = (value) => {
+  const text = formatNumber(value);
+  return isExactText(text) ? text : String(value);
+};
+
+// Parenthesise negative and fractional constants so they can be divided by safely
+const grouped = (value) => {
+  const text = numberText(value);
+  return /^[\d.]+$/.test(text) ? text : `(${text})`;
+};
+
+// Printing cleanup: "a + -b" -> "a - b", "t * -1 / 2" -> "-t / 2", "+ 0" dropped
+const clean = (text) => text
+  .replace(/ \+ -(?=\S)/g, " - ")
+  .replace(/\b([a-z]\w*) \* -1 \/ ([\w.]+)/g, "-$1 / $2")
+  .replace(/ \+ 0$/, "");
+
+const evaluateAt = (expr, scope) => {
+  const value = evaluateNumber(expr, scope);
+  return value === null || !isFinite(value) ? null : value;
+};
+
+// Join { coefficient, basis } terms into "C1*exp(x) - 2*x*exp(x)"; coefficient is a number or a constant's name
+const combination = (terms) => {
+  const parts = terms
+    .map(({ coefficient, basis }) => {
+      if (typeof coefficient === "string") return { text: basis === "1" ? coefficient : `${coefficient}*${basis}`, negative: false };
+      const magnitude = formatNumber(Math.abs(coefficient));
+      if (magnitude === "0") return null;
+      const factor = /[+-]/.test(magnitude) ? `(${magnitude})` : magnitude;
+      return { text: basis === "1" ? magnitude : magnitude === "1" ? basis : `${factor}*${basis}`, negative: coefficient < 0 };
+    })
+    .filter(Boolean);
+  if (!parts.length) return "0";
+  return parts.map(({ text, negative }, index) => (index === 0 ? `${negative ? "-" : ""}${text}` : `${negative ? " - " : " + "}${text}`)).join("");
+};
+
+// "y(0) = 1" or "y'(0) = 2" -> { order, at, value }
+const parseCondition = (text, dependent) => {
+  const match = text.match(new RegExp(`^\\s*${dependent}('{0,2})\\s*\\((.+)\\)\\s*=\\s*(.+)$`));
+  if (!match) return null;
+  const at = evaluateNumber(normalizeFunctions(match[2]));
+  const value = evaluateNumber(normalizeFunctions(match[3]));
+  if (at === null || value === null) throw new Error(`Initial condition ${text.trim()} needs numeric values`);
+  return { order: match[1].length, at, value, text: `${dependent}${match[1]}(${formatNumber(at)}) = ${formatNumber(value)}` };
+};
+
+// Rewrite the equation as F(x, y, y', y'') = 0
+const prepareEquation = (text, dependent, independent) => {
+  const rewritten = text
+    .replace(new RegExp(`d\\^?2${dependent}\\s*/\\s*d${independent}\\^?2`, "g"), `${dependent}''`)
+    .replace(new RegExp(`d${dependent}\\s*/\\s*d${independent}`, "g"), `${dependent}'`)
+    .replace(new RegExp(`(?<![A-Za-z_])${dependent}\\s*\\(\\s*${independent}\\s*\\)`, "g"), dependent)
+    .replace(new RegExp(`(?<![A-Za-z_])${dependent}''`, "g"), CURVATURE)
+    .replace(new RegExp(`(?<![A-Za-z_])${dependent}'`, "g"), SLOPE);
+  if (rewritten.includes("'")) throw new Error(`Only ${dependent}' and ${dependent}'' are supported`);
+  if (!rewritten.includes("=")) throw new Error(`Write the equation with '=', for example ${dependent}' = ${independent}*${dependent}`);
+  return tidy(normalizeFunctions(toZeroForm(rewritten)));
+};
+
+const display = (node, dependent) =>
+  (typeof node === "string" ? node : node.toString()).replace(new RegExp(CURVATURE, "g"), `${dependent}''`).replace(new RegExp(SLOPE, "g"), `${dependent}'`);
+
+const partial = (node, symbol) => simplifyNode(derivative(node, symbol));
+
+// k * fn(u) with u linear in y, for fn in log (with or without abs), atan, asin; null otherwise
+const INVERSES = { log: "exp", atan: "tan", asin: "sin" };
+const singleFunctionForm = (node, variable) => {
+  const calls = node.filter((n) => n.isFunctionNode && INVERSES[n.fn.name] && dependsOn(n, variable));
+  if (calls.length !== 1) return null;
+  const call = calls[0];
+  const inner = call.args[0].isFunctionNode && call.args[0].fn.name === "abs" ? call.args[0].args[0] : call.args[0];
+  const linear = toPolynomial(inner, variable);
+  if (!linear || linear.length !== 2 || isZero(linear[1])) return null;
+  // The multiplier k must be the same wherever we look
+  const ratios = [0.37, 1.9, 3.3].map((value) => {
+    const outer = evaluateAt(node, { [variable]: value });
+    const core = evaluateAt(call, { [variable]: value });
+    return outer === null || core === null || isZero(core) ? null : outer / core;
+  });
+  if (ratios.includes(null) || ratios.some((r) => Math.abs(r - ratios[0]) > 1e-9 * Math.max(1, Math.abs(ratios[0])))) return null;
+  return { fn: call.fn.name, factor: ratios[0], intercept: linear[0], slope: linear[1] };
+};
+
+// Solve L(y) = rhs for y, with `constant` naming the integration constant inside rhs
+const invert = (left, variable) => {
+  const polynomial = toPolynomial(left, variable);
+  if (polynomial && polynomial.length === 2) return { kind: "linear", intercept: polynomial[0], slope: polynomial[1] };
+  if (polynomial && polynomial.length > 2 && polynomial.slice(0, -1).every((c) => isZero(c))) {
+    return { kind: "power", factor: polynomial[polynomial.length - 1], power: polynomial.length - 1 };
+  }
+  const reciprocal = toPolynomial(simplifyNode(`1 / (${left.toString()})`), variable);
+  if (reciprocal && reciprocal.length > 1 && reciprocal.slice(0, -1).every((c) => isZero(c))) {
+    return { kind: "power", factor: 1 / reciprocal[reciprocal.length - 1], power: -(reciprocal.length - 1) };
+  }
+  const single = singleFunctionForm(left, variable);
+  return single ? { kind: "function", ...single } : null;
+};
+
+// y as text in terms of rhs = R(x) + C (general) or R(x) + value (particular)
+const explicitText = (form, right, constant, sign = 1) => {
+  const rhs = `(${right} + ${constant})`;
+  switch (form.kind) {
+    case "linear":
+      return `(${rhs} - ${grouped(form.intercept)}) / ${grouped(form.slope)}`;
+    case "power": {
+      const base = `${rhs} / ${grouped(form.factor)}`;
+      if (form.power === -1) return `1 / (${base})`;
+      if (form.power === 2) return `${sign < 0 ? "-" : ""}sqrt(${base})`;
+      return `${sign < 0 && form.power % 2 === 0 ? "-" : ""}(${base})^(1 / ${form.power})`;
+    }
+    default: {
+      // k ln|u| = R + C gives u = A e^(R/k); the ± and e^(C/k) fold into the single constant A
+      if (form.fn === "log") return `(${constant} * exp((${right}) / ${grouped(form.factor)}) - ${grouped(form.intercept)}) / ${grouped(form.slope)}`;
+      return `(${INVERSES[form.fn]}(${rhs} / ${grouped(form.factor)}) - ${grouped(form.intercept)}) / ${grouped(form.slope)}`;
+    }
+  }
+};
+
+// Value of the constant fitted to y(x0) = y0 for the explicit form
+const fitConstant = (form, left, right, dependent, independent, condition) => {
+  const leftValue = evaluateAt(left, { [dependent]: condition.value });
+  const rightValue = evaluateAt(right, { [independent]: condition.at });
+  if (rightValue === null) return null;
+  if (form && form.kind === "function" && form.fn === "log") {
+    return (form.slope * condition.value + form.intercept) / Math.exp(rightValue / form.factor);
+  }
+  return leftValue === null ? null : leftValue - rightValue;
+};
+
+// Separable: y' = g(x) h(y). Checked numerically, then g and h are read off at an anchor point
+const separate = (slope, dependent, independent) => {
+  if (!dependsOn(slope, dependent)) return { g: slope, h: simplifyNode("1") };
+  const f = (x, y) => evaluateAt(slope, { [independent]: x, [dependent]: y });
+  const anchor = [[0, 1], [1, 1], [0, 2], [1, 2], [2, 3]].find(([x, y]) => {
+    const value = f(x, y);
+    return value !== null && !isZero(value);
+  });
+  if (!anchor) return null;
+  const [x0, y0] = anchor;
+  const base = f(x0, y0);
+  const separable = [[0.3, 0.7], [1.3, -0.4], [2.1, 1.7], [-0.6, 2.4]].every(([x, y]) => {
+    const [a, b, c] = [f(x, y), f(x, y0), f(x0, y)];
+    if (a === null || b === null || c === null) return true;
+    return Math.abs(a * base - b * c) <= 1e-9 * Math.max(1, Math.abs(a * base));
+  });
+  if (!separable) return null;
+  return {
+    g: simplifyNode(substitute(slope, dependent, numberNode(y0))),
+    h: simplifyNode(`(${substitute(slope, independent, numberNode(x0)).toString()}) / ${grouped(base)}`)
+  };
+};
+
+const solveSeparable = (slope, dependent, independent, condition, steps) => {
+  const parts = separate(slope, dependent, independent);
+  if (!parts) return null;
+  const { g, h } = parts;
+  const hText = h.toString();
+  const gText = g.toString();
+  addStep(steps, "Separable equation", `${dependent}' = (${gText}) * (${hText})`, `The right side factors into a function of ${independent} times a function of ${dependent}`);
+  addStep(steps, "Separate variables", hText === "1" ? `d${dependent} = ${gText} d${independent}` : `d${dependent} / (${hText}) = ${gText} d${independent}`,
+    hText === "1" ? "Integrate directly" : `Divide by ${hText}; constant solutions where ${hText} = 0 are set aside`);
+
+  const leftIntegral = integrateExpression(`1 / (${hText})`, dependent, []);
+  const rightIntegral = integrateExpression(gText, independent, []);
+  if (!leftIntegral.elementary || !rightIntegral.elementary) return null;
+  const left = simplifyNode(leftIntegral.node);
+  const right = rightIntegral.antiderivative;
+  addStep(steps, "Integrate both sides", `${left.toString()} = ${right} + C`, "One constant of integration collects both sides' constants");
+
+  const form = invert(left, dependent);
+  if (!condition) {
+    if (!form) return { explicit: false, text: `${left.toString()} = ${right} + C`, constants: ["C"] };
+    const text = simplifyNode(explicitText(form, right, "C")).toString();
+    addStep(steps, "Solve for " + dependent, `${dependent} = ${text}`, form.kind === "function" && form.fn === "log" ? "Exponentiate; ± and e^C combine into a single constant C" : `Isolate ${dependent}`);
+    return { explicit: true, text, constants: ["C"] };
+  }
+
+  const value = fitConstant(form, left, right, dependent, independent, condition);
+  if (value === null) throw new Error(`The solution family is undefined at ${condition.text}`);
+  const constantText = numberText(value);
+  addStep(steps, "Apply the initial condition", `${condition.text} gives C = ${constantText}`, "Substitute the initial point and solve for the constant");
+  if (!form) return { explicit: false, text: `${left.toString()} = ${right} + ${constantText}`, constants: [] };
+  const text = simplifyNode(explicitText(form, right, constantText, Math.sign(condition.value))).toString();
+  return { explicit: true, text, constants: [] };
+};
+
+// Linear: y' + P(x) y = Q(x), solved with the integrating factor e^(∫P dx)
+const solveLinearFirstOrder = (slope, dependent, independent, condition, steps) => {
+  const rate = partial(slope, dependent);
+  if (dependsOn(rate, dependent)) return null;
+  const p = simplifyNode(`-(${rate.toString()})`);
+  const q = simplifyNode(substitute(slope, dependent, numberNode(0)));
+  addStep(steps, "Linear equation", `${dependent}' + (${p.toString()}) * ${dependent} = ${q.toString()}`, `Standard form y' + P(${independent}) y = Q(${independent})`);
+
+  const exponent = integrateExpression(p.toString(), independent, []);
+  if (!exponent.elementary) return null;
+  const logForm = singleFunctionForm(exponent.node, independent);
+  // e^(k ln|u|) = |u|^k; on an interval where u keeps its sign the absolute value can be dropped
+  const factor = logForm && logForm.fn === "log"
+    ? simplifyNode(`(${polyToString([logForm.intercept, logForm.slope], independent)})^${grouped(logForm.factor)}`)
+    : simplifyNode(`exp(${exponent.antiderivative})`);
+  addStep(steps, "Integrating factor", `μ(${independent}) = e^(∫ P d${independent}) = e^(${exponent.antiderivative}) = ${factor.toString()}`,
+    "Multiplying by μ turns the left side into the derivative of μ·y");
+  addStep(steps, "Multiply through", `d/d${independent}[(${factor.toString()}) * ${dependent}] = (${factor.toString()}) * (${q.toString()})`, "Product rule in reverse");
+
+  const source = isZero(evaluateAt(q, { [independent]: 0.37 }) || 0) && isZero(evaluateAt(q, { [independent]: 1.9 }) || 0)
+    ? { elementary: true, antiderivative: "0" }
+    : integrateExpression(`(${factor.toString()}) * (${q.toString()})`, independent, []);
+  if (!source.elementary) return null;
+  addStep(steps, "Integrate", `(${factor.toString()}) * ${dependent} = ${source.antiderivative} + C`, "Integrate both sides");
+
+  // y = F/μ + C/μ, with 1/μ written directly as e^(-∫P) or u^(-k)
+  const particular = clean(simplifyNode(`(${source.antiderivative}) / (${factor.toString()})`).toString());
+  const homogeneous = logForm && logForm.fn === "log"
+    ? simplifyNode(`(${polyToString([logForm.intercept, logForm.slope], independent)})^${grouped(-logForm.factor)}`).toString()
+    : simplifyNode(`exp(-(${exponent.antiderivative}))`).toString();
+  // C times 1/μ, dividing when 1/μ is itself a reciprocal: C / x rather than C*(1 / x)
+  const scaled = (constant) => {
+    const reciprocal = homogeneous.match(/^1 \/ (.+)$/);
+    if (reciprocal) return `${constant} / ${/^[\w.]+$/.test(reciprocal[1]) ? reciprocal[1] : `(${reciprocal[1]})`}`;
+    if (homogeneous === "1") return constant;
+    return `${constant} * ${/^[\w.]+(\(.*\)| \^ [\w.]+)?$/.test(homogeneous) ? homogeneous : `(${homogeneous})`}`;
+  };
+  const withParticular = (constant) => clean(particular === "0" ? constant : `${particular} + ${constant}`);
+  if (!condition) {
+    const text = withParticular(scaled("C"));
+    addStep(steps, "Divide by μ", `${dependent} = ${text}`, "General solution");
+    return { explicit: true, text, constants: ["C"] };
+  }
+  const mu = evaluateAt(factor, { [independent]: condition.at });
+  const sourceValue = evaluateAt(source.antiderivative, { [independent]: condition.at });
+  if (mu === null || sourceValue === null || isZero(mu)) throw new Error(`The solution family is undefined at ${condition.text}`);
+  const value = mu * condition.value - sourceValue;
+  addStep(steps, "Apply the initial condition", `${condition.text} gives C = ${numberText(value)}`, "Substitute the initial point and solve for the constant");
+  // Numeric constants are folded in: 3 / (4 * x) rather than (3/4) / x
+  const term = simplifyNode(`${numberText(Math.abs(value))} * ${scaled("1")}`).toString().replace(/^(\d+) \/ (\d+) \/ (.+)$/, "$1 / ($2 * $3)");
+  return { explicit: true, text: withParticular(value < 0 ? `-${term}` : term), constants: [] };
+};
+
+// exp(r*x) with tidy coefficients
+const exponential = (rate, variable) => {
+  const text = formatNumber(rate);
+  if (text === "0") return "1";
+  if (text === "1") return `exp(${variable})`;
+  if (text === "-1") return `exp(-${variable})`;
+  return /^-?[\w.]+$/.test(text) ? `exp(${text}*${variable})` : `exp((${text})*${variable})`;
+};
+
+const timesVariable = (variable, power, basis) => {
+  const monomial = power === 0 ? "" : power === 1 ? variable : `${variable}^${power}`;
+  if (!monomial) return basis;
+  return basis === "1" ? monomial : `${monomial}*${basis}`;
+};
+
+// Forcing terms of the form x^d e^(kx) cos(ωx) / sin(ωx): group them by (k, ω) with the largest d
+const forcingFamilies = (forcing, variable) => {
+  const families = [];
+  for (const { node } of getTerms(forcing)) {
+    let [rate, frequency, degree] = [0, 0, 0];
+    const { numerator, denominator } = getFactors(node);
+    if (denominator.some((f) => dependsOn(f, variable))) return null;
+    for (const factor of numerator) {
+      if (!dependsOn(factor, variable)) continue;
+      const isExp = factor.isFunctionNode && factor.fn.name === "exp";
+      const isPowerOfE = factor.isOperatorNode && factor.fn === "pow" && factor.args[0].isSymbolNode && factor.args[0].name === "e";
+      const trig = factor.isFunctionNode && ["sin", "cos"].includes(factor.fn.name);
+      const argument = isExp || trig ? factor.args[0] : isPowerOfE ? factor.args[1] : null;
+      const linear = argument ? toPolynomial(argument, variable) : null;
+      if (argument) {
+        if (!linear || linear.length !== 2) return null;
+        if (trig && !isZero(linear[0])) return null;
+        if (trig) frequency = Math.abs(linear[1]);
+        else rate += linear[1];
+        continue;
+      }
+      const polynomial = toPolynomial(factor, variable);
+      if (!polynomial) return null;
+      degree += polynomial.length - 1;
+    }
+    const existing = families.find((f) => isZero(f.rate - rate) && isZero(f.frequency - frequency));
+    if (existing) existing.degree = Math.max(existing.degree, degree);
+    else families.push({ rate, frequency, degree });
+  }
+  return families;
+};
+
+// Constant-coefficient second order: a y'' + b y' + c y = g(x)
+const solveSecondOrder = (node, dependent, independent, conditions, steps) => {
+  const coefficients = [CURVATURE, SLOPE, dependent].map((symbol) => {
+    const d = partial(node, symbol);
+    return [independent, dependent, SLOPE, CURVATURE].some((s) => dependsOn(d, s)) ? null : evaluateAt(d, {});
+  });
+  if (coefficients.includes(null) || isZero(coefficients[0])) return null;
+  const [a, b, c] = coefficients;
+  const rest = simplifyNode(`${node.toString()} - (${numberText(a)}) * ${CURVATURE} - (${numberText(b)}) * ${SLOPE} - (${numberText(c)}) * ${dependent}`);
+  if ([dependent, SLOPE, CURVATURE].some((s) => dependsOn(rest, s))) return null;
+  const forcing = simplifyNode(`-(${rest.toString()})`);
+  const homogeneousOnly = !dependsOn(forcing, independent) && isZero(evaluateAt(forcing, {}) || 0);
+  const operator = combination([{ coefficient: a, basis: `${dependent}''` }, { coefficient: b, basis: `${dependent}'` }, { coefficient: c, basis: dependent }]);
+  addStep(steps, "Constant-coefficient equation", `${operator} = ${homogeneousOnly ? "0" : forcing.toString()}`,
+    homogeneousOnly ? "Linear, homogeneous, with constant coefficients" : "Solve the homogeneous equation, then add one particular solution");
+
+  const characteristic = polyToString([c, b, a], "r");
+  const { roots } = solvePolynomialEquation(characteristic, "r", []);
+  addStep(steps, "Characteristic equation", `${characteristic} = 0 → r = ${roots.map((r) => r.text).join(", ")}`, `Try ${dependent} = e^(r${independent})`);
+
+  let basis;
+  let reason;
+  if (roots.some((r) => r.im !== 0)) {
+    const { re, im } = roots.find((r) => r.im > 0);
+    const envelope = exponential(re, independent);
+    const wave = (fn) => `${fn}(${formatNumber(im) === "1" ? independent : `${formatNumber(im)}*${independent}`})`;
+    basis = [wave("cos"), wave("sin")].map((w) => (envelope === "1" ? w : `${envelope}*${w}`));
+    reason = `Complex roots α ± βi give e^(α${independent})(C1 cos β${independent} + C2 sin β${independent})`;
+  } else if (roots.length === 1 || roots[0].multiplicity === 2) {
+    const e = exponential(roots[0].re, independent);
+    basis = [e, timesVariable(independent, 1, e)];
+    reason = `A repeated root r gives (C1 + C2 ${independent}) e^(r${independent})`;
+  } else {
+    basis = roots.map((r) => exponential(r.re, independent));
+    reason = `Distinct real roots r1, r2 give C1 e^(r1 ${independent}) + C2 e^(r2 ${independent})`;
+  }
+  const homogeneous = combination(basis.map((b, i) => ({ coefficient: `C${i + 1}`, basis: b })));
+  addStep(steps, "Homogeneous solution", `${dependent}_h = ${homogeneous}`, reason);
+
+  let particular = "0";
+  if (!homogeneousOnly) {
+    const families = forcingFamilies(forcing, independent);
+    if (!families) return null;
+    // Trial functions, shifted by x^s when they already solve the homogeneous equation
+    const trial = families.flatMap(({ rate, frequency, degree }) => {
+      const resonance = roots.filter((r) => isZero(r.re - rate, 1e-9) && isZero(Math.abs(r.im) - frequency, 1e-9));
+      const shift = frequency ? (resonance.length ? 1 : 0) : resonance.reduce((sum, r) => sum + r.multiplicity, 0);
+      const e = exponential(rate, independent);
+      const waves = frequency ? ["cos", "sin"].map((fn) => `${fn}(${formatNumber(frequency) === "1" ? independent : `${formatNumber(frequency)}*${independent}`})`) : ["1"];
+      const out = [];
+      for (let j = 0; j <= degree; j++) {
+        waves.forEach((w) => out.push(timesVariable(independent, j + shift, [e, w].filter((f) => f !== "1").join("*") || "1")));
+      }
+      return out;
+    });
+    const names = trial.map((_, i) => String.fromCharCode(65 + i));
+    addStep(steps, "Trial particular solution", `${dependent}_p = ${combination(trial.map((t, i) => ({ coefficient: names[i], basis: t })))}`,
+      "Undetermined coefficients: mirror the forcing term, multiplied by a power of x where it overlaps the homogeneous solution");
+
+    // L[φ] = a φ'' + b φ' + c φ for each trial function, matched against g at sample points
+    const applied = trial.map((t) => {
+      const first = derivative(t, independent);
+      const second = derivative(first, independent);
+      return numericFunction(simplifyNode(`${numberText(a)} * (${second.toString()}) + ${numberText(b)} * (${first.toString()}) + ${numberText(c)} * (${t})`), independent);
+    });
+    const target = numericFunction(forcing, independent);
+    const equations = SAMPLE_POINTS.slice(0, trial.length).map((x) => {
+      const row = applied.map((fn, i) => `${String(fn(x))} * ${names[i]}`).join(" + ");
+      return `${row} - (${String(target(x))})`;
+    });
+    const system = solveLinearSystem(equations, names, []);
+    if (system.classification !== "unique") return null;
+    const values = names.map((n) => system.values[n]);
+    addStep(steps, "Undetermined coefficients", names.map((n, i) => `${n} = ${formatNumber(values[i])}`).join(", "),
+      `Substitute ${dependent}_p into the equation and match both sides`);
+    particular = combination(trial.map((t, i) => ({ coefficient: values[i], basis: t })));
+    addStep(steps, "Particular solution", `${dependent}_p = ${particular}`, "One solution of the full equation");
+  }
+
+  const withParticular = (text) => (particular === "0" ? text : `${text}${particular.startsWith("-") ? ` - ${particular.slice(1)}` : ` + ${particular}`}`);
+  if (!conditions.length) {
+    const text = withParticular(homogeneous);
+    addStep(steps, "General solution", `${dependent} = ${text}`, particular === "0" ? "Two free constants for a second-order equation" : `${dependent} = ${dependent}_h + ${dependent}_p`);
+    return { explicit: true, text, constants: ["C1", "C2"] };
+  }
+  if (conditions.length !== 2) throw new Error("A second-order equation needs two conditions, such as y(0) = 1 and y'(0) = 0");
+
+  // Each condition is linear in C1 and C2
+  const nthDerivative = (text, order) => (order === 0 ? text : derivative(nthDerivative(text, order - 1), independent).toString());
+  const equations = conditions.map(({ order, at, value }) => {
+    const scope = { [independent]: at };
+    const [u, v] = basis.map((b) => evaluateAt(nthDerivative(b, order), scope));
+    const offset = particular === "0" ? 0 : evaluateAt(nthDerivative(particular, order), scope);
+    if ([u, v, offset].includes(null)) throw new Error("The conditions fall where the solution is undefined");
+    return `${numberText(u)}*C1 + ${numberText(v)}*C2 = ${numberText(value - offset)}`;
+  });
+  addStep(steps, "Apply the initial conditions", equations.join("\n"), `${conditions.map((c) => c.text).join(" and ")} give two equations in C1 and C2`);
+  const system = solveLinearSystem(equations.map(toZeroForm), ["C1", "C2"], steps);
+  if (system.classification !== "unique") throw new Error("These conditions do not determine C1 and C2");
+  const text = withParticular(combination(basis.map((b, i) => ({ coefficient: system.values[`C${i + 1}`], basis: b }))));
+  return { explicit: true, text, constants: [] };
+};
+
+// Residual of F(x, y, y', y'') for a closed-form y, sampled at a few points
+const residual = (node, solution, dependent, independent) => {
+  const first = derivative(solution, independent);
+  const second = derivative(first, independent);
+  const check = numericFunction(substitute(substitute(substitute(node, CURVATURE, second), SLOPE, first), dependent, solution), independent);
+  const values = CHECK_POINTS.map(check).filter((v) => v !== null);
+  return values.length ? Math.max(...values.map(Math.abs)) : null;
+};
+
+// Runge–Kutta on the first-order system (y, y') from the initial point
+const solveNumerically = (node, order, dependent, independent, conditions, end, steps) => {
+  const needed = order === 1 ? [0] : [0, 1];
+  const byOrder = needed.map((k) => conditions.find((c) => c.order === k));
+  if (byOrder.includes(undefined) || byOrder.some((c) => c.at !== byOrder[0].at)) {
+    throw new Error(order === 1
+      ? `No closed form was found; add an initial condition such as ${dependent}(0) = 1 for a numeric solution`
+      : `No closed form was found; add ${dependent}(x0) and ${dependent}'(x0) at the same point for a numeric solution`);
+  }
+  const highest = order === 1 ? SLOPE : CURVATURE;
+  const lead = partial(node, highest);
+  if (dependsOn(lead, highest)) throw new Error(`${display(highest, dependent)} must appear linearly to integrate numerically`);
+  const explicit = simplifyNode(`-(${substitute(node, highest, numberNode(0)).toString()}) / (${lead.toString()})`);
+  const compiled = explicit.compile();
+  const f = (x, y) => {
+    try {
+      const value = compiled.evaluate({ [independent]: x, [dependent]: y[0], [SLOPE]: y[1] });
+      return order === 1 ? [value] : [y[1], value];
+    } catch {
+      return order === 1 ? [NaN] : [y[1], NaN];
+    }
+  };
+  const x0 = byOrder[0].at;
+  const x1 = end === null ? x0 + NUMERIC_SPAN : end;
+  const y0 = byOrder.map((c) => c.value);
+  addStep(steps, "No closed form", `${display(highest, dependent)} = ${display(explicit, dependent)}`,
+    "The equation is not separable, linear or constant-coefficient (or its integrals are not elementary), so it is integrated numerically");
+
+  const adaptive = rungeKutta45(f, x0, y0, x1, { tolerance: 1e-9 });
+  addStep(steps, "Runge–Kutta 4(5)", `${independent} from ${formatNumber(x0)} to ${formatNumber(x1)}: ${adaptive.accepted} accepted and ${adaptive.rejected} rejected steps`,
+    adaptive.converged
+      ? "Dormand–Prince pairs a 5th- and 4th-order step; their difference sets the step size for a relative tolerance of 1e-9"
+      : `The solution stops at ${independent} ≈ ${formatNumber(adaptive.stoppedAt)}, where it blows up or leaves the domain`);
+
+  const last = adaptive.points[adaptive.points.length - 1];
+  const classic = rungeKutta4(f, x0, y0, last.x, { steps: 2000, outputs: 1 });
+  const classicEnd = classic.points[classic.points.length - 1];
+  if (classic.converged) {
+    addStep(steps, "RK4 cross-check", `Fixed-step RK4 (2000 steps) gives ${dependent}(${formatNumber(last.x)}) ≈ ${parseFloat(classicEnd.y[0].toPrecision(10))}, a difference of ${Math.abs(classicEnd.y[0] - last.y[0]).toExponential(2)}`,
+      "Two independent methods agreeing is a check on the numeric solution");
+  }
+
+  const every = Math.max(1, Math.floor((adaptive.points.length - 1) / 10));
+  const rows = adaptive.points.filter((_, i) => i % every === 0).map((p) => [String(parseFloat(p.x.toFixed(6))), ...p.y.map((v) => String(parseFloat(v.toPrecision(8))))]);
+  addStep(steps, "Solution table", rows.map((r) => r.join(" | ")).join("\n"), "Selected points of the numeric solution", {
+    table: { title: "Numeric solution", columns: [independent, dependent, ...(order === 2 ? [`${dependent}'`] : [])], rows }
+  });
+
+  const points = adaptive.points.map((p) => ({ x: p.x, y: p.y[0] }));
+  return {
+    answer: `${dependent}(${formatNumber(last.x)}) ≈ ${parseFloat(last.y[0].toPrecision(10))}`,
+    points,
+    interval: [x0, last.x],
+    converged: adaptive.converged,
+    graph: { equation: `${dependent}(${independent}), numeric solution`, points, domain: [x0, last.x].map((v) => parseFloat(v.toFixed(3))) }
+  };
+};
+
+const solveOde = (equation, dependent, independent, conditions, end, steps) => {
+  const node = prepareEquation(equation, dependent, independent);
+  const order = dependsOn(node, CURVATURE) ? 2 : dependsOn(node, SLOPE) ? 1 : 0;
+  if (!order) throw new Error(`The equation has no derivative of ${dependent}; use solve() for algebraic equations`);
+  addStep(steps, "Differential equation", `${display(simplifyNode(node), dependent)} = 0`, `Order ${order} in ${dependent}(${independent})`);
+  if (conditions.some((c) => c.order >= order)) throw new Error(`Conditions for an order-${order} equation can fix ${dependent}${order === 2 ? ` and ${dependent}'` : ""} only`);
+
+  let closed = null;
+  const attempt = [];
+  if (order === 1) {
+    if (conditions.length > 1) throw new Error("A first-order equation takes one initial condition");
+    const lead = partial(node, SLOPE);
+    if (!dependsOn(lead, SLOPE)) {
+      const slope = simplifyNode(`-(${substitute(node, SLOPE, numberNode(0)).toString()}) / (${lead.toString()})`);
+      addStep(steps, "Solve for " + dependent + "'", `${dependent}' = ${slope.toString()}`, "Isolate the derivative");
+      const separable = [];
+      const linear = [];
+      const bySeparation = solveSeparable(slope, dependent, independent, conditions[0], separable);
+      // An implicit separable answer is kept only when the integrating factor does not give an explicit one
+      const byFactor = bySeparation && bySeparation.explicit ? null : solveLinearFirstOrder(slope, dependent, independent, conditions[0], linear);
+      if (byFactor) {
+        closed = byFactor;
+        attempt.push(...linear);
+      } else if (bySeparation) {
+        closed = bySeparation;
+        attempt.push(...separable);
+      }
+    }
+  } else {
+    closed = solveSecondOrder(node, dependent, independent, conditions, attempt);
+  }
+
+  if (!closed) return { numeric: true, ...solveNumerically(node, order, dependent, independent, conditions, end, steps) };
+  attempt.forEach(({ description, expression, explanation, ...details }) => addStep(steps, description, expression, explanation, details));
+
+  closed.text = clean(closed.text);
+  const answer = closed.explicit ? `${dependent} = ${closed.text}` : closed.text;
+  const kind = conditions.length ? "Particular solution" : "General solution";
+  if (closed.explicit) {
+    const scope = Object.fromEntries(closed.constants.map((name) => [name, "1"]));
+    const sample = Object.entries(scope).reduce((expr, [name, value]) => substitute(expr, name, value), tidy(closed.text));
+    const error = residual(node, sample, dependent, independent);
+    addStep(steps, kind, answer, error !== null && error < 1e-6
+      ? `Check: substituting back leaves a residual below 1e-6${closed.constants.length ? ` (with ${closed.constants.join(" = ")} = 1)` : ""}`
+      : conditions.length ? `Satisfies ${conditions.map((c) => c.text).join(" and ")}` : `${closed.constants.join(", ")} arbitrary`);
+  } else {
+    addStep(steps, kind, answer, `Implicit solution: ${dependent} cannot be isolated in elementary terms`);
+  }
+  // A particular explicit solution can be drawn; the graph page plots functions of x
+  const start = conditions.length ? conditions[0].at : 0;
+  const graph = closed.explicit && !closed.constants.length
+    ? {
+      equation: independent === "x" ? closed.text : substitute(closed.text, independent, "x").toString(),
+      domain: [start - 5, start + 5].map((v) => parseFloat(v.toFixed(2))),
+      markers: [{ x: start, label: conditions[0].text }]
+    }
+    : null;
+  return { numeric: false, answer, solution: closed.text, explicit: closed.explicit, constants: closed.constants, order, graph };
+};
+
+module.exports = {
+  solveOde,
+  parseCondition
+};
@@ -0,0 +1,76 @@
+// backend/utils/odeSolver.test.js
+// Regression tests for dsolve(): separable, first-order linear and constant-coefficient second-order
+// equations with and without initial conditions, and the Runge–Kutta fallback
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { solveMathExpression } = require("./mathSolver");
+
+const dsolve = (input) => {
+  const result = solveMathExpression(input);
+  assert.equal(result.success, true, result.error);
+  return result;
+};
+const descriptions = (result) => result.steps.map((s) => s.description);
+
+test("separable equations give general and particular solutions", () => {
+  assert.equal(dsolve("dsolve(y' = x*y, y, x)").finalAnswer, "y = C * exp(x ^ 2 / 2)");
+  const particular = dsolve("dsolve(y' = x*y, y, x, y(0) = 2)");
+  assert.equal(particular.finalAnswer, "y = 2 * exp(x ^ 2 / 2)");
+  assert.deepEqual(particular.constants, []);
+  assert.equal(particular.graph.equation, "2 * exp(x ^ 2 / 2)");
+  assert.ok(["Separate variables", "Integrate both sides", "Apply the initial condition"].every((name) => descriptions(particular).includes(name)));
+  assert.equal(dsolve("dsolve(y' = 1 + y^2, y, x, y(0) = 0)").finalAnswer, "y = tan(x)");
+});
+
+test("implicit separable solutions are labelled as such", () => {
+  const result = dsolve("dsolve(y' = y*(1 - y), y, x)");
+  assert.equal(result.finalAnswer, "2 * log(abs(y - 1)) - 2 * log(abs(y)) = -2 * x + C");
+  assert.match(result.steps.at(-1).explanation, /^Implicit solution/);
+});
+
+test("first-order linear equations use an integrating factor", () => {
+  assert.equal(dsolve("dsolve(y' + 2*y = x, y, x)").finalAnswer, "y = x / 2 - 1 / 4 + C * exp(-(2 * x))");
+  assert.equal(dsolve("dsolve(y' + y/x = x^2, y, x, y(1) = 1)").finalAnswer, "y = x ^ 3 / 4 + 3 / (4 * x)");
+});
+
+test("second-order equations with constant coefficients", () => {
+  assert.equal(dsolve("dsolve(y'' + 3*y' + 2*y = 0, y, x)").finalAnswer, "y = C1*exp(-2*x) + C2*exp(-x)");
+  assert.equal(dsolve("dsolve(y'' - 2*y' + y = 0)").finalAnswer, "y = C1*exp(x) + C2*x*exp(x)");
+  assert.equal(dsolve("dsolve(y'' + 2*y' + 5*y = 0)").finalAnswer, "y = C1*exp(-x)*cos(2*x) + C2*exp(-x)*sin(2*x)");
+  assert.equal(dsolve("dsolve(y'' + y = sin(x))").finalAnswer, "y = C1*cos(x) + C2*sin(x) - 1/2*x*cos(x)");
+  assert.equal(dsolve("dsolve(y'' + y = 3*cos(2*x), y, x, y(0) = 0, y'(0) = 0)").finalAnswer, "y = cos(x) - cos(2*x)");
+  assert.equal(dsolve("dsolve(y'' + 3*y' + 2*y = 0, y, x, y(0) = 1, y'(0) = 0)").finalAnswer, "y = -exp(-2*x) + 2*exp(-x)");
+});
+
+test("implicit coefficients multiply y, y' and y''", () => {
+  assert.equal(dsolve("dsolve(y'' - 3y' + 2y = 0, y, x)").finalAnswer, "y = C1*exp(x) + C2*exp(2*x)");
+  assert.equal(dsolve("dsolve(2y' = y, y, x)").finalAnswer, "y = C * exp(x / 2)");
+  assert.equal(dsolve("dsolve(4y'' + y = 0, y, x)").finalAnswer, dsolve("dsolve(4*y'' + y = 0, y, x)").finalAnswer);
+  assert.equal(dsolve("dsolve(2y(x) = y', y, x)").finalAnswer, "y = C * exp(2 * x)");
+});
+
+test("other variable names", () => {
+  assert.equal(dsolve("dsolve(dy/dt = -0.5*y, y, t, y(0) = 10)").finalAnswer, "y = 10 * exp(-t / 2)");
+});
+
+test("equations without a closed form are solved numerically as a point series", () => {
+  const result = dsolve("dsolve(y' = x^2 + y^2, y, x, y(0) = 0, x = 1)");
+  assert.equal(result.type, "ode-numeric");
+  assert.equal(result.finalAnswer, "y(1) ≈ 0.3502318443");
+  assert.deepEqual(result.interval, [0, 1]);
+  assert.deepEqual(result.points[0], { x: 0, y: 0 });
+  assert.equal(result.graph.points.length, result.points.length);
+  assert.ok(["Runge–Kutta 4(5)", "RK4 cross-check"].every((name) => descriptions(result).includes(name)));
+  assert.equal(dsolve("dsolve(y'' + sin(y) = 0, y, x, y(0) = 1, y'(0) = 0)").finalAnswer, "y(10) ≈ -0.998949814");
+});
+
+test("a solution that blows up stops before the singularity", () => {
+  const result = dsolve("dsolve(y' = x^2 + y^2, y, x, y(0) = 1)");
+  assert.equal(result.type, "ode-numeric");
+  assert.ok(result.points.at(-1).x < 1);
+});
+
+test("missing conditions and algebraic equations are rejected", () => {
+  assert.match(solveMathExpression("dsolve(y' = sin(x*y), y, x)").error, /add an initial condition/);
+  assert.match(solveMathExpression("dsolve(y = 2, y, x)").error, /has no derivative of y/);
+});
@@ -0,0 +1,226 @@
+// backend/utils/partialFractions.js
+// Partial fraction decomposition: linear, repeated and irreducible quadratic denominator factors,
+// with the unknown coefficients found by solving the coefficient system
+const { addStep } = require("./solverHelpers");
+const { normalizeFunctions, formatNumber, isZero, approximateFraction } = require("./expressionUtils");
+const {
+  trimPolynomial,
+  degree,
+  polyMul,
+  polyPow,
+  polyDivide,
+  polyGcd,
+  polyDerivative,
+  polyMonic,
+  toRational,
+  polyToString,
+  rationalRoots
+} = require("./polynomial");
+const { durandKerner } = require("./numericMethods");
+const { solveLinearSystem } = require("./linearSystemSolver");
+const { toZeroForm } = require("./equationSolver");
+
+// Letters for the unknown coefficients, skipping I and O which read like 1 and 0
+const UNKNOWN_NAMES = "ABCDEFGHJKLMNPQRSTUVWXYZ".split("");
+
+const isRational = (value) => Boolean(approximateFraction(value, 10000));
+
+// Round a numerically found coefficient to the fraction it approximates
+const snap = (value) => {
+  const fraction = approximateFraction(value, 10000);
+  return fraction ? fraction.numerator / fraction.denominator : value;
+};
+
+// Yun's square-free factorization: p = ∏ part_k^k with each part square-free
+const squareFreeParts = (p) => {
+  const parts = [];
+  let c = polyGcd(p, polyDerivative(p));
+  let w = polyDivide(p, c).quotient;
+  let power = 1;
+  while (degree(w) > 0) {
+    const y = polyGcd(w, c);
+    const z = polyDivide(w, y).quotient;
+    if (degree(z) > 0) parts.push({ coeffs: polyMonic(z), power });
+    power++;
+    w = y;
+    c = polyDivide(c, y).quotient;
+  }
+  return parts;
+};
+
+// Split a square-free polynomial without rational roots into real quadratics (and linear factors for
+// lone irrational roots): conjugate complex roots, and real roots whose sum and product are rational, pair up
+const realFactors = (coeffs) => {
+  if (degree(coeffs) <= 2) return [coeffs];
+  const { roots } = durandKerner(coeffs);
+  const factors = [];
+  roots.filter((z) => z.im > 1e-9).forEach((z) => factors.push([z.re * z.re + z.im * z.im, -2 * z.re, 1]));
+  const real = roots.filter((z) => Math.abs(z.im) <= 1e-9).map((z) => z.re).sort((a, b) => a - b);
+  while (real.length) {
+    const r = real.shift();
+    const partner = real.findIndex((s) => isRational(r + s) && isRational(r * s));
+    if (partner === -1) {
+      factors.push([-r, 1]);
+    } else {
+      const [s] = real.splice(partner, 1);
+      factors.push([r * s, -(r + s), 1]);
+    }
+  }
+  return factors.map((f) => trimPolynomial(f.map(snap)));
+};
+
+// Monic denominator -> [{ coeffs, power }] with linear factors first
+const factorDenominator = (denominator) => {
+  const { roots, remaining } = rationalRoots(denominator);
+  const factors = roots.map(({ value, multiplicity }) => ({ coeffs: [-value, 1], power: multiplicity }));
+  if (degree(remaining) > 0) {
+    squareFreeParts(polyMonic(remaining)).forEach(({ coeffs, power }) => {
+      realFactors(coeffs).forEach((factor) => factors.push({ coeffs: factor, power }));
+    });
+  }
+  return factors.sort((a, b) => degree(a.coeffs) - degree(b.coeffs) || b.coeffs[0] - a.coeffs[0] || a.power - b.power);
+};
+
+// A linear factor x - p/q is shown as q*x - p, with the numerator rescaled to match
+const displayFactor = (factor, power) => {
+  if (degree(factor) !== 1) return { factor, scale: 1 };
+  const fraction = approximateFraction(-factor[0], 10000);
+  if (!fraction || fraction.denominator === 1) return { factor, scale: 1 };
+  return { factor: [-fraction.numerator, fraction.denominator], scale: fraction.denominator ** power };
+};
+
+// (x - 1)^2, and x^2 rather than (x)^2 for a bare variable
+const denominatorText = (factor, power, variable) => {
+  const text = polyToString(factor, variable);
+  return `${/^[\w.]+$/.test(text) && power > 1 ? text : `(${text})`}${power > 1 ? `^${power}` : ""}`;
+};
+
+// Join signed pieces into "a - b + c"
+const joinSigned = (pieces) =>
+  pieces.map(({ text, negative }, index) => (index === 0 ? `${negative ? "-" : ""}${text}` : `${negative ? " - " : " + "}${text}`)).join("");
+
+// Smallest integer that clears the fractional coefficients
+const commonDenominator = (coeffs) => coeffs.reduce((scale, c) => {
+  const fraction = approximateFraction(c * scale, 10000);
+  return fraction ? scale * fraction.denominator : scale;
+}, 1);
+
+// numerator/factor^power as text, with fractions moved into the denominator: 1/(9*(x - 1)) rather than 1/9/(x - 1)
+const fractionPiece = (numerator, factor, power, variable) => {
+  const shown = displayFactor(factor, power);
+  const scaled = trimPolynomial(numerator.map((c) => c * shown.scale));
+  const negative = scaled.every((c) => c <= 0);
+  const magnitude = scaled.map((c) => (negative ? -c : c));
+  const divisor = commonDenominator(magnitude);
+  const top = polyToString(magnitude.map((c) => snap(c * divisor)), variable);
+  const base = polyToString(shown.factor, variable);
+  const single = (text) => /^[\w.]+$/.test(text);
+  const core = single(base) ? `${base}${power > 1 ? `^${power}` : ""}` : `(${base})${power > 1 ? `^${power}` : ""}`;
+  const bottom = divisor === 1 ? core : `(${divisor}*${core})`;
+  return { text: `${single(top) || /^\d+\*\w+$/.test(top) ? top : `(${top})`}/${bottom}`, negative };
+};
+
+const termText = (coefficient, name) => {
+  const magnitude = formatNumber(Math.abs(coefficient));
+  return { text: magnitude === "1" ? name : `${magnitude}*${name}`, negative: coefficient < 0 };
+};
+
+// Decompose numerator/denominator (denominator monic, as toRational returns it)
+const decomposeRational = ({ numerator, denominator }, variable, steps) => {
+  const pieces = [];
+  let remainder = trimPolynomial(numerator);
+  let polynomialPart = [0];
+  if (degree(remainder) >= degree(denominator)) {
+    const division = polyDivide(remainder, denominator);
+    polynomialPart = division.quotient;
+    remainder = division.remainder;
+    addStep(steps, "Polynomial long division", `${polyToString(polynomialPart, variable)}${degree(remainder) === -Infinity ? "" : ` + (${polyToString(remainder, variable)}) / (${polyToString(denominator, variable)})`}`,
+      "The numerator's degree is not lower than the denominator's, so divide first");
+  }
+  if (degree(remainder) === -Infinity) {
+    const answer = polyToString(polynomialPart, variable);
+    return { answer, polynomialPart, pieces };
+  }
+
+  const factors = factorDenominator(denominator);
+  addStep(steps, "Factor the denominator", `${polyToString(denominator, variable)} = ${factors.map(({ coeffs, power }) => denominatorText(coeffs, power, variable)).join(" * ")}`,
+    factors.some(({ coeffs }) => degree(coeffs) === 2) ? "Linear factors come from rational roots; quadratics with no real factorization over the rationals stay whole" : "Rational roots give the linear factors");
+
+  // One unknown per linear power, two (B*x + C) per quadratic power
+  const names = UNKNOWN_NAMES.filter((name) => name !== variable);
+  const unknowns = [];
+  const templates = [];
+  factors.forEach(({ coeffs, power }) => {
+    for (let j = 1; j <= power; j++) {
+      const cofactor = polyDivide(denominator, polyPow(coeffs, j)).quotient;
+      const own = degree(coeffs) === 2 ? [names[unknowns.length], names[unknowns.length + 1]] : [names[unknowns.length]];
+      own.forEach((name, k) => unknowns.push({ name, basis: own.length === 2 && k === 0 ? polyMul(cofactor, [0, 1]) : cofactor }));
+      templates.push({ own, factor: coeffs, power: j, cofactor });
+    }
+  });
+  if (unknowns.some(({ name }) => !name)) throw new Error("The denominator has too many factors to decompose");
+
+  const templateText = templates
+    .map(({ own, factor, power }) => `${own.length === 2 ? `(${own[0]}*${variable} + ${own[1]})` : own[0]}/${denominatorText(factor, power, variable)}`)
+    .join(" + ");
+  addStep(steps, "Partial fraction form", `(${polyToString(remainder, variable)}) / (${polyToString(denominator, variable)}) = ${templateText}`,
+    "Each linear factor power gets a constant numerator, each irreducible quadratic power a linear one");
+  addStep(steps, "Clear denominators", `${polyToString(remainder, variable)} = ${templates
+    .map(({ own, cofactor }) => `${own.length === 2 ? `(${own[0]}*${variable} + ${own[1]})` : own[0]}${degree(cofactor) > 0 ? `*(${polyToString(cofactor, variable)})` : ""}`)
+    .join(" + ")}`, "Multiply both sides by the denominator");
+
+  // Match the coefficient of each power of the variable
+  const n = degree(denominator);
+  const equations = [];
+  for (let i = n - 1; i >= 0; i--) {
+    const terms = unknowns.map(({ name, basis }) => ({ coefficient: basis[i] || 0, name })).filter(({ coefficient }) => !isZero(coefficient, 1e-12));
+    const target = remainder[i] || 0;
+    if (!terms.length && isZero(target, 1e-12)) continue;
+    equations.push(`${terms.length ? joinSigned(terms.map(({ coefficient, name }) => termText(coefficient, name))) : "0"} = ${formatNumber(target)}`);
+  }
+  addStep(steps, "Compare coefficients", equations.join("\n"), `Equate the coefficients of ${variable}^${n - 1} down to the constant term: ${unknowns.length} equations in ${unknowns.map(({ name }) => name).join(", ")}`);
+
+  const system = solveLinearSystem(equations.map(toZeroForm), unknowns.map(({ name }) => name), steps);
+  if (system.classification !== "unique") throw new Error("The coefficient system has no unique solution");
+
+  templates.forEach(({ own, factor, power }) => {
+    const numeratorCoeffs = own.length === 2 ? [system.values[own[1]], system.values[own[0]]] : [system.values[own[0]]];
+    if (trimPolynomial(numeratorCoeffs).every((c) => c === 0)) return;
+    pieces.push({ numerator: trimPolynomial(numeratorCoeffs), factor, power });
+  });
+
+  const parts = [];
+  if (degree(polynomialPart) >= 0) {
+    const text = polyToString(polynomialPart, variable);
+    parts.push({ text: text.replace(/^-/, ""), negative: text.startsWith("-") && !text.includes(" ") });
+    if (text.startsWith("-") && text.includes(" ")) parts[0] = { text, negative: false };
+  }
+  pieces.forEach((piece) => {
+    const shown = fractionPiece(piece.numerator, piece.factor, piece.power, variable);
+    piece.text = `${shown.negative ? "-" : ""}${shown.text}`;
+    parts.push(shown);
+  });
+  const answer = joinSigned(parts);
+  addStep(steps, "Partial fractions", answer, "Substitute the solved coefficients into the partial fraction form");
+  return { answer, polynomialPart, pieces };
+};
+
+const decompose = (expression, variable, steps) => {
+  const node = normalizeFunctions(expression);
+  const rational = toRational(node, variable);
+  if (!rational) throw new Error(`${expression} is not a rational function of ${variable} with numeric coefficients`);
+  addStep(steps, "Rational function", `(${polyToString(rational.numerator, variable)}) / (${polyToString(rational.denominator, variable)})`,
+    "Numerator over a monic denominator, with common factors cancelled");
+  if (degree(rational.denominator) < 1) {
+    const answer = polyToString(rational.numerator, variable);
+    addStep(steps, "Polynomial", answer, "The denominator is constant, so there is nothing to decompose");
+    return { answer, polynomialPart: rational.numerator, pieces: [] };
+  }
+  return decomposeRational(rational, variable, steps);
+};
+
+module.exports = {
+  decompose,
+  decomposeRational,
+  factorDenominator
+};
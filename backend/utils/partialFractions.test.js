@@ -0,0 +1,56 @@
+// backend/utils/partialFractions.test.js
+// Regression tests for apart(): linear, repeated and irreducible quadratic factors, and the coefficient
+// system the unknowns are solved from
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { decompose } = require("./partialFractions");
+const { solveMathExpression } = require("./mathSolver");
+
+const apart = (expression, steps = []) => decompose(expression, "x", steps);
+
+test("distinct linear factors", () => {
+  const steps = [];
+  assert.equal(apart("(3*x + 5)/(x^2 + 3*x + 2)", steps).answer, "1/(x + 2) + 2/(x + 1)");
+  const step = (name) => steps.find((s) => s.description === name).expression;
+  assert.equal(step("Partial fraction form"), "(3*x + 5) / (x^2 + 3*x + 2) = A/(x + 2) + B/(x + 1)");
+  assert.ok(steps.some((s) => s.description === "Compare coefficients"));
+  assert.ok(steps.some((s) => s.description === "Reduced row echelon form"));
+});
+
+test("repeated linear factors get one fraction per power", () => {
+  const { answer, pieces } = apart("1/((x - 1)^2*(x + 2))");
+  assert.equal(answer, "1/(9*(x + 2)) - 1/(9*(x - 1)) + 1/(3*(x - 1)^2)");
+  assert.deepEqual(pieces.map(({ power }) => power), [1, 1, 2]);
+});
+
+test("powers of the bare variable are written x^2, not (x)^2", () => {
+  const steps = [];
+  assert.equal(apart("1/(x^2*(x + 1))", steps).answer, "1/(x + 1) - 1/x + 1/x^2");
+  assert.equal(steps.find((s) => s.description === "Factor the denominator").expression, "x^3 + x^2 = (x + 1) * x^2");
+});
+
+test("irreducible quadratics keep a linear numerator", () => {
+  assert.equal(apart("(x^2 + 1)/(x*(x^2 + 4))").answer, "1/(4*x) + 3*x/(4*(x^2 + 4))");
+  assert.equal(apart("1/(x^3 + 1)").answer, "1/(3*(x + 1)) + (-x + 2)/(3*(x^2 - x + 1))");
+  assert.equal(apart("1/(x^2 + 1)^2").answer, "1/(x^2 + 1)^2");
+});
+
+test("improper fractions are divided first", () => {
+  const steps = [];
+  assert.equal(apart("x^3/(x^2 - 1)", steps).answer, "x + 1/(2*(x + 1)) + 1/(2*(x - 1))");
+  assert.equal(steps[1].description, "Polynomial long division");
+});
+
+test("apart(...) is routed through solveMathExpression", () => {
+  const result = solveMathExpression("apart((3*x + 5)/(x^2 + 3*x + 2))");
+  assert.equal(result.finalAnswer, "1/(x + 2) + 2/(x + 1)");
+  assert.deepEqual(result.terms, ["1/(x + 2)", "2/(x + 1)"]);
+  assert.throws(() => apart("sin(x)/x"), /not a rational function/);
+});
+
+test("integral(apart(...), x) integrates the decomposition", () => {
+  const result = solveMathExpression("integral(apart(1/(x^2*(x + 1))), x)");
+  assert.equal(result.finalAnswer, "log(abs(x + 1)) - log(abs(x)) - 1 / x + C");
+  assert.equal(result.steps[1].expression, "(1/(x + 1) - 1/x + 1/x^2)");
+  assert.match(solveMathExpression("integral(apart(1/(x^2 - 1)), x, 2, 3)").finalAnswer, /≈ 0\.2027325541$/);
+});
@@ -7,7 +7,11 @@
 // - Data validation and sanitization
 // - Complex mathematical operations and 3D geometry
 
-const { evaluate, parse, simplify, derivative } = require('mathjs');
+const { evaluate, parse, simplify, derivative, OperatorNode, SymbolNode } = require('mathjs');
+const { normalizeFunctions, tidy, simplifyNode, substitute, dependsOn, evaluateNumber, formatNumber, getFactors } = require('./expressionUtils');
+const { criticalPoints } = require('./inequalitySolver');
+const { solveLinearSystem } = require('./linearSystemSolver');
+const { expandExpression } = require('./algebraSolver');
 
 // NODE.JS CONCEPT: Error handling for missing dependencies
 if (!evaluate || !parse) {
@@ -248,14 +252,292 @@ const validate3DExpression = async (equation, parameters = {}) => {
   }
 };
 
+// NODE.JS CONCEPT: Constants for critical point analysis
+const SAME_POINT = 1e-6;
+const GRADIENT_TOLERANCE = 1e-6;
+const DEGENERATE_TOLERANCE = 1e-9;
+// Newton's method starts from an (N + 1) x (N + 1) grid over the domain when ∇f = 0 has no exact solution
+const NEWTON_STARTS = 10;
+const NEWTON_ITERATIONS = 50;
+// A degenerate point is followed this fraction of the domain width along the Hessian's null direction to see
+// whether ∇f = 0 continues as a curve; below RANK_TOLERANCE a Hessian entry counts as 0
+const CURVE_STEP = 0.01;
+const RANK_TOLERANCE = 1e-6;
+const EVEN_FUNCTIONS = ['cos', 'cosh', 'sec', 'sech', 'abs'];
+const ODD_FUNCTIONS = ['sin', 'tan', 'csc', 'cot', 'sinh', 'tanh', 'csch', 'coth', 'asin', 'atan', 'asinh', 'atanh', 'cbrt', 'sign'];
+
+// NODE.JS CONCEPT: Parameter substitution on the parsed expression
+const parseSurface = (equation, parameters = {}) => {
+  let node = tidy(normalizeFunctions(equation));
+  Object.entries(parameters).forEach(([name, value]) => {
+    if (typeof value === 'number' && isFinite(value)) node = substitute(node, name, `(${value})`);
+  });
+  node = tidy(node);
+  const unknown = node.filter((n, path, parent) => n.isSymbolNode && !(parent && parent.isFunctionNode && path === 'fn') && !['x', 'y', 'pi', 'e'].includes(n.name));
+  if (unknown.length) {
+    throw new Error(`Give values for ${[...new Set(unknown.map((n) => n.name))].join(', ')} in parameters`);
+  }
+  return node;
+};
+
+// Compile once and return (x, y) => real number, or null where the expression is undefined
+const surfaceFunction = (node) => {
+  const compiled = node.compile();
+  return (x, y) => {
+    try {
+      const value = compiled.evaluate({ x, y });
+      return typeof value === 'number' && isFinite(value) ? value : null;
+    } catch {
+      return null;
+    }
+  };
+};
+
+// NODE.JS CONCEPT: Symmetry from the expression tree
+// Parity under reflecting the named variables: 1 even, -1 odd, 0 neither
+const parity = (node, names) => {
+  if (node.isParenthesisNode) return parity(node.content, names);
+  if (node.isConstantNode) return 1;
+  if (node.isSymbolNode) return names.includes(node.name) ? -1 : 1;
+  const args = (node.args || []).map((arg) => parity(arg, names));
+  if (node.isFunctionNode) {
+    if (args.every((p) => p === 1)) return 1;
+    if (args.length !== 1 || args[0] !== -1) return 0;
+    if (EVEN_FUNCTIONS.includes(node.fn.name)) return 1;
+    return ODD_FUNCTIONS.includes(node.fn.name) ? -1 : 0;
+  }
+  if (!node.isOperatorNode) return 0;
+  switch (node.fn) {
+    case 'unaryMinus':
+    case 'unaryPlus':
+      return args[0];
+    case 'add':
+    case 'subtract':
+      return args[0] === args[1] ? args[0] : 0;
+    case 'multiply':
+    case 'divide':
+      return args.reduce((product, p) => product * p, 1);
+    case 'pow': {
+      const [base, exponent] = args;
+      if (exponent !== 1) return 0;
+      if (base !== -1) return base;
+      const n = evaluateNumber(node.args[1]);
+      return Number.isInteger(n) ? (n % 2 === 0 ? 1 : -1) : 0;
+    }
+    default:
+      return 0;
+  }
+};
+
+// Equal as expressions: the difference simplifies, or multiplies out, to 0
+const sameExpression = (first, second) => {
+  const difference = simplifyNode(new OperatorNode('-', 'subtract', [first, second]));
+  if (difference.isConstantNode && difference.value === 0) return true;
+  try {
+    return expandExpression(difference.toString(), []).answer === '0';
+  } catch {
+    return false;
+  }
+};
+
+const detectSymmetries = (node) => {
+  const [inX, inY, both] = [['x'], ['y'], ['x', 'y']].map((names) => parity(node, names));
+  const symmetries = [];
+  if (inX === 1) symmetries.push({ type: 'even-x', description: 'f(-x, y) = f(x, y): mirror symmetric about the plane x = 0' });
+  if (inX === -1) symmetries.push({ type: 'odd-x', description: 'f(-x, y) = -f(x, y)' });
+  if (inY === 1) symmetries.push({ type: 'even-y', description: 'f(x, -y) = f(x, y): mirror symmetric about the plane y = 0' });
+  if (inY === -1) symmetries.push({ type: 'odd-y', description: 'f(x, -y) = -f(x, y)' });
+  // Reflecting both only adds something when neither reflection alone did
+  if (inX === 0 && both === 1) symmetries.push({ type: 'half-turn', description: 'f(-x, -y) = f(x, y): unchanged by a half turn about the z-axis' });
+  if (inX === 0 && both === -1) symmetries.push({ type: 'origin', description: 'f(-x, -y) = -f(x, y): point symmetric about the origin' });
+  const swapped = node.transform((n, path, parent) => (n.isSymbolNode && ['x', 'y'].includes(n.name) && !(parent && parent.isFunctionNode && path === 'fn')
+    ? new SymbolNode(n.name === 'x' ? 'y' : 'x')
+    : n));
+  if (sameExpression(swapped, node)) symmetries.push({ type: 'swap', description: 'f(y, x) = f(x, y): mirror symmetric about the plane y = x' });
+  return symmetries;
+};
+
+// NODE.JS CONCEPT: Solving ∇f = 0
+const within = (value, [lo, hi]) => value >= lo - SAME_POINT && value <= hi + SAME_POINT;
+
+// Zeros of a one-variable expression inside the range, or null when it vanishes identically
+const zerosOn = (expression, variable, range) => {
+  const node = simplifyNode(expression);
+  if (!dependsOn(node, variable)) {
+    const value = evaluateNumber(node);
+    return value !== null && Math.abs(value) < DEGENERATE_TOLERANCE ? null : [];
+  }
+  return criticalPoints(node.toString(), variable).zeros.filter((p) => within(p.value, range));
+};
+
+const coordinate = (name, value, text) => ({ [name]: value, [`${name}Text`]: text });
+
+// exp(u) and e^u are never 0, so they drop out of a product set equal to 0
+const neverZero = (factor) => (factor.isFunctionNode && factor.fn.name === 'exp') ||
+  (factor.isOperatorNode && factor.fn === 'pow' && factor.args[0].isSymbolNode && factor.args[0].name === 'e');
+
+// Eliminate one variable: an equation in a single variable is solved and substituted into the other, an equation
+// linear in a variable (constant coefficient) is solved for it, and a product splits into one case per factor.
+// Returns null when none of these applies, and complete: false when only some factors could be solved.
+const eliminate = (equations, domain) => {
+  let partial = null;
+  for (const [equation, other] of [equations, [...equations].reverse()]) {
+    const factors = getFactors(simplifyNode(equation)).numerator.filter((f) => (dependsOn(f, 'x') || dependsOn(f, 'y')) && !neverZero(f));
+    if (factors.length > 1) {
+      const cases = factors.map((factor) => eliminate([factor, other], domain)).filter(Boolean);
+      const combined = {
+        points: cases.flatMap((c) => c.points),
+        degenerate: cases.some((c) => c.degenerate),
+        complete: cases.length === factors.length && cases.every((c) => c.complete)
+      };
+      if (combined.complete) return combined;
+      if (!partial && cases.length) partial = combined;
+      continue;
+    }
+    const top = factors.length ? factors[0] : equation;
+    for (const [v, w] of [['x', 'y'], ['y', 'x']]) {
+      if (!dependsOn(top, w)) {
+        const zeros = zerosOn(top, v, domain[v]);
+        if (zeros === null) continue;
+        const found = zeros.map((z) => ({ z, rest: zerosOn(substitute(other, v, `(${z.text})`), w, domain[w]) }));
+        return {
+          points: found.flatMap(({ z, rest }) => (rest || []).map((r) => ({ ...coordinate(v, z.value, z.text), ...coordinate(w, r.value, r.text) }))),
+          degenerate: found.some(({ rest }) => rest === null),
+          complete: true
+        };
+      }
+      const slope = simplifyNode(derivative(top, v));
+      const coefficient = dependsOn(slope, 'x') || dependsOn(slope, 'y') ? null : evaluateNumber(slope);
+      if (coefficient === null || Math.abs(coefficient) < DEGENERATE_TOLERANCE) continue;
+      const solved = simplifyNode(parse(`-(${substitute(top, v, '0')}) / (${formatNumber(coefficient)})`));
+      const zeros = zerosOn(substitute(other, v, solved), w, domain[w]);
+      if (zeros === null) return { points: [], degenerate: true, complete: true };
+      return {
+        points: zeros.map((r) => {
+          const value = evaluateNumber(substitute(solved, w, `(${r.text})`));
+          return { ...coordinate(v, value, formatNumber(value)), ...coordinate(w, r.value, r.text) };
+        }).filter((p) => p[v] !== null && within(p[v], domain[v])),
+        degenerate: false,
+        complete: true
+      };
+    }
+  }
+  return partial;
+};
+
+// Newton's method on ∇f = 0 with the Hessian as Jacobian, from a grid of starting points
+const newtonSearch = ([fx, fy], [[fxx, fxy], [, fyy]], domain) => {
+  const points = [];
+  for (let i = 0; i <= NEWTON_STARTS; i++) {
+    for (let j = 0; j <= NEWTON_STARTS; j++) {
+      let x = domain.x[0] + (i * (domain.x[1] - domain.x[0])) / NEWTON_STARTS;
+      let y = domain.y[0] + (j * (domain.y[1] - domain.y[0])) / NEWTON_STARTS;
+      for (let k = 0; k < NEWTON_ITERATIONS; k++) {
+        const [gx, gy, a, b, c] = [fx, fy, fxx, fxy, fyy].map((g) => g(x, y));
+        if ([gx, gy, a, b, c].includes(null)) break;
+        const determinant = a * c - b * b;
+        if (Math.abs(determinant) < 1e-14) break;
+        const [dx, dy] = [(c * gx - b * gy) / determinant, (a * gy - b * gx) / determinant];
+        x -= dx;
+        y -= dy;
+        if (Math.hypot(dx, dy) < 1e-12 * Math.max(1, Math.abs(x), Math.abs(y))) {
+          points.push({ ...coordinate('x', x, formatNumber(x)), ...coordinate('y', y, formatNumber(y)) });
+          break;
+        }
+      }
+    }
+  }
+  return points;
+};
+
+const solveGradient = (gradient, hessian, domain) => {
+  try {
+    const result = solveLinearSystem(gradient.map((g) => g.toString()), ['x', 'y'], []);
+    const points = result.classification === 'unique'
+      ? [{ ...coordinate('x', result.values.x, result.solution.x), ...coordinate('y', result.values.y, result.solution.y) }]
+      : [];
+    return { method: 'linear', points, degenerate: result.classification === 'infinite' };
+  } catch {
+    // The gradient is not linear in x and y
+  }
+  const symbolic = eliminate(gradient, domain);
+  if (symbolic && symbolic.complete) return { method: 'symbolic', points: symbolic.points, degenerate: symbolic.degenerate };
+  // Exact points from the factors that could be solved are kept alongside the numeric ones
+  const numeric = newtonSearch(gradient.map(surfaceFunction), hessian.map((row) => row.map(surfaceFunction)), domain);
+  return symbolic
+    ? { method: 'symbolic+numeric', points: [...symbolic.points, ...numeric], degenerate: symbolic.degenerate }
+    : { method: 'numeric', points: numeric, degenerate: false };
+};
+
+// NODE.JS CONCEPT: Second-derivative test with the Hessian determinant D = fxx*fyy - fxy^2
+const classifyPoint = (point, f, [[fxx, fxy], [, fyy]]) => {
+  const [a, b, c] = [fxx, fxy, fyy].map((g) => g(point.x, point.y));
+  const determinant = a * c - b * b;
+  const scale = Math.max(1, a * a, c * c);
+  const classification = Math.abs(determinant) < DEGENERATE_TOLERANCE * scale
+    ? 'degenerate'
+    : determinant < 0 ? 'saddle' : a > 0 ? 'minimum' : 'maximum';
+  const z = f(point.x, point.y);
+  return {
+    x: point.x,
+    y: point.y,
+    z,
+    xText: point.xText,
+    yText: point.yText,
+    zText: formatNumber(z),
+    hessianDeterminant: determinant,
+    fxx: a,
+    classification
+  };
+};
+
+// NODE.JS CONCEPT: Non-isolated critical points
+// Along a curve where ∇f = 0 the Hessian is singular and its null vector is the tangent. Step along it, pull the
+// point back onto ∇f = 0 along the other eigenvector with Newton's method, and check the gradient still vanishes
+// there. A zero Hessian has no preferred direction, so each of eight directions is tried without the correction.
+const onCriticalCurve = (point, f, [fx, fy], [[fxx, fxy], [, fyy]], domain) => {
+  const gradientVanishes = (x, y) => {
+    const [gx, gy, z] = [fx(x, y), fy(x, y), f(x, y)];
+    return within(x, domain.x) && within(y, domain.y) && ![gx, gy, z].includes(null) &&
+      Math.hypot(gx, gy) < GRADIENT_TOLERANCE * Math.max(1, Math.abs(z));
+  };
+  const [a, b, c] = [fxx, fxy, fyy].map((g) => g(point.x, point.y));
+  const step = CURVE_STEP * Math.max(domain.x[1] - domain.x[0], domain.y[1] - domain.y[0]);
+  if (Math.max(Math.abs(a), Math.abs(b), Math.abs(c)) < RANK_TOLERANCE) {
+    return Array.from({ length: 8 }, (_, k) => (k * Math.PI) / 4)
+      .some((angle) => gradientVanishes(point.x + step * Math.cos(angle), point.y + step * Math.sin(angle)));
+  }
+  const [nx, ny] = Math.hypot(a, b) >= Math.hypot(b, c) ? [a, b] : [b, c];
+  const length = Math.hypot(nx, ny);
+  const normal = [nx / length, ny / length];
+  return [1, -1].some((side) => {
+    let x = point.x - side * step * normal[1];
+    let y = point.y + side * step * normal[0];
+    for (let k = 0; k < NEWTON_ITERATIONS; k++) {
+      const [gx, gy, p, q, r] = [fx, fy, fxx, fxy, fyy].map((g) => g(x, y));
+      if ([gx, gy, p, q, r].includes(null)) return false;
+      const curvature = normal[0] * (p * normal[0] + q * normal[1]) + normal[1] * (q * normal[0] + r * normal[1]);
+      if (Math.abs(curvature) < DEGENERATE_TOLERANCE) return false;
+      const shift = (normal[0] * gx + normal[1] * gy) / curvature;
+      x -= shift * normal[0];
+      y -= shift * normal[1];
+      if (Math.abs(shift) < 1e-12 * Math.max(1, Math.abs(x), Math.abs(y))) break;
+    }
+    return Math.hypot(x - point.x, y - point.y) > step / 2 && gradientVanishes(x, y);
+  });
+};
+
 // NODE.JS CONCEPT: 3D Function Analysis
-// Analyzes 3D functions for mathematical properties
-const analyze3DFunction = async (equation, domain, parameters = {}) => {
+// Analyzes 3D functions for mathematical properties: critical points of f(x, y) classified with the Hessian,
+// and the symmetries visible in the expression tree
+const analyze3DFunction = async (equation, domain = { x: [-5, 5], y: [-5, 5] }, parameters = {}) => {
   try {
     const analysis = {
       type: 'unknown',
       symmetry: 'none',
+      symmetries: [],
       extrema: [],
+      criticalPoints: [],
       asymptotes: [],
       domain: domain,
       range: { z: [null, null] }
@@ -272,20 +554,48 @@ const analyze3DFunction = async (equation, domain, parameters = {}) => {
       analysis.type = 'quadratic';
     }
 
+    const node = parseSurface(equation, parameters);
+
     // NODE.JS CONCEPT: Symmetry analysis
-    const hasX = equation.includes('x');
-    const hasY = equation.includes('y');
-    
-    if (hasX && hasY) {
-      const xNegated = equation.replace(/\bx\b/g, '(-x)');
-      const yNegated = equation.replace(/\by\b/g, '(-y)');
-      
-      if (xNegated === equation) {
-        analysis.symmetry = 'x-axis';
-      } else if (yNegated === equation) {
-        analysis.symmetry = 'y-axis';
-      }
-    }
+    analysis.symmetries = detectSymmetries(node);
+    if (analysis.symmetries.length) analysis.symmetry = analysis.symmetries.map((s) => s.type).join(', ');
+
+    // NODE.JS CONCEPT: Gradient and Hessian
+    const gradient = ['x', 'y'].map((v) => simplifyNode(derivative(node, v)));
+    const hessian = gradient.map((g) => ['x', 'y'].map((v) => simplifyNode(derivative(g, v))));
+    analysis.gradient = { x: gradient[0].toString(), y: gradient[1].toString() };
+    analysis.hessian = hessian.map((row) => row.map((h) => h.toString()));
+
+    // NODE.JS CONCEPT: Critical points inside the domain where f is defined and ∇f really vanishes
+    const { method, points, degenerate } = solveGradient(gradient, hessian, domain);
+    const f = surfaceFunction(node);
+    const [fx, fy] = gradient.map(surfaceFunction);
+    const hessianAt = hessian.map((row) => row.map(surfaceFunction));
+    const accepted = points.filter((p, i) => within(p.x, domain.x) && within(p.y, domain.y) && f(p.x, p.y) !== null &&
+      [fx, fy].every((g) => {
+        const value = g(p.x, p.y);
+        return value !== null && Math.abs(value) < GRADIENT_TOLERANCE * Math.max(1, Math.abs(f(p.x, p.y)));
+      }) &&
+      points.findIndex((q) => Math.abs(q.x - p.x) < SAME_POINT && Math.abs(q.y - p.y) < SAME_POINT) === i)
+      .sort((a, b) => a.x - b.x || a.y - b.y);
+    // Points on a curve of critical points are collapsed into one note instead of being listed one by one
+    const classified = accepted.map((p) => classifyPoint(p, f, hessianAt));
+    const onCurve = classified.filter((p) => p.classification === 'degenerate' && onCriticalCurve(p, f, [fx, fy], hessianAt, domain));
+    const levels = [...new Set([...onCurve].sort((a, b) => a.z - b.z).map((p) => p.zText))];
+    analysis.method = method;
+    analysis.degenerate = degenerate || onCurve.length > 0;
+    analysis.criticalCurve = onCurve.length
+      ? {
+          levels,
+          through: { x: onCurve[0].x, y: onCurve[0].y, xText: onCurve[0].xText, yText: onCurve[0].yText },
+          points: onCurve.length,
+          description: `∇f = 0 along whole curves where f = ${levels.join(' or ')}, e.g. through (${onCurve[0].xText}, ${onCurve[0].yText}); ` +
+            `the Hessian is singular there, so the ${onCurve.length} points found on them are not listed one by one`
+        }
+      : null;
+    analysis.criticalPoints = classified.filter((p) => !onCurve.includes(p));
+    analysis.extrema = analysis.criticalPoints.filter((p) => p.classification === 'minimum' || p.classification === 'maximum');
+    analysis.saddlePoints = analysis.criticalPoints.filter((p) => p.classification === 'saddle');
 
     return analysis;
 
@@ -0,0 +1,40 @@
+// backend/utils/plot3dSolver.test.js
+// Regression tests for 3D analysis: critical points classified by the Hessian, curves of critical points
+// collapsed into one note, isolated degenerate points and the symmetries read from the expression
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyze3DFunction } = require("./plot3dSolver");
+
+const summary = (analysis) => analysis.criticalPoints.map((p) => `${p.classification} (${p.xText}, ${p.yText})`);
+
+test("isolated critical points are solved exactly and classified", async () => {
+  assert.deepEqual(summary(await analyze3DFunction("x^3 - 3*x*y + y^3")), ["saddle (0, 0)", "minimum (1, 1)"]);
+  const paraboloid = await analyze3DFunction("x^2 + y^2");
+  assert.deepEqual([paraboloid.method, paraboloid.degenerate, paraboloid.criticalCurve], ["linear", false, null]);
+  assert.equal((await analyze3DFunction("sin(x) + cos(y)")).criticalPoints.length, 12);
+});
+
+test("a curve of critical points is one note, not a list of Newton points", async () => {
+  const analysis = await analyze3DFunction("sin(x*y)");
+  assert.equal(analysis.degenerate, true);
+  assert.deepEqual(summary(analysis), ["saddle (0, 0)"]);
+  assert.deepEqual(analysis.criticalCurve.levels, ["-1", "1"]);
+  assert.match(analysis.criticalCurve.description, /^∇f = 0 along whole curves where f = -1 or 1, e\.g\. through \(/);
+  const ring = await analyze3DFunction("(x^2 + y^2 - 1)^2");
+  assert.deepEqual(summary(ring), ["maximum (0, 0)"]);
+  assert.deepEqual(ring.criticalCurve.levels, ["0"]);
+});
+
+test("isolated degenerate points are still listed", async () => {
+  for (const equation of ["x^4 + y^4", "x^3 - 3*x*y^2", "x^2 + y^4"]) {
+    const analysis = await analyze3DFunction(equation);
+    assert.deepEqual(summary(analysis), ["degenerate (0, 0)"], equation);
+    assert.equal(analysis.criticalCurve, null);
+  }
+});
+
+test("symmetries are read from the expression", async () => {
+  assert.equal((await analyze3DFunction("x^2 + y^2")).symmetry, "even-x, even-y, swap");
+  const odd = await analyze3DFunction("x*y^3");
+  assert.deepEqual(odd.symmetries.map((s) => s.description), ["f(-x, y) = -f(x, y)", "f(x, -y) = -f(x, y)"]);
+});
@@ -0,0 +1,307 @@
+// backend/utils/polynomial.js
+// Dense polynomial arithmetic on coefficient arrays in ascending order: [a0, a1, a2] = a0 + a1*x + a2*x^2
+const { toNode, stripParentheses, dependsOn, evaluateNumber, formatNumber, approximateFraction, isZero, gcdInteger } = require("./expressionUtils");
+
+const MAX_POWER = 64;
+
+const trimPolynomial = (coeffs) => {
+  const result = coeffs.map((c) => (isZero(c, 1e-12) ? 0 : c));
+  while (result.length > 1 && result[result.length - 1] === 0) result.pop();
+  return result.length ? result : [0];
+};
+
+const degree = (coeffs) => {
+  const trimmed = trimPolynomial(coeffs);
+  return trimmed.length === 1 && trimmed[0] === 0 ? -Infinity : trimmed.length - 1;
+};
+
+const leadingCoefficient = (coeffs) => {
+  const trimmed = trimPolynomial(coeffs);
+  return trimmed[trimmed.length - 1];
+};
+
+const polyAdd = (p, q) => trimPolynomial(Array.from({ length: Math.max(p.length, q.length) }, (_, i) => (p[i] || 0) + (q[i] || 0)));
+
+const polyScale = (p, k) => trimPolynomial(p.map((c) => c * k));
+
+const polySub = (p, q) => polyAdd(p, polyScale(q, -1));
+
+const polyMul = (p, q) => {
+  const result = new Array(p.length + q.length - 1).fill(0);
+  p.forEach((a, i) => q.forEach((b, j) => { result[i + j] += a * b; }));
+  return trimPolynomial(result);
+};
+
+const polyPow = (p, n) => {
+  let result = [1];
+  for (let i = 0; i < n; i++) result = polyMul(result, p);
+  return result;
+};
+
+const polyDivide = (numerator, denominator) => {
+  const den = trimPolynomial(denominator);
+  const denDegree = degree(den);
+  if (denDegree === -Infinity) throw new Error("Division by the zero polynomial");
+  let remainder = trimPolynomial(numerator);
+  const quotient = new Array(Math.max(1, remainder.length - den.length + 1)).fill(0);
+  while (degree(remainder) >= denDegree) {
+    const shift = degree(remainder) - denDegree;
+    const factor = leadingCoefficient(remainder) / leadingCoefficient(den);
+    quotient[shift] = factor;
+    const subtrahend = new Array(shift).fill(0).concat(den.map((c) => c * factor));
+    remainder = polySub(remainder, subtrahend);
+    // Drop the leading term explicitly to avoid floating point leftovers
+    if (remainder.length > shift + denDegree) remainder = trimPolynomial(remainder.slice(0, shift + denDegree));
+  }
+  return { quotient: trimPolynomial(quotient), remainder: trimPolynomial(remainder) };
+};
+
+const polyMonic = (p) => polyScale(p, 1 / leadingCoefficient(p));
+
+const polyGcd = (p, q) => {
+  let a = trimPolynomial(p);
+  let b = trimPolynomial(q);
+  while (degree(b) !== -Infinity) {
+    const { remainder } = polyDivide(a, b);
+    const scale = Math.max(...b.map(Math.abs));
+    a = b;
+    b = remainder.every((c) => Math.abs(c) < 1e-9 * Math.max(1, scale)) ? [0] : remainder;
+  }
+  return degree(a) === -Infinity ? [1] : polyMonic(a);
+};
+
+const polyDerivative = (p) => trimPolynomial(p.length > 1 ? p.slice(1).map((c, i) => c * (i + 1)) : [0]);
+
+const polyIntegral = (p) => trimPolynomial([0, ...p.map((c, i) => c / (i + 1))]);
+
+const polyEvaluate = (p, x) => p.reduceRight((acc, c) => acc * x + c, 0);
+
+const constantValue = (node, variable) => {
+  if (dependsOn(node, variable)) return null;
+  return evaluateNumber(node);
+};
+
+// Coefficients of a polynomial in `variable` with numeric coefficients, or null if the expression is not one
+const toPolynomial = (expr, variable) => {
+  const node = stripParentheses(toNode(expr));
+  const constant = constantValue(node, variable);
+  if (constant !== null) return isFinite(constant) ? [constant] : null;
+
+  if (node.isSymbolNode) return node.name === variable ? [0, 1] : null;
+  if (!node.isOperatorNode) return null;
+
+  const args = node.args.map((arg) => (node.fn === "pow" ? arg : toPolynomial(arg, variable)));
+  switch (node.fn) {
+    case "add":
+      return args.includes(null) ? null : args.reduce(polyAdd);
+    case "subtract":
+      return args.includes(null) ? null : polySub(args[0], args[1]);
+    case "unaryMinus":
+      return args[0] && polyScale(args[0], -1);
+    case "unaryPlus":
+      return args[0];
+    case "multiply":
+      return args.includes(null) ? null : args.reduce(polyMul);
+    case "divide": {
+      const divisor = constantValue(node.args[1], variable);
+      if (args[0] === null || divisor === null || divisor === 0) return null;
+      return polyScale(args[0], 1 / divisor);
+    }
+    case "pow": {
+      const base = toPolynomial(node.args[0], variable);
+      const exponent = constantValue(node.args[1], variable);
+      if (!base || exponent === null || !Number.isInteger(exponent) || exponent < 0 || exponent > MAX_POWER) return null;
+      return polyPow(base, exponent);
+    }
+    default:
+      return null;
+  }
+};
+
+// Numerator/denominator coefficient arrays of a rational function, reduced by their gcd
+const toRational = (expr, variable) => {
+  const build = (input) => {
+    const node = stripParentheses(toNode(input));
+    const polynomial = toPolynomial(node, variable);
+    if (polynomial) return { numerator: polynomial, denominator: [1] };
+    if (!node.isOperatorNode) return null;
+
+    if (node.fn === "pow") {
+      const base = build(node.args[0]);
+      const exponent = constantValue(node.args[1], variable);
+      if (!base || exponent === null || !Number.isInteger(exponent) || Math.abs(exponent) > MAX_POWER) return null;
+      const up = polyPow(base.numerator, Math.abs(exponent));
+      const down = polyPow(base.denominator, Math.abs(exponent));
+      return exponent >= 0 ? { numerator: up, denominator: down } : { numerator: down, denominator: up };
+    }
+
+    const parts = node.args.map(build);
+    if (parts.includes(null)) return null;
+    switch (node.fn) {
+      case "add":
+      case "subtract": {
+        const sign = node.fn === "subtract" ? -1 : 1;
+        return parts.reduce((acc, part, index) => ({
+          numerator: polyAdd(polyMul(acc.numerator, part.denominator), polyScale(polyMul(part.numerator, acc.denominator), index === 0 ? 1 : sign)),
+          denominator: polyMul(acc.denominator, part.denominator)
+        }), { numerator: [0], denominator: [1] });
+      }
+      case "unaryMinus":
+        return { numerator: polyScale(parts[0].numerator, -1), denominator: parts[0].denominator };
+      case "unaryPlus":
+        return parts[0];
+      case "multiply":
+        return parts.reduce((acc, part) => ({
+          numerator: polyMul(acc.numerator, part.numerator),
+          denominator: polyMul(acc.denominator, part.denominator)
+        }));
+      case "divide":
+        if (degree(parts[1].numerator) === -Infinity) return null;
+        return {
+          numerator: polyMul(parts[0].numerator, parts[1].denominator),
+          denominator: polyMul(parts[0].denominator, parts[1].numerator)
+        };
+      default:
+        return null;
+    }
+  };
+
+  const rational = build(expr);
+  if (!rational) return null;
+  const common = polyGcd(rational.numerator, rational.denominator);
+  const numerator = degree(common) > 0 ? polyDivide(rational.numerator, common).quotient : rational.numerator;
+  const denominator = degree(common) > 0 ? polyDivide(rational.denominator, common).quotient : rational.denominator;
+  // Normalise so the denominator is monic
+  const lead = leadingCoefficient(denominator);
+  return { numerator: polyScale(numerator, 1 / lead), denominator: polyScale(denominator, 1 / lead) };
+};
+
+// a*x + b with a != 0 -> { a, b }
+const linearCoefficients = (expr, variable) => {
+  const polynomial = toPolynomial(expr, variable);
+  if (!polynomial || degree(polynomial) !== 1) return null;
+  return { a: polynomial[1], b: polynomial[0] };
+};
+
+const formatMonomial = (variable, power) => (power === 0 ? "" : power === 1 ? variable : `${variable}^${power}`);
+
+// Render coefficients as a mathjs-parsable string, highest degree first: "x^3/3 - 2*x + 1"
+const polyToString = (coeffs, variable) => {
+  const p = trimPolynomial(coeffs);
+  if (degree(p) === -Infinity) return "0";
+  const variableText = /^[\p{L}\w]+$/u.test(variable) ? variable : `(${variable})`;
+  const parts = [];
+  for (let power = p.length - 1; power >= 0; power--) {
+    const c = p[power];
+    if (c === 0) continue;
+    const monomial = formatMonomial(variableText, power);
+    const magnitude = formatNumber(Math.abs(c));
+    let term;
+    if (!monomial) {
+      term = magnitude;
+    } else if (magnitude === "1") {
+      term = monomial;
+    } else if (/^\d+\/\d+$/.test(magnitude)) {
+      const [num, den] = magnitude.split("/");
+      term = `${num === "1" ? "" : `${num}*`}${monomial}/${den}`;
+    } else {
+      term = `${magnitude}*${monomial}`;
+    }
+    parts.push({ negative: c < 0, term });
+  }
+  return parts
+    .map(({ negative, term }, index) => (index === 0 ? `${negative ? "-" : ""}${term}` : `${negative ? " - " : " + "}${term}`))
+    .join("");
+};
+
+const divisors = (n) => {
+  const result = [];
+  const target = Math.abs(n);
+  for (let d = 1; d * d <= target; d++) {
+    if (target % d === 0) {
+      result.push(d);
+      if (d * d !== target) result.push(target / d);
+    }
+  }
+  return result;
+};
+
+// Scale a polynomial with rational coefficients to one with integer coefficients, or null
+const toIntegerCoefficients = (coeffs) => {
+  let scale = 1;
+  for (const c of coeffs) {
+    const fraction = approximateFraction(c * scale, 10000);
+    if (!fraction) return null;
+    scale *= fraction.denominator;
+    if (scale > 1e9) return null;
+  }
+  const scaled = coeffs.map((c) => Math.round(c * scale));
+  const common = scaled.reduce((acc, c) => gcdInteger(acc, c), 0) || 1;
+  return scaled.map((c) => c / common);
+};
+
+// Deflate p by (x - r) using synthetic division
+const deflate = (p, root) => {
+  const { quotient } = polyDivide(p, [-root, 1]);
+  return quotient;
+};
+
+// Rational roots (with multiplicity) found with the rational root theorem; `remaining` is the unfactored part
+const rationalRoots = (coeffs) => {
+  let remaining = trimPolynomial(coeffs);
+  const roots = [];
+  const addRoot = (value) => {
+    const existing = roots.find((r) => Math.abs(r.value - value) < 1e-9);
+    if (existing) existing.multiplicity++;
+    else roots.push({ value, multiplicity: 1 });
+  };
+
+  while (degree(remaining) > 0 && isZero(remaining[0], 1e-12)) {
+    addRoot(0);
+    remaining = trimPolynomial(remaining.slice(1));
+  }
+
+  let found = true;
+  while (found && degree(remaining) > 0) {
+    found = false;
+    const integer = toIntegerCoefficients(remaining);
+    if (!integer) break;
+    const constant = integer[0];
+    const lead = integer[integer.length - 1];
+    if (Math.abs(constant) > 1e12 || Math.abs(lead) > 1e12) break;
+    const candidates = [];
+    divisors(constant).forEach((p) => divisors(lead).forEach((q) => candidates.push(p / q, -p / q)));
+    for (const candidate of candidates.sort((a, b) => Math.abs(a) - Math.abs(b) || a - b)) {
+      if (Math.abs(polyEvaluate(integer, candidate)) < 1e-9 * Math.max(1, ...integer.map(Math.abs))) {
+        addRoot(candidate);
+        remaining = deflate(remaining, candidate);
+        found = true;
+        break;
+      }
+    }
+  }
+  return { roots: roots.sort((a, b) => a.value - b.value), remaining };
+};
+
+module.exports = {
+  trimPolynomial,
+  degree,
+  leadingCoefficient,
+  polyAdd,
+  polySub,
+  polyScale,
+  polyMul,
+  polyPow,
+  polyDivide,
+  polyMonic,
+  polyGcd,
+  polyDerivative,
+  polyIntegral,
+  polyEvaluate,
+  toPolynomial,
+  toRational,
+  linearCoefficients,
+  polyToString,
+  toIntegerCoefficients,
+  rationalRoots
+};
@@ -0,0 +1,320 @@
+// backend/utils/seriesSolver.js
+// Taylor and Maclaurin polynomials built term by term from repeated derivatives, with a Lagrange remainder bound
+const { addStep } = require("./solverHelpers");
+const {
+  normalizeFunctions,
+  tidy,
+  simplifyNode,
+  dependsOn,
+  substitute,
+  evaluateNumber,
+  numericFunction,
+  formatNumber,
+  isExactText,
+  gcdInteger
+} = require("./expressionUtils");
+const { differentiateWithSteps } = require("./derivativeSolver");
+
+const MAX_ORDER = 20;
+const BOUND_SAMPLES = 400;
+const GRAPH_HALF_WIDTH = 5;
+// Symbolic derivatives are slow and grow quickly (tan, e^(x^2)); past this order or this many nodes
+// the coefficients come from series arithmetic instead
+const MAX_SHOWN_ORDER = 6;
+const MAX_SHOWN_NODES = 24;
+// Without series arithmetic to fall back on, stop differentiating symbolically past this size
+const MAX_DERIVATIVE_NODES = 80;
+
+const factorial = (n) => (n <= 1 ? 1 : n * factorial(n - 1));
+
+const nodeCount = (node) => node.filter(() => true).length;
+
+// Truncated power series: [c0, c1, ..., c(n-1)] are the coefficients of f(a + h) in powers of h.
+// Each operation returns null where the series does not exist (a zero divisor, log of 0, a fractional power of 0)
+
+const seriesConstant = (value, length) => [value, ...Array(length - 1).fill(0)];
+const seriesAdd = (a, b, sign = 1) => a.map((c, k) => c + sign * b[k]);
+const seriesNegate = (a) => a && a.map((c) => -c);
+
+const seriesMultiply = (a, b) => a.map((_, k) => {
+  let sum = 0;
+  for (let j = 0; j <= k; j++) sum += a[j] * b[k - j];
+  return sum;
+});
+
+const seriesDivide = (a, b) => {
+  if (!a || !b || b[0] === 0) return null;
+  const quotient = [];
+  a.forEach((c, k) => {
+    let sum = c;
+    for (let j = 1; j <= k; j++) sum -= b[j] * quotient[k - j];
+    quotient.push(sum / b[0]);
+  });
+  return quotient;
+};
+
+// The last coefficient of a derivative is unknown after truncation; integrating drops it again
+const seriesDerivative = (a) => [...a.slice(1).map((c, k) => c * (k + 1)), 0];
+const seriesIntegrate = (value, derivative) => (derivative ? [value, ...derivative.slice(0, -1).map((c, k) => c / (k + 1))] : null);
+
+// exp(u): e_k = (1/k) Σ j·u_j·e_(k-j)
+const seriesExp = (a) => a.reduce((e, _, k) => {
+  if (k === 0) return [Math.exp(a[0])];
+  let sum = 0;
+  for (let j = 1; j <= k; j++) sum += j * a[j] * e[k - j];
+  return [...e, sum / k];
+}, []);
+
+// [sin(u), cos(u)], or [sinh(u), cosh(u)] with sign = 1
+const seriesSinCos = (a, sign = -1) => {
+  const [s, c] = sign < 0 ? [[Math.sin(a[0])], [Math.cos(a[0])]] : [[Math.sinh(a[0])], [Math.cosh(a[0])]];
+  for (let k = 1; k < a.length; k++) {
+    let [sumS, sumC] = [0, 0];
+    for (let j = 1; j <= k; j++) {
+      sumS += j * a[j] * c[k - j];
+      sumC += j * a[j] * s[k - j];
+    }
+    s.push(sumS / k);
+    c.push((sign * sumC) / k);
+  }
+  return [s, c];
+};
+
+const seriesLog = (a) => (a[0] > 0 ? seriesIntegrate(Math.log(a[0]), seriesDivide(seriesDerivative(a), a)) : null);
+
+// u^r for a constant r: repeated squaring for whole powers, otherwise p_k = (1/(k·u_0)) Σ ((r + 1)j - k)·u_j·p_(k-j)
+const seriesPower = (a, r) => {
+  if (Number.isInteger(r) && r >= 0) {
+    let [result, base, n] = [seriesConstant(1, a.length), a, r];
+    while (n > 0) {
+      if (n % 2) result = seriesMultiply(result, base);
+      base = seriesMultiply(base, base);
+      n = Math.floor(n / 2);
+    }
+    return result;
+  }
+  const first = Math.pow(a[0], r);
+  if (a[0] === 0 || !isFinite(first)) return null;
+  const p = [first];
+  for (let k = 1; k < a.length; k++) {
+    let sum = 0;
+    for (let j = 1; j <= k; j++) sum += ((r + 1) * j - k) * a[j] * p[k - j];
+    p.push(sum / (k * a[0]));
+  }
+  return p;
+};
+
+// Functions given by their value at u_0 and the series of their derivative in u
+const INVERSE_FUNCTIONS = {
+  atan: (a) => [Math.atan(a[0]), seriesPower(seriesAdd(seriesConstant(1, a.length), seriesMultiply(a, a)), -1)],
+  asin: (a) => [Math.asin(a[0]), seriesPower(seriesAdd(seriesConstant(1, a.length), seriesMultiply(a, a), -1), -0.5)],
+  acos: (a) => [Math.acos(a[0]), seriesNegate(seriesPower(seriesAdd(seriesConstant(1, a.length), seriesMultiply(a, a), -1), -0.5))],
+  asinh: (a) => [Math.asinh(a[0]), seriesPower(seriesAdd(seriesConstant(1, a.length), seriesMultiply(a, a)), -0.5)],
+  acosh: (a) => [Math.acosh(a[0]), seriesPower(seriesAdd(seriesMultiply(a, a), seriesConstant(1, a.length), -1), -0.5)],
+  atanh: (a) => [Math.atanh(a[0]), seriesPower(seriesAdd(seriesConstant(1, a.length), seriesMultiply(a, a), -1), -1)]
+};
+
+const seriesFunction = (name, args) => {
+  const [a] = args;
+  const one = seriesConstant(1, a.length);
+  switch (name) {
+    case "exp": return seriesExp(a);
+    case "log": return args.length === 2 ? seriesDivide(seriesLog(a), seriesLog(args[1])) : seriesLog(a);
+    case "log10": return seriesLog(a) && seriesLog(a).map((c) => c / Math.LN10);
+    case "log2": return seriesLog(a) && seriesLog(a).map((c) => c / Math.LN2);
+    case "sqrt": return seriesPower(a, 0.5);
+    case "cbrt": return a[0] < 0 ? seriesNegate(seriesPower(seriesNegate(a), 1 / 3)) : seriesPower(a, 1 / 3);
+    case "abs": return a[0] === 0 ? null : a[0] > 0 ? a : seriesNegate(a);
+    case "sin": return seriesSinCos(a)[0];
+    case "cos": return seriesSinCos(a)[1];
+    case "tan": return seriesDivide(...seriesSinCos(a));
+    case "cot": return seriesDivide(...seriesSinCos(a).reverse());
+    case "sec": return seriesDivide(one, seriesSinCos(a)[1]);
+    case "csc": return seriesDivide(one, seriesSinCos(a)[0]);
+    case "sinh": return seriesSinCos(a, 1)[0];
+    case "cosh": return seriesSinCos(a, 1)[1];
+    case "tanh": return seriesDivide(...seriesSinCos(a, 1));
+    case "coth": return seriesDivide(...seriesSinCos(a, 1).reverse());
+    case "sech": return seriesDivide(one, seriesSinCos(a, 1)[1]);
+    case "csch": return seriesDivide(one, seriesSinCos(a, 1)[0]);
+    default: {
+      if (!INVERSE_FUNCTIONS[name]) return null;
+      const [value, derivative] = INVERSE_FUNCTIONS[name](a);
+      return isFinite(value) && derivative ? seriesIntegrate(value, seriesMultiply(derivative, seriesDerivative(a))) : null;
+    }
+  }
+};
+
+// Series of node around variable = center with the given number of coefficients, or null
+const seriesOf = (node, variable, center, length) => {
+  if (!dependsOn(node, variable)) {
+    const value = evaluateNumber(node);
+    return value === null || !isFinite(value) ? null : seriesConstant(value, length);
+  }
+  if (node.isParenthesisNode) return seriesOf(node.content, variable, center, length);
+  if (node.isSymbolNode) return seriesConstant(center, length).map((c, k) => (k === 1 ? 1 : c));
+  if (!node.isOperatorNode && !node.isFunctionNode) return null;
+
+  if (node.isOperatorNode && node.fn === "pow") {
+    const [base, exponent] = node.args;
+    const baseSeries = seriesOf(base, variable, center, length);
+    if (!dependsOn(exponent, variable)) {
+      const r = evaluateNumber(exponent);
+      return baseSeries && r !== null ? seriesPower(baseSeries, r) : null;
+    }
+    // u^v = e^(v·ln u)
+    const exponentSeries = seriesOf(exponent, variable, center, length);
+    const logBase = baseSeries && seriesLog(baseSeries);
+    return exponentSeries && logBase ? seriesExp(seriesMultiply(exponentSeries, logBase)) : null;
+  }
+
+  const args = node.args.map((arg) => seriesOf(arg, variable, center, length));
+  if (args.some((a) => !a)) return null;
+  if (node.isFunctionNode) return seriesFunction(node.fn.name, args);
+  switch (node.fn) {
+    case "add": return args.reduce((sum, a) => seriesAdd(sum, a));
+    case "subtract": return seriesAdd(args[0], args[1], -1);
+    case "multiply": return args.reduce(seriesMultiply);
+    case "divide": return seriesDivide(args[0], args[1]);
+    case "unaryMinus": return seriesNegate(args[0]);
+    case "unaryPlus": return args[0];
+    default: return null;
+  }
+};
+
+// f^(k)(x) from the series of f around x; null where it does not exist
+const seriesDerivativeAt = (node, variable, x, k) => {
+  const series = seriesOf(node, variable, x, k + 1);
+  const value = series && series[k] * factorial(k);
+  return series && isFinite(value) ? value : null;
+};
+
+// f(x), f'(x), f''(x), f^(3)(x), ...
+const derivativeName = (k, argument) => `f${k === 0 ? "" : k <= 2 ? "'".repeat(k) : `^(${k})`}(${argument})`;
+
+// f^(k)(a) / k! kept exact: rational values are divided as fractions (1/5040 rather than a decimal),
+// and multiples of e such as e^x at a = 1 are written with e
+const coefficientText = (value, k) => {
+  const valueText = formatNumber(value);
+  const rational = valueText.match(/^(-?\d+)(?:\/(\d+))?$/);
+  if (rational) {
+    const numerator = Number(rational[1]);
+    const denominator = Number(rational[2] || 1) * factorial(k);
+    const common = gcdInteger(Math.abs(numerator), denominator) || 1;
+    return denominator === common ? String(numerator / common) : `${numerator / common}/${denominator / common}`;
+  }
+  if (isExactText(valueText)) return formatNumber(value / factorial(k));
+  const multiple = formatNumber(value / Math.E);
+  if (/^-?\d+$/.test(multiple) && multiple !== "0") {
+    const e = `${multiple === "1" ? "" : multiple === "-1" ? "-" : `${multiple}*`}e`;
+    return factorial(k) === 1 ? e : `${e}/${factorial(k)}`;
+  }
+  return formatNumber(value / factorial(k));
+};
+
+const isIdenticallyZero = (node) => node.isConstantNode && node.value === 0;
+
+// Largest |g| found by sampling [lo, hi]; null when g is undefined or infinite somewhere on it
+const sampledMaximum = (g, lo, hi) => {
+  let largest = 0;
+  for (let i = 0; i <= BOUND_SAMPLES; i++) {
+    const value = g(lo + ((hi - lo) * i) / BOUND_SAMPLES);
+    if (value === null || !isFinite(value)) return null;
+    largest = Math.max(largest, Math.abs(value));
+  }
+  return largest;
+};
+
+const taylorSeries = (func, variable, centerText, order, radius, steps) => {
+  if (!Number.isInteger(order) || order < 0 || order > MAX_ORDER) throw new Error(`The order must be a whole number from 0 to ${MAX_ORDER}`);
+  const center = evaluateNumber(normalizeFunctions(centerText));
+  if (center === null || !isFinite(center)) throw new Error(`The center ${centerText} must be a real number`);
+  const centerLabel = formatNumber(center);
+  const node = tidy(normalizeFunctions(func));
+  const name = center === 0 ? "Maclaurin" : "Taylor";
+
+  addStep(steps, `${name} polynomial setup`, `P${order}(${variable}) = Σ f^(k)(${centerLabel}) / k! · (${variable} - ${centerLabel})^k for k = 0..${order}`,
+    center === 0 ? "A Taylor polynomial centred at 0 is called a Maclaurin polynomial" : `Expand f around ${variable} = ${centerLabel}`);
+
+  // (x - a)^k with the sign of a folded in
+  const base = center === 0 ? variable : `(${variable} ${center < 0 ? "+" : "-"} ${formatNumber(Math.abs(center))})`;
+  const power = (k) => (k === 1 ? base : `${base}^${k}`);
+  const termText = (magnitude, k) => {
+    if (k === 0) return magnitude;
+    if (magnitude === "1") return power(k);
+    const unitFraction = magnitude.match(/^(1|e)\/(\d+)$/);
+    if (unitFraction) return `${unitFraction[1] === "1" ? "" : "e*"}${power(k)}/${unitFraction[2]}`;
+    return magnitude === "e" ? `e*${power(k)}` : `${magnitude}*${power(k)}`;
+  };
+
+  const coefficients = [];
+  const terms = [];
+  // Symbolic derivatives are shown while they stay small; after that current is null and the values come from the series
+  const series = seriesOf(node, variable, center, order + 1);
+  let current = node;
+  for (let k = 0; k <= order; k++) {
+    if (k > 0 && current && series && (k > MAX_SHOWN_ORDER || nodeCount(current) > MAX_SHOWN_NODES)) {
+      current = null;
+      addStep(steps, "Power series arithmetic", `${derivativeName(k, variable)} and later derivatives are not written out`,
+        `${k > MAX_SHOWN_ORDER ? `Derivatives are written out up to order ${MAX_SHOWN_ORDER}` : `${derivativeName(k - 1, variable)} already has more than ${MAX_SHOWN_NODES} nodes`}, so the remaining coefficients are read from the truncated power series of f around ${variable} = ${centerLabel}`);
+    } else if (k > 0 && current) {
+      const size = nodeCount(current);
+      if (size > MAX_DERIVATIVE_NODES) {
+        throw new Error(`${derivativeName(k - 1, variable)} is already too large to differentiate again (${size} nodes, the limit is ${MAX_DERIVATIVE_NODES}); ask for order ${k - 1} or lower`);
+      }
+      current = simplifyNode(differentiateWithSteps(current, variable, null).node);
+    }
+    const value = current ? evaluateNumber(current, { [variable]: center }) : series[k] * factorial(k);
+    if (value === null || !isFinite(value)) {
+      throw new Error(`${derivativeName(k, variable)}${current ? ` = ${current.toString()}` : ""} is undefined at ${variable} = ${centerLabel}, so f has no Taylor polynomial of order ${order} there`);
+    }
+    const coefficient = value / factorial(k);
+    const text = coefficientText(value, k);
+    const magnitude = text.replace(/^-/, "");
+    coefficients.push({ order: k, value: coefficient, text });
+    const term = coefficient === 0 || magnitude === "0" ? null : { text: termText(magnitude, k), negative: coefficient < 0 };
+    if (term) terms.push(term);
+    addStep(steps, `Term ${k}`,
+      `${current ? `${derivativeName(k, variable)} = ${current.toString()}, ` : ""}${derivativeName(k, centerLabel)} = ${formatNumber(value)}, term = ${term ? `${term.negative ? "-" : ""}${term.text}` : "0"}`,
+      k === 0 ? "The constant term is f evaluated at the center" : `Divide the ${k}${k === 1 ? "st" : k === 2 ? "nd" : k === 3 ? "rd" : "th"} derivative at the center by ${k}! = ${factorial(k)}`);
+  }
+  const polynomial = terms.length
+    ? terms.map(({ text, negative }, index) => (index === 0 ? `${negative ? "-" : ""}${text}` : `${negative ? " - " : " + "}${text}`)).join("")
+    : "0";
+  addStep(steps, `${name} polynomial`, `P${order}(${variable}) = ${polynomial}`, "Add the terms");
+
+  // Lagrange form: |R_n(x)| ≤ M |x - a|^(n+1) / (n+1)! with M bounding |f^(n+1)| between a and x
+  const next = current && simplifyNode(differentiateWithSteps(current, variable, null).node);
+  const nextAt = next ? numericFunction(next, variable) : (x) => seriesDerivativeAt(node, variable, x, order + 1);
+  const largest = next && isIdenticallyZero(next) ? 0 : sampledMaximum(nextAt, center - radius, center + radius);
+  let remainder;
+  if (largest === 0) {
+    remainder = { exact: true, bound: 0, radius: null };
+    addStep(steps, "Remainder", `${derivativeName(order + 1, variable)} = 0, so R${order}(${variable}) = 0`, "f is a polynomial of degree at most the order, so the expansion is exact");
+  } else if (largest === null) {
+    remainder = null;
+    addStep(steps, "Remainder", next ? `${derivativeName(order + 1, variable)} = ${next.toString()}` : `${derivativeName(order + 1, variable)} near ${variable} = ${centerLabel}`,
+      `${derivativeName(order + 1, variable)} is not bounded on |${variable} - ${centerLabel}| ≤ ${formatNumber(radius)}, so no Lagrange bound is available there`);
+  } else {
+    const bound = (largest * radius ** (order + 1)) / factorial(order + 1);
+    remainder = { exact: false, bound, radius, maximum: largest };
+    addStep(steps, "Remainder bound",
+      `|R${order}(${variable})| ≤ M·|${variable} - ${centerLabel}|^${order + 1} / ${order + 1}! ≤ ${parseFloat(bound.toPrecision(6))} for |${variable} - ${centerLabel}| ≤ ${formatNumber(radius)}`,
+      `Lagrange remainder with M = max |${derivativeName(order + 1, variable)}| ≈ ${parseFloat(largest.toPrecision(6))} on that interval (found by sampling)`);
+  }
+
+  // The graph page plots functions of x
+  const inX = (expression) => (variable === "x" ? expression : substitute(expression, variable, "x").toString());
+  const graph = {
+    equation: inX(node.toString()),
+    overlays: [{ equation: inX(polynomial), label: `${name} polynomial P${order}` }],
+    domain: [center - GRAPH_HALF_WIDTH, center + GRAPH_HALF_WIDTH].map((v) => parseFloat(v.toFixed(2))),
+    markers: [{ x: center, label: `${variable} = ${centerLabel}` }]
+  };
+
+  return { polynomial, coefficients, remainder, center, graph };
+};
+
+module.exports = {
+  taylorSeries
+};
@@ -0,0 +1,48 @@
+// backend/utils/seriesSolver.test.js
+// Regression tests for Taylor polynomials: exact coefficients, the Lagrange remainder, and high orders
+// that are read from power series arithmetic instead of ever larger symbolic derivatives
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { taylorSeries } = require("./seriesSolver");
+
+const taylor = (func, center, order, steps = [], radius = 1) => taylorSeries(func, "x", center, order, radius, steps);
+
+test("low orders write out every derivative", () => {
+  const steps = [];
+  const result = taylor("sin(x)", "0", 5, steps);
+  assert.equal(result.polynomial, "x - x^3/6 + x^5/120");
+  assert.equal(steps.find((s) => s.description === "Term 3").expression, "f^(3)(x) = -cos(x), f^(3)(0) = -1, term = -x^3/6");
+  assert.ok(!steps.some((s) => s.description === "Power series arithmetic"));
+  assert.ok(Math.abs(result.remainder.bound - Math.sin(1) / 720) < 1e-12);
+});
+
+test("polynomials are reproduced exactly around any center", () => {
+  const result = taylor("x^3 + 2*x", "1", 5);
+  assert.equal(result.polynomial, "3 + 5*(x - 1) + 3*(x - 1)^2 + (x - 1)^3");
+  assert.deepEqual(result.remainder, { exact: true, bound: 0, radius: null });
+});
+
+test("order 20 of tan(x) and e^(x^2) finishes quickly with exact coefficients", () => {
+  const started = Date.now();
+  const steps = [];
+  const tan = taylor("tan(x)", "0", 20, steps);
+  assert.match(tan.polynomial, /^x \+ x\^3\/3 \+ 2\/15\*x\^5 \+ 17\/315\*x\^7 \+ 62\/2835\*x\^9 \+ 1382\/155925\*x\^11 /);
+  assert.match(tan.polynomial, / \+ 443861162\/1856156927625\*x\^19$/);
+  assert.equal(steps.find((s) => s.description === "Term 19").expression, "f^(19)(0) = 29088885112832, term = 443861162/1856156927625*x^19");
+  assert.ok(steps.some((s) => s.description === "Power series arithmetic"));
+  assert.equal(taylor("e^(x^2)", "0", 20).polynomial,
+    "1 + x^2 + x^4/2 + x^6/6 + x^8/24 + x^10/120 + x^12/720 + x^14/5040 + x^16/40320 + x^18/362880 + x^20/3628800");
+  assert.ok(Date.now() - started < 3000, "high orders should not differentiate symbolically");
+});
+
+test("series coefficients cover inverse functions, quotients and other centers", () => {
+  assert.equal(taylor("atan(x)", "0", 11).polynomial, "x - x^3/3 + x^5/5 - x^7/7 + x^9/9 - x^11/11");
+  assert.equal(taylor("1/(1 - x)", "0", 10).polynomial, "1 + x + x^2 + x^3 + x^4 + x^5 + x^6 + x^7 + x^8 + x^9 + x^10");
+  assert.match(taylor("e^x", "1", 9).polynomial, /^e \+ e\*\(x - 1\) \+ e\*\(x - 1\)\^2\/2 .* \+ e\*\(x - 1\)\^9\/362880$/);
+});
+
+test("singular centers and unbounded remainders", () => {
+  assert.throws(() => taylor("sqrt(x)", "0", 3), /^Error: f'\(x\) = .* is undefined at x = 0/);
+  assert.equal(taylor("log(x)", "1", 20, [], 2).remainder, null);
+  assert.throws(() => taylor("sin(x)", "0", 21), /from 0 to 20/);
+});
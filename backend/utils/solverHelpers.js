@@ -0,0 +1,42 @@
+// backend/utils/solverHelpers.js
+// Step and result builders shared by every solver module
+
+const createStep = (step, description, expression, explanation) => ({
+  step,
+  description,
+  expression,
+  explanation
+});
+
+// `details` carries optional structured data for the step, such as a matrix to render
+const addStep = (steps, description, expression, explanation, details) => {
+  steps.push({ ...details, ...createStep(steps.length + 1, description, expression, explanation) });
+};
+
+// Append steps recorded in a scratch list, renumbering them after the existing ones
+const appendSteps = (steps, extra) => {
+  extra.forEach(({ description, expression, explanation, ...details }) => addStep(steps, description, expression, explanation, details));
+};
+
+const createSuccessResult = (steps, finalAnswer, type) => ({
+  steps,
+  finalAnswer,
+  type,
+  success: true
+});
+
+const createErrorResult = (type, error) => ({
+  steps: [],
+  finalAnswer: "",
+  type,
+  success: false,
+  error: error instanceof Error ? error.message : String(error)
+});
+
+module.exports = {
+  createStep,
+  addStep,
+  appendSteps,
+  createSuccessResult,
+  createErrorResult
+};
@@ -0,0 +1,1040 @@
+// backend/utils/summationSolver.js
+// sum(f, k, a, b) and product(f, k, a, b): closed forms for constant, arithmetic, power-sum, geometric and
+// telescoping cases, and the divergence, ratio, root, integral and comparison tests for infinite series
+const { parse, fraction } = require("mathjs");
+const { addStep, appendSteps } = require("./solverHelpers");
+const {
+  toNode,
+  normalizeFunctions,
+  tidy,
+  simplifyNode,
+  dependsOn,
+  substitute,
+  evaluateNumber,
+  numericFunction,
+  formatNumber,
+  isZero,
+  approximateFraction,
+  getFactors,
+  quotientNode
+} = require("./expressionUtils");
+const { trimPolynomial, degree, polyAdd, polySub, polyScale, polyPow, polyEvaluate, toPolynomial, toRational, polyToString } = require("./polynomial");
+const { decomposeRational } = require("./partialFractions");
+const { factorPolynomial } = require("./algebraSolver");
+const { evaluateLimit } = require("./limitSolver");
+const { integrateExpression } = require("./integralSolver");
+
+const INFINITE_BOUND = /^(inf|infinity|oo|∞)$/i;
+const MAX_DIRECT_TERMS = 10000;
+const MAX_POWER_SUM = 10;
+const PLOT_TERMS = 40;
+// Terms summed for a numeric estimate when an infinite series converges without a closed form
+const ESTIMATE_TERMS = 100000;
+
+const snap = (value) => {
+  const fraction = approximateFraction(value, 100000);
+  return fraction ? fraction.numerator / fraction.denominator : value;
+};
+// Negative and fractional numbers are bracketed where they multiply or are raised to a power
+const grouped = (value) => {
+  const text = formatNumber(value);
+  return /^[\d.]+$/.test(text) ? text : `(${text})`;
+};
+
+// Kahan summation: adding millions of logarithms one by one would lose the digits the mantissa needs
+const compensatedSum = () => {
+  let sum = 0;
+  let carry = 0;
+  return {
+    add: (x) => {
+      const y = x - carry;
+      const next = sum + y;
+      carry = next - sum - y;
+      sum = next;
+    },
+    value: () => sum
+  };
+};
+
+// A value past the floating-point range, from log10 of its size: "≈ 1.202423e+65657059". A double holds
+// about 15 digits of log10, and the exponent's digits come out of them
+const overflowResult = (log10, negative, steps) => {
+  const exponent = Math.floor(log10);
+  const digits = Math.min(10, 14 - String(Math.abs(exponent)).length);
+  const mantissa = parseFloat((10 ** (log10 - exponent)).toPrecision(digits));
+  const answer = `≈ ${negative ? "-" : ""}${mantissa}e${exponent < 0 ? "-" : "+"}${Math.abs(exponent)}`;
+  addStep(steps, "Beyond floating point", answer,
+    `The value is about 10^${exponent}, outside the range of floating-point numbers (about 1e-308 to 1.8e308), so it is found through its base-10 logarithm`);
+  return { answer, value: null, overflow: true };
+};
+
+// log10 of a size for overflowResult, or the value itself while it is representable
+const fromLogarithm = (log10, negative, steps) => {
+  if (Math.abs(log10) > 307) return overflowResult(log10, negative, steps);
+  const value = (negative ? -1 : 1) * 10 ** log10;
+  return { answer: formatNumber(value), value };
+};
+
+const isFactorial = (n) => (n.isOperatorNode || n.isFunctionNode) && (n.fn === "factorial" || (n.fn && n.fn.name === "factorial"));
+
+// ---- bounds ----
+
+// Upper bound: a number, ∞ or the name of a symbol such as n
+const readUpper = (text, index) => {
+  const trimmed = text.trim();
+  if (INFINITE_BOUND.test(trimmed)) return { kind: "infinite", text: "∞" };
+  const value = evaluateNumber(normalizeFunctions(trimmed));
+  if (value !== null) {
+    if (!Number.isInteger(value)) throw new Error(`The upper bound ${trimmed} must be an integer, a symbol or inf`);
+    return { kind: "number", value, text: String(value) };
+  }
+  if (/^[a-z_]\w*$/i.test(trimmed) && trimmed !== index) return { kind: "symbol", name: trimmed, text: trimmed };
+  throw new Error(`The upper bound ${trimmed} must be an integer, a single symbol such as n, or inf`);
+};
+
+const readLower = (text) => {
+  const value = evaluateNumber(normalizeFunctions(text.trim()));
+  if (value === null || !Number.isInteger(value)) throw new Error(`The lower bound ${text.trim()} must be an integer`);
+  return value;
+};
+
+// ---- sequence limits ----
+
+// lim f(k) as k → ∞ through the integers: the symbolic limit first, then samples at large even and odd k,
+// which also catches sign patterns such as (-1)^k that have no limit over the reals
+const sequenceLimit = (node, index) => {
+  // (-1)^k and similar only make sense on the integers, so the symbolic limit is skipped for them
+  const signed = node.filter((n) => n.isOperatorNode && n.fn === "pow" && dependsOn(n.args[1], index) && (evaluateNumber(n.args[0]) ?? 0) < 0).length > 0;
+  const f = numericFunction(node, index);
+  const samples = [];
+  for (let j = 4; j <= 14; j++) {
+    const even = f(2 ** j);
+    const odd = f(2 ** j + 1);
+    if (even === null || odd === null || Number.isNaN(even) || Number.isNaN(odd)) break;
+    samples.push(even, odd);
+  }
+  const tail = samples.slice(-4);
+  // An infinite symbolic limit must agree with samples that grow in size, so an oscillating ratio such as
+  // |sin(k + 1) / sin(k)| is not taken for one tending to ∞
+  const growing = tail.length === 4 && tail.every((v) => Math.abs(v) > 1) && Math.abs(tail[2]) >= Math.abs(tail[0]) && Math.abs(tail[3]) >= Math.abs(tail[1]);
+  try {
+    const limit = signed ? null : evaluateLimit(node.toString(), index, "inf", []);
+    if (limit && limit.value !== null && !limit.numeric && (isFinite(limit.value) || samples.length < 6 || growing)) return { value: limit.value, text: limit.answer };
+  } catch {
+    // fall through to sampling
+  }
+  if (samples.length < 6) return null;
+  const last = tail[tail.length - 1];
+  if (tail.every((v) => Math.abs(v) > 1e8 && Math.sign(v) === Math.sign(last))) return { value: Math.sign(last) * Infinity, text: last > 0 ? "∞" : "-∞" };
+  // Small and still shrinking in size: tending to 0, however slowly
+  if (Math.abs(last) < 1e-3 && Math.abs(tail[2]) < Math.abs(tail[0]) && Math.abs(last) < Math.abs(tail[1])) return { value: 0, text: "0" };
+  if (tail.every((v) => Math.abs(v - last) <= 1e-6 * Math.max(1, Math.abs(last)))) {
+    const value = snap(last);
+    return { value, text: formatNumber(value) };
+  }
+  // Even and odd terms settling on different values: the sequence oscillates
+  const settled = (values) => Math.abs(values[1] - values[0]) <= 1e-3 * Math.max(1, Math.abs(values[1]));
+  const [even, odd] = [[tail[0], tail[2]], [tail[1], tail[3]]];
+  const apart = Math.abs(even[1] - odd[1]) > 1e-2 * Math.max(1, Math.abs(even[1]));
+  return settled(even) && settled(odd) && apart ? { value: NaN, text: "does not exist" } : null;
+};
+
+// log of a power, and optionally of a product or quotient, as a sum of logs so that ln|a| / k becomes a plain ratio
+const expandLog = (node, products) => node.transform((n) => {
+  if (!(n.isFunctionNode && n.fn.name === "log" && n.args.length === 1)) return n;
+  const inner = n.args[0].isParenthesisNode ? n.args[0].content : n.args[0];
+  if (!inner.isOperatorNode) return n;
+  const [left, right] = inner.args.map((arg) => `log(${arg.toString()})`);
+  if (inner.fn === "pow") return expandLog(parse(`(${inner.args[1].toString()}) * log(${inner.args[0].toString()})`), products);
+  if (products && inner.fn === "multiply") return expandLog(parse(`${left} + ${right}`), products);
+  if (products && inner.fn === "divide") return expandLog(parse(`${left} - ${right}`), products);
+  return n;
+});
+
+// lim |a|^(1/k) = exp(lim ln|a| / k), from the limit engine only: sampled ln|a| overflows to ±∞ at large k
+const rootLimit = (magnitude, index) => {
+  for (const products of [false, true]) {
+    const logarithm = expandLog(parse(`log(${magnitude.toString()})`), products);
+    let limit;
+    try {
+      limit = evaluateLimit(simplifyNode(`(${logarithm.toString()}) / ${index}`).toString(), index, "inf", []);
+    } catch {
+      continue;
+    }
+    if (limit.value !== null && !Number.isNaN(limit.value)) {
+      const value = snap(Math.exp(limit.value));
+      return { value, text: value === Infinity ? "∞" : formatNumber(value) };
+    }
+  }
+  return null;
+};
+
+// f(k + 1) / f(k), with (k + 1)! written as (k + 1)·k! so that factorials cancel
+const shiftedRatio = (node, index) => {
+  const factorialArgs = node.filter(isFactorial).map((n) => n.args[0]);
+  const next = substitute(node, index, `(${index} + 1)`).transform((n) => {
+    if (!isFactorial(n)) return n;
+    for (const arg of factorialArgs) {
+      const gap = evaluateNumber(simplifyNode(`(${n.args[0].toString()}) - (${arg.toString()})`));
+      if (Number.isInteger(gap) && gap > 0 && gap <= 4) {
+        const factors = Array.from({ length: gap }, (_, j) => `(${n.args[0].toString()} - ${j})`);
+        return parse(`${factors.join(" * ")} * (${arg.toString()})!`);
+      }
+    }
+    return n;
+  });
+  return simplifyNode(`(${next.toString()}) / (${node.toString()})`);
+};
+
+// Signs of the first terms: "positive", "negative", "alternating" or "mixed"
+const signPattern = (f, a) => {
+  const signs = [];
+  for (let k = a; k < a + 40; k++) {
+    const value = f(k);
+    if (value === null || !isFinite(value)) return "mixed";
+    if (value !== 0) signs.push(Math.sign(value));
+  }
+  if (signs.every((s) => s > 0)) return "positive";
+  if (signs.every((s) => s < 0)) return "negative";
+  return signs.every((s, i) => i === 0 || s === -signs[i - 1]) ? "alternating" : "mixed";
+};
+
+// |f| for the absolute-convergence tests: (-1)^k factors become 1, an overall minus sign is dropped
+const magnitudeNode = (node, index, a, pattern) => {
+  if (pattern === "positive") return node;
+  if (pattern === "negative") return simplifyNode(`-(${node.toString()})`);
+  const stripped = node.transform((n) => (n.isOperatorNode && n.fn === "pow" && evaluateNumber(n.args[0]) === -1 ? parse("1") : n));
+  const positive = signPattern(numericFunction(stripped, index), a) === "positive";
+  return positive ? simplifyNode(stripped) : simplifyNode(`abs(${stripped.toString()})`);
+};
+
+// Eventually decreasing: checked on the integers from a onwards
+const eventuallyDecreasing = (g, a) => {
+  const values = [];
+  for (let k = a + 20; k <= a + 400; k += 20) values.push(g(k));
+  return values.every((v, i) => v !== null && isFinite(v) && (i === 0 || v <= values[i - 1] + 1e-15));
+};
+
+// ---- closed forms ----
+
+const binomial = (n, k) => {
+  let result = 1;
+  for (let j = 1; j <= k; j++) result = (result * (n - k + j)) / j;
+  return result;
+};
+
+// S_p(m) = Σ_{k=1}^{m} k^p as coefficients in m, from (m + 1)^(p+1) - 1 = Σ_{j≤p} C(p + 1, j) S_j(m)
+const powerSums = (maxPower) => {
+  const sums = [];
+  for (let p = 0; p <= maxPower; p++) {
+    let rest = polySub(polyPow([1, 1], p + 1), [1]);
+    for (let j = 0; j < p; j++) rest = polySub(rest, polyScale(sums[j], binomial(p + 1, j)));
+    sums.push(trimPolynomial(polyScale(rest, 1 / (p + 1)).map(snap)));
+  }
+  return sums;
+};
+
+// 1/6 * n * (n + 1) * (2*n + 1) -> n * (n + 1) * (2*n + 1) / 6
+const factoredText = (coeffs, variable) => {
+  try {
+    const { answer } = factorPolynomial(polyToString(coeffs, variable), variable, []);
+    const fraction = answer.match(/^(-?)(\d+)\/(\d+) \* (.+)$/);
+    if (!fraction) return answer;
+    const [, sign, numerator, denominator, rest] = fraction;
+    return `${sign}${numerator === "1" ? "" : `${numerator} * `}${rest} / ${denominator}`;
+  } catch {
+    return polyToString(coeffs, variable);
+  }
+};
+
+const sumLabel = (index, a, upper) => `Σ_{${index}=${a}}^{${upper.text}}`;
+
+// p(n) in exact rational arithmetic, so that large bounds keep every digit
+const exactValueText = (coeffs, n) => {
+  const parts = coeffs.map((c) => approximateFraction(c, 100000));
+  if (parts.includes(null)) return formatNumber(polyEvaluate(coeffs, n));
+  const x = fraction(BigInt(n));
+  return parts.reduceRight((total, { numerator, denominator }) => total.mul(x).add(fraction(numerator, denominator)), fraction(0)).toFraction();
+};
+
+// Value of a closed form at the upper bound: a number, or text in the bound's symbol
+const atUpper = (upper, polynomial) => (upper.kind === "number" ? exactValueText(polynomial, upper.value) : factoredText(polynomial, upper.name));
+
+// Polynomial terms through Faulhaber's power-sum formulas: Σ_{k=a}^{m} k^p = S_p(m) - S_p(a - 1)
+const polynomialSum = (coeffs, index, a, upper, steps) => {
+  const d = degree(coeffs);
+  if (d > MAX_POWER_SUM) return null;
+  if (upper.kind === "infinite") {
+    addStep(steps, "Polynomial terms", `${polyToString(coeffs, index)} does not tend to 0`, "A polynomial term grows without bound (or is a nonzero constant), so the series diverges");
+    return { divergent: true, answer: "The series diverges", value: Infinity };
+  }
+  const sums = powerSums(d);
+  const pieces = coeffs.map((c, p) => ({ c, p })).filter(({ c }) => c !== 0).reverse();
+  addStep(steps, "Split by linearity", `${sumLabel(index, a, upper)} (${polyToString(coeffs, index)}) = ${pieces.map(({ c, p }, i) => {
+    const magnitude = formatNumber(Math.abs(c));
+    const sign = i === 0 ? (c < 0 ? "-" : "") : c < 0 ? " - " : " + ";
+    return `${sign}${magnitude === "1" ? "" : `${magnitude}·`}Σ ${p === 0 ? "1" : p === 1 ? index : `${index}^${p}`}`;
+  }).join("")}`, "Constant factors come out of the sum, and the sum of a sum is the sum of the parts");
+  addStep(steps, "Power sums", pieces.map(({ p }) => `Σ_{${index}=1}^{m} ${p === 0 ? "1" : p === 1 ? index : `${index}^${p}`} = ${factoredText(sums[p], "m")}`).join("\n"),
+    "Faulhaber's formulas; a sum starting at a is S(m) - S(a - 1)");
+
+  const closed = trimPolynomial(coeffs.reduce((total, c, p) => polyAdd(total, polyScale(sums[p], c)), [0]).map(snap));
+  const shifted = trimPolynomial(polySub(closed, [polyEvaluate(closed, a - 1)]).map(snap));
+  if (d === 1 && upper.kind === "number") {
+    const count = upper.value - a + 1;
+    const [first, last] = [polyEvaluate(coeffs, a), polyEvaluate(coeffs, upper.value)];
+    addStep(steps, "Arithmetic series", `${count}·(${formatNumber(first)} + ${formatNumber(last)}) / 2 = ${formatNumber((count * (first + last)) / 2)}`, "Number of terms times the average of the first and last term");
+  }
+  const answer = atUpper(upper, shifted);
+  addStep(steps, "Closed form", `${sumLabel(index, a, upper)} (${polyToString(coeffs, index)}) = ${answer}`, a === 1 ? "Combine the power sums" : `Combine the power sums and subtract the terms below ${index} = ${a}`);
+  return { answer, value: upper.kind === "number" ? polyEvaluate(shifted, upper.value) : null, closed: shifted };
+};
+
+// c·r^k: a constant ratio between consecutive terms
+const geometricRatio = (node, index, a) => {
+  const ratio = shiftedRatio(node, index);
+  if (dependsOn(ratio, index)) return null;
+  const r = evaluateNumber(ratio);
+  const f = numericFunction(node, index);
+  const first = f(a);
+  if (r === null || first === null || !isFinite(r) || r === 1 || first === 0) return null;
+  // Confirm on later terms in case simplification hid a dependence on k
+  const ok = [1, 2, 5].every((j) => {
+    const value = f(a + j);
+    return value !== null && isZero(value - first * r ** j, 1e-9 * Math.max(1, Math.abs(value)));
+  });
+  return ok ? { r: snap(r), first: snap(first) } : null;
+};
+
+const geometricSum = ({ r, first }, index, a, upper, steps) => {
+  addStep(steps, "Geometric series", `ratio r = f(${index} + 1) / f(${index}) = ${formatNumber(r)}, first term f(${a}) = ${formatNumber(first)}`, "Consecutive terms have a constant ratio");
+  if (upper.kind === "infinite") {
+    if (Math.abs(r) >= 1) {
+      addStep(steps, "Divergent geometric series", `|r| = ${formatNumber(Math.abs(r))} ≥ 1`, "The terms do not tend to 0, so the series diverges");
+      return { divergent: true, answer: "The series diverges", value: r > 0 && first > 0 ? Infinity : NaN };
+    }
+    const value = first / (1 - r);
+    const answer = formatNumber(value);
+    addStep(steps, "Sum of a geometric series", `a / (1 - r) = ${formatNumber(first)} / (1 - ${grouped(r)}) = ${answer}`, `|r| < 1, so the partial sums converge`);
+    return { answer, value, test: "geometric series", absolutely: r < 0 };
+  }
+  // a(1 - r^N)/(1 - r) with N = b - a + 1 terms
+  const scale = snap(first / (1 - r));
+  if (upper.kind === "number") {
+    const count = upper.value - a + 1;
+    const value = scale * (1 - r ** count);
+    // r^N alone decides the size once it overflows
+    const overflow = [];
+    const result = isFinite(value)
+      ? { answer: formatNumber(value), value }
+      : fromLogarithm(Math.log10(Math.abs(scale)) + count * Math.log10(Math.abs(r)), (scale > 0) === (r > 0 || count % 2 === 0), overflow);
+    addStep(steps, "Finite geometric sum", `a (1 - r^N) / (1 - r) with N = ${count} terms = ${result.answer}`, "The standard geometric sum formula");
+    appendSteps(steps, overflow);
+    return result;
+  }
+  const count = polyToString([1 - a, 1], upper.name);
+  const power = `${grouped(r)}^${/^\w+$/.test(count) ? count : `(${count})`}`;
+  const magnitude = formatNumber(Math.abs(scale));
+  const difference = scale < 0 ? `${power} - 1` : `1 - ${power}`;
+  const answer = magnitude === "1" ? difference : `${magnitude} * (${difference})`;
+  addStep(steps, "Finite geometric sum", `a (1 - r^N) / (1 - r) with N = ${count} terms = ${answer}`, "The standard geometric sum formula");
+  return { answer, value: null };
+};
+
+// Rational terms whose partial fractions are A_i/(k + c_i) with integer shifts and Σ A_i = 0 telescope
+const telescopingParts = (node, index, steps) => {
+  const rational = toRational(node, index);
+  if (!rational || degree(rational.denominator) < 2 || degree(rational.numerator) >= degree(rational.denominator)) return null;
+  const scratch = [];
+  let decomposition;
+  try {
+    decomposition = decomposeRational(rational, index, scratch);
+  } catch {
+    return null;
+  }
+  const parts = decomposition.pieces.map(({ numerator, factor, power }) => {
+    if (power !== 1 || degree(factor) !== 1 || degree(numerator) > 0 || !Number.isInteger(snap(factor[0]))) return null;
+    return { coefficient: snap(numerator[0]), shift: snap(factor[0]) };
+  });
+  if (!parts.length || parts.includes(null)) return null;
+  if (!isZero(parts.reduce((sum, { coefficient }) => sum + coefficient, 0), 1e-9)) return { harmonic: true, parts, text: decomposition.answer };
+  addStep(steps, "Partial fractions", decomposition.answer, "Split the term into simple fractions");
+  return { harmonic: false, parts, text: decomposition.answer };
+};
+
+const telescopingSum = ({ parts, text }, index, a, upper, steps) => {
+  // Σ_{k=a}^{b} A/(k + c) = H(b + c) - H(a - 1 + c); with Σ A = 0 only the ends of each harmonic run survive
+  const low = Math.min(...parts.map(({ shift }) => shift));
+  const high = Math.max(...parts.map(({ shift }) => shift));
+  let lower = 0;
+  parts.forEach(({ coefficient, shift }) => {
+    for (let j = a + low; j <= a - 1 + shift; j++) lower -= coefficient / j;
+  });
+  lower = snap(lower);
+  // Coefficient of 1/(b + j) for j = low + 1 .. high
+  const tail = [];
+  for (let j = low + 1; j <= high; j++) {
+    const weight = snap(parts.filter(({ shift }) => shift >= j).reduce((sum, { coefficient }) => sum + coefficient, 0));
+    if (!isZero(weight, 1e-12)) tail.push({ j, weight });
+  }
+  addStep(steps, "Telescoping", `${sumLabel(index, a, upper)} (${text})`, "Writing out the terms, each negative fraction cancels a positive one further along; only the first and last few survive");
+
+  if (upper.kind === "infinite") {
+    const answer = formatNumber(lower);
+    addStep(steps, "Surviving terms", `S_N = ${formatNumber(lower)} + (terms in 1/(N + j)) → ${answer}`, "The trailing fractions tend to 0 as N → ∞");
+    return { answer, value: lower, test: "telescoping series" };
+  }
+  if (upper.kind === "number") {
+    const value = lower + tail.reduce((sum, { j, weight }) => sum + weight / (upper.value + j), 0);
+    const answer = formatNumber(value);
+    addStep(steps, "Surviving terms", answer, "Add the terms that do not cancel");
+    return { answer, value };
+  }
+  const pieces = [];
+  if (!isZero(lower, 1e-12)) pieces.push({ text: formatNumber(Math.abs(lower)), negative: lower < 0 });
+  tail.forEach(({ j, weight }) => {
+    const magnitude = formatNumber(Math.abs(weight));
+    const denominator = polyToString([j, 1], upper.name);
+    pieces.push({ text: `${magnitude}/${/^\w+$/.test(denominator) ? denominator : `(${denominator})`}`, negative: weight < 0 });
+  });
+  const answer = pieces.length
+    ? pieces.map(({ text: piece, negative }, i) => (i === 0 ? `${negative ? "-" : ""}${piece}` : `${negative ? " - " : " + "}${piece}`)).join("")
+    : "0";
+  addStep(steps, "Surviving terms", `${sumLabel(index, a, upper)} = ${answer}`, "The terms that do not cancel");
+  return { answer, value: null };
+};
+
+// Σ 1/k^2 = π²/6 and Σ 1/k^4 = π⁴/90 (Euler), shifted by the terms below the lower bound
+const ZETA = { 2: { value: Math.PI ** 2 / 6, text: "pi^2/6" }, 4: { value: Math.PI ** 4 / 90, text: "pi^4/90" } };
+
+const zetaSum = (node, index, a, steps) => {
+  const rational = toRational(node, index);
+  if (!rational || a < 1 || degree(rational.numerator) !== 0) return null;
+  const p = degree(rational.denominator);
+  const monomial = rational.denominator.slice(0, -1).every((c) => c === 0);
+  if (!monomial || !ZETA[p]) return null;
+  const c = rational.numerator[0];
+  let below = 0;
+  for (let k = 1; k < a; k++) below += c / k ** p;
+  below = snap(below);
+  const scale = formatNumber(c);
+  const exact = `${scale === "1" ? "" : `${scale} * `}${ZETA[p].text}${below ? ` - ${formatNumber(below)}` : ""}`;
+  const value = c * ZETA[p].value - below;
+  addStep(steps, p === 2 ? "Basel problem" : "Euler's zeta value", `Σ_{${index}=1}^{∞} 1/${index}^${p} = ${ZETA[p].text}`, below ? `Subtract the terms below ${index} = ${a}` : "Known value of the Riemann zeta function ζ(" + p + ")");
+  return { answer: exact, value };
+};
+
+// ---- convergence tests ----
+
+// Bounds on the remainder Σ_{k>N} a(k) after the partial sum S_N, as { shift, bound }: S lies within bound of
+// S_N + shift. Each test that proves convergence supplies its own
+
+// Positive decreasing terms: ∫_{N+1}^∞ g ≤ Σ_{k>N} g(k) ≤ ∫_N^∞ g, so the midpoint is added
+const integralTail = (F, atInfinity, last, pattern) => {
+  const [lo, hi] = [last + 1, last].map((t) => {
+    const value = F(t);
+    return value === null ? NaN : atInfinity - value;
+  });
+  if (!isFinite(lo) || !isFinite(hi)) return null;
+  if (pattern === "positive" || pattern === "negative") return { shift: (pattern === "positive" ? 1 : -1) * (lo + hi) / 2, bound: (hi - lo) / 2 };
+  return { shift: 0, bound: hi };
+};
+
+// Once consecutive ratios stay below ρ < 1 the remainder is at most |a(N)| ρ / (1 - ρ)
+const geometricTail = (g, last, limit) => {
+  const [previous, current] = [g(last - 1), g(last)];
+  if (current === null || !previous) return null;
+  const rho = Math.max(limit, current / previous);
+  return rho < 1 ? { shift: 0, bound: (current * rho) / (1 - rho) } : null;
+};
+
+// |a(k)| ≤ C/k^p past N gives a remainder of at most C / ((p - 1) N^(p-1)); C is read off the last term, doubled
+const powerTail = (g, last, p) => {
+  const c = 2 * last ** p * g(last);
+  return p > 1 && isFinite(c) ? { shift: 0, bound: c / ((p - 1) * last ** (p - 1)) } : null;
+};
+
+// The nearest p-series to compare with, the exponent read off the log-log slope of the terms
+const pSeriesComparison = (magnitude, g, index) => {
+  const [k1, k2] = [1e3, 1e5];
+  const [g1, g2] = [g(k1), g(k2)];
+  if (g1 === null || g2 === null || !(g1 > 0) || !(g2 > 0) || !isFinite(g1) || !isFinite(g2)) return null;
+  const slope = -(Math.log(g2) - Math.log(g1)) / (Math.log(k2) - Math.log(k1));
+  // The nearest half-integer first; a log factor (k^2 / ln k, ln k / k^2) needs an exponent between 1 and the slope
+  const nearest = slope > 8 ? 2 : Math.round(slope * 2) / 2;
+  const between = Math.round((1 + slope) / 2 * 2) / 2;
+  const exponents = [...new Set([nearest, between === 1 ? (slope > 1 ? 1.5 : 0.5) : between])].filter((p) => p > 0);
+  for (const p of exponents) {
+    const power = p === 1 ? index : `${index}^${p}`;
+    const comparison = sequenceLimit(simplifyNode(`${power} * (${magnitude.toString()})`), index);
+    if (!comparison || Number.isNaN(comparison.value)) continue;
+    const L = comparison.value;
+    let verdict = null;
+    if (L > 0 && isFinite(L)) verdict = p > 1;
+    else if (L === 0 && p > 1) verdict = true;
+    else if (L === Infinity && p <= 1) verdict = false;
+    if (verdict === null && p !== exponents[exponents.length - 1]) continue;
+    return { p, power, comparison, verdict };
+  }
+  return null;
+};
+
+// |a(k)| with its sin and cos factors replaced by 1, an upper bound since both stay within [-1, 1]; null when
+// there is no such factor
+const withoutBoundedFactors = (magnitude, index) => {
+  const inner = magnitude.isFunctionNode && magnitude.fn.name === "abs" ? magnitude.args[0] : magnitude;
+  const { numerator, denominator } = getFactors(inner);
+  const trig = (f) => f.isFunctionNode && ["sin", "cos"].includes(f.fn.name);
+  const bounded = (f) => dependsOn(f, index) && (trig(f) || (f.isOperatorNode && f.fn === "pow" && trig(f.args[0]) && evaluateNumber(f.args[1]) > 0));
+  if (!numerator.some(bounded)) return null;
+  return simplifyNode(`abs(${quotientNode(numerator.filter((f) => !bounded(f)), denominator).toString()})`);
+};
+
+const convergenceTests = (node, index, a, steps) => {
+  const f = numericFunction(node, index);
+  const pattern = signPattern(f, a);
+
+  // Divergence (n-th term) test
+  const termLimit = sequenceLimit(node, index);
+  if (termLimit && !isZero(termLimit.value || 0, 1e-6) && !Number.isNaN(termLimit.value)) {
+    addStep(steps, "Divergence test", `lim (${index} → ∞) ${node.toString()} = ${termLimit.text} ≠ 0`, "The terms do not tend to 0, so the series diverges");
+    return { converges: false, test: "divergence" };
+  }
+  if (termLimit && Number.isNaN(termLimit.value)) {
+    addStep(steps, "Divergence test", `lim (${index} → ∞) ${node.toString()} does not exist`, "The terms do not tend to 0, so the series diverges");
+    return { converges: false, test: "divergence" };
+  }
+  addStep(steps, "Divergence test", termLimit ? `lim (${index} → ∞) ${node.toString()} = 0` : `lim (${index} → ∞) ${node.toString()} could not be determined`,
+    termLimit ? "Terms tending to 0 is necessary but not sufficient; keep testing" : "Inconclusive; keep testing");
+
+  const magnitude = magnitudeNode(node, index, a, pattern);
+  const g = numericFunction(magnitude, index);
+  const absolute = pattern === "positive" ? "" : " absolutely";
+  const results = [];
+
+  // Ratio test
+  const ratio = sequenceLimit(simplifyNode(`abs(${shiftedRatio(magnitude, index).toString()})`), index);
+  if (ratio && !Number.isNaN(ratio.value)) {
+    const verdict = ratio.value < 1 - 1e-6 ? true : ratio.value > 1 + 1e-6 ? false : null;
+    addStep(steps, "Ratio test", `L = lim |a(${index}+1) / a(${index})| = ${ratio.text}`,
+      verdict === null ? "L = 1, so the ratio test is inconclusive" : verdict ? `L < 1, so the series converges${absolute}` : "L > 1, so the series diverges");
+    results.push({ test: "ratio", verdict, tail: (last) => geometricTail(g, last, ratio.value) });
+  } else {
+    addStep(steps, "Ratio test", `lim |a(${index}+1) / a(${index})| could not be determined`, "The ratio test is inconclusive here");
+  }
+
+  // Root test
+  const root = rootLimit(magnitude, index);
+  if (root) {
+    const verdict = root.value < 1 - 1e-6 ? true : root.value > 1 + 1e-6 ? false : null;
+    addStep(steps, "Root test", `L = lim |a(${index})|^(1/${index}) = ${root.text}`,
+      verdict === null ? "L = 1, so the root test is inconclusive" : verdict ? `L < 1, so the series converges${absolute}` : "L > 1, so the series diverges");
+    results.push({ test: "root", verdict, tail: (last) => geometricTail(g, last, root.value) });
+  } else {
+    addStep(steps, "Root test", `lim |a(${index})|^(1/${index}) could not be determined`, "The root test is inconclusive here");
+  }
+
+  // Integral test: positive, eventually decreasing terms
+  if (eventuallyDecreasing(g, a)) {
+    const x = index === "x" ? "t" : "x";
+    const integrand = substitute(magnitude, index, x).toString();
+    const integration = integrateExpression(integrand, x, []);
+    const improper = integration.elementary ? sequenceLimit(toNode(integration.antiderivative), x) : null;
+    if (improper && !Number.isNaN(improper.value)) {
+      const verdict = isFinite(improper.value);
+      addStep(steps, "Integral test", `∫_${a}^∞ ${integrand} d${x}: antiderivative ${integration.antiderivative} → ${improper.text} as ${x} → ∞`,
+        verdict ? `The improper integral is finite, so the series converges${absolute}` : "The improper integral diverges, so the series diverges");
+      const F = numericFunction(toNode(integration.antiderivative), x);
+      results.push({ test: "integral", verdict, tail: (last) => integralTail(F, improper.value, last, pattern) });
+    } else {
+      addStep(steps, "Integral test", `∫_${a}^∞ ${integrand} d${x}`, "No elementary antiderivative with a limit was found; inconclusive");
+    }
+  } else {
+    addStep(steps, "Integral test", "Not applicable", "The integral test needs positive terms that eventually decrease");
+  }
+
+  // Limit comparison with the p-series Σ 1/k^p, p read off the log-log slope of the terms
+  const compared = pSeriesComparison(magnitude, g, index);
+  if (compared) {
+    const { p, power, comparison, verdict } = compared;
+    const L = comparison.value;
+    addStep(steps, "Comparison test", `Compare with Σ 1/${power}: lim ${power}·|a(${index})| = ${comparison.text}`,
+      verdict === null
+        ? "The comparison is inconclusive"
+        : `${L > 0 && isFinite(L) ? "A finite positive limit means both series behave alike" : L === 0 ? "The terms are eventually smaller than a convergent p-series" : "The terms are eventually larger than a divergent p-series"}; the p-series ${p > 1 ? "converges" : "diverges"} (p ${p > 1 ? ">" : "≤"} 1), so this series ${verdict ? `converges${absolute}` : "diverges"}`);
+    results.push({ test: "comparison", verdict, tail: (last) => powerTail(g, last, p) });
+  }
+
+  // Direct comparison once bounded factors are dropped: |sin(k) / k^2| ≤ 1/k^2
+  const bound = results.some(({ verdict }) => verdict === true) ? null : withoutBoundedFactors(magnitude, index);
+  const boundTerms = bound && numericFunction(bound, index);
+  const dominated = bound && pSeriesComparison(bound, boundTerms, index);
+  if (dominated && dominated.verdict) {
+    addStep(steps, "Direct comparison", `|a(${index})| ≤ ${bound.toString()}`,
+      `|sin| ≤ 1 and |cos| ≤ 1, and Σ ${bound.toString()} converges like Σ 1/${dominated.power} (p > 1), so this series converges absolutely`);
+    results.push({ test: "comparison", verdict: true, tail: (last) => powerTail(boundTerms, last, dominated.p) });
+  }
+
+  // For signed terms only L > 1 in the ratio or root test shows divergence; the integral and comparison tests
+  // on |a| then only rule out absolute convergence
+  const decided = results.find(({ test, verdict }) => verdict === true || (verdict === false && (pattern === "positive" || test === "ratio" || test === "root")));
+  if (decided) return { converges: decided.verdict, test: decided.test, absolutely: decided.verdict && pattern !== "positive", tail: decided.tail };
+  if (results.some(({ verdict }) => verdict === false)) {
+    addStep(steps, "Absolute convergence", `Σ |a(${index})| diverges`, "The series does not converge absolutely; check for conditional convergence");
+  }
+
+  // Alternating series (Leibniz) test
+  if (pattern === "alternating" && eventuallyDecreasing(g, a)) {
+    addStep(steps, "Alternating series test", `|a(${index})| = ${magnitude.toString()} decreases to 0`, "The signs alternate and the magnitudes decrease to 0, so the series converges (conditionally when the absolute series diverges)");
+    return { converges: true, test: "alternating", absolutely: false, tail: (last) => ({ shift: 0, bound: g(last) / 2 }) };
+  }
+  return { converges: null, test: null };
+};
+
+// Partial sums up to a tolerance, for an estimate when no closed form is known
+const estimateSum = (f, a) => {
+  let total = 0;
+  let previous = 0;
+  let k = a;
+  for (; k < a + ESTIMATE_TERMS; k++) {
+    const term = f(k);
+    if (term === null || !isFinite(term)) return null;
+    previous = total;
+    total += term;
+    if (k > a + 10 && Math.abs(term) < 1e-15 * Math.max(1, Math.abs(total))) break;
+  }
+  // The loop may end one past the last term added
+  const last = Math.min(k, a + ESTIMATE_TERMS - 1);
+  // Averaging the last two partial sums sharpens an alternating series: the sum lies between them, so the
+  // average is within |a(last)| / 2
+  return { value: Math.sign(f(last)) !== Math.sign(f(last - 1)) ? (total + previous) / 2 : total, terms: last - a + 1, last };
+};
+
+// value to the most decimals on which every number within bound of it rounds the same way, at most 10
+// significant digits; null when not even the units digit is certain
+const certainDigits = (value, bound) => {
+  if (bound <= 5e-11 * Math.max(1, Math.abs(value))) return String(parseFloat(value.toPrecision(10)));
+  const most = Math.max(0, 9 - Math.floor(Math.log10(Math.max(1, Math.abs(value)))));
+  for (let decimals = most; decimals >= 0; decimals--) {
+    const [low, high] = [value - bound, value + bound].map((v) => v.toFixed(decimals));
+    if (low === high) return String(parseFloat(low));
+  }
+  return null;
+};
+
+// Points (k, S_k) of the first partial sums or products for the graph page
+const partialPoints = (f, a, count, combine, start) => {
+  const points = [];
+  let running = start;
+  for (let k = a; k < a + count; k++) {
+    const term = f(k);
+    if (term === null || !isFinite(term)) break;
+    running = combine(running, term);
+    if (!isFinite(running)) break;
+    points.push({ x: k, y: running });
+  }
+  return points;
+};
+
+const graphFor = (label, points, limit) => (points.length
+  ? {
+    equation: label,
+    points,
+    domain: [points[0].x, points[points.length - 1].x],
+    ...(limit !== null && isFinite(limit) && { overlays: [{ equation: String(limit), label: `Limit ${formatNumber(limit)}` }] })
+  }
+  : null);
+
+// ---- series with a parameter ----
+
+const CONSTANTS = ["pi", "e", "i"];
+
+// Symbols other than the index, such as x in x^k / k!
+const parametersOf = (node, index) => [...new Set(node
+  .filter((n, path, parent) => n.isSymbolNode && !(parent && parent.isFunctionNode && path === "fn") && n.name !== index && !CONSTANTS.includes(n.name))
+  .map((n) => n.name))];
+
+// Σ a(k) with parameters: the ratio a(k + 1)/a(k) = B·q(k) splits into the parameters B and a part in k, so the
+// ratio test gives the parameter values where the series converges. B^k/k! and B^k then have the sums e^B and
+// 1/(1 - B)
+const parametricSeries = (node, index, a, names, steps) => {
+  const label = names.join(", ");
+  const undecided = (reason) => {
+    addStep(steps, "Conclusion", `Convergence depends on ${label} and could not be decided`, reason);
+    return { answer: `Convergence depends on ${label} and could not be decided`, value: null, convergence: { converges: null, test: null, absolutely: false }, graph: null };
+  };
+  const { numerator, denominator } = getFactors(shiftedRatio(node, index));
+  const free = (f) => !dependsOn(f, index);
+  const base = simplifyNode(quotientNode(numerator.filter(free), denominator.filter(free)));
+  const rest = simplifyNode(quotientNode(numerator.filter((f) => !free(f)), denominator.filter((f) => !free(f))));
+  if (names.some((name) => dependsOn(rest, name))) return undecided(`The ratio of consecutive terms does not separate into a factor in ${label} and one in ${index}`);
+  const limit = sequenceLimit(simplifyNode(`abs(${rest.toString()})`), index);
+  if (!limit || Number.isNaN(limit.value)) return undecided(`lim |a(${index}+1) / a(${index})| could not be determined`);
+
+  const B = base.toString();
+  const bracketed = /^\w+$/.test(B) ? B : `(${B})`;
+  const radius = limit.value === 0 ? Infinity : 1 / limit.value;
+  const condition = radius === Infinity ? null : radius === 0 ? `${B} = 0` : `|${B}| < ${formatNumber(radius)}`;
+  addStep(steps, "Ratio test", `L = lim |a(${index}+1) / a(${index})| = |${B}| · ${limit.text}`,
+    radius === Infinity
+      ? `L = 0 < 1 for every ${label}, so the series converges absolutely for all ${label}`
+      : radius === 0
+        ? `L = ∞ unless ${B} = 0, so the series diverges for every other ${label}`
+        : `L < 1 exactly when ${condition}: the series converges absolutely there and diverges for |${B}| > ${formatNumber(radius)}`);
+
+  // The first term and the pattern of the ratio, checked on sample values of the parameters
+  const first = simplifyNode(substitute(node, index, String(a)));
+  const scopes = [0.3, 0.7].map((v) => Object.fromEntries(names.map((name, j) => [name, v + 0.1 * j])));
+  const matches = (expected) => scopes.every((scope) => [0, 1, 2, 5].every((j) => {
+    const k = a + j;
+    const [actual, wanted] = [evaluateNumber(node, { ...scope, [index]: k }), evaluateNumber(expected(k), scope)];
+    return actual !== null && wanted !== null && isZero(actual - wanted, 1e-9 * Math.max(1, Math.abs(actual)));
+  }));
+  let closed = null;
+  if (matches((k) => `(${first.toString()}) * ${bracketed}^${k - a} * ${a}! / ${k}!`)) {
+    // a(k) = a(a)·a!·B^(k - a)/k!, so the sum is a(a)·a!/B^a times the tail e^B - Σ_{j<a} B^j/j!
+    const lower = Array.from({ length: a }, (_, j) => (j === 0 ? "1" : j === 1 ? B : `${bracketed}^${j} / ${j}!`));
+    const scale = simplifyNode(`(${first.toString()}) * ${a}! / ${bracketed}^${a}`);
+    closed = simplifyNode(`(${scale.toString()}) * (e^${bracketed}${lower.map((t) => ` - ${t}`).join("")})`).toString();
+    addStep(steps, "Exponential series", `Σ_{${index}=0}^{∞} ${bracketed}^${index} / ${index}! = e^${bracketed}`, a ? `Subtract the terms below ${index} = ${a}` : "The Taylor series of the exponential function");
+  } else if (matches((k) => `(${first.toString()}) * ${bracketed}^${k - a}`)) {
+    const top = first.toString();
+    closed = `${/^[\w.]+$/.test(top) ? top : `(${top})`} / (1 - ${/[+-]/.test(B) ? `(${B})` : B})`;
+    addStep(steps, "Geometric series", `ratio r = ${B}, first term ${first.toString()}: a / (1 - r) = ${closed}`, `The partial sums converge when |r| < 1`);
+  }
+  const answer = closed
+    ? `${closed}${condition ? ` for ${condition}` : ""}`
+    : radius === Infinity ? `The series converges for all ${label}` : radius === 0 ? `The series converges only where ${condition}` : `The series converges for ${condition}`;
+  addStep(steps, "Conclusion", answer, `Converges absolutely ${condition ? `for ${condition}` : `for every ${label}`} by the ratio test`);
+  return { answer, value: null, convergence: { converges: condition ? null : true, test: "ratio", absolutely: true, ...(condition && { condition }) }, graph: null };
+};
+
+// ---- sum ----
+
+const sumSeries = (func, index, lowerText, upperText, steps) => {
+  const node = tidy(normalizeFunctions(func));
+  const a = readLower(lowerText);
+  const upper = readUpper(upperText, index);
+  if (upper.kind === "number" && upper.value < a) {
+    addStep(steps, "Empty sum", `${sumLabel(index, a, upper)} ${node.toString()} = 0`, "The upper bound is below the lower bound, so there are no terms");
+    return { answer: "0", value: 0, graph: null };
+  }
+  addStep(steps, "Summation", `${sumLabel(index, a, upper)} ${node.toString()}`, upper.kind === "infinite" ? "An infinite series: decide convergence, then find the sum" : `Add the terms for ${index} = ${a} to ${upper.text}`);
+  const f = numericFunction(node, index);
+  // Parameters make the numeric tests meaningless; convergence is decided as a condition on them instead
+  const names = upper.kind === "infinite" ? parametersOf(node, index) : [];
+  if (names.length) {
+    const { numerator, denominator } = getFactors(node);
+    const free = (factor) => !dependsOn(factor, index);
+    const term = quotientNode(numerator.filter((factor) => !free(factor)), denominator.filter((factor) => !free(factor)));
+    if (names.some((name) => dependsOn(term, name)) || !dependsOn(term, index)) return parametricSeries(node, index, a, names, steps);
+    // c·a(k) with c free of k: the sum is c times Σ a(k), which converges for every c or only for c = 0
+    const constant = simplifyNode(quotientNode(numerator.filter(free), denominator.filter(free))).toString();
+    const scaled = /[+-]/.test(constant) ? `(${constant})` : constant;
+    addStep(steps, "Constant factor", `${sumLabel(index, a, upper)} ${node.toString()} = ${scaled} · ${sumLabel(index, a, upper)} ${term.toString()}`, `${scaled} does not depend on ${index}, so it factors out of the sum`);
+    const inner = sumSeries(term.toString(), index, lowerText, upperText, steps);
+    const { converges } = inner.convergence;
+    const answer = converges === false
+      ? `The series diverges unless ${constant} = 0`
+      : converges && inner.value !== null ? `${inner.answer.startsWith("≈ ") ? "≈ " : ""}${scaled} * ${inner.answer.replace(/^≈ /, "").replace(/ \(partial sum S_\d+\)$/, "")}`
+        : converges ? "The series converges" : `Convergence depends on ${names.join(", ")} and could not be decided`;
+    addStep(steps, "Conclusion", answer, `The factor ${scaled} scales the sum`);
+    return { answer, value: null, convergence: { ...inner.convergence, ...(converges === false && { converges: null, condition: `${constant} = 0` }) }, graph: null };
+  }
+
+  let closed = null;
+  if (!dependsOn(node, index)) {
+    const c = evaluateNumber(node);
+    if (upper.kind === "infinite") {
+      closed = isZero(c || 0) ? { answer: "0", value: 0 } : null;
+    } else {
+      const count = upper.kind === "number" ? String(upper.value - a + 1) : polyToString([1 - a, 1], upper.name);
+      const answer = upper.kind === "number" ? formatNumber(c * (upper.value - a + 1)) : `${grouped(c)} * ${/^\w+$/.test(count) ? count : `(${count})`}`;
+      addStep(steps, "Constant term", `${count} terms, each ${node.toString()}: ${answer}`, "A constant added N times is N times the constant");
+      closed = { answer, value: upper.kind === "number" ? c * (upper.value - a + 1) : null };
+    }
+  }
+  const coeffs = closed ? null : toPolynomial(node, index);
+  if (!closed && coeffs) closed = polynomialSum(trimPolynomial(coeffs), index, a, upper, steps);
+  const geometric = closed ? null : geometricRatio(node, index, a);
+  if (!closed && geometric) closed = geometricSum(geometric, index, a, upper, steps);
+  const telescoping = closed ? null : telescopingParts(node, index, steps);
+  if (!closed && telescoping && !telescoping.harmonic) closed = telescopingSum(telescoping, index, a, upper, steps);
+
+  if (upper.kind !== "infinite") {
+    if (!closed) {
+      if (upper.kind === "symbol") throw new Error(`No closed form was found for ${sumLabel(index, a, upper)} ${node.toString()}; give a numeric upper bound to add the terms`);
+      if (upper.value - a + 1 > MAX_DIRECT_TERMS) throw new Error(`No closed form was found, and ${upper.value - a + 1} terms are too many to add directly`);
+      let total = 0;
+      const shown = [];
+      for (let k = a; k <= upper.value; k++) {
+        const term = f(k);
+        if (term === null || !isFinite(term)) throw new Error(`The term is undefined at ${index} = ${k}`);
+        total += term;
+        if (shown.length < 5) shown.push(formatNumber(term));
+      }
+      const answer = formatNumber(total);
+      addStep(steps, "Add the terms", `${shown.join(" + ")}${upper.value - a + 1 > 5 ? " + ..." : ""} = ${answer}`, `${upper.value - a + 1} terms added directly`);
+      closed = { answer, value: total };
+    }
+    const count = upper.kind === "number" ? upper.value - a + 1 : PLOT_TERMS;
+    const graph = graphFor(`Partial sums of ${node.toString()}`, partialPoints(f, a, Math.min(count, 200), (s, t) => s + t, 0), null);
+    return { answer: closed.answer, value: closed.value, ...(closed.overflow && { overflow: true }), graph };
+  }
+
+  // Infinite series: the tests give the reasoning, the closed form (or an estimate) the value. A convergent
+  // closed form already settles convergence, so the tests are skipped
+  let verdict;
+  if (closed && closed.divergent) verdict = { converges: false, test: "divergence" };
+  else if (closed && closed.test) verdict = { converges: true, test: closed.test, absolutely: Boolean(closed.absolutely) };
+  else verdict = convergenceTests(node, index, a, steps);
+  if (!closed && verdict.converges) closed = zetaSum(node, index, a, steps);
+  let answer;
+  let value = null;
+  if (verdict.converges === false) {
+    answer = "The series diverges";
+  } else if (closed && !closed.divergent) {
+    answer = closed.answer;
+    value = closed.value;
+  } else if (verdict.converges) {
+    const estimate = estimateSum(f, a);
+    const remainder = estimate && verdict.tail ? verdict.tail(estimate.last) : null;
+    const digits = remainder && isFinite(remainder.bound) ? certainDigits(estimate.value + remainder.shift, remainder.bound) : null;
+    if (digits) {
+      value = estimate.value + remainder.shift;
+      answer = `≈ ${digits}`;
+      addStep(steps, "Numeric estimate", `S_${estimate.terms}${remainder.shift ? " + remainder" : ""} ≈ ${digits}`,
+        `No closed form was found; the first ${estimate.terms} terms${remainder.shift ? ", plus the midpoint of the integral bounds on the remaining ones" : ""}. The ${verdict.test} test bounds the error by ${parseFloat(remainder.bound.toPrecision(2))}, so only the digits shown are certain`);
+    } else if (estimate) {
+      value = estimate.value;
+      answer = `≈ ${parseFloat(value.toPrecision(10))} (partial sum S_${estimate.terms})`;
+      addStep(steps, "Numeric estimate", `S_${estimate.terms} ≈ ${parseFloat(value.toPrecision(10))}`,
+        `No closed form was found and the remaining terms could not be bounded, so this is only the partial sum of the first ${estimate.terms} terms`);
+    } else {
+      answer = "The series converges";
+    }
+  } else {
+    answer = "Convergence could not be decided";
+  }
+  addStep(steps, "Conclusion", answer, verdict.converges === null
+    ? "None of the tests was conclusive"
+    : `${verdict.converges ? `Converges${verdict.absolutely ? " absolutely" : verdict.test === "alternating" ? " conditionally" : ""}` : "Diverges"} by the ${verdict.test} test`);
+  const graph = graphFor(`Partial sums of ${node.toString()}`, partialPoints(f, a, PLOT_TERMS, (s, t) => s + t, 0), value);
+  return { answer, value, convergence: { converges: verdict.converges, test: verdict.test, absolutely: Boolean(verdict.absolutely) }, graph };
+};
+
+// ---- product ----
+
+// Rational terms L·Π (k + c_i)^(e_i) with integer shifts; Π_{k=a}^{b} (k + c) = (b + c)! / (a - 1 + c)!
+const linearFactorsOf = (node, index) => {
+  const rational = toRational(node, index);
+  if (!rational) return null;
+  const factors = [];
+  let lead = 1;
+  const collect = (coeffs, sign) => {
+    let remaining = trimPolynomial(coeffs);
+    lead *= sign > 0 ? remaining[remaining.length - 1] : 1 / remaining[remaining.length - 1];
+    remaining = polyScale(remaining, 1 / remaining[remaining.length - 1]);
+    // Integer roots r become factors (k - r)
+    for (let r = -50; r <= 50 && degree(remaining) > 0; r++) {
+      while (degree(remaining) > 0 && isZero(polyEvaluate(remaining, r), 1e-9)) {
+        factors.push({ shift: -r, power: sign });
+        const synthetic = [];
+        let carry = 0;
+        for (let i = remaining.length - 1; i > 0; i--) {
+          carry = remaining[i] + carry * r;
+          synthetic.unshift(carry);
+        }
+        remaining = trimPolynomial(synthetic);
+      }
+    }
+    return degree(remaining) <= 0;
+  };
+  if (!collect(rational.numerator, 1) || !collect(rational.denominator, -1)) return null;
+  return { lead: snap(lead), factors };
+};
+
+const productSeries = (func, index, lowerText, upperText, steps) => {
+  const node = tidy(normalizeFunctions(func));
+  const a = readLower(lowerText);
+  const upper = readUpper(upperText, index);
+  const label = `Π_{${index}=${a}}^{${upper.text}}`;
+  if (upper.kind === "number" && upper.value < a) {
+    addStep(steps, "Empty product", `${label} ${node.toString()} = 1`, "The upper bound is below the lower bound, so there are no factors");
+    return { answer: "1", value: 1, graph: null };
+  }
+  addStep(steps, "Product", `${label} ${node.toString()}`, upper.kind === "infinite" ? "An infinite product: find the partial products and their limit" : `Multiply the factors for ${index} = ${a} to ${upper.text}`);
+  const f = numericFunction(node, index);
+  const count = upper.kind === "symbol" ? polyToString([1 - a, 1], upper.name) : upper.kind === "number" ? String(upper.value - a + 1) : null;
+  const countPower = (base) => `${base}^${/^\w+$/.test(count) ? count : `(${count})`}`;
+  let closed = null;
+
+  // r^g(k) with g a polynomial: the exponents add up
+  const exponent = node.isOperatorNode && node.fn === "pow" && !dependsOn(node.args[0], index) ? toPolynomial(node.args[1], index) : null;
+  if (!dependsOn(node, index)) {
+    const c = evaluateNumber(node);
+    if (upper.kind === "infinite") {
+      closed = { answer: c === 1 ? "1" : Math.abs(c) < 1 ? "0" : "The product diverges", value: c === 1 ? 1 : Math.abs(c) < 1 ? 0 : null, divergent: Math.abs(c) > 1 };
+    } else if (upper.kind === "number") {
+      const n = upper.value - a + 1;
+      closed = isFinite(c ** n) && c ** n !== 0 ? { answer: formatNumber(c ** n), value: c ** n } : { log10: n * Math.log10(Math.abs(c)), negative: c < 0 && n % 2 === 1 };
+    } else {
+      closed = { answer: countPower(grouped(c)), value: null };
+    }
+    if (closed.log10 === undefined) addStep(steps, "Constant factor", `${label} ${node.toString()} = ${closed.answer}`, "A constant multiplied N times is its N-th power");
+  } else if (exponent && upper.kind !== "infinite") {
+    const base = node.args[0].toString();
+    addStep(steps, "Exponents add", `${label} ${base}^(${polyToString(exponent, index)}) = ${base}^(Σ ${polyToString(exponent, index)})`, "A product of powers of the same base is the base raised to the sum of the exponents");
+    const inner = polynomialSum(trimPolynomial(exponent), index, a, upper, steps);
+    const value = upper.kind === "number" ? evaluateNumber(`(${base})^(${inner.value})`) : null;
+    if (upper.kind === "number" && (value === null || !isFinite(value) || value === 0)) {
+      const b = evaluateNumber(node.args[0]);
+      closed = { log10: inner.value * Math.log10(Math.abs(b)), negative: b < 0 && Math.abs(inner.value % 2) === 1 };
+    } else {
+      const answer = upper.kind === "number" ? formatNumber(value) : `${/^\w+$/.test(base) ? base : `(${base})`}^(${inner.answer})`;
+      closed = { answer, value };
+      addStep(steps, "Closed form", `${label} ${node.toString()} = ${answer}`, "Raise the base to the summed exponent");
+    }
+  } else {
+    const linear = linearFactorsOf(node, index);
+    // Factors must not vanish or blow up inside the range
+    const defined = linear && linear.factors.every(({ shift }) => a + shift >= 1);
+    if (linear && defined && linear.factors.length) {
+      const { lead, factors } = linear;
+      const factorText = (shift) => polyToString([shift, 1], index);
+      addStep(steps, "Linear factors", `${node.toString()} = ${lead === 1 ? "" : `${formatNumber(lead)} · `}${factors.map(({ shift, power }) => `(${factorText(shift)})${power < 0 ? "^-1" : ""}`).join(" · ")}`,
+        `Each factor ${index} + c multiplies out to a ratio of factorials: Π_{${index}=${a}}^{N} (${index} + c) = (N + c)! / (${a - 1} + c)!`);
+      const balance = factors.reduce((sum, { power }) => sum + power, 0);
+      // Telescoping when the factorials of the upper end cancel down to finitely many (N + j)
+      const low = Math.min(...factors.map(({ shift }) => shift));
+      const high = Math.max(...factors.map(({ shift }) => shift));
+      let lower = 1;
+      factors.forEach(({ shift, power }) => {
+        for (let j = a + low; j <= a - 1 + shift; j++) lower *= j ** -power;
+      });
+      lower = snap(lower);
+      const tail = [];
+      for (let j = low + 1; j <= high; j++) {
+        const weight = factors.filter(({ shift }) => shift >= j).reduce((sum, { power }) => sum + power, 0);
+        if (weight) tail.push({ j, weight });
+      }
+      if (balance === 0) {
+        addStep(steps, "Telescoping product", `${label}: the factorials at the top cancel except for ${tail.length ? tail.map(({ j }) => `(N ${j < 0 ? "-" : "+"} ${Math.abs(j)})`).join(", ") : "nothing"}`, "Numerator and denominator factorials differ by finitely many factors");
+        const leadPart = lead === 1 ? "" : upper.kind === "symbol" ? `${countPower(grouped(lead))} * ` : "";
+        if (upper.kind === "infinite") {
+          const growth = tail.reduce((sum, { weight }) => sum + weight, 0);
+          if (lead !== 1 || growth !== 0) {
+            closed = null;
+          } else {
+            closed = { answer: formatNumber(lower), value: lower };
+            addStep(steps, "Limit", `Π → ${formatNumber(lower)}`, "The surviving factors (N + j) balance, so their ratio tends to 1");
+          }
+        } else if (upper.kind === "number") {
+          const value = lead ** (upper.value - a + 1) * lower * tail.reduce((p, { j, weight }) => p * (upper.value + j) ** weight, 1);
+          closed = { answer: formatNumber(value), value };
+        } else {
+          const top = tail.filter(({ weight }) => weight > 0).map(({ j, weight }) => `(${polyToString([j, 1], upper.name)})${weight > 1 ? `^${weight}` : ""}`);
+          const bottom = tail.filter(({ weight }) => weight < 0).map(({ j, weight }) => `(${polyToString([j, 1], upper.name)})${weight < -1 ? `^${-weight}` : ""}`);
+          const constant = approximateFraction(lower, 100000) || { numerator: lower, denominator: 1 };
+          const numeratorParts = [...(constant.numerator !== 1 ? [String(constant.numerator)] : []), ...top];
+          const denominatorParts = [...(constant.denominator !== 1 ? [String(constant.denominator)] : []), ...bottom];
+          const numerator = numeratorParts.length ? numeratorParts.join(" * ") : "1";
+          const answer = `${leadPart}${denominatorParts.length ? `${numerator} / ${denominatorParts.length > 1 ? `(${denominatorParts.join(" * ")})` : denominatorParts[0]}` : numerator}`.replace(/\((\w+)\)/g, "$1");
+          closed = { answer, value: null };
+        }
+      } else if (upper.kind !== "infinite") {
+        if (upper.kind === "number") {
+          const n = upper.value - a + 1;
+          let value = lead ** n;
+          const log10 = compensatedSum();
+          log10.add(n * Math.log10(Math.abs(lead)));
+          factors.forEach(({ shift, power }) => {
+            for (let k = a; k <= upper.value; k++) {
+              value *= (k + shift) ** power;
+              log10.add(power * Math.log10(k + shift));
+            }
+          });
+          closed = isFinite(value) && value !== 0 ? { answer: formatNumber(value), value } : { log10: log10.value(), negative: lead < 0 && n % 2 === 1 };
+        } else {
+          const factorial = ({ shift, power }) => {
+            const top = polyToString([shift, 1], upper.name);
+            const bottom = a - 1 + shift;
+            const text = `${/^\w+$/.test(top) ? top : `(${top})`}!${bottom > 1 ? ` / ${bottom}!` : ""}`;
+            return power > 0 ? text : `1 / (${text})`;
+          };
+          const answer = `${lead === 1 ? "" : `${countPower(grouped(lead))} * `}${factors.map(factorial).join(" * ")}`;
+          closed = { answer, value: null };
+        }
+      }
+      if (closed && closed.log10 === undefined) addStep(steps, "Closed form", `${label} ${node.toString()} = ${closed.answer}`, "Collect the factorials");
+    }
+  }
+
+  if (upper.kind !== "infinite") {
+    if (!closed) {
+      if (upper.kind === "symbol") throw new Error(`No closed form was found for ${label} ${node.toString()}; give a numeric upper bound to multiply the factors`);
+      if (upper.value - a + 1 > MAX_DIRECT_TERMS) throw new Error(`No closed form was found, and ${upper.value - a + 1} factors are too many to multiply directly`);
+      let total = 1;
+      const log10 = compensatedSum();
+      let negative = false;
+      for (let k = a; k <= upper.value; k++) {
+        const term = f(k);
+        if (term === null || !isFinite(term)) throw new Error(`The factor is undefined at ${index} = ${k}`);
+        total *= term;
+        log10.add(Math.log10(Math.abs(term)));
+        negative = negative !== term < 0;
+      }
+      if (isFinite(total) && (total !== 0 || log10.value() === -Infinity)) {
+        const answer = formatNumber(total);
+        addStep(steps, "Multiply the factors", answer, `${upper.value - a + 1} factors multiplied directly`);
+        closed = { answer, value: total };
+      } else {
+        addStep(steps, "Multiply the factors", `${upper.value - a + 1} factors`, "The running product leaves the floating-point range, so the base-10 logarithms of the factors are added instead");
+        closed = { log10: log10.value(), negative };
+      }
+    }
+    // Products past the floating-point range are reported by their size
+    if (closed.log10 !== undefined) closed = fromLogarithm(closed.log10, closed.negative, steps);
+    const terms = upper.kind === "number" ? upper.value - a + 1 : PLOT_TERMS;
+    const graph = graphFor(`Partial products of ${node.toString()}`, partialPoints(f, a, Math.min(terms, 200), (p, t) => p * t, 1), null);
+    return { answer: closed.answer, value: closed.value, ...(closed.overflow && { overflow: true }), graph };
+  }
+
+  // Π (1 + u_k) with u_k of one sign converges (to a nonzero limit) exactly when Σ u_k converges
+  let verdict;
+  if (closed) {
+    verdict = { converges: !closed.divergent, test: "closed form" };
+  } else {
+    const shifted = simplifyNode(`(${node.toString()}) - 1`);
+    addStep(steps, "Reduce to a series", `Π (1 + u(${index})) with u(${index}) = ${shifted.toString()}`, "When u keeps one sign, the product converges to a nonzero limit exactly when Σ u converges");
+    verdict = convergenceTests(shifted, index, a, steps);
+  }
+  let answer;
+  let value = null;
+  if (closed && !closed.divergent) {
+    answer = closed.answer;
+    value = closed.value;
+  } else if (verdict.converges) {
+    let total = 1;
+    let k = a;
+    for (; k < a + ESTIMATE_TERMS; k++) {
+      const term = f(k);
+      if (term === null || !isFinite(term)) break;
+      total *= term;
+      if (k > a + 10 && Math.abs(term - 1) < 1e-15) break;
+    }
+    value = total;
+    answer = `≈ ${parseFloat(total.toPrecision(10))}`;
+    addStep(steps, "Numeric estimate", `P_${k - a + 1} ≈ ${parseFloat(total.toPrecision(10))}`, "No closed form was found; partial product of the first factors");
+  } else {
+    answer = verdict.converges === false ? "The product diverges" : "Convergence could not be decided";
+  }
+  addStep(steps, "Conclusion", answer, verdict.converges === null ? "None of the tests was conclusive" : `${verdict.converges ? "Converges" : "Diverges"} (${verdict.test}${verdict.test === "closed form" ? "" : " test"})`);
+  const graph = graphFor(`Partial products of ${node.toString()}`, partialPoints(f, a, PLOT_TERMS, (p, t) => p * t, 1), value);
+  return { answer, value, convergence: { converges: verdict.converges, test: verdict.test }, graph };
+};
+
+module.exports = {
+  sumSeries,
+  productSeries
+};
@@ -0,0 +1,103 @@
+// backend/utils/summationSolver.test.js
+// Regression tests for sum() and product(): closed forms, exact values at large bounds, products past the
+// floating-point range, and the convergence tests for infinite series
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sumSeries, productSeries } = require("./summationSolver");
+
+const sum = (func, lower, upper, steps = []) => sumSeries(func, "k", lower, upper, steps);
+const product = (func, lower, upper, steps = []) => productSeries(func, "k", lower, upper, steps);
+const step = (steps, name) => steps.find((s) => s.description === name);
+
+test("power sums and geometric sums in closed form", () => {
+  assert.equal(sum("k^2", "1", "n").answer, "n * (n + 1) * (2*n + 1) / 6");
+  assert.equal(sum("3*(1/2)^k", "1", "n").answer, "3 * (1 - (1/2)^n)");
+  assert.equal(product("k", "1", "5").answer, "120");
+});
+
+test("large bounds keep every digit and no unit denominator", () => {
+  assert.equal(sum("k", "1", "1000000000").answer, "500000000500000000");
+  assert.equal(sum("k^2", "1", "1000000").answer, "333333833333500000");
+  assert.equal(sum("k/3", "1", "1000000000000").answer, "500000000000500000000000/3");
+});
+
+test("products and sums past the floating-point range are reported by their size", () => {
+  const steps = [];
+  const factorial = product("k", "1", "10000000", steps);
+  assert.equal(factorial.answer, "≈ 1.20242e+65657059");
+  assert.equal(factorial.value, null);
+  assert.equal(factorial.overflow, true);
+  assert.ok(step(steps, "Beyond floating point"));
+  assert.equal(product("k", "1", "171").answer, "≈ 1.24101807e+309");
+  assert.equal(product("k", "1", "170").answer, "7.257415615e+306");
+  assert.equal(product("-k", "1", "201").answer, "≈ -1.585202313e+377");
+  assert.equal(product("1/k", "1", "200").answer, "≈ 1.267976953e-375");
+  assert.equal(sum("2^k", "0", "2000").answer, "≈ 2.296261391e+602");
+});
+
+test("the root test takes its limit from the limit engine", () => {
+  const steps = [];
+  sum("k^2/2^k", "1", "inf", steps);
+  assert.equal(step(steps, "Root test").expression, "L = lim |a(k)|^(1/k) = 1/2");
+  assert.equal(step(steps, "Ratio test").expression, "L = lim |a(k+1) / a(k)| = 1/2");
+
+  // ln(k!/k^k) has no symbolic limit here; sampling it overflowed and claimed L = ∞ and divergence
+  const factorialSteps = [];
+  const result = sum("k!/k^k", "1", "inf", factorialSteps);
+  assert.notEqual(result.convergence.converges, false);
+  assert.equal(step(factorialSteps, "Root test").explanation, "The root test is inconclusive here");
+});
+
+test("a convergent closed form settles convergence without running the tests", () => {
+  const steps = [];
+  const started = Date.now();
+  const result = sum("1/(k*(k+1))", "1", "inf", steps);
+  assert.equal(result.answer, "1");
+  assert.deepEqual(result.convergence, { converges: true, test: "telescoping series", absolutely: false });
+  assert.ok(!step(steps, "Ratio test"));
+  assert.ok(Date.now() - started < 2000);
+  assert.deepEqual(sum("(-1/2)^k", "0", "inf").convergence, { converges: true, test: "geometric series", absolutely: true });
+});
+
+test("infinite series without a geometric or telescoping form", () => {
+  assert.equal(sum("1/k^2", "1", "inf").answer, "pi^2/6");
+  assert.equal(sum("1/k", "1", "inf").answer, "The series diverges");
+  const alternating = sum("(-1)^k/k", "1", "inf");
+  // The average of the last two partial sums is within 1/(2·100000) of ln 2, which fixes three decimals
+  assert.equal(alternating.answer, "≈ -0.693");
+  assert.equal(alternating.convergence.test, "alternating");
+});
+
+test("an oscillating ratio is inconclusive and the comparison test decides", () => {
+  for (const [term, answer] of [["sin(k)/k^2", "≈ 1.014"], ["cos(k)/k^3", "≈ 0.448573"]]) {
+    const steps = [];
+    const result = sum(term, "1", "inf", steps);
+    assert.deepEqual(result.convergence, { converges: true, test: "comparison", absolutely: true }, term);
+    assert.equal(result.answer, answer);
+    assert.ok(step(steps, "Direct comparison"), term);
+  }
+});
+
+test("estimates show only the digits the remainder bound supports", () => {
+  const steps = [];
+  // The terms fall off like 1/log(k), so the first 100000 terms are still 0.087 short of the sum
+  assert.equal(sum("1/(k*log(k)^2)", "2", "inf", steps).answer, "≈ 2.1097428");
+  assert.match(step(steps, "Numeric estimate").explanation, /The integral test bounds the error by/);
+  const truncated = [];
+  // The alternating bound |a(N)| / 2 is still 0.16 after 100000 terms: not even the units digit is certain
+  assert.equal(sum("(-1)^k/k^0.1", "1", "inf", truncated).answer, "≈ -0.5222703615 (partial sum S_100000)");
+  assert.match(step(truncated, "Numeric estimate").explanation, /could not be bounded/);
+});
+
+test("series with a parameter converge on a condition or sum in closed form", () => {
+  assert.deepEqual(sum("x^k/k!", "0", "inf"), { answer: "e ^ x", value: null, convergence: { converges: true, test: "ratio", absolutely: true }, graph: null });
+  assert.equal(sum("x^k/k!", "1", "inf").answer, "e ^ x - 1");
+  const geometric = sum("x^k", "0", "inf");
+  assert.equal(geometric.answer, "1 / (1 - x) for |x| < 1");
+  assert.deepEqual(geometric.convergence, { converges: null, test: "ratio", absolutely: true, condition: "|x| < 1" });
+  assert.equal(sum("x^k/k", "1", "inf").answer, "The series converges for |x| < 1");
+  assert.equal(sum("k!*x^k", "0", "inf").answer, "The series converges only where x = 0");
+  assert.equal(sum("a/k^2", "1", "inf").answer, "a * pi^2/6");
+  assert.equal(sum("a/k", "1", "inf").answer, "The series diverges unless a = 0");
+  assert.equal(sum("sin(k*x)/k^2", "1", "inf").answer, "Convergence depends on x and could not be decided");
+});
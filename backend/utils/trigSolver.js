@@ -0,0 +1,603 @@
+// backend/utils/trigSolver.js
+// Trigonometric equations with general solutions (x = pi/6 + 2*k*pi, ...), optionally listed on an interval,
+// and trigsimp: rewriting with named Pythagorean, double-angle, sum-to-product and quotient identities
+const { OperatorNode, FunctionNode, ConstantNode } = require("mathjs");
+const { addStep, appendSteps } = require("./solverHelpers");
+const {
+  toNode,
+  normalizeFunctions,
+  stripParentheses,
+  tidy,
+  simplifyNode,
+  hasFreeSymbols,
+  dependsOn,
+  evaluateNumber,
+  numericFunction,
+  isZero,
+  approximateFraction,
+  formatNumber,
+  isExactText,
+  getFactors,
+  quotientNode,
+  getTerms,
+  symbolNode,
+  freshSymbol
+} = require("./expressionUtils");
+const { linearCoefficients } = require("./polynomial");
+const { solvePolynomialEquation } = require("./equationSolver");
+const { factorPolynomial } = require("./algebraSolver");
+
+const TRIG_FUNCTIONS = ["sin", "cos", "tan"];
+// Principal value, the other solution in the same period and the period of each function
+const INVERSES = {
+  sin: { name: "asin", principal: Math.asin, partner: (alpha) => Math.PI - alpha, period: 2 * Math.PI, rule: "sin θ = v gives θ = asin(v) and θ = π - asin(v) in each period of 2π" },
+  cos: { name: "acos", principal: Math.acos, partner: (alpha) => -alpha, period: 2 * Math.PI, rule: "cos θ = v gives θ = ±acos(v) in each period of 2π" },
+  tan: { name: "atan", principal: Math.atan, partner: null, period: Math.PI, rule: "tan θ = v gives θ = atan(v) in each period of π" }
+};
+const MAX_INTERVAL_SOLUTIONS = 100;
+const CHECK_TOLERANCE = 1e-8;
+const MAX_REWRITES = 24;
+
+const key = (node) => tidy(node).toString();
+
+const isCall = (node, names) => node.isFunctionNode && names.includes(node.fn.name) && node.args.length === 1;
+
+// ---- equations ----
+
+// Trig calls that contain the variable
+const trigCalls = (node, variable) => node.filter((n) => isCall(n, TRIG_FUNCTIONS) && dependsOn(n, variable));
+
+// cos(u)^(2n) -> (1 - sin(u)^2)^n, so an equation in sin and even powers of cos becomes one in sin alone
+const pythagoreanSubstitution = (node, from, to, argument) => node.transform((n) => {
+  if (!n.isOperatorNode || n.fn !== "pow") return n;
+  const [base, exponent] = n.args.map(stripParentheses);
+  const power = exponent.isConstantNode ? exponent.value : null;
+  if (!isCall(base, [from]) || key(base.args[0]) !== argument || !Number.isInteger(power) || power % 2 !== 0) return n;
+  const square = new OperatorNode("^", "pow", [new FunctionNode(to, [toNode(argument)]), new ConstantNode(2)]);
+  const replaced = new OperatorNode("-", "subtract", [new ConstantNode(1), square]);
+  return power === 2 ? replaced : new OperatorNode("^", "pow", [replaced, new ConstantNode(power / 2)]);
+});
+
+// "2·sin(x)", "sin(x)", "-sin(x)"
+const scaled = (coefficient, text) => {
+  const number = formatNumber(coefficient);
+  return number === "1" ? text : number === "-1" ? `-${text}` : `${number}·${text}`;
+};
+
+// a·sin(u) + b·cos(u) + c with numeric a, b, c, read off by sampling; null when the expression is not of that form
+const harmonicCoefficients = (node, sinSymbol, cosSymbol) => {
+  const compiled = node.compile();
+  const at = (s, c) => {
+    try {
+      const value = compiled.evaluate({ [sinSymbol]: s, [cosSymbol]: c });
+      return typeof value === "number" ? value : null;
+    } catch {
+      return null;
+    }
+  };
+  const c = at(0, 0);
+  const [sx, cx] = [at(1, 0), at(0, 1)];
+  if ([c, sx, cx].includes(null)) return null;
+  const a = sx - c;
+  const b = cx - c;
+  const linear = [[2, 3], [-1.5, 0.7], [0.3, -2.2]].every(([s, co]) => {
+    const value = at(s, co);
+    return value !== null && isZero(value - (a * s + b * co + c), 1e-9 * Math.max(1, Math.abs(value)));
+  });
+  return linear && !(isZero(a) && isZero(b)) ? { a, b, c } : null;
+};
+
+// sin(2u) and cos(2u) next to sin(u) or cos(u) -> functions of u alone; null when the arguments are not u and 2u
+const doubleAngle = (node, calls, variable, steps) => {
+  const lines = calls.map((call) => ({ call, line: linearCoefficients(key(call.args[0]), variable) }));
+  if (lines.some(({ line }) => !line) || calls.some((call) => call.fn.name === "tan")) return null;
+  const { call: smallest, line: base } = lines.reduce((p, q) => (Math.abs(q.line.a) < Math.abs(p.line.a) ? q : p));
+  const argument = key(smallest.args[0]);
+  const isDouble = ({ line }) => isZero(line.a - 2 * base.a, 1e-12) && isZero(line.b - 2 * base.b, 1e-12);
+  if (!lines.every((entry) => key(entry.call.args[0]) === argument || isDouble(entry))) return null;
+
+  // cos(2u) takes the form that matches the other calls: 2cos²u - 1 next to cos alone, 1 - 2sin²u otherwise
+  const onlyCos = calls.every((call) => key(call.args[0]) !== argument || call.fn.name === "cos");
+  const cosine = onlyCos ? `2*cos(${argument})^2 - 1` : `1 - 2*sin(${argument})^2`;
+  const rewritten = tidy(node.transform((n) => {
+    if (!isCall(n, ["sin", "cos"]) || !dependsOn(n, variable) || key(n.args[0]) === argument) return n;
+    return toNode(n.fn.name === "sin" ? `2*sin(${argument})*cos(${argument})` : `(${cosine})`);
+  }));
+  addStep(steps, "Double-angle identity", `${rewritten.toString()} = 0`,
+    `sin(2θ) = 2·sin θ·cos θ and cos(2θ) = ${onlyCos ? "2·cos²θ - 1" : "1 - 2·sin²θ"} with θ = ${argument}, so every call has the same argument`);
+  return rewritten;
+};
+
+// An equation in sin(u) and cos(u) that factors as a polynomial in them splits into one equation per factor
+const splitProduct = (node, argument, variable, steps) => {
+  const [s, c] = [freshSymbol(node, "s"), freshSymbol(node, "c")];
+  const symbolic = node.transform((n) => (isCall(n, ["sin", "cos"]) && key(n.args[0]) === argument ? symbolNode(n.fn.name === "sin" ? s : c) : n));
+  if (dependsOn(symbolic, variable)) return null;
+  let factored;
+  try {
+    factored = factorPolynomial(symbolic.toString(), s, []);
+  } catch {
+    return null;
+  }
+  if (factored.factors.length < 2) return null;
+  const restore = (text) => tidy(toNode(text).transform((n) => (n.isSymbolNode && [s, c].includes(n.name) ? toNode(`${n.name === s ? "sin" : "cos"}(${argument})`) : n)));
+  addStep(steps, "Factor", `${restore(factored.answer).toString()} = 0`, "A product is zero when one of its factors is, so each factor is solved on its own");
+  const parts = [];
+  for (const { factor } of factored.factors) {
+    const part = reduceEquation(restore(factor), variable, steps);
+    if (!part || part.parts) return null;
+    parts.push(part);
+  }
+  return { parts };
+};
+
+// Reduce the equation to fn(a·x + b) = value for a list of values, or null when it is not a trig equation we can invert;
+// a product of such equations comes back as { parts }
+const reduceEquation = (node, variable, steps) => {
+  const calls = trigCalls(node, variable);
+  if (!calls.length) return null;
+  const argument = key(calls[0].args[0]);
+  if (calls.some((call) => key(call.args[0]) !== argument)) {
+    const rewritten = doubleAngle(node, calls, variable, steps);
+    return rewritten && reduceEquation(rewritten, variable, steps);
+  }
+  const line = linearCoefficients(argument, variable);
+  if (!line) return null;
+
+  let working = node;
+  let names = [...new Set(calls.map((call) => call.fn.name))];
+  if (names.includes("tan") && names.length > 1) return null;
+  if (names.length === 2) {
+    // Only even powers of one of them: swap it for the other with sin² + cos² = 1
+    for (const [from, to] of [["cos", "sin"], ["sin", "cos"]]) {
+      const swapped = tidy(pythagoreanSubstitution(working, from, to, argument));
+      if (!swapped.filter((n) => isCall(n, [from]) && dependsOn(n, variable)).length) {
+        addStep(steps, "Pythagorean identity", `${swapped.toString()} = 0`, `${from}²(θ) = 1 - ${to}²(θ) leaves an equation in ${to}(${argument}) alone`);
+        working = swapped;
+        names = [to];
+        break;
+      }
+    }
+  }
+
+  if (names.length === 2) {
+    // a·sin(u) + b·cos(u) = R·sin(u + φ) with R = √(a² + b²), φ = atan2(b, a)
+    const [s, c] = [freshSymbol(working, "s"), freshSymbol(working, "c")];
+    const symbolic = working.transform((n) => (isCall(n, ["sin", "cos"]) && key(n.args[0]) === argument ? symbolNode(n.fn.name === "sin" ? s : c) : n));
+    if (dependsOn(symbolic, variable)) return null;
+    const harmonic = harmonicCoefficients(symbolic, s, c);
+    if (!harmonic) return splitProduct(working, argument, variable, steps);
+    const radius = Math.hypot(harmonic.a, harmonic.b);
+    const phase = Math.atan2(harmonic.b, harmonic.a);
+    const shifted = isZero(phase) ? argument : `${argument} ${phase < 0 ? "-" : "+"} ${formatNumber(Math.abs(phase))}`;
+    const combination = `${scaled(harmonic.a, `sin(${argument})`)} ${harmonic.b < 0 ? "-" : "+"} ${scaled(Math.abs(harmonic.b), `cos(${argument})`)}`;
+    addStep(steps, "Harmonic form", `${combination} = ${scaled(radius, `sin(${shifted})`)}`,
+      "a·sin θ + b·cos θ = R·sin(θ + φ) with R = √(a² + b²) and φ = atan2(b, a)");
+    const value = -harmonic.c / radius;
+    addStep(steps, "Isolate", `sin(${shifted}) = ${formatNumber(value)}`, `Move the constant across and divide by ${formatNumber(radius)}`);
+    return { fn: "sin", argument: shifted, a: line.a, b: line.b + phase, values: [{ value, text: formatNumber(value) }] };
+  }
+
+  // One function of one argument: a polynomial equation in t = fn(u)
+  const fn = names[0];
+  const call = `${fn}(${argument})`;
+  const t = freshSymbol(working, "t");
+  const substituted = working.transform((n) => (isCall(n, [fn]) && key(n.args[0]) === argument ? symbolNode(t) : n));
+  if (dependsOn(substituted, variable)) return null;
+  const scratch = [];
+  const solution = solvePolynomialEquation(substituted, t, scratch);
+  if (!solution) return null;
+  addStep(steps, "Substitute", `${t} = ${call}: ${tidy(substituted).toString()} = 0`, `The equation is a polynomial in ${call}`);
+  if (solution.degree <= 0) return { fn, argument, a: line.a, b: line.b, values: [], identity: solution.answer };
+  const real = solution.roots.filter((r) => r.im === 0);
+  addStep(steps, `Solve for ${t}`, real.length ? `${t} = ${real.map((r) => r.text).join(", ")}` : "No real roots",
+    solution.degree === 1 ? "Linear in t" : `Degree ${solution.degree} polynomial in t; only real roots can be values of ${fn}`);
+  return { fn, argument, a: line.a, b: line.b, values: real.map((r) => ({ value: r.re, text: r.text })) };
+};
+
+// "2*k*pi", "k*pi/2", "k*pi"; a decimal period when it is not a rational multiple of pi
+const periodTerm = (period) => {
+  const ratio = approximateFraction(period / Math.PI, 1000);
+  if (!ratio) return `${formatNumber(period)}*k`;
+  const scale = ratio.numerator === 1 ? "" : `${ratio.numerator}*`;
+  return `${scale}k*pi${ratio.denominator === 1 ? "" : `/${ratio.denominator}`}`;
+};
+
+const familyText = ({ base, period }) => {
+  const baseText = formatNumber(base);
+  return baseText === "0" ? periodTerm(period) : `${baseText} + ${periodTerm(period)}`;
+};
+
+// Sort base values into [0, period), drop repeats and merge n equally spaced families into one with period/n
+const mergeFamilies = (bases, period) => {
+  const normalised = bases
+    .map((base) => ((base % period) + period) % period)
+    .map((base) => (isZero(base - period, 1e-9) ? 0 : base))
+    .sort((p, q) => p - q)
+    .filter((base, i, all) => i === 0 || !isZero(base - all[i - 1], 1e-9));
+  const n = normalised.length;
+  const evenlySpaced = n > 1 && normalised.every((base, i) => isZero(base - normalised[0] - (i * period) / n, 1e-9));
+  return evenlySpaced ? [{ base: normalised[0], period: period / n }] : normalised.map((base) => ({ base, period }));
+};
+
+// Every solution base + k·period with lower <= x < upper
+const solutionsInInterval = (families, [lower, upper]) => {
+  const values = [];
+  families.forEach(({ base, period }) => {
+    for (let k = Math.ceil((lower - base) / period - 1e-9); base + k * period < upper - 1e-9; k++) {
+      values.push(base + k * period);
+      if (values.length > MAX_INTERVAL_SOLUTIONS) throw new Error(`More than ${MAX_INTERVAL_SOLUTIONS} solutions in the interval; choose a narrower one`);
+    }
+  });
+  return values.sort((p, q) => p - q);
+};
+
+// The families of x that solve fn(a·x + b) = value for one of the values, with their steps
+const familiesOf = ({ fn, argument, a, b, values }, variable, steps) => {
+  const inverse = INVERSES[fn];
+  const bounded = fn !== "tan";
+  const valid = values.filter(({ value }) => !bounded || Math.abs(value) <= 1 + 1e-12);
+  const rejected = values.filter((v) => !valid.includes(v));
+  if (rejected.length) {
+    addStep(steps, "Reject values", rejected.map(({ text }) => `${fn}(${argument}) = ${text}`).join("\n"), `${fn} only takes values in [-1, 1]`);
+  }
+  if (!valid.length) return [];
+
+  // θ values in one period, then x = (θ - b)/a
+  // Rounding can leave sin(x) = 1.0000000000000002, outside the domain of asin
+  const principal = (value) => inverse.principal(bounded ? Math.max(-1, Math.min(1, value)) : value);
+  const angles = valid.flatMap(({ value }) => {
+    const alpha = principal(value);
+    return inverse.partner ? [alpha, inverse.partner(alpha)] : [alpha];
+  });
+  addStep(steps, "Principal values", valid.map(({ value, text }) => `${inverse.name}(${text}) = ${formatNumber(principal(value))}`).join("\n"), inverse.rule);
+
+  const period = inverse.period / Math.abs(a);
+  if (argument !== variable) {
+    addStep(steps, `Solve for ${variable}`, `${argument} = θ + ${periodTerm(inverse.period)}`,
+      `Undo the inner linear function; the period ${formatNumber(inverse.period)} becomes ${formatNumber(period)}`);
+  }
+  return mergeFamilies(angles.map((alpha) => (alpha - b) / a), period);
+};
+
+// A family already contained in an earlier one (same residue, a multiple of its period) adds nothing
+const coveredBy = (family, earlier) => earlier.some(({ base, period }) => {
+  const [steps, offset] = [family.period / period, (family.base - base) / period];
+  return isZero(steps - Math.round(steps), 1e-9) && isZero(offset - Math.round(offset), 1e-9);
+});
+
+// "x = pi/6 + 2*k*pi or x ≈ 0.3398369095 + 2*k*pi": only decimals are marked approximate
+const solutionText = (variable, texts) => {
+  const exact = texts.filter((text) => isExactText(text));
+  const approximate = texts.filter((text) => !isExactText(text));
+  return [exact.length && `${variable} = ${exact.join(", ")}`, approximate.length && `${variable} ≈ ${approximate.join(", ")}`].filter(Boolean).join(" or ");
+};
+
+// General solution of a trig equation in zero form, or null when it is not one; `interval` lists the solutions in [a, b)
+const solveTrigEquation = (expression, variable, steps, interval) => {
+  const node = tidy(normalizeFunctions(expression));
+  const attempt = [];
+  const reduced = reduceEquation(node, variable, attempt);
+  if (!reduced) return null;
+  const pieces = reduced.parts || [reduced];
+  const identity = pieces.find((piece) => piece.identity);
+  if (identity) {
+    appendSteps(steps, attempt);
+    return { answer: identity.identity, general: [], roots: [], interval: interval || null };
+  }
+
+  const families = pieces
+    .flatMap((piece) => familiesOf(piece, variable, attempt))
+    .filter((family, i, all) => !coveredBy(family, all.slice(0, i)));
+  if (!families.length) {
+    appendSteps(steps, attempt);
+    addStep(steps, "No solution", `${pieces.map(({ fn, argument }) => `${fn}(${argument})`).join(", ")} has no admissible value`, "Every candidate lies outside the range of the function");
+    return { answer: "No solution", general: [], roots: [], interval: interval || null };
+  }
+
+  // Each family must satisfy the original equation; a failure means the reduction does not apply
+  const f = numericFunction(node, variable);
+  const residual = Math.max(...families.flatMap(({ base, period: p }) => [base, base + p, base - 3 * p].map((x) => Math.abs(f(x) ?? Infinity))));
+  if (!(residual < CHECK_TOLERANCE)) return null;
+
+  appendSteps(steps, attempt);
+  const texts = families.map(familyText);
+  const general = solutionText(variable, texts);
+  addStep(steps, "General solution", `${general}, k ∈ ℤ`, `${families.length} famil${families.length === 1 ? "y" : "ies"} of solutions; k is any integer`);
+  addStep(steps, "Check", `max |f(${variable})| over the families = ${residual.toExponential(2)}`, "Every family satisfies the original equation");
+
+  const result = { general: families.map((family, i) => ({ ...family, text: texts[i] })), interval: interval || null, roots: [] };
+  if (!interval) return { ...result, answer: `${general}, k ∈ ℤ` };
+
+  if (!(interval[0] < interval[1])) throw new Error("The interval must satisfy a < b");
+  const range = `[${formatNumber(interval[0])}, ${formatNumber(interval[1])})`;
+  const listed = solutionsInInterval(families, interval);
+  const listedTexts = listed.map((x) => formatNumber(x));
+  addStep(steps, "Solutions in the interval", listed.length ? listedTexts.join(", ") : "None",
+    `Values of k that put ${variable} in ${range}; the upper end is excluded so one period counts each solution once`);
+  return {
+    ...result,
+    roots: listed.map((x, i) => ({ re: x, im: 0, text: listedTexts[i], multiplicity: 1 })),
+    answer: listed.length ? `${solutionText(variable, listedTexts)} on ${range}` : `No solutions on ${range}`
+  };
+};
+
+// ---- trigsimp ----
+
+// A term as coefficient · numerator factors / denominator factors
+const splitTerm = ({ sign, node }) => {
+  const { numerator, denominator } = getFactors(node);
+  let coefficient = sign;
+  const split = (factors, apply) => factors.filter((factor) => {
+    const value = hasFreeSymbols(factor) ? null : evaluateNumber(factor);
+    if (value === null || value === 0 || !isExactText(formatNumber(value))) return true;
+    coefficient = apply(coefficient, value);
+    return false;
+  });
+  const top = split(numerator, (c, v) => c * v);
+  const bottom = split(denominator, (c, v) => c / v);
+  return { coefficient, numerator: top, denominator: bottom };
+};
+
+const termNode = ({ coefficient, numerator, denominator }) => {
+  const magnitude = Math.abs(coefficient);
+  const fraction = approximateFraction(magnitude);
+  const top = [...numerator];
+  const bottom = [...denominator];
+  if (fraction) {
+    if (fraction.numerator !== 1 || !top.length) top.unshift(new ConstantNode(fraction.numerator));
+    if (fraction.denominator !== 1) bottom.push(new ConstantNode(fraction.denominator));
+  } else {
+    top.unshift(toNode(formatNumber(magnitude)));
+  }
+  return quotientNode(top, bottom);
+};
+
+const sumNode = (terms) => {
+  const live = terms.filter(({ coefficient }) => !isZero(coefficient));
+  if (!live.length) return new ConstantNode(0);
+  return live.reduce((acc, term, i) => {
+    const node = termNode(term);
+    if (i === 0) return term.coefficient < 0 ? new OperatorNode("-", "unaryMinus", [node]) : node;
+    return new OperatorNode(term.coefficient < 0 ? "-" : "+", term.coefficient < 0 ? "subtract" : "add", [acc, node]);
+  }, null);
+};
+
+const restKey = (factors) => factors.map((factor) => key(factor)).sort().join(" * ");
+const sameRest = (p, q) => restKey(p.numerator) === restKey(q.numerator) && restKey(p.denominator) === restKey(q.denominator);
+const sameCoefficient = (p, q, ratio = 1) => isZero(p - ratio * q, 1e-12 * Math.max(1, Math.abs(p)));
+
+// Find a numerator factor fn(u)^power; returns the function name, argument and the term without it
+const takeFactor = (term, names, power) => {
+  for (let i = 0; i < term.numerator.length; i++) {
+    const factor = term.numerator[i];
+    let call = null;
+    if (power === 1 && isCall(factor, names)) call = factor;
+    if (power === 2 && factor.isOperatorNode && factor.fn === "pow") {
+      const [base, exponent] = factor.args.map(stripParentheses);
+      if (isCall(base, names) && exponent.isConstantNode && exponent.value === 2) call = base;
+    }
+    if (call) {
+      return { name: call.fn.name, argument: call.args[0], rest: { ...term, numerator: term.numerator.filter((_, j) => j !== i) } };
+    }
+  }
+  return null;
+};
+
+const call = (name, argument) => new FunctionNode(name, [argument.cloneDeep()]);
+const square = (name, argument) => new OperatorNode("^", "pow", [call(name, argument), new ConstantNode(2)]);
+const doubled = (argument) => simplifyNode(new OperatorNode("*", "multiply", [new ConstantNode(2), argument.cloneDeep()]));
+const halfOf = (left, right, op) => simplifyNode(new OperatorNode("/", "divide", [new OperatorNode(op, op === "+" ? "add" : "subtract", [left.cloneDeep(), right.cloneDeep()]), new ConstantNode(2)]));
+const withFactors = (term, coefficient, ...factors) => ({ ...term, coefficient, numerator: [...factors, ...term.numerator] });
+
+// sin A ± sin B and cos A ± cos B as products of half-sum and half-difference terms
+const sumToProduct = (name, formula) => ({
+  name: "Sum-to-product identity",
+  formula,
+  apply: (p, q) => {
+    const first = takeFactor(p, [name], 1);
+    const second = takeFactor(q, [name], 1);
+    if (!first || !second || key(first.argument) === key(second.argument) || !sameRest(first.rest, second.rest)) return null;
+    const plus = sameCoefficient(p.coefficient, q.coefficient);
+    if (!plus && !sameCoefficient(p.coefficient, q.coefficient, -1)) return null;
+    const [A, B] = [first.argument, second.argument];
+    const sum = halfOf(A, B, "+");
+    const difference = halfOf(A, B, "-");
+    // sin(-u) = -sin(u) and cos(-u) = cos(u) keep the half-difference positive
+    const negative = difference.isOperatorNode && difference.fn === "unaryMinus";
+    const half = negative ? difference.args[0] : difference;
+    let c = 2 * p.coefficient;
+    let factors;
+    if (name === "sin") {
+      factors = plus ? [call("sin", sum), call("cos", half)] : [call("cos", sum), call("sin", half)];
+      if (negative && !plus) c = -c;
+    } else {
+      factors = plus ? [call("cos", sum), call("cos", half)] : [call("sin", sum), call("sin", half)];
+      if (!plus && !negative) c = -c;
+    }
+    return [withFactors(first.rest, c, ...factors)];
+  }
+});
+
+// Rules on two terms of a sum: each returns the replacement terms or null
+const PAIR_IDENTITIES = [
+  {
+    name: "Pythagorean identity",
+    formula: "sin²θ + cos²θ = 1",
+    apply: (p, q) => {
+      const s = takeFactor(p, ["sin"], 2);
+      const c = takeFactor(q, ["cos"], 2);
+      if (!s || !c || key(s.argument) !== key(c.argument) || !sameRest(s.rest, c.rest) || !sameCoefficient(p.coefficient, q.coefficient)) return null;
+      return [s.rest];
+    }
+  },
+  {
+    name: "Double-angle identity",
+    formula: "cos²θ - sin²θ = cos 2θ",
+    apply: (p, q) => {
+      const c = takeFactor(p, ["cos"], 2);
+      const s = takeFactor(q, ["sin"], 2);
+      if (!s || !c || key(s.argument) !== key(c.argument) || !sameRest(s.rest, c.rest) || !sameCoefficient(p.coefficient, q.coefficient, -1)) return null;
+      return [withFactors(c.rest, p.coefficient, call("cos", doubled(c.argument)))];
+    }
+  },
+  {
+    name: "Double-angle identity",
+    formula: "1 - 2sin²θ = cos 2θ",
+    apply: (p, q) => {
+      const s = takeFactor(q, ["sin"], 2);
+      if (!s || !sameRest(p, s.rest) || !sameCoefficient(q.coefficient, p.coefficient, -2)) return null;
+      return [withFactors(p, p.coefficient, call("cos", doubled(s.argument)))];
+    }
+  },
+  {
+    name: "Double-angle identity",
+    formula: "2cos²θ - 1 = cos 2θ",
+    apply: (p, q) => {
+      const c = takeFactor(p, ["cos"], 2);
+      if (!c || !sameRest(q, c.rest) || !sameCoefficient(p.coefficient, q.coefficient, -2)) return null;
+      return [withFactors(q, -q.coefficient, call("cos", doubled(c.argument)))];
+    }
+  },
+  {
+    name: "Pythagorean identity",
+    formula: "1 - sin²θ = cos²θ, 1 - cos²θ = sin²θ",
+    apply: (p, q) => {
+      const t = takeFactor(q, ["sin", "cos"], 2);
+      if (!t || !sameRest(p, t.rest) || !sameCoefficient(q.coefficient, p.coefficient, -1)) return null;
+      return [withFactors(p, p.coefficient, square(t.name === "sin" ? "cos" : "sin", t.argument))];
+    }
+  },
+  {
+    name: "Pythagorean identity",
+    formula: "1 + tan²θ = sec²θ",
+    apply: (p, q) => {
+      const t = takeFactor(q, ["tan"], 2);
+      if (!t || !sameRest(p, t.rest) || !sameCoefficient(q.coefficient, p.coefficient)) return null;
+      return [withFactors(p, p.coefficient, square("sec", t.argument))];
+    }
+  },
+  sumToProduct("sin", "sin A ± sin B = 2·sin((A ± B)/2)·cos((A ∓ B)/2)"),
+  sumToProduct("cos", "cos A + cos B = 2·cos((A + B)/2)·cos((A - B)/2), cos A - cos B = -2·sin((A + B)/2)·sin((A - B)/2)")
+];
+
+// Rules on a single product or quotient
+const TERM_IDENTITIES = [
+  {
+    name: "Double-angle identity",
+    formula: "2·sinθ·cosθ = sin 2θ",
+    apply: (term) => {
+      const s = takeFactor(term, ["sin"], 1);
+      const c = s && takeFactor(s.rest, ["cos"], 1);
+      if (!c || key(s.argument) !== key(c.argument)) return null;
+      return withFactors(c.rest, term.coefficient / 2, call("sin", doubled(s.argument)));
+    }
+  },
+  {
+    name: "Quotient identity",
+    formula: "sinθ/cosθ = tanθ, cosθ/sinθ = cotθ",
+    apply: (term) => {
+      for (const [top, bottom, result] of [["sin", "cos", "tan"], ["cos", "sin", "cot"]]) {
+        const up = takeFactor(term, [top], 1);
+        const index = up ? up.rest.denominator.findIndex((factor) => isCall(factor, [bottom]) && key(factor.args[0]) === key(up.argument)) : -1;
+        if (index >= 0) {
+          const rest = { ...up.rest, denominator: up.rest.denominator.filter((_, j) => j !== index) };
+          return withFactors(rest, term.coefficient, call(result, up.argument));
+        }
+      }
+      return null;
+    }
+  }
+];
+
+// Apply one identity somewhere in the expression, innermost sub-expressions first: { node, identity } or null
+const rewriteOnce = (expr) => {
+  const terms = getTerms(expr).map(splitTerm);
+  for (let i = 0; i < terms.length; i++) {
+    for (const side of ["numerator", "denominator"]) {
+      for (let j = 0; j < terms[i][side].length; j++) {
+        const inner = rewriteInside(terms[i][side][j]);
+        if (inner) {
+          const updated = terms.map((term, index) => (index === i ? { ...term, [side]: term[side].map((f, k) => (k === j ? inner.node : f)) } : term));
+          return { node: sumNode(updated), identity: inner.identity };
+        }
+      }
+    }
+  }
+  for (const identity of TERM_IDENTITIES) {
+    for (let i = 0; i < terms.length; i++) {
+      const replaced = identity.apply(terms[i]);
+      if (replaced) return { node: sumNode(terms.map((term, index) => (index === i ? replaced : term))), identity };
+    }
+  }
+  for (const identity of PAIR_IDENTITIES) {
+    for (let i = 0; i < terms.length; i++) {
+      for (let j = 0; j < terms.length; j++) {
+        const replaced = i !== j && identity.apply(terms[i], terms[j]);
+        if (replaced) return { node: sumNode([...terms.filter((_, k) => k !== i && k !== j), ...replaced]), identity };
+      }
+    }
+  }
+  return null;
+};
+
+// Rewrite inside a factor: the terms of a bracketed sum, a function argument or the base of a power
+const rewriteInside = (factor) => {
+  const node = stripParentheses(factor);
+  if (node.isOperatorNode && ["add", "subtract", "unaryMinus"].includes(node.fn)) return rewriteOnce(node);
+  if (node.isFunctionNode || (node.isOperatorNode && node.fn === "pow")) {
+    for (let i = 0; i < node.args.length; i++) {
+      const inner = rewriteOnce(node.args[i]);
+      if (inner) {
+        const args = node.args.map((arg, j) => (j === i ? inner.node : arg));
+        return { node: node.isFunctionNode ? new FunctionNode(node.fn, args) : new OperatorNode(node.op, node.fn, args), identity: inner.identity };
+      }
+    }
+  }
+  return null;
+};
+
+// Both expressions agree at a few sample points of every free symbol
+const sameValues = (left, right) => {
+  const symbols = [...new Set(left.filter((n, path, parent) => n.isSymbolNode && !(parent && parent.isFunctionNode && path === "fn") && !["pi", "e"].includes(n.name)).map((n) => n.name))];
+  const [f, g] = [left.compile(), right.compile()];
+  return [0.37, 1.21, -0.83, 2.6].every((x, i) => {
+    const scope = Object.fromEntries(symbols.map((name, j) => [name, x + 0.29 * j * (i + 1)]));
+    try {
+      const [p, q] = [f.evaluate(scope), g.evaluate(scope)];
+      if (typeof p !== "number" || typeof q !== "number" || !isFinite(p) || !isFinite(q)) return true;
+      return isZero(p - q, 1e-8 * Math.max(1, Math.abs(p)));
+    } catch {
+      return true;
+    }
+  });
+};
+
+// trigsimp(expression): apply identities until none matches, cancelling between rounds
+const simplifyTrig = (text, steps) => {
+  const original = tidy(normalizeFunctions(text));
+  let node = original;
+  let applied = 0;
+  for (let round = 0; round < MAX_REWRITES; round++) {
+    const rewrite = rewriteOnce(node);
+    if (rewrite) {
+      node = tidy(rewrite.node);
+      applied++;
+      addStep(steps, rewrite.identity.name, node.toString(), rewrite.identity.formula);
+      continue;
+    }
+    const simplified = simplifyNode(node);
+    if (key(simplified) === key(node) || !sameValues(node, simplified)) break;
+    node = simplified;
+    addStep(steps, "Simplify", node.toString(), "Collect like terms and cancel common factors");
+  }
+  if (!applied) addStep(steps, "No identity applies", node.toString(), "No Pythagorean, double-angle, sum-to-product or quotient identity matches the expression");
+  if (!sameValues(original, node)) throw new Error("trigsimp produced an expression that does not match the input");
+  return { answer: node.toString(), identities: steps.filter(({ description }) => /identity$/.test(description)).map(({ description }) => description) };
+};
+
+module.exports = {
+  solveTrigEquation,
+  simplifyTrig,
+  familyText
+};
@@ -0,0 +1,89 @@
+// backend/utils/trigSolver.test.js
+// Regression tests for trig equations (general solutions, interval listings, rejected values)
+// and for trigsimp with the identity named in each step
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { solveTrigEquation, simplifyTrig } = require("./trigSolver");
+const { toZeroForm } = require("./equationSolver");
+const { solveMathExpression } = require("./mathSolver");
+
+const solve = (equation, interval, steps = []) => solveTrigEquation(toZeroForm(equation), "x", steps, interval);
+const trigsimp = (text) => simplifyTrig(text, []);
+
+test("general solutions are families in k", () => {
+  const steps = [];
+  const result = solve("sin(x) = 1/2", undefined, steps);
+  assert.equal(result.answer, "x = pi/6 + 2*k*pi, 5*pi/6 + 2*k*pi, k ∈ ℤ");
+  assert.deepEqual(result.general.map((f) => f.text), ["pi/6 + 2*k*pi", "5*pi/6 + 2*k*pi"]);
+  assert.deepEqual(steps.map((s) => s.description), ["Substitute", "Solve for t", "Principal values", "General solution", "Check"]);
+  assert.equal(solve("sin(x) = 0").answer, "x = k*pi, k ∈ ℤ");
+  assert.equal(solve("tan(x) = 1").answer, "x = pi/4 + k*pi, k ∈ ℤ");
+  assert.equal(solve("tan(x/2) = sqrt(3)").answer, "x = 2*pi/3 + 2*k*pi, k ∈ ℤ");
+});
+
+test("equally spaced families are merged", () => {
+  assert.equal(solve("2*sin(x)^2 - 1 = 0").answer, "x = pi/4 + k*pi/2, k ∈ ℤ");
+  assert.equal(solve("2cos(x)^2 + sin(x) = 1").answer, "x = pi/2 + 2*k*pi/3, k ∈ ℤ");
+});
+
+test("a sin x + b cos x = c is solved as one harmonic", () => {
+  assert.equal(solve("sin(x) + cos(x) = 1").answer, "x = 2*k*pi, pi/2 + 2*k*pi, k ∈ ℤ");
+  assert.equal(solve("sqrt(3)*sin(x) - cos(x) = 1").answer, "x = pi/3 + 2*k*pi, pi + 2*k*pi, k ∈ ℤ");
+});
+
+test("a double angle is rewritten and a product is solved factor by factor", () => {
+  const steps = [];
+  assert.equal(solve("sin(2x) = cos(x)", undefined, steps).answer, "x = pi/2 + k*pi, pi/6 + 2*k*pi, 5*pi/6 + 2*k*pi, k ∈ ℤ");
+  assert.deepEqual(steps.slice(0, 2).map((s) => s.expression), ["2 * sin(x) * cos(x) - cos(x) = 0", "cos(x) * (2 * sin(x) - 1) = 0"]);
+  assert.equal(solve("cos(2x) = cos(x)").answer, "x = 2*k*pi/3, k ∈ ℤ");
+  assert.equal(solve("sin(2x) + sin(x) = 0", [0, 2 * Math.PI]).answer, "x = 0, 2*pi/3, pi, 4*pi/3 on [0, 2*pi)");
+});
+
+test("only the decimal families are marked approximate", () => {
+  assert.equal(solve("(sin(x) - 1/3)*(2sin(x) - 1) = 0").answer,
+    "x = pi/6 + 2*k*pi, 5*pi/6 + 2*k*pi or x ≈ 0.3398369095 + 2*k*pi, 2.801755744 + 2*k*pi, k ∈ ℤ");
+});
+
+test("solutions are listed on a half-open interval", () => {
+  const result = solve("sin(3x) = -sqrt(3)/2", [0, 2 * Math.PI]);
+  assert.equal(result.answer, "x = 4*pi/9, 5*pi/9, 10*pi/9, 11*pi/9, 16*pi/9, 17*pi/9 on [0, 2*pi)");
+  assert.equal(result.roots.length, 6);
+  assert.equal(solve("2*sin(x)^2 - 3*sin(x) + 1 = 0", [0, 2 * Math.PI]).answer, "x = pi/6, pi/2, 5*pi/6 on [0, 2*pi)");
+  assert.throws(() => solve("sin(x) = 0", [3, 1]), /a < b/);
+  assert.throws(() => solve("sin(x) = 0", [0, 1000]), /More than 100 solutions/);
+});
+
+test("values outside the range, identities and non-trig equations", () => {
+  assert.equal(solve("sin(x) = 2").answer, "No solution");
+  assert.equal(solve("sin(x)^2 + cos(x)^2 = 1").answer, "All real numbers satisfy the equation");
+  assert.match(solve("sin(2x + 1) = 0.3").answer, /^x ≈ 0\.9184499998 \+ k\*pi, 2\.793938981 \+ k\*pi/);
+  assert.equal(solve("x*sin(x) = 1"), null);
+});
+
+test("solve(...) returns trig families and interval roots", () => {
+  const general = solveMathExpression("solve(sin(x) = 1/2, x)");
+  assert.equal(general.type, "equation-trig");
+  assert.equal(general.general.length, 2);
+  const listed = solveMathExpression("solve(2*cos(x)^2 + sin(x) = 1, x, 0, 2*pi)");
+  assert.equal(listed.finalAnswer, "x = pi/2, 7*pi/6, 11*pi/6 on [0, 2*pi)");
+  assert.deepEqual(listed.roots.map((r) => r.value), ["pi/2", "7*pi/6", "11*pi/6"]);
+});
+
+test("trigsimp names the Pythagorean, double-angle, sum-to-product and quotient identities", () => {
+  assert.deepEqual(trigsimp("2*sin(x)*cos(x)"), { answer: "sin(2 * x)", identities: ["Double-angle identity"] });
+  assert.equal(trigsimp("sin(x)^2 + cos(x)^2").answer, "1");
+  assert.equal(trigsimp("1 - 2*sin(x)^2").answer, "cos(2 * x)");
+  assert.equal(trigsimp("cos(x) - cos(3x)").answer, "2 * sin(2 * x) * sin(x)");
+  assert.deepEqual(trigsimp("sin(x)^2 + cos(x)^2 + tan(x)^2"), { answer: "sec(x) ^ 2", identities: ["Pythagorean identity", "Pythagorean identity"] });
+  assert.deepEqual(trigsimp("(sin(3x) + sin(x))/(cos(3x) + cos(x))"), {
+    answer: "tan(2 * x)",
+    identities: ["Sum-to-product identity", "Sum-to-product identity", "Quotient identity"]
+  });
+});
+
+test("trigsimp leaves expressions without a matching identity alone", () => {
+  const steps = [];
+  assert.deepEqual(simplifyTrig("x^2 + 1", steps), { answer: "x ^ 2 + 1", identities: [] });
+  assert.equal(steps[0].description, "No identity applies");
+  assert.match(solveMathExpression("trigsimp(1, 2)").error, /Use: trigsimp\(expression\)/);
+});
@@ -0,0 +1,185 @@
+// backend/utils/unitSolver.js
+// Unit-aware evaluation and conversion ("5 km/h to m/s", "9.8 m/s^2 * 3 s") with the conversion factors and
+// dimensions as steps, and readable dimension-mismatch errors
+const { parse, evaluate, unit, isUnit, Unit } = require("mathjs");
+const { addStep } = require("./solverHelpers");
+const { stripParentheses } = require("./expressionUtils");
+
+const UNIT_MISMATCH = /^Units do not match/;
+// mathjs base dimensions, in its order
+const DIMENSIONS = ["M", "L", "T", "I", "Θ", "J", "N", "angle", "bit"];
+const DIMENSION_NAMES = { M: "mass", L: "length", T: "time", I: "current", Θ: "temperature", J: "luminous intensity", N: "amount of substance", angle: "angle", bit: "information" };
+
+// Symbols that name units (m, km, s, h, N...), ignoring function names
+const unitSymbols = (node) => node
+  .filter((n, path) => n.isSymbolNode && path !== "fn" && Unit.isValuelessUnit(n.name))
+  .map((n) => n.name);
+
+// A quantity is a number literal written next to a unit ("5 m", "3 km/h", "2 m^2"); a bare symbol such as t, s
+// or h is a variable unless the expression converts with "to" or "in"
+const isQuantity = (node) => node.isOperatorNode && node.fn === "multiply" && node.implicit &&
+  stripParentheses(node.args[0]).isConstantNode && unitSymbols(node.args[1]).length > 0;
+
+const hasUnits = (text) => {
+  try {
+    const node = parse(text);
+    return node.filter((n) => isQuantity(n) || (n.isOperatorNode && n.fn === "to")).length > 0 && unitSymbols(node).length > 0;
+  } catch {
+    return false;
+  }
+};
+
+// "[L T^-1]"; "1" for a dimensionless quantity
+const dimensionText = (value) => {
+  const powers = isUnit(value) ? value.dimensions : [];
+  const parts = DIMENSIONS.map((name, i) => ({ name, power: powers[i] || 0 })).filter(({ power }) => power !== 0);
+  return parts.length ? `[${parts.map(({ name, power }) => (power === 1 ? name : `${name}^${power}`)).join(" ")}]` : "1";
+};
+
+const dimensionName = (value) => {
+  const powers = isUnit(value) ? value.dimensions : [];
+  const single = DIMENSIONS.filter((_, i) => powers[i]);
+  return single.length === 1 && powers[DIMENSIONS.indexOf(single[0])] === 1 ? DIMENSION_NAMES[single[0]] : dimensionText(value);
+};
+
+const unitsText = (value) => (isUnit(value) ? value.formatUnits().replace(/\s*\/\s*/g, "/") : "");
+
+// Remove floating noise (29.400000000000002) and round to `places` decimals; tiny values keep significant digits
+const roundValue = (value, places) => {
+  const clean = parseFloat(value.toPrecision(12));
+  return Math.abs(clean) >= 1e-4 || clean === 0 ? parseFloat(clean.toFixed(places)) : parseFloat(clean.toPrecision(Math.max(places, 1)));
+};
+
+const quantityText = (value, places) => {
+  if (!isUnit(value)) return String(roundValue(value, places));
+  return `${roundValue(value.toNumber(value.formatUnits()), places)} ${unitsText(value)}`;
+};
+
+// A readable message for mismatched dimensions, pointing at the first sum or conversion that fails, or null
+const findDimensionError = (text) => {
+  let message = null;
+  const check = (node) => {
+    if (message) return;
+    const inner = stripParentheses(node);
+    (inner.args || []).forEach(check);
+    if (message || !inner.isOperatorNode || !["add", "subtract", "to"].includes(inner.fn)) return;
+    let left;
+    let right;
+    try {
+      left = evaluate(inner.args[0].toString());
+      right = inner.fn === "to" ? unit(inner.args[1].toString()) : evaluate(inner.args[1].toString());
+    } catch {
+      return;
+    }
+    if (isUnit(left) && isUnit(right) && left.equalBase(right)) return;
+    if (!isUnit(left) && !isUnit(right)) return;
+    const describe = (value) => (isUnit(value) ? `${unitsText(value)} (${dimensionName(value)})` : "a plain number (dimensionless)");
+    message = inner.fn === "to"
+      ? `Dimension mismatch: cannot convert ${describe(left)} to ${describe(right)}`
+      : `Dimension mismatch: cannot ${inner.fn === "add" ? "add" : "subtract"} ${describe(left)} and ${describe(right)}`;
+  };
+  try {
+    check(parse(text));
+  } catch {
+    return null;
+  }
+  return message;
+};
+
+const dimensionError = (text) => findDimensionError(text) || "Dimension mismatch: the units in this expression do not match";
+
+// "ok" when the expression evaluates with units, "mismatch" when its dimensions clash, null when it is not about units
+const unitStatus = (text) => {
+  if (!hasUnits(text)) return null;
+  try {
+    const value = evaluate(text);
+    return isUnit(value) || typeof value === "number" ? "ok" : null;
+  } catch (error) {
+    // Adding a plain number to a quantity fails as a type error rather than a unit mismatch
+    return UNIT_MISMATCH.test(error.message) || findDimensionError(text) ? "mismatch" : null;
+  }
+};
+
+const isOffsetUnit = (value) => isUnit(value) && value.units.some(({ unit: base }) => base.offset !== 0);
+
+// One line per unit: "1 km = 1000 m", "1 h = 3600 s"; SI units themselves and offset scales (°C, °F) are left out
+const conversionFactors = (value) => {
+  if (!isUnit(value) || isOffsetUnit(value)) return [];
+  return value.units
+    .map(({ unit: base, prefix }) => `${prefix.name}${base.name}`)
+    .filter((name, i, all) => all.indexOf(name) === i)
+    .map((name) => {
+      const si = unit(1, name).toSI();
+      const siUnits = unitsText(si);
+      return siUnits === name ? null : `1 ${name} = ${parseFloat(si.toNumber(si.formatUnits()).toPrecision(12))} ${siUnits}`;
+    })
+    .filter(Boolean);
+};
+
+const convertUnits = (node, steps, places) => {
+  const source = evaluate(node.args[0].toString());
+  const targetText = node.args[1].toString();
+  if (!isUnit(source)) throw new Error(`${node.args[0].toString()} has no units to convert`);
+  const target = unit(targetText);
+  addStep(steps, "Quantity", quantityText(source, places), `Convert to ${unitsText(target)}`);
+  addStep(steps, "Dimensions", `${dimensionText(source)} = ${dimensionText(target)}`, `Both are ${dimensionName(source)}, so the conversion is valid`);
+
+  const factors = [...conversionFactors(source), ...conversionFactors(target)].filter((line, i, all) => all.indexOf(line) === i);
+  if (factors.length) addStep(steps, "Conversion factors", factors.join("\n"), "Each unit written in SI base units");
+
+  const result = source.to(targetText);
+  if (isOffsetUnit(source) || isOffsetUnit(target)) {
+    addStep(steps, "Convert", `${quantityText(source, places)} = ${quantityText(result, places)}`, "Temperature scales have different zero points, so the value goes through kelvin rather than a single factor");
+  } else {
+    const sourceUnits = source.formatUnits();
+    const factor = unit(1, sourceUnits).toNumber(result.formatUnits());
+    addStep(steps, "Convert", `${quantityText(source, places)} × ${parseFloat(factor.toPrecision(12))} = ${quantityText(result, places)}`,
+      `1 ${unitsText(source)} = ${parseFloat(factor.toPrecision(12))} ${unitsText(result)}`);
+  }
+  return result;
+};
+
+const evaluateUnits = (node, steps, places) => {
+  // simplify() collects m·s/s^2 into m/s and names derived units such as J
+  const value = evaluate(node.toString());
+  const result = isUnit(value) ? value.simplify() : value;
+  const operands = node.isOperatorNode && ["multiply", "divide"].includes(node.fn) ? node.args.map((arg) => evaluate(arg.toString())) : [];
+  const factors = [...new Set(operands.flatMap(conversionFactors))];
+  if (factors.length) addStep(steps, "Conversion factors", factors.join("\n"), "Each unit written in SI base units");
+  if (operands.length) {
+    const symbol = node.fn === "multiply" ? " · " : " / ";
+    addStep(steps, "Combine units", `${operands.map((value) => (isUnit(value) ? `(${unitsText(value)})` : "1")).join(symbol)} = ${isUnit(result) ? unitsText(result) : "1"}`,
+      "Units multiply and divide like symbols; matching units cancel");
+  }
+  const name = isUnit(result) ? dimensionName(result) : "dimensionless";
+  addStep(steps, "Dimensional analysis", name === dimensionText(result) ? name : `${dimensionText(result)} (${name})`,
+    isUnit(result) ? "Dimensions of the result" : "The units cancel completely");
+  if (isUnit(result)) {
+    const si = result.toSI();
+    if (unitsText(si) !== unitsText(result)) addStep(steps, "SI units", quantityText(si, places), "The same quantity in SI base units");
+  }
+  return result;
+};
+
+// Evaluate or convert a quantity with units; returns the answer text and the value, units and dimensions
+const solveUnits = (text, steps, places) => {
+  const node = stripParentheses(parse(text));
+  const result = node.isOperatorNode && node.fn === "to" ? convertUnits(node, steps, places) : evaluateUnits(node, steps, places);
+  const answer = quantityText(result, places);
+  return {
+    answer,
+    unit: {
+      value: isUnit(result) ? result.toNumber(result.formatUnits()) : result,
+      units: unitsText(result),
+      dimensions: dimensionText(result),
+      si: isUnit(result) ? quantityText(result.toSI(), places) : answer
+    }
+  };
+};
+
+module.exports = {
+  hasUnits,
+  unitStatus,
+  dimensionError,
+  solveUnits
+};
@@ -0,0 +1,74 @@
+// backend/utils/unitSolver.test.js
+// Regression tests for quantities with units: conversions and their factors, unit arithmetic,
+// temperature scales and dimension mismatches reported as validation errors
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { hasUnits, unitStatus } = require("./unitSolver");
+const { solveMathExpression, validateMathExpression } = require("./mathSolver");
+
+const descriptions = (result) => result.steps.map((s) => s.description);
+
+test("unit symbols are told apart from plain variables and functions", () => {
+  assert.equal(hasUnits("5 m"), true);
+  assert.equal(hasUnits("sin(x)"), false);
+  assert.equal(unitStatus("x + 1"), null);
+  assert.equal(solveMathExpression("x + 1").type, "simplification");
+});
+
+test("bare symbols that also name units stay variables", () => {
+  ["t^2 + 1", "s^2 + 2*s + 1", "h + 1", "2*h + 3", "g*t^2/2 + 1", "L + 1", "b + 1", "3*s"].forEach((expression) => {
+    assert.equal(unitStatus(expression), null, expression);
+    assert.deepEqual(validateMathExpression(expression), { valid: true });
+    assert.equal(solveMathExpression(expression).type, "simplification", expression);
+  });
+  assert.equal(solveMathExpression("solve(s^2 - 4 = 0, s)").finalAnswer, "s = -2, 2");
+  // A number written next to the unit, or a conversion, makes it a quantity
+  assert.equal(hasUnits("3 km/h"), true);
+  assert.equal(solveMathExpression("5 km/h in m/s").type, "unit");
+});
+
+test("conversions list the factor of every unit", () => {
+  const result = solveMathExpression("5 km/h to m/s");
+  assert.equal(result.type, "unit");
+  assert.equal(result.finalAnswer, "1.3888888889 m/s");
+  assert.equal(result.unit.dimensions, "[L T^-1]");
+  assert.deepEqual(descriptions(result), ["Original expression", "Quantity", "Dimensions", "Conversion factors", "Convert"]);
+  assert.equal(result.steps[3].expression, "1 km = 1000 m\n1 h = 3600 s");
+  assert.equal(result.steps[4].expression, "5 km/h × 0.277777777778 = 1.3888888889 m/s");
+});
+
+test("units multiply and divide and derived units are named", () => {
+  const speed = solveMathExpression("9.8 m/s^2 * 3 s");
+  assert.equal(speed.finalAnswer, "29.4 m/s");
+  assert.equal(speed.steps.find((s) => s.description === "Combine units").expression, "(m/s^2) · (s) = m/s");
+  const work = solveMathExpression("2 N * 3 m");
+  assert.equal(work.finalAnswer, "6 J");
+  assert.equal(work.unit.dimensions, "[M L^2 T^-2]");
+  assert.ok(descriptions(work).includes("SI units"));
+  const ratio = solveMathExpression("10 m / 5 m");
+  assert.equal(ratio.finalAnswer, "2");
+  assert.equal(ratio.unit.dimensions, "1");
+});
+
+test("temperature scales convert through their offsets", () => {
+  const result = solveMathExpression("100 degC to degF");
+  assert.equal(result.finalAnswer, "212 degF");
+  assert.ok(!descriptions(result).includes("Conversion factors"));
+  assert.equal(result.unit.si, "373.15 K");
+});
+
+test("dimension mismatches are validation errors", () => {
+  const cases = {
+    "5 m + 3 s": "Dimension mismatch: cannot add m (length) and s (time)",
+    "5 m + 2": "Dimension mismatch: cannot add m (length) and a plain number (dimensionless)",
+    "3 kg to m": "Dimension mismatch: cannot convert kg (mass) to m (length)"
+  };
+  Object.entries(cases).forEach(([expression, message]) => {
+    assert.equal(unitStatus(expression), "mismatch");
+    assert.deepEqual(validateMathExpression(expression), { valid: false, error: message });
+    const result = solveMathExpression(expression);
+    assert.equal(result.success, false);
+    assert.equal(result.error, message);
+  });
+  assert.deepEqual(validateMathExpression("5 km/h to m/s"), { valid: true });
+});
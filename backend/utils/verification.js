@@ -0,0 +1,187 @@
+// backend/utils/verification.js
+// Independent checks of solver results: differentiate antiderivatives, substitute roots back into equations,
+// compare derivatives with finite differences and exact definite integrals with quadrature
+const { parse, derivative, complex } = require("mathjs");
+const { toNode, normalizeFunctions, tidy, numericFunction, evaluateNumber, getTerms, formatNumber, substitute } = require("./expressionUtils");
+const { compareSamples, freeSymbols, pointText } = require("./equivalence");
+const { adaptiveQuadrature } = require("./numericMethods");
+const { createStep } = require("./solverHelpers");
+
+const ROOT_TOLERANCE = 1e-6;
+const QUADRATURE_TOLERANCE = 1e-6;
+const MAX_DIFFERENCE_ORDER = 3;
+// Points for finite differences; other symbols are held at OTHER_VALUES
+const DIFFERENCE_POINTS = [0.7, 1.3, 2.1, -0.6, -1.7, 0.35];
+const OTHER_VALUES = [1.1, 0.9, 1.4, 0.6];
+const FAMILY_MEMBERS = [0, 1, -1];
+
+const outcome = (verified, check, detail) => ({ verified, verification: { check, detail } });
+
+// Attach the outcome to a result, with a closing step when a check actually ran
+const withVerification = (result, { verified, verification }) => {
+  if (verified === null) return { ...result, verified, verification };
+  const steps = [...result.steps, createStep(result.steps.length + 1, "Verify", verification.detail,
+    verified ? "The result passes an independent check" : "The result failed an independent check and may be wrong")];
+  return { ...result, steps, verified, verification };
+};
+
+// Real value of a compiled expression, or null where it is undefined, complex or not finite
+const realAt = (compiled, scope) => {
+  try {
+    const value = compiled.evaluate(scope);
+    return typeof value === "number" && isFinite(value) ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+// ---- integrals ----
+
+// F is an antiderivative of f when F' = f at every sampled point where both are defined
+const verifyAntiderivative = (integrand, antiderivative, variable) => {
+  const check = "differentiate-antiderivative";
+  let differentiated;
+  try {
+    differentiated = derivative(normalizeFunctions(antiderivative), variable);
+  } catch {
+    return outcome(null, check, "The result could not be differentiated independently");
+  }
+  const f = tidy(normalizeFunctions(integrand));
+  const { tested, counterexample } = compareSamples(differentiated, f, freeSymbols(differentiated, f));
+  if (counterexample) {
+    return outcome(false, check, `d/d${variable} of the result is ${formatNumber(counterexample.first)} but the integrand is ${formatNumber(counterexample.second)} at ${pointText(counterexample.point)}`);
+  }
+  if (!tested) return outcome(null, check, "No sample point where the derivative and the integrand are both defined");
+  return outcome(true, check, `d/d${variable}(${antiderivative}) = ${f} at ${tested} sample points`);
+};
+
+// An exact definite integral should agree with adaptive quadrature over the same interval
+const verifyDefiniteIntegral = (integrand, variable, lowerText, upperText, value) => {
+  const check = "numeric-quadrature";
+  // Infinite limits are mapped onto a finite interval by the quadrature itself
+  const [lower, upper] = [lowerText, upperText].map((text) => evaluateNumber(parse(String(text).replace(/∞/g, "Infinity").replace(/\binf\b/g, "Infinity"))));
+  if (lower === null || upper === null || isNaN(lower) || isNaN(upper)) return outcome(null, check, "The limits of integration are not numbers");
+  const f = numericFunction(normalizeFunctions(integrand), variable);
+  const numeric = adaptiveQuadrature(f, lower, upper);
+  if (!numeric.converged || !isFinite(numeric.value)) return outcome(null, check, "Numerical quadrature did not converge");
+  const agrees = Math.abs(numeric.value - value) <= QUADRATURE_TOLERANCE * Math.max(1, Math.abs(value));
+  return outcome(agrees, check, `Numerical quadrature gives ${formatNumber(numeric.value)}${agrees ? "" : `, not ${formatNumber(value)}`}`);
+};
+
+// ---- equations ----
+
+// Size of the largest term at a point, so the residual is judged relative to the numbers involved
+const termScale = (expr, scope) =>
+  getTerms(expr).reduce((largest, { node }) => {
+    try {
+      const value = node.evaluate(scope);
+      return Math.max(largest, typeof value === "number" ? Math.abs(value) : value.abs());
+    } catch {
+      return largest;
+    }
+  }, 1);
+
+// Substitute every root into f(x) = 0; roots are { re, im, text }
+const verifyRoots = (expression, variable, roots) => {
+  const check = "substitute-roots";
+  if (!roots.length) return outcome(null, check, "There are no roots to substitute");
+  const expr = tidy(normalizeFunctions(expression));
+  const compiled = expr.compile();
+  const failed = [];
+  let worst = 0;
+  for (const root of roots) {
+    const scope = { [variable]: root.im ? complex(root.re, root.im) : root.re };
+    let residual;
+    try {
+      const value = compiled.evaluate(scope);
+      residual = typeof value === "number" ? Math.abs(value) : value.abs();
+    } catch {
+      return outcome(null, check, `The equation could not be evaluated at ${variable} = ${root.text}`);
+    }
+    const relative = residual / termScale(expr, scope);
+    if (!(relative <= ROOT_TOLERANCE)) failed.push(root.text);
+    else worst = Math.max(worst, relative);
+  }
+  if (failed.length) return outcome(false, check, `Substituting ${failed.map((text) => `${variable} = ${text}`).join(", ")} does not satisfy the equation`);
+  return outcome(true, check, `Every root satisfies the equation (${worst ? `largest relative residual ${worst.toExponential(1)}` : "zero residual"})`);
+};
+
+// Roots in terms of letters such as -b / a: substituted back, the equation must vanish for sampled values of the letters
+const verifyLiteralRoots = (expression, variable, roots) => {
+  const check = "substitute-roots";
+  const expr = tidy(normalizeFunctions(expression));
+  for (const text of roots) {
+    const substituted = substitute(expr, variable, parse(text));
+    const { tested, counterexample } = compareSamples(substituted, parse("0"), freeSymbols(substituted));
+    if (counterexample) return outcome(false, check, `Substituting ${variable} = ${text} leaves ${formatNumber(counterexample.first)} at ${pointText(counterexample.point)}`);
+    if (!tested) return outcome(null, check, `No sampled values of the coefficients make ${variable} = ${text} real`);
+  }
+  return outcome(true, check, "Every root makes the equation vanish for sampled values of the coefficients");
+};
+
+// General solutions such as pi/6 + 2*k*pi: substitute the members k = 0, 1, -1 of each family
+const verifyFamilies = (expression, variable, families) => {
+  const members = families.flatMap(({ base, period, text }) =>
+    FAMILY_MEMBERS.map((k) => ({ re: base + k * period, im: 0, text: `${text.replace(/\bk\b/g, `(${k})`)}` })));
+  const result = verifyRoots(expression, variable, members);
+  if (result.verified) result.verification.detail = `The members k = ${FAMILY_MEMBERS.join(", ")} of every family satisfy the equation`;
+  return result;
+};
+
+// ---- derivatives ----
+
+// Nested central differences for ∂/∂v1 ∂/∂v2 ... at a point
+const finiteDifference = (f, variables, point, h) => {
+  if (!variables.length) return f(point);
+  const [first, ...rest] = variables;
+  const step = h * Math.max(1, Math.abs(point[first]));
+  const forward = finiteDifference(f, rest, { ...point, [first]: point[first] + step }, h);
+  const backward = finiteDifference(f, rest, { ...point, [first]: point[first] - step }, h);
+  return forward === null || backward === null ? null : (forward - backward) / (2 * step);
+};
+
+// Compare a symbolic derivative with finite differences of the function at a few points
+const verifyDerivative = (func, variables, result) => {
+  const check = "finite-differences";
+  if (variables.length > MAX_DIFFERENCE_ORDER) return outcome(null, check, `Finite differences are not reliable beyond order ${MAX_DIFFERENCE_ORDER}`);
+  let fn;
+  let df;
+  try {
+    fn = normalizeFunctions(toNode(func)).compile();
+    df = normalizeFunctions(toNode(result)).compile();
+  } catch {
+    return outcome(null, check, "The result could not be evaluated");
+  }
+  const [h, tolerance] = variables.length === 1 ? [1e-5, 1e-6] : [1e-3, 1e-3];
+  const others = freeSymbols(normalizeFunctions(toNode(func))).filter((name) => !variables.includes(name));
+  const f = (point) => realAt(fn, point);
+  let tested = 0;
+  for (let k = 0; k < DIFFERENCE_POINTS.length; k++) {
+    const point = Object.fromEntries([
+      ...others.map((name, j) => [name, OTHER_VALUES[(k + j) % OTHER_VALUES.length]]),
+      ...[...new Set(variables)].map((name, j) => [name, DIFFERENCE_POINTS[(k + 2 * j) % DIFFERENCE_POINTS.length]])
+    ]);
+    const [symbolic, numeric] = [realAt(df, point), finiteDifference(f, variables, point, h)];
+    if (symbolic === null || numeric === null || !isFinite(numeric)) continue;
+    tested++;
+    if (Math.abs(symbolic - numeric) > tolerance * Math.max(1, Math.abs(symbolic), Math.abs(f(point) || 0))) {
+      return outcome(false, check, `At ${pointText(point)} the result gives ${formatNumber(symbolic)} but finite differences give ${formatNumber(numeric)}`);
+    }
+  }
+  if (!tested) return outcome(null, check, "No sample point where the function and the result are both defined");
+  return outcome(true, check, `Matches central finite differences at ${tested} points`);
+};
+
+// Results nothing here can check
+const unverified = () => outcome(null, "none", "No independent check is available for this kind of result");
+
+module.exports = {
+  withVerification,
+  verifyAntiderivative,
+  verifyDefiniteIntegral,
+  verifyRoots,
+  verifyLiteralRoots,
+  verifyFamilies,
+  verifyDerivative,
+  unverified
+};
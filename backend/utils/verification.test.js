@@ -0,0 +1,78 @@
+// backend/utils/verification.test.js
+// Regression tests for the independent checks: differentiated antiderivatives, substituted roots and
+// trig families, finite differences for derivatives and quadrature for exact definite integrals
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  withVerification,
+  verifyAntiderivative,
+  verifyDefiniteIntegral,
+  verifyRoots,
+  verifyFamilies,
+  verifyDerivative
+} = require("./verification");
+const { createSuccessResult, createStep } = require("./solverHelpers");
+const { solveMathExpression } = require("./mathSolver");
+
+const real = (re, text = String(re)) => ({ re, im: 0, text });
+
+test("antiderivatives are differentiated and compared with the integrand", () => {
+  assert.equal(verifyAntiderivative("2*x", "x^2", "x").verified, true);
+  assert.equal(verifyAntiderivative("1/x", "log(x)", "x").verified, true);
+  const wrong = verifyAntiderivative("x*cos(x)", "x*sin(x)", "x");
+  assert.equal(wrong.verified, false);
+  assert.equal(wrong.verification.check, "differentiate-antiderivative");
+  assert.match(wrong.verification.detail, /integrand is 0\.5403023059 at x = 1$/);
+});
+
+test("exact definite integrals are compared with quadrature", () => {
+  assert.equal(verifyDefiniteIntegral("x^2", "x", "0", "1", 1 / 3).verified, true);
+  assert.equal(verifyDefiniteIntegral("e^(-x)", "x", "0", "inf", 1).verified, true);
+  assert.equal(verifyDefiniteIntegral("x^2", "x", "0", "1", 0.5).verification.detail, "Numerical quadrature gives 1/3, not 1/2");
+});
+
+test("roots are substituted back, complex ones included", () => {
+  assert.equal(verifyRoots("x^2 - 4", "x", [real(2), real(-2)]).verified, true);
+  assert.equal(verifyRoots("x^2 + 1", "x", [{ re: 0, im: 1, text: "i" }]).verified, true);
+  assert.equal(verifyRoots("x^2 - 4", "x", [real(3)]).verification.detail, "Substituting x = 3 does not satisfy the equation");
+  assert.equal(verifyRoots("x", "x", []).verified, null);
+});
+
+test("trig families are checked through several members", () => {
+  const result = verifyFamilies("sin(x) - 1/2", "x", [{ base: Math.PI / 6, period: 2 * Math.PI, text: "pi/6 + 2*k*pi" }]);
+  assert.equal(result.verified, true);
+  assert.equal(result.verification.detail, "The members k = 0, 1, -1 of every family satisfy the equation");
+  assert.equal(verifyFamilies("sin(x) - 1/2", "x", [{ base: Math.PI / 3, period: 2 * Math.PI, text: "pi/3 + 2*k*pi" }]).verified, false);
+});
+
+test("derivatives are compared with central finite differences", () => {
+  assert.equal(verifyDerivative("x^3", ["x"], "3*x^2").verified, true);
+  assert.equal(verifyDerivative("x^2*y^3", ["x", "y"], "6*x*y^2").verified, true);
+  assert.equal(verifyDerivative("x^3", ["x"], "3*x").verification.detail, "At x = 7/10 the result gives 21/10 but finite differences give 147/100");
+  assert.equal(verifyDerivative("x^5", ["x", "x", "x", "x"], "120*x").verified, null);
+});
+
+test("a check that ran closes the steps; one that could not run adds no step", () => {
+  const result = createSuccessResult([createStep(1, "Start", "x", "")], "x", "test");
+  const checked = withVerification(result, verifyRoots("x - 1", "x", [real(1)]));
+  assert.equal(checked.steps.length, 2);
+  assert.equal(checked.steps[1].description, "Verify");
+  assert.equal(withVerification(result, verifyRoots("x", "x", [])).steps.length, 1);
+});
+
+test("every solver result carries a verified status", () => {
+  const cases = {
+    "integral(x*cos(x), x)": "differentiate-antiderivative",
+    "integral(x^2, x, 0, 1)": "numeric-quadrature",
+    "derivative(sin(x)^2, x)": "finite-differences",
+    "solve(x^2 - 5*x + 6 = 0, x)": "substitute-roots"
+  };
+  Object.entries(cases).forEach(([expression, check]) => {
+    const result = solveMathExpression(expression);
+    assert.equal(result.verified, true, expression);
+    assert.equal(result.verification.check, check);
+  });
+  const arithmetic = solveMathExpression("2+3");
+  assert.equal(arithmetic.verified, null);
+  assert.equal(arithmetic.verification.check, "none");
+});
@@ -76,8 +76,25 @@ const useFunction3D = (equation, domain, resolution = 50) => {
   }, [equation, domain, resolution]);
 };
 
+// Critical point markers, coloured by their Hessian classification
+const POINT_COLORS = { minimum: '#10b981', maximum: '#ef4444', saddle: '#f59e0b', degenerate: '#94a3b8' };
+const NO_POINTS = [];
+
+// REACT CONCEPT: Lists & Keys - A sphere and label for each critical point on the surface
+const CriticalPointMarkers = ({ points }) => points.map((point) => (
+  <group key={`${point.x}-${point.y}`} position={[point.x, point.y, point.z]}>
+    <mesh>
+      <sphereGeometry args={[0.12, 16, 16]} />
+      <meshStandardMaterial color={POINT_COLORS[point.classification] || '#94a3b8'} />
+    </mesh>
+    <Text position={[0, 0, 0.4]} fontSize={0.25} color="white">
+      {point.classification}
+    </Text>
+  </group>
+));
+
 // REACT CONCEPT: 3D Surface Component with Three.js
-const Surface3D = ({ equation, domain, color = '#3b82f6', opacity = 0.8 }) => {
+const Surface3D = ({ equation, domain, color = '#3b82f6', opacity = 0.8, criticalPoints = NO_POINTS }) => {
   const meshRef = useRef();
   const { vertices, indices } = useFunction3D(equation, domain);
   
@@ -112,6 +129,8 @@ const Surface3D = ({ equation, domain, color = '#3b82f6', opacity = 0.8 }) => {
         wireframe={false}
         side={2} // DoubleSide
       />
+      {/* REACT CONCEPT: Component Composition - Markers are children of the mesh so they turn with the surface */}
+      <CriticalPointMarkers points={criticalPoints} />
     </mesh>
   );
 };
@@ -136,7 +155,7 @@ const ParameterSlider = ({ label, value, min, max, step, onChange, color = '#3b8
 );
 
 // REACT CONCEPT: Main 3D Plot Component
-const Plot3D = ({ equation, domain, parameters = {}, onParameterChange }) => {
+const Plot3D = ({ equation, domain, parameters = {}, onParameterChange, criticalPoints = NO_POINTS }) => {
   const [showGrid, setShowGrid] = useState(true);
   const [error, setError] = useState(null);
   
@@ -260,6 +279,7 @@ const Plot3D = ({ equation, domain, parameters = {}, onParameterChange }) => {
             domain={domain}
             color={plotSettings.color}
             opacity={plotSettings.opacity}
+            criticalPoints={criticalPoints}
           />
           
           <OrbitControls enablePan={true} enableZoom={true} enableRotate={true} />
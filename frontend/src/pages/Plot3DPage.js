@@ -7,10 +7,12 @@
 // - Component Composition (Plot3D as child component)
 // - Conditional Rendering (different plot types and error states)
 // - Lists & Keys (mapping over presets and examples)
+// - HTTP Client Programming (axios call for critical point analysis)
 
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
+import axios from 'axios';
 import { motion } from 'framer-motion';
-import { Box, RotateCcw, Zap, Calculator, Settings, Eye, EyeOff } from 'lucide-react';
+import { Box, RotateCcw, Zap, Calculator, Settings, Eye, EyeOff, Crosshair } from 'lucide-react';
 import Plot3D from '../components/Plot3D';
 import './Plot3DPage.css';
 
@@ -21,6 +23,9 @@ const Plot3DPage = () => {
   const [parameters, setParameters] = useState({ a: 1, b: 1, c: 0 });
   const [showControls, setShowControls] = useState(true);
   const [plotType, setPlotType] = useState("surface"); // "surface", "wireframe", "points"
+  const [analysis, setAnalysis] = useState(null);
+  const [analysisError, setAnalysisError] = useState(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
 
   // REACT CONCEPT: Data Organization - Static array for 3D function presets
   const presetFunctions = useMemo(() => [
@@ -112,6 +117,27 @@ const Plot3DPage = () => {
     setPlotType("surface");
   }, []);
 
+  // REACT CONCEPT: Component Lifecycle - Critical points belong to one function, so drop them when it changes
+  useEffect(() => {
+    setAnalysis(null);
+    setAnalysisError(null);
+  }, [equation, domain, parameters]);
+
+  // REACT CONCEPT: HTTP Client Programming - Ask the backend for ∇f = 0 and the Hessian classification
+  const handleAnalyze = useCallback(async () => {
+    setIsAnalyzing(true);
+    setAnalysisError(null);
+    try {
+      const response = await axios.post("/api/plot3d/analyze", { equation, domain, parameters });
+      setAnalysis(response.data.data);
+    } catch (err) {
+      setAnalysis(null);
+      setAnalysisError(err.response?.data?.details || err.response?.data?.error || "Failed to analyze function");
+    } finally {
+      setIsAnalyzing(false);
+    }
+  }, [equation, domain, parameters]);
+
   // REACT CONCEPT: Helper Functions - Domain input component
   const DomainInput = ({ axis, range, onChange }) => (
     <div className="domain-input">
@@ -209,6 +235,10 @@ const Plot3DPage = () => {
                 <RotateCcw size={16} />
                 Reset View
               </button>
+              <button className="action-btn" onClick={handleAnalyze} disabled={isAnalyzing}>
+                <Crosshair size={16} />
+                {isAnalyzing ? "Analyzing..." : "Find Critical Points"}
+              </button>
             </div>
           </motion.aside>
         )}
@@ -243,6 +273,19 @@ const Plot3DPage = () => {
           }}>
             <strong>Current Equation:</strong> {equation}<br/>
             <strong>Domain:</strong> X: [{domain.x[0]}, {domain.x[1]}], Y: [{domain.y[0]}, {domain.y[1]}]
+            {/* REACT CONCEPT: Conditional Rendering - Analysis results under the equation */}
+            {analysisError && <><br/><strong>Analysis:</strong> {analysisError}</>}
+            {analysis && (
+              <>
+                <br/><strong>Critical points ({analysis.method}):</strong>{" "}
+                {analysis.criticalPoints.length
+                  ? analysis.criticalPoints.map((point) => `${point.classification} (${point.xText}, ${point.yText}, ${point.zText})`).join("; ")
+                  : "none in the domain"}
+                {analysis.degenerate && ` • ${analysis.criticalCurve ? analysis.criticalCurve.description : "a whole curve of points where ∇f = 0"}`}
+                <br/><strong>Symmetry:</strong>{" "}
+                {analysis.symmetries.length ? analysis.symmetries.map((symmetry) => symmetry.description).join("; ") : "none found"}
+              </>
+            )}
           </div>
           <Plot3D
             equation={equation}
@@ -250,6 +293,7 @@ const Plot3DPage = () => {
             parameters={parameters}
             onParameterChange={handleParameterChange}
             plotType={plotType}
+            criticalPoints={analysis?.criticalPoints}
           />
         </motion.div>
       </div>
@@ -16,25 +16,26 @@
 import React, { Component } from "react";
 import PropTypes from "prop-types";
 import { motion } from "framer-motion";
-import { TextField, Button } from "@mui/material";
+import { TextField, Button, MenuItem } from "@mui/material";
 import { useFormik } from "formik";
 import * as Yup from "yup";
 import axios from "axios";
-import { Calculator, Zap, CheckCircle, AlertCircle, Copy } from "lucide-react";
+import { Link } from "react-router-dom";
+import { Calculator, Zap, CheckCircle, AlertCircle, Copy, TrendingUp } from "lucide-react";
 import "./Solver.css";
 
 // REACT CONCEPT: Functional Component with Hooks (useFormik for form management)
 const EquationInput = ({ onSolve, isLoading }) => {
   // REACT CONCEPT: Data Organization - Static array for examples
-  const exampleEquations = ["x^2 + 2*x + 1", "derivative(x^3 + 2*x^2, x)", "integral(x^2, x)", "solve(x^2 - 4 = 0, x)", "2 + 3 * 4", "sin(pi/2)"];
+  const exampleEquations = ["x^2 + 2*x + 1", "derivative(x^3 + 2*x^2, x)", "integral(x^2, x)", "solve(x^2 - 4 = 0, x)", "2 + 3 * 4", "sin(pi/2)", "sqrt(8) + 1/3"];
 
   // REACT CONCEPT: Form Programming - Formik for form state and validation
   const formik = useFormik({
-    initialValues: { equation: "" },
+    initialValues: { equation: "", output: "both" },
     validationSchema: Yup.object({
       equation: Yup.string().trim().required("Equation is required").min(2, "Too short!"),
     }),
-    onSubmit: (values) => onSolve(values.equation.trim()),
+    onSubmit: (values) => onSolve(values.equation.trim(), values.output),
   });
 
   // REACT CONCEPT: Event Handling - Helper function for setting example values
@@ -58,6 +59,16 @@ const EquationInput = ({ onSolve, isLoading }) => {
           />
         </div>
 
+        {/* REACT CONCEPT: Controlled Components - Numeric answers as exact values, decimals or both */}
+        <TextField
+          select size="small" name="output" label="Numeric answers" value={formik.values.output} onChange={formik.handleChange}
+          disabled={isLoading} style={{ marginTop: "1rem", minWidth: 180 }} aria-label="Numeric answer format"
+        >
+          <MenuItem value="both">Exact and decimal</MenuItem>
+          <MenuItem value="exact">Exact</MenuItem>
+          <MenuItem value="decimal">Decimal</MenuItem>
+        </TextField>
+
         <Button type="submit" variant="contained" color="primary" disabled={!formik.isValid || isLoading} style={{ marginTop: "1rem" }}>
           {isLoading ? "Solving..." : <><Zap size={16} /> Solve Equation</>}
         </Button>
@@ -80,6 +91,69 @@ const EquationInput = ({ onSolve, isLoading }) => {
 EquationInput.propTypes = { onSolve: PropTypes.func.isRequired, isLoading: PropTypes.bool };
 EquationInput.defaultProps = { isLoading: false };
 
+// REACT CONCEPT: Functional Component - Matrix grid attached to a step or result; augmented matrices [A | b] get a divider
+const StepMatrix = ({ matrix }) => (
+  <table className="step-matrix" aria-label={matrix.divider === undefined ? "Matrix" : "Augmented matrix"}>
+    {/* REACT CONCEPT: Conditional Rendering - Column headers only when the columns are named */}
+    {matrix.columns && (
+      <thead>
+        <tr>
+          {matrix.columns.map((column, index) => (
+            <th key={column} className={index === matrix.divider ? "matrix-divider" : undefined}>{column === "=" ? "" : column}</th>
+          ))}
+        </tr>
+      </thead>
+    )}
+    <tbody>
+      {/* REACT CONCEPT: Lists & Keys - Rows keyed by position since entries can repeat */}
+      {matrix.rows.map((row, rowIndex) => (
+        <tr key={rowIndex}>
+          {row.map((entry, columnIndex) => (
+            <td key={columnIndex} className={columnIndex === matrix.divider ? "matrix-divider" : undefined}>{entry}</td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// REACT CONCEPT: Props & PropTypes - Type validation for the matrix snapshot
+StepMatrix.propTypes = {
+  matrix: PropTypes.shape({
+    rows: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+    columns: PropTypes.arrayOf(PropTypes.string),
+    divider: PropTypes.number,
+  }).isRequired,
+};
+
+// REACT CONCEPT: Functional Component - Tabular step data such as a sign chart or synthetic division
+const StepTable = ({ table }) => (
+  <table className="step-table" aria-label={table.title || "Step table"}>
+    <thead>
+      <tr>
+        {table.columns.map((column) => <th key={column}>{column}</th>)}
+      </tr>
+    </thead>
+    <tbody>
+      {/* REACT CONCEPT: Lists & Keys - Rows keyed by position since cells can repeat */}
+      {table.rows.map((row, rowIndex) => (
+        <tr key={rowIndex} className={row[row.length - 1] === "yes" ? "row-satisfied" : undefined}>
+          {row.map((cell, index) => <td key={index}>{cell}</td>)}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// REACT CONCEPT: Props & PropTypes - Type validation for the table data
+StepTable.propTypes = {
+  table: PropTypes.shape({
+    title: PropTypes.string,
+    columns: PropTypes.arrayOf(PropTypes.string).isRequired,
+    rows: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+  }).isRequired,
+};
+
 // REACT CONCEPT: Class Component with State Management and Lifecycle Methods
 class SolverOutput extends Component {
   // REACT CONCEPT: Constructor - Initialize component state
@@ -166,6 +240,9 @@ class SolverOutput extends Component {
                     </button>
                   </div>
                   <div className="step-expression">{step.expression}</div>
+                  {/* REACT CONCEPT: Conditional Rendering - Matrix snapshot for row-operation steps */}
+                  {step.matrix && <StepMatrix matrix={step.matrix} />}
+                  {step.table && <StepTable table={step.table} />}
                   {step.explanation && <p className="step-explanation">{step.explanation}</p>}
                 </motion.div>
               ))}
@@ -181,9 +258,23 @@ class SolverOutput extends Component {
           <motion.div className="final-answer" initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} transition={{ delay: 0.3 }} aria-label="Final answer" tabIndex={0}>
             <h4>Final Answer:</h4>
             <div className="answer-content">{result.finalAnswer}</div>
+            {/* REACT CONCEPT: Conditional Rendering - Matrix answers as a grid instead of a bracket string */}
+            {result.matrix && <StepMatrix matrix={{ rows: result.matrix }} />}
+            {/* REACT CONCEPT: Conditional Rendering - Outcome of the independent check, when one ran */}
+            {typeof result.verified === "boolean" && (
+              <p className="step-explanation" role={result.verified ? undefined : "alert"} style={{ color: result.verified ? "#10b981" : "#ef4444" }}>
+                {result.verified ? "Verified" : "Verification failed"}: {result.verification.detail}
+              </p>
+            )}
             <button onClick={() => this.copyToClipboard(result.finalAnswer)} aria-label="Copy final answer" className="copy-btn">
               <Copy size={14} /> Copy
             </button>
+            {/* REACT CONCEPT: Router State - Hand the curves to the Visualization page */}
+            {result.graph && (
+              <Link to="/visualization" state={{ graph: result.graph }} className="copy-btn" aria-label="Show this result on the graph">
+                <TrendingUp size={14} /> View on graph
+              </Link>
+            )}
           </motion.div>
         </section>
       </motion.div>
@@ -198,7 +289,14 @@ SolverOutput.propTypes = {
     success: PropTypes.bool, error: PropTypes.string, type: PropTypes.string,
     steps: PropTypes.arrayOf(PropTypes.shape({
       step: PropTypes.number, description: PropTypes.string, expression: PropTypes.string, explanation: PropTypes.string,
+      matrix: PropTypes.object, table: PropTypes.object,
     })), finalAnswer: PropTypes.string,
+    matrix: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string)),
+    verified: PropTypes.bool,
+    verification: PropTypes.shape({ check: PropTypes.string, detail: PropTypes.string }),
+    graph: PropTypes.shape({
+      equation: PropTypes.string, overlays: PropTypes.arrayOf(PropTypes.object), markers: PropTypes.arrayOf(PropTypes.object), domain: PropTypes.arrayOf(PropTypes.number), points: PropTypes.arrayOf(PropTypes.object),
+    }),
   }),
 };
 SolverOutput.defaultProps = { result: null };
@@ -212,10 +310,10 @@ class Solver extends Component {
   }
 
   // REACT CONCEPT: HTTP Client Programming - Async API call with error handling
-  handleSolveEquation = async (equation) => {
+  handleSolveEquation = async (equation, output = "both") => {
     this.setState({ isLoading: true, currentEquation: equation });
     try {
-      const response = await axios.post("/api/solve", { expression: equation });
+      const response = await axios.post("/api/solve", { expression: equation, output });
       this.setState({ solution: response.data });
     } catch (err) {
       this.setState({
@@ -248,13 +346,13 @@ class Solver extends Component {
               <div className="ops-category">
                 <div className="category-title">Basic Operations:</div>
                 <ul>
-                  <li>2 + 3</li><li>5 - 2</li><li>3 * 4</li><li>8 / 2</li><li>x^2, x^3</li><li>sin(x), cos(x), tan(x)</li><li>ln(x), log(x)</li>
+                  <li>2 + 3</li><li>5 - 2</li><li>3 * 4</li><li>8 / 2</li><li>x^2, x^3</li><li>sin(x), cos(x), tan(x)</li><li>ln(x), log(x)</li><li>sqrt(-4), (1 + 2i)*(3 - i)</li><li>polar(1 + i), rect(2, pi/3)</li><li>5 km/h to m/s</li><li>9.8 m/s^2 * 3 s</li>
                 </ul>
               </div>
               <div className="ops-category">
                 <div className="category-title">Advanced Operations:</div>
                 <ul>
-                  <li>derivative(x^3, x)</li><li>integral(x^2, x)</li><li>solve(x^2 - 4 = 0, x)</li><li>limit(x, 0, sin(x)/x)</li><li>simplify(x^2 + 2*x + 1)</li>
+                  <li>derivative(x^3, x)</li><li>derivative(x^2*y^3, x, y)</li><li>gradient(x^2 + y^2, [x, y])</li><li>integral(x^2, x)</li><li>integral(x^2, x, 0, 1)</li><li>solve(x^2 - 4 = 0, x)</li><li>solve([2x + y = 5, x - y = 1], [x, y])</li><li>solve(cos(x) = x, x)</li><li>solve(sin(x) = 1/2, x)</li><li>solve(sin(x) = 1/2, x, 0, 2*pi)</li><li>solve(2^(x + 1) = 16, x)</li><li>solve(log(x) + log(x - 3) = 1, x)</li><li>solve(x^2 - 4 &gt; 0, x)</li><li>factor(x^4 - 16)</li><li>polydiv(x^3 - 2x^2 - 4, x - 3)</li><li>apart((3x + 5)/(x^2 + 3x + 2), x)</li><li>trigsimp(2*sin(x)*cos(x))</li><li>sqrt(x^2), assume(x &gt; 0)</li><li>solve(x^2 - 4 = 0, x), assume(x &gt; 0)</li><li>analyze((x^2 - 1)/(x - 2), x)</li><li>taylor(sin(x), x, 0, 7)</li><li>det([[1, 2], [3, 4]])</li><li>eigen([[2, 1], [1, 2]])</li><li>dsolve(y' = x*y, y, x, y(0) = 2)</li><li>sum(1/k^2, k, 1, inf)</li><li>product(k, k, 1, n)</li><li>limit(x, 0, sin(x)/x)</li><li>lim(x -&gt; 0+) x*log(x)</li><li>simplify(x^2 + 2*x + 1)</li>
                 </ul>
               </div>
             </div>
@@ -14,7 +14,8 @@
 
 import React, { useState, useCallback, useMemo, useEffect } from "react";
 import PropTypes from 'prop-types';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Area, AreaChart } from "recharts";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Area, AreaChart, ReferenceLine, ReferenceDot, Legend } from "recharts";
+import { useLocation } from "react-router-dom";
 import { TrendingUp, BarChart3, Play, RotateCcw, Box, Sliders, Zap } from "lucide-react";
 import { evaluate } from "mathjs";
 import { motion } from "framer-motion";
@@ -23,35 +24,74 @@ import InteractiveManipulator from "../components/InteractiveManipulator";
 import AnimationSequences from "../components/AnimationSequences";
 import "./Visualization.css";
 
+// Evaluate an expression in x at one point; null when it is undefined there
+const evaluateAt = (equation, x) => {
+  try {
+    // Improved variable replacement to handle complex expressions
+    let expr = equation;
+    expr = expr.replace(/\bx\b/g, `(${x})`);
+    expr = expr.replace(/\bpi\b/g, '3.14159265359');
+    expr = expr.replace(/\be\b/g, '2.71828182846');
+
+    const y = evaluate(expr);
+    return typeof y === "number" && isFinite(y) ? y : null;
+  } catch (error) {
+    console.warn(`Failed to evaluate at x=${x}:`, error.message);
+    return null;
+  }
+};
+
+const OVERLAY_COLORS = ["#ef4444", "#8b5cf6", "#14b8a6"];
+// Point markers from a function analysis, coloured by the feature they mark
+const MARKER_COLORS = { maximum: "#ef4444", minimum: "#10b981", critical: "#f59e0b", inflection: "#8b5cf6", hole: "#ffffff", intercept: "#3b82f6" };
+// Shared empty default so the memoized graph data is not recomputed on every render
+const NONE = [];
+
 // REACT CONCEPT: Functional Component with Props - GraphVisualizer component
-const GraphVisualizer = ({ equation, type = "function", domain = [-10, 10] }) => {
+const GraphVisualizer = ({ equation, type = "function", domain = [-10, 10], overlays = NONE, markers = NONE, points = NONE }) => {
   // REACT CONCEPT: Performance Optimization - useMemo for expensive graph calculations
   const graphData = useMemo(() => {
+    // A numeric solution (e.g. from dsolve) or partial sums arrive as points and are drawn as given; overlays
+    // such as the limit of a series are evaluated at the same x values
+    if (points.length) {
+      return points.map(({ x, y }) => {
+        const point = { x: parseFloat(x.toFixed(3)), y: parseFloat(y.toFixed(3)) };
+        overlays.forEach((overlay, index) => {
+          const value = evaluateAt(overlay.equation, x);
+          if (value !== null) point[`overlay${index}`] = parseFloat(value.toFixed(3));
+        });
+        return point;
+      });
+    }
     try {
       const data = [];
       const [min, max] = domain;
       const step = (max - min) / 200;
       for (let x = min; x <= max; x += step) {
-        try {
-          // Improved variable replacement to handle complex expressions
-          let expr = equation;
-          expr = expr.replace(/\bx\b/g, `(${x})`);
-          expr = expr.replace(/\bpi\b/g, '3.14159265359');
-          expr = expr.replace(/\be\b/g, '2.71828182846');
-          
-          const y = evaluate(expr);
-          if (typeof y === "number" && isFinite(y)) {
-            data.push({ x: parseFloat(x.toFixed(3)), y: parseFloat(y.toFixed(3)) });
-          }
-        } catch (error) {
-          console.warn(`Failed to evaluate at x=${x}:`, error.message);
-        }
+        const y = evaluateAt(equation, x);
+        if (y === null) continue;
+        const point = { x: parseFloat(x.toFixed(3)), y: parseFloat(y.toFixed(3)) };
+        // Overlay curves (e.g. a Taylor polynomial) share the x samples of the main curve
+        overlays.forEach((overlay, index) => {
+          const value = evaluateAt(overlay.equation, x);
+          if (value !== null) point[`overlay${index}`] = parseFloat(value.toFixed(3));
+        });
+        data.push(point);
       }
       return data;
     } catch {
       return [];
     }
-  }, [equation, domain]);
+  }, [equation, domain, overlays, points]);
+
+  // Keep the y-axis on the original curve so a fast-growing overlay does not flatten it
+  const yDomain = useMemo(() => {
+    if (!overlays.length || !graphData.length) return ["auto", "auto"];
+    const values = graphData.map((point) => point.y);
+    const [low, high] = [Math.min(...values), Math.max(...values)];
+    const pad = Math.max((high - low) * 0.25, 1);
+    return [parseFloat((low - pad).toFixed(3)), parseFloat((high + pad).toFixed(3))];
+  }, [graphData, overlays]);
 
   // REACT CONCEPT: Helper Functions - Pure functions for UI logic
   const getChartTitle = () => {
@@ -86,7 +126,7 @@ const GraphVisualizer = ({ equation, type = "function", domain = [-10, 10] }) =>
       <header className="graph-header">
         <TrendingUp size={24} aria-hidden="true" />
         <h3>{getChartTitle()}</h3>
-        <p tabIndex={0}>f(x) = {equation}</p>
+        <p tabIndex={0}>{points.length ? equation : `f(x) = ${equation}`}</p>
         <span aria-label={`Graph type: ${type}`}>{type}</span>
       </header>
 
@@ -103,9 +143,20 @@ const GraphVisualizer = ({ equation, type = "function", domain = [-10, 10] }) =>
           ) : (
             <LineChart data={graphData} aria-label="Line chart showing function graph visualization">
               <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="x" fontSize={12} />
-              <YAxis fontSize={12} />
-              <Line type="monotone" dataKey="y" stroke={getChartColor()} strokeWidth={2} dot={false} activeDot={{ r: 4, fill: getChartColor() }} />
+              <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} fontSize={12} />
+              <YAxis fontSize={12} domain={yDomain} allowDataOverflow={overlays.length > 0} />
+              <Line type="monotone" dataKey="y" name={`f(x) = ${equation}`} stroke={getChartColor()} strokeWidth={2} dot={false} activeDot={{ r: 4, fill: getChartColor() }} />
+              {/* REACT CONCEPT: Lists & Keys - Overlay curves drawn dashed over the original */}
+              {overlays.map((overlay, index) => (
+                <Line key={overlay.equation} type="monotone" dataKey={`overlay${index}`} name={overlay.label || overlay.equation} stroke={OVERLAY_COLORS[index % OVERLAY_COLORS.length]} strokeWidth={2} strokeDasharray="6 4" dot={false} connectNulls={false} />
+              ))}
+              {/* REACT CONCEPT: Conditional Rendering - Markers with a y value are points on the curve, the rest vertical lines */}
+              {markers.map((marker) => (typeof marker.y === "number" ? (
+                <ReferenceDot key={`${marker.label}-${marker.x}`} x={marker.x} y={marker.y} r={4} fill={MARKER_COLORS[marker.kind] || "#64748b"} stroke="#334155" label={{ value: marker.label, position: "top", fontSize: 11 }} />
+              ) : (
+                <ReferenceLine key={`${marker.label}-${marker.x}`} x={marker.x} stroke="#64748b" strokeDasharray="2 2" label={{ value: marker.label, position: "top", fontSize: 11 }} />
+              )))}
+              {overlays.length > 0 && <Legend />}
             </LineChart>
           )}
         </ResponsiveContainer>
@@ -113,6 +164,7 @@ const GraphVisualizer = ({ equation, type = "function", domain = [-10, 10] }) =>
 
       <footer className="graph-info">
         Domain: [{domain[0]}, {domain[1]}] • Points: {graphData.length}
+        {overlays.map((overlay) => <span key={overlay.equation}> • {overlay.label || "Overlay"}: {overlay.equation}</span>)}
       </footer>
     </section>
   );
@@ -123,15 +175,24 @@ GraphVisualizer.propTypes = {
   equation: PropTypes.string.isRequired,
   type: PropTypes.oneOf(["function", "integral", "derivative"]),
   domain: PropTypes.arrayOf(PropTypes.number),
+  overlays: PropTypes.arrayOf(PropTypes.shape({ equation: PropTypes.string.isRequired, label: PropTypes.string })),
+  markers: PropTypes.arrayOf(PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number, label: PropTypes.string, kind: PropTypes.string })),
+  points: PropTypes.arrayOf(PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number.isRequired })),
 };
-GraphVisualizer.defaultProps = { type: "function", domain: [-10, 10] };
+GraphVisualizer.defaultProps = { type: "function", domain: [-10, 10], overlays: NONE, markers: NONE, points: NONE };
 
 // REACT CONCEPT: Functional Component with Multiple Hooks - Main Visualization component
 const Visualization = () => {
+  // REACT CONCEPT: Router State - A solver result (e.g. a Taylor polynomial) can open this page with a graph to draw
+  const sentGraph = useLocation().state?.graph;
+
   // REACT CONCEPT: State Management - Multiple useState hooks for different UI states
-  const [equation, setEquation] = useState("x^2");
+  const [equation, setEquation] = useState(sentGraph?.equation || "x^2");
   const [graphType, setGraphType] = useState("function");
-  const [domain, setDomain] = useState([-10, 10]);
+  const [domain, setDomain] = useState(sentGraph?.domain || [-10, 10]);
+  const [overlays, setOverlays] = useState(sentGraph?.overlays || []);
+  const [markers, setMarkers] = useState(sentGraph?.markers || []);
+  const [points, setPoints] = useState(sentGraph?.points || []);
   const [isGraphing, setIsGraphing] = useState(false);
   const [pastCalculations, setPastCalculations] = useState([]);
   const [visualizationMode, setVisualizationMode] = useState("2d"); // "2d", "3d", "interactive", "animations"
@@ -213,6 +274,9 @@ const Visualization = () => {
     setEquation("x^2");
     setGraphType("function");
     setDomain([-10, 10]);
+    setOverlays([]);
+    setMarkers([]);
+    setPoints([]);
     setPastCalculations([]);
     setParameters({ a: 1, b: 0, c: 0 });
     setVisualizationMode("2d");
@@ -228,6 +292,14 @@ const Visualization = () => {
     setEquation(newEquation);
   }, []);
 
+  // REACT CONCEPT: Event Handling - A new equation drops overlays, markers and points computed for the old one
+  const handleEquationInput = useCallback((newEquation) => {
+    setEquation(newEquation);
+    setOverlays([]);
+    setMarkers([]);
+    setPoints([]);
+  }, []);
+
   // REACT CONCEPT: Event Handling - Visualization mode switching
   const handleModeChange = useCallback((mode) => {
     setVisualizationMode(mode);
@@ -269,7 +341,7 @@ const Visualization = () => {
         <div className="function-input">
           <h3><TrendingUp size={20} /> Function Input</h3>
           {/* REACT CONCEPT: Event Handling - Controlled input with onChange */}
-          <input type="text" value={equation} onChange={(e) => setEquation(e.target.value)} placeholder="e.g., x^2+2*x+1" aria-label="Equation input" />
+          <input type="text" value={equation} onChange={(e) => handleEquationInput(e.target.value)} placeholder="e.g., x^2+2*x+1" aria-label="Equation input" />
 
           {/* REACT CONCEPT: Lists & Keys - Graph type buttons with proper key management */}
           <div className="graph-type-buttons">
@@ -298,7 +370,7 @@ const Visualization = () => {
           <h3>Quick Examples</h3>
           {/* REACT CONCEPT: Lists & Keys - Example buttons with motion animations */}
           {pagedExamples.map((func) => (
-            <motion.button key={func.name} onClick={() => { setEquation(func.equation); setGraphType(func.type); }} whileHover={{ scale: 1.05, boxShadow: "0 0 15px var(--accent-secondary)" }} whileFocus={{ scale: 1.05, boxShadow: "0 0 15px var(--accent-secondary)" }}>
+            <motion.button key={func.name} onClick={() => { handleEquationInput(func.equation); setGraphType(func.type); }} whileHover={{ scale: 1.05, boxShadow: "0 0 15px var(--accent-secondary)" }} whileFocus={{ scale: 1.05, boxShadow: "0 0 15px var(--accent-secondary)" }}>
               {func.name} ({func.equation})
             </motion.button>
           ))}
@@ -313,7 +385,7 @@ const Visualization = () => {
 
       {/* REACT CONCEPT: Conditional Rendering - Different visualization modes */}
       {visualizationMode === "2d" && (
-        <GraphVisualizer equation={equation} type={graphType} domain={domain} />
+        <GraphVisualizer equation={equation} type={graphType} domain={domain} overlays={overlays} markers={markers} points={points} />
       )}
       
       {visualizationMode === "3d" && (